@@ -53,8 +53,8 @@ data class SubscriptionEntity(
         fun fromUserSubscription(userId: String, subscription: UserSubscription): SubscriptionEntity {
             return SubscriptionEntity(
                 userId = userId,
-                plan = subscription.plan.name.lowercase(),
-                status = subscription.status.name.lowercase(),
+                plan = subscription.plan.name,
+                status = subscription.status.name,
                 currentPeriodStart = subscription.currentPeriodStart?.let {
                     it.seconds * 1000 + it.nanoseconds / 1_000_000
                 },
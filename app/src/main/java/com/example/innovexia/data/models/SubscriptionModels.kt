@@ -4,12 +4,14 @@ import com.google.firebase.Timestamp
 
 /**
  * Subscription plan tiers
- * Aligned with mock system: FREE, PLUS, PRO, MASTER
+ * Aligned with mock system: FREE, PLUS, PRO, MASTER.
+ * TEAM is the per-seat team plan; members get it from the team owner's subscription.
  */
 enum class SubscriptionPlan {
     FREE,
     PLUS,
     PRO,
+    TEAM,
     MASTER;
 
     companion object {
@@ -114,6 +116,22 @@ data class PlanLimits(
                     priorityClass = 3,
                     pricePerMonth = 1999 // $19.99
                 )
+                SubscriptionPlan.TEAM -> PlanLimits(
+                    plan = SubscriptionPlan.TEAM,
+                    tokensPerWindow = 1_500_000L,
+                    messagesPerWindow = 250,
+                    windowDurationHours = 5,
+                    burstRequestsPerMinute = 60,
+                    modelAccess = listOf("gemini-2.5-flash", "gemini-2.5-pro", "gpt-5", "claude-4.5", "perplexity"),
+                    maxUploadMB = 100,
+                    maxSources = 250,
+                    memoryEntries = null, // unlimited
+                    contextLength = "256K",
+                    cloudBackup = true,
+                    teamSpaces = 10,
+                    priorityClass = 3,
+                    pricePerMonth = 1499 // $14.99 per seat
+                )
                 SubscriptionPlan.MASTER -> PlanLimits(
                     plan = SubscriptionPlan.MASTER,
                     tokensPerWindow = 5_000_000L,
@@ -146,15 +164,25 @@ data class UserSubscription(
     val cancelAtPeriodEnd: Boolean = false,
     val stripeCustomerId: String? = null,
     val stripeSubscriptionId: String? = null,
-    val trialEnd: Timestamp? = null
+    val trialEnd: Timestamp? = null,
+    // Downgrade/period change scheduled for the end of the period (written by the server)
+    val pendingPlan: SubscriptionPlan? = null,
+    val pendingPeriod: String? = null,
+    val pendingChangeAt: Long? = null,
+    // Failed renewal payment: paid features stay on until graceEnd (written by the server)
+    val graceEnd: Timestamp? = null,
+    val paymentAttemptCount: Int = 0,
+    val nextPaymentAttempt: Long? = null,
+    // Tier whose limits apply now, per the server (FREE past the grace period or an expired plan)
+    val effectivePlan: SubscriptionPlan? = null
 ) {
     /**
      * Convert to Firestore map
      */
     fun toMap(): Map<String, Any?> {
         return mapOf(
-            "plan" to plan.name.lowercase(),
-            "status" to status.name.lowercase(),
+            "plan" to plan.name,
+            "status" to status.name,
             "currentPeriodStart" to currentPeriodStart,
             "currentPeriodEnd" to currentPeriodEnd,
             "cancelAtPeriodEnd" to cancelAtPeriodEnd,
@@ -169,15 +197,24 @@ data class UserSubscription(
          * Parse from Firestore document
          */
         fun fromMap(map: Map<String, Any>): UserSubscription {
+            val pendingChange = map["pendingChange"] as? Map<*, *>
+            val dunning = map["dunning"] as? Map<*, *>
             return UserSubscription(
-                plan = SubscriptionPlan.fromString(map["plan"] as? String ?: "free"),
-                status = SubscriptionStatus.fromString(map["status"] as? String ?: "active"),
+                plan = SubscriptionPlan.fromString(map["plan"] as? String ?: "FREE"),
+                status = SubscriptionStatus.fromString(map["status"] as? String ?: "ACTIVE"),
                 currentPeriodStart = map["currentPeriodStart"] as? Timestamp,
                 currentPeriodEnd = map["currentPeriodEnd"] as? Timestamp,
                 cancelAtPeriodEnd = map["cancelAtPeriodEnd"] as? Boolean ?: false,
                 stripeCustomerId = map["stripeCustomerId"] as? String,
                 stripeSubscriptionId = map["stripeSubscriptionId"] as? String,
-                trialEnd = map["trialEnd"] as? Timestamp
+                trialEnd = map["trialEnd"] as? Timestamp,
+                pendingPlan = (pendingChange?.get("planId") as? String)?.let { SubscriptionPlan.fromString(it) },
+                pendingPeriod = pendingChange?.get("period") as? String,
+                pendingChangeAt = (pendingChange?.get("effectiveAt") as? Number)?.toLong(),
+                graceEnd = map["graceEnd"] as? Timestamp,
+                paymentAttemptCount = (dunning?.get("attemptCount") as? Number)?.toInt() ?: 0,
+                nextPaymentAttempt = (dunning?.get("nextPaymentAttempt") as? Number)?.toLong(),
+                effectivePlan = (map["effectivePlan"] as? String)?.let { SubscriptionPlan.fromString(it) }
             )
         }
 
@@ -213,9 +250,18 @@ data class UserSubscription(
     }
 
     /**
-     * Get current plan limits
+     * Check if a failed payment is being retried while paid features stay on
+     */
+    fun isInGracePeriod(): Boolean {
+        if (status != SubscriptionStatus.PAST_DUE) return false
+        val graceEndTime = graceEnd ?: return true
+        return Timestamp.now().seconds < graceEndTime.seconds
+    }
+
+    /**
+     * Get current plan limits (of the server's effective plan when it wrote one)
      */
     fun getLimits(): PlanLimits {
-        return PlanLimits.getLimits(plan)
+        return PlanLimits.getLimits(effectivePlan ?: plan)
     }
 }
@@ -4,9 +4,16 @@ import com.example.innovexia.data.local.dao.SubscriptionDao
 import com.example.innovexia.data.local.entities.SubscriptionEntity
 import com.example.innovexia.data.models.SubscriptionPlan
 import com.example.innovexia.data.models.UserSubscription
+import com.example.innovexia.subscriptions.stripe.BillingApi
+import com.example.innovexia.subscriptions.stripe.BillingRetrofitClient
+import com.example.innovexia.subscriptions.stripe.CheckoutSessionRequest
+import com.example.innovexia.subscriptions.stripe.InvoiceDto
+import com.example.innovexia.subscriptions.stripe.PortalSessionRequest
 import com.google.firebase.auth.FirebaseAuth
+import com.google.firebase.firestore.DocumentSnapshot
 import com.google.firebase.firestore.FirebaseFirestore
 import com.google.firebase.firestore.ListenerRegistration
+import com.google.firebase.firestore.Query
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.SupervisorJob
@@ -28,7 +35,8 @@ import kotlinx.coroutines.tasks.await
 class SubscriptionRepository(
     private val subscriptionDao: SubscriptionDao,
     private val firestore: FirebaseFirestore,
-    private val auth: FirebaseAuth
+    private val auth: FirebaseAuth,
+    private val billingApi: BillingApi = BillingRetrofitClient.api
 ) {
     private val scope = CoroutineScope(SupervisorJob() + Dispatchers.IO)
 
@@ -224,15 +232,14 @@ class SubscriptionRepository(
     /**
      * Upgrade/downgrade plan (initiates Stripe checkout)
      * Returns Stripe checkout session URL
+     * The server authenticates the request with the user's ID token (see BillingRetrofitClient)
      */
-    suspend fun createCheckoutSession(plan: SubscriptionPlan): String {
-        val userId = auth.currentUser?.uid ?: throw IllegalStateException("Not authenticated")
-        val idToken = auth.currentUser?.getIdToken(false)?.await()?.token
-            ?: throw IllegalStateException("No ID token")
-
-        // TODO: Call Cloud Function to create Stripe checkout session
-        // For now, return placeholder
-        return "https://checkout.stripe.com/session_placeholder"
+    suspend fun createCheckoutSession(plan: SubscriptionPlan, period: String = "MONTHLY"): String {
+        auth.currentUser ?: throw IllegalStateException("Not authenticated")
+
+        return billingApi.checkoutSession(
+            CheckoutSessionRequest(planId = plan.name, period = period)
+        ).url
     }
 
     /**
@@ -240,13 +247,71 @@ class SubscriptionRepository(
      * Returns portal URL
      */
     suspend fun createPortalSession(): String {
-        val userId = auth.currentUser?.uid ?: throw IllegalStateException("Not authenticated")
-        val idToken = auth.currentUser?.getIdToken(false)?.await()?.token
-            ?: throw IllegalStateException("No ID token")
+        auth.currentUser ?: throw IllegalStateException("Not authenticated")
+
+        return billingApi.portalSession(PortalSessionRequest()).url
+    }
+
+    /**
+     * Billing history from users/{uid}/invoices (written by the billing server's webhook).
+     * Served from the Firestore cache when offline; guests have no history.
+     */
+    fun getInvoiceHistoryFlow(limit: Long = 50): Flow<List<InvoiceDto>> {
+        return authUserIdFlow.flatMapLatest { userId ->
+            if (userId == "guest") {
+                flowOf(emptyList())
+            } else {
+                callbackFlow {
+                    val query = firestore.collection("users").document(userId)
+                        .collection("invoices")
+                        .orderBy("created", Query.Direction.DESCENDING)
+                        .limit(limit)
+
+                    val listener = query.addSnapshotListener { snapshot, error ->
+                        if (error != null) {
+                            android.util.Log.e("SubscriptionRepository", "Error listening to invoices: ${error.message}")
+                            return@addSnapshotListener
+                        }
+                        trySend(snapshot?.documents?.mapNotNull { it.toInvoiceDto() } ?: emptyList())
+                    }
+
+                    awaitClose { listener.remove() }
+                }
+            }
+        }
+    }
+
+    /**
+     * Next charge of the current subscription, or null when nothing is due
+     */
+    suspend fun getUpcomingInvoice(): InvoiceDto? {
+        auth.currentUser ?: return null
+        return billingApi.upcomingInvoice().invoice
+    }
 
-        // TODO: Call Cloud Function to create portal session
-        // For now, return placeholder
-        return "https://billing.stripe.com/portal_placeholder"
+    private fun DocumentSnapshot.toInvoiceDto(): InvoiceDto? {
+        val status = getString("status") ?: return null
+        return InvoiceDto(
+            invoiceId = getString("invoiceId") ?: id,
+            number = getString("number"),
+            status = status,
+            paid = getBoolean("paid") ?: false,
+            billingReason = getString("billingReason"),
+            plan = getString("plan"),
+            period = getString("period"),
+            currency = getString("currency") ?: "usd",
+            total = getLong("total") ?: 0L,
+            amountDue = getLong("amountDue") ?: 0L,
+            amountPaid = getLong("amountPaid") ?: 0L,
+            amountRemaining = getLong("amountRemaining"),
+            created = getLong("created"),
+            periodStart = getLong("periodStart"),
+            periodEnd = getLong("periodEnd"),
+            attemptCount = getLong("attemptCount")?.toInt() ?: 0,
+            nextPaymentAttempt = getLong("nextPaymentAttempt"),
+            hostedInvoiceUrl = getString("hostedInvoiceUrl"),
+            invoicePdf = getString("invoicePdf")
+        )
     }
 
     /**
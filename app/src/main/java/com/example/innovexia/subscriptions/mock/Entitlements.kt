@@ -55,7 +55,9 @@ data class Entitlement(
     val renewsAt: Long? = null,           // null if FREE or canceled (end-of-term handled)
     val trialEndsAt: Long? = null,        // null if no trial
     val graceEndsAt: Long? = null,        // null if not in grace
-    val source: String = "local-mock",    // later: "google-play" | "stripe"
+    val paymentAttemptCount: Int = 0,     // failed renewal attempts while in grace
+    val nextPaymentAttempt: Long? = null, // next automatic retry, null if none left
+    val source: String = "local-mock",    // "stripe" | "play" | "team" | "local-mock"
     val orderId: String? = null           // mock order token
 ) {
     // Convenience accessors
@@ -122,6 +124,8 @@ data class Entitlement(
             "renewsAt" to renewsAt,
             "trialEndsAt" to trialEndsAt,
             "graceEndsAt" to graceEndsAt,
+            "paymentAttemptCount" to paymentAttemptCount,
+            "nextPaymentAttempt" to nextPaymentAttempt,
             "source" to source,
             "orderId" to orderId
         )
@@ -155,6 +159,8 @@ data class Entitlement(
                 renewsAt = map["renewsAt"] as? Long,
                 trialEndsAt = map["trialEndsAt"] as? Long,
                 graceEndsAt = map["graceEndsAt"] as? Long,
+                paymentAttemptCount = (map["paymentAttemptCount"] as? Number)?.toInt() ?: 0,
+                nextPaymentAttempt = map["nextPaymentAttempt"] as? Long,
                 source = map["source"] as? String ?: "unknown",
                 orderId = map["orderId"] as? String
             )
@@ -64,6 +64,7 @@ class UsageVM(
                 progressPercent = window.progressPercent(limits),
                 isLimitReached = window.isLimitReached(limits),
                 isApproachingLimit = window.isApproachingLimit(limits),
+                paymentIssue = PaymentIssue.from(entitlement),
                 // Real counts from local databases
                 memoryEntriesCount = usageData.memoryEntriesCount,
                 sourcesCount = usageData.sourcesCount
@@ -93,7 +94,8 @@ class UsageVM(
                 timeUntilReset = window.timeUntilReset(),
                 progressPercent = window.progressPercent(limits),
                 isLimitReached = window.isLimitReached(limits),
-                isApproachingLimit = window.isApproachingLimit(limits)
+                isApproachingLimit = window.isApproachingLimit(limits),
+                paymentIssue = PaymentIssue.from(entitlement)
             )
         }.stateIn(
             scope = viewModelScope,
@@ -155,6 +157,26 @@ class UsageVM(
     }
 }
 
+/**
+ * A renewal payment that failed: paid features stay on until [graceEndsAt]
+ */
+data class PaymentIssue(
+    val graceEndsAt: Long?,
+    val attemptCount: Int,
+    val nextPaymentAttempt: Long?
+) {
+    companion object {
+        fun from(entitlement: Entitlement): PaymentIssue? {
+            if (entitlement.subscriptionStatus() != SubStatus.GRACE) return null
+            return PaymentIssue(
+                graceEndsAt = entitlement.graceEndsAt,
+                attemptCount = entitlement.paymentAttemptCount,
+                nextPaymentAttempt = entitlement.nextPaymentAttempt
+            )
+        }
+    }
+}
+
 /**
  * Complete usage state for UI
  */
@@ -172,6 +194,8 @@ data class UsageState(
     val progressPercent: Float,
     val isLimitReached: Boolean,
     val isApproachingLimit: Boolean,
+    // Failed renewal payment (grace period), null when payments are fine
+    val paymentIssue: PaymentIssue? = null,
     // Plan limits
     val memoryLimit: Int? = limits.memoryEntryLimit,
     val sourcesLimit: Int = limits.maxSources,
@@ -0,0 +1,35 @@
+package com.example.innovexia.subscriptions.play
+
+import com.example.innovexia.subscriptions.mock.Period
+import com.example.innovexia.subscriptions.mock.PlanId
+
+/**
+ * Google Play Billing subscription products, mirrored from the server's lib/play.js.
+ * One subscription per tier, with a base plan per billing period.
+ */
+object PlayProducts {
+
+    private val productIds = mapOf(
+        PlanId.PLUS to "innovexia_plus",
+        PlanId.PRO to "innovexia_pro",
+        PlanId.MASTER to "innovexia_master"
+    )
+
+    private val basePlanIds = mapOf(
+        Period.MONTHLY to "monthly",
+        Period.YEARLY to "yearly"
+    )
+
+    /**
+     * Play product id for a paid tier, null for FREE
+     */
+    fun productId(plan: PlanId): String? = productIds[plan]
+
+    fun basePlanId(period: Period): String = basePlanIds.getValue(period)
+
+    /**
+     * Tier of a Play product id, null if unknown
+     */
+    fun planFor(productId: String): PlanId? =
+        productIds.entries.find { it.value == productId }?.key
+}
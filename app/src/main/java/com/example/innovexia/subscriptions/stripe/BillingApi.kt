@@ -1,7 +1,12 @@
 package com.example.innovexia.subscriptions.stripe
 
 import retrofit2.http.Body
+import retrofit2.http.DELETE
+import retrofit2.http.GET
 import retrofit2.http.POST
+import retrofit2.http.Path
+import retrofit2.http.Query
+import java.io.IOException
 
 /**
  * Retrofit API interface for Stripe billing endpoints
@@ -17,14 +22,132 @@ interface BillingApi {
     @POST("billing/cancel")
     suspend fun cancel(@Body request: CancelRequest): CancelResponse
 
+    /**
+     * Resumes a paused subscription and/or one canceled at period end
+     */
     @POST("billing/resume")
     suspend fun resume(@Body request: ResumeRequest): ResumeResponse
 
+    /**
+     * Pause billing and paid features (status PAUSED) until [resume], or until [PauseRequest.resumesAt]
+     */
+    @POST("billing/pause")
+    suspend fun pause(@Body request: PauseRequest): PauseResponse
+
     @POST("billing/restore")
     suspend fun restore(@Body request: RestoreRequest): RestoreResponse
 
     @POST("billing/switch")
     suspend fun switch(@Body request: SwitchRequest): SwitchResponse
+
+    /**
+     * What [switch] would do: the prorated charge now (upgrades) or the scheduled date (downgrades,
+     * period changes) and the next invoice. Pass [SwitchPreviewResponse.prorationDate] to [switch].
+     */
+    @POST("billing/switch/preview")
+    suspend fun previewSwitch(@Body request: SwitchPreviewRequest): SwitchPreviewResponse
+
+    @POST("billing/switch/cancel-scheduled")
+    suspend fun cancelScheduledChange(@Body request: CancelRequest): CancelResponse
+
+    @POST("billing/checkout-session")
+    suspend fun checkoutSession(@Body request: CheckoutSessionRequest): CheckoutSessionResponse
+
+    @POST("billing/portal-session")
+    suspend fun portalSession(@Body request: PortalSessionRequest): PortalSessionResponse
+
+    @POST("billing/promo/validate")
+    suspend fun validatePromo(@Body request: PromoValidateRequest): PromoValidateResponse
+
+    /**
+     * Public plan catalog with live Stripe prices (no auth).
+     * The currency follows the Accept-Language header unless [currency] is given.
+     */
+    @GET("billing/plans")
+    suspend fun plans(@Query("currency") currency: String? = null): PlansResponse
+
+    /**
+     * Billing history, newest first. Pass the previous page's [InvoicesResponse.nextCursor] as [startingAfter].
+     */
+    @GET("billing/invoices")
+    suspend fun invoices(
+        @Query("limit") limit: Int? = null,
+        @Query("startingAfter") startingAfter: String? = null
+    ): InvoicesResponse
+
+    @GET("billing/invoices/upcoming")
+    suspend fun upcomingInvoice(): UpcomingInvoiceResponse
+
+    @GET("billing/payment-methods")
+    suspend fun paymentMethods(): PaymentMethodsResponse
+
+    /**
+     * Make a saved card the default. A past-due invoice is retried on it right away.
+     */
+    @POST("billing/payment-methods/default")
+    suspend fun setDefaultPaymentMethod(@Body request: DefaultPaymentMethodRequest): DefaultPaymentMethodResponse
+
+    @DELETE("billing/payment-methods/{paymentMethodId}")
+    suspend fun detachPaymentMethod(@Path("paymentMethodId") paymentMethodId: String): DetachPaymentMethodResponse
+
+    /**
+     * SetupIntent for PaymentSheet (setup mode); the confirmed card becomes the default
+     */
+    @POST("billing/payment-methods/update")
+    suspend fun updateCard(): UpdateCardResponse
+
+    /**
+     * Verify a Google Play subscription purchase (after the purchase flow or on restore).
+     * [PlayVerifyResponse.activeSource] tells which subscription the plan now comes from.
+     */
+    @POST("billing/play/verify")
+    suspend fun verifyPlayPurchase(@Body request: PlayVerifyRequest): PlayVerifyResponse
+
+    /**
+     * Start a team: a TEAM subscription billed per seat (payment as in [subscribe])
+     */
+    @POST("billing/team")
+    suspend fun createTeam(@Body request: CreateTeamRequest): CreateTeamResponse
+
+    /**
+     * The user's team, or null
+     */
+    @GET("billing/team")
+    suspend fun team(): TeamResponse
+
+    @POST("billing/team/seats")
+    suspend fun setTeamSeats(@Body request: TeamSeatsRequest): TeamSeatsResponse
+
+    @POST("billing/team/invites")
+    suspend fun inviteTeamMember(@Body request: TeamInviteRequest): TeamInviteResponse
+
+    @DELETE("billing/team/invites/{inviteId}")
+    suspend fun revokeTeamInvite(@Path("inviteId") inviteId: String): TeamUpdateResponse
+
+    /**
+     * Accept an invite with the email address it was sent to
+     */
+    @POST("billing/team/join")
+    suspend fun joinTeam(@Body request: JoinTeamRequest): JoinTeamResponse
+
+    /**
+     * Remove a member (owner), or leave with the user's own uid
+     */
+    @DELETE("billing/team/members/{uid}")
+    suspend fun removeTeamMember(@Path("uid") uid: String): TeamUpdateResponse
+
+    /**
+     * Cancel subscriptions and delete the billing data, before deleting the Firebase account.
+     * Needs a fresh ID token from a recent sign-in (401 requires-recent-login otherwise).
+     */
+    @DELETE("billing/account")
+    suspend fun deleteBillingAccount(): DeleteBillingAccountResponse
+
+    /**
+     * Move a guest (anonymous) account's billing record to the signed-in account
+     */
+    @POST("billing/account/merge")
+    suspend fun mergeGuestAccount(@Body request: MergeGuestRequest): MergeGuestResponse
 }
 
 // Request/Response DTOs
@@ -44,20 +167,47 @@ data class BootstrapResponse(
 data class SubscribeRequest(
     val uid: String,
     val planId: String,
-    val period: String
+    val period: String,
+    val promoCode: String? = null
 )
 
 data class SubscribeResponse(
     val ok: Boolean,
     val subscriptionId: String,
-    val entitlement: EntitlementDto
+    val status: String? = null,
+    val currency: String? = null,
+    val entitlement: EntitlementDto,
+    val payment: PaymentStateDto? = null
 )
 
 data class CancelRequest(
-    val uid: String
+    val uid: String,
+    val mode: String? = null,     // "period_end" (default) or "immediate" (ends now, refunds the unused time)
+    val reason: String? = null,   // Stripe's feedback values: "too_expensive", "unused", "missing_features", ...
+    val feedback: String? = null  // free text, up to 500 characters
 )
 
 data class CancelResponse(
+    val ok: Boolean,
+    val entitlement: EntitlementDto,
+    val refund: CancelRefundDto? = null // immediate cancels only
+)
+
+/**
+ * Refund of the unused time after an immediate cancel (smallest currency unit)
+ */
+data class CancelRefundDto(
+    val amount: Long,
+    val currency: String,
+    val refundIds: List<String>,
+    val failed: List<String> = emptyList() // invoice IDs support has to refund by hand
+)
+
+data class PauseRequest(
+    val resumesAt: Long? = null // ms, at most 90 days ahead; null = until resumed
+)
+
+data class PauseResponse(
     val ok: Boolean,
     val entitlement: EntitlementDto
 )
@@ -82,13 +232,367 @@ data class RestoreResponse(
 data class SwitchRequest(
     val uid: String,
     val planId: String,
-    val period: String
+    val period: String,
+    val promoCode: String? = null,
+    val prorationDate: Long? = null
 )
 
 data class SwitchResponse(
     val ok: Boolean,
     val subscriptionId: String,
-    val entitlement: EntitlementDto
+    val status: String? = null,
+    val currency: String? = null,
+    val change: String? = null, // "upgrade", "downgrade", "period_change" or "none"
+    val pendingUpdate: Boolean = false,
+    val scheduled: Boolean = false,
+    val pendingChange: PendingChangeDto? = null,
+    val entitlement: EntitlementDto,
+    val payment: PaymentStateDto? = null
+)
+
+data class SwitchPreviewRequest(
+    val planId: String,
+    val period: String
+)
+
+data class SwitchPreviewResponse(
+    val planId: String,
+    val period: String,
+    val change: String,
+    val effective: String, // "immediate" or "period_end"
+    val effectiveAt: Long,
+    val currency: String,
+    val prorationAmount: Long,
+    val amountDueNow: Long,
+    val prorationDate: Long?,
+    val nextInvoice: NextInvoiceDto
+)
+
+data class NextInvoiceDto(
+    val amount: Long,
+    val date: Long
+)
+
+/**
+ * Downgrade or period change taking effect at [effectiveAt] (epoch millis)
+ */
+data class PendingChangeDto(
+    val planId: String,
+    val period: String,
+    val effectiveAt: Long
+)
+
+/**
+ * Retry timeline of a failed renewal payment (PAST_DUE), from the open invoice.
+ * [nextPaymentAttempt] is null once Stripe has no retry left.
+ */
+data class DunningDto(
+    val invoiceId: String,
+    val dueSince: Long,
+    val attemptCount: Int,
+    val nextPaymentAttempt: Long?,
+    val amountDue: Long,
+    val currency: String,
+    val hostedInvoiceUrl: String?
+)
+
+/**
+ * Payment the app still has to confirm after subscribe/switch.
+ * Confirm [clientSecret] with PaymentSheet; [requiresAction] means 3DS/SCA is needed.
+ * The entitlement only becomes ACTIVE once the server webhook sees the payment succeed.
+ */
+data class PaymentStateDto(
+    val clientSecret: String?,
+    val intentType: String?, // "payment" or "setup"
+    val intentStatus: String?,
+    val requiresAction: Boolean
+)
+
+data class CheckoutSessionRequest(
+    val planId: String,
+    val period: String,
+    val successUrl: String? = null,
+    val cancelUrl: String? = null
+)
+
+data class CheckoutSessionResponse(
+    val sessionId: String,
+    val url: String
+)
+
+data class PortalSessionRequest(
+    val returnUrl: String? = null
+)
+
+data class PortalSessionResponse(
+    val url: String
+)
+
+data class PromoValidateRequest(
+    val code: String,
+    val planId: String,
+    val period: String
+)
+
+data class PromoValidateResponse(
+    val valid: Boolean,
+    val code: String,
+    val reason: String? = null,
+    val currency: String? = null,
+    val amount: Long? = null,
+    val discountedAmount: Long? = null,
+    val trialDays: Int = 0
+)
+
+/**
+ * GET /billing/plans: every plan with prices in one currency
+ */
+data class PlansResponse(
+    val currency: String,
+    val country: String?,
+    val currencies: List<String>,
+    val plans: List<CatalogPlanDto>,
+    val updatedAt: String
+)
+
+data class CatalogPlanDto(
+    val planId: String,
+    val name: String,
+    val description: String?,
+    val features: List<String>,
+    val trialDays: Int,
+    val perSeat: Boolean = false, // TEAM: prices are per member
+    val limits: Map<String, Any?>?,
+    val prices: Map<String, PlanPriceDto> // keyed by period: "MONTHLY", "YEARLY"
+)
+
+/**
+ * Amounts are in the smallest currency unit (cents)
+ */
+data class PlanPriceDto(
+    val priceId: String,
+    val currency: String,
+    val amount: Long,
+    val interval: String,
+    val monthlyAmount: Long,
+    val savings: SavingsDto? = null
+)
+
+/**
+ * Yearly saving compared with twelve monthly payments
+ */
+data class SavingsDto(
+    val amount: Long,
+    val percent: Int
+)
+
+/**
+ * Invoice in the billing history (also stored in users/{uid}/invoices by the server).
+ * Amounts are in the smallest currency unit, times in epoch millis.
+ * Upcoming invoices have no [invoiceId], [number] or links.
+ */
+data class InvoiceDto(
+    val invoiceId: String?,
+    val number: String?,
+    val status: String, // "draft", "open", "paid", "uncollectible", "void"
+    val paid: Boolean,
+    val billingReason: String?,
+    val plan: String?,
+    val period: String?,
+    val currency: String,
+    val total: Long,
+    val amountDue: Long,
+    val amountPaid: Long,
+    val amountRemaining: Long?,
+    val created: Long?,
+    val periodStart: Long?,
+    val periodEnd: Long?,
+    val attemptCount: Int = 0,
+    val nextPaymentAttempt: Long? = null,
+    val hostedInvoiceUrl: String? = null,
+    val invoicePdf: String? = null
+)
+
+data class InvoicesResponse(
+    val invoices: List<InvoiceDto>,
+    val hasMore: Boolean,
+    val nextCursor: String?
+)
+
+data class UpcomingInvoiceResponse(
+    val invoice: InvoiceDto?
+)
+
+/**
+ * Saved card
+ */
+data class PaymentMethodDto(
+    val paymentMethodId: String,
+    val type: String,
+    val brand: String?,
+    val last4: String?,
+    val expMonth: Int?,
+    val expYear: Int?,
+    val funding: String?,
+    val wallet: String?,
+    val expired: Boolean,
+    val isDefault: Boolean,
+    val created: Long?
+)
+
+data class PaymentMethodsResponse(
+    val paymentMethods: List<PaymentMethodDto>,
+    val defaultPaymentMethodId: String?
+)
+
+data class DefaultPaymentMethodRequest(
+    val paymentMethodId: String
+)
+
+/**
+ * Retry of a past-due invoice on the new default card
+ */
+data class InvoiceRetryDto(
+    val invoiceId: String,
+    val status: String, // "paid" or "open"
+    val error: String?
+)
+
+data class DefaultPaymentMethodResponse(
+    val ok: Boolean,
+    val defaultPaymentMethodId: String,
+    val retry: InvoiceRetryDto?
+)
+
+data class DetachPaymentMethodResponse(
+    val ok: Boolean,
+    val defaultPaymentMethodId: String?
+)
+
+data class UpdateCardResponse(
+    val customerId: String,
+    val ephemeralKeySecret: String,
+    val setupIntentId: String,
+    val setupIntentClientSecret: String,
+    val publishableKey: String?
+)
+
+data class PlayVerifyRequest(
+    val purchaseToken: String
+)
+
+data class PlayVerifyResponse(
+    val ok: Boolean,
+    val entitlement: EntitlementDto,
+    val acknowledged: Boolean,
+    val activeSource: String? // "stripe" or "play"
+)
+
+data class CreateTeamRequest(
+    val name: String?,
+    val period: String,
+    val seats: Int,
+    val promoCode: String? = null
+)
+
+data class CreateTeamResponse(
+    val ok: Boolean,
+    val subscriptionId: String,
+    val status: String? = null,
+    val currency: String? = null,
+    val entitlement: EntitlementDto,
+    val payment: PaymentStateDto? = null,
+    val team: TeamDto
+)
+
+data class TeamResponse(
+    val team: TeamDto?
+)
+
+data class TeamSeatsRequest(
+    val seats: Int
+)
+
+data class TeamSeatsResponse(
+    val ok: Boolean,
+    val seats: Int,
+    val pendingUpdate: Boolean = false,
+    val entitlement: EntitlementDto,
+    val payment: PaymentStateDto? = null,
+    val team: TeamDto
+)
+
+data class TeamInviteRequest(
+    val email: String
+)
+
+data class TeamInviteResponse(
+    val ok: Boolean,
+    val invite: TeamInviteDto,
+    val team: TeamDto
+)
+
+data class JoinTeamRequest(
+    val teamId: String,
+    val inviteId: String
+)
+
+data class JoinTeamResponse(
+    val ok: Boolean,
+    val entitlement: EntitlementDto,
+    val team: TeamDto
+)
+
+data class TeamUpdateResponse(
+    val ok: Boolean,
+    val team: TeamDto? // null after leaving
+)
+
+data class DeleteBillingAccountResponse(
+    val ok: Boolean,
+    val subscriptionsCanceled: Int,
+    val paymentMethodsDetached: Int,
+    val customer: String?, // "deleted", "anonymized" or null
+    val playSubscriptionActive: Boolean // must still be canceled in the Play Store
+)
+
+data class MergeGuestRequest(
+    val guestIdToken: String
+)
+
+data class MergeGuestResponse(
+    val ok: Boolean,
+    val merged: Boolean,
+    val customerId: String? = null,
+    val movedCustomer: Boolean = false,
+    val movedSources: List<String> = emptyList(),
+    val entitlement: EntitlementDto?
+)
+
+data class TeamDto(
+    val teamId: String,
+    val name: String,
+    val role: String?, // "owner" or "member"
+    val ownerUid: String,
+    val status: String,
+    val seats: Int,
+    val seatsInUse: Int,
+    val members: List<TeamMemberDto>,
+    val invites: List<TeamInviteDto> // owner only
+)
+
+data class TeamMemberDto(
+    val uid: String,
+    val email: String,
+    val role: String,
+    val joinedAt: Long
+)
+
+data class TeamInviteDto(
+    val inviteId: String,
+    val email: String,
+    val invitedAt: Long,
+    val expiresAt: Long
 )
 
 /**
@@ -96,12 +600,67 @@ data class SwitchResponse(
  */
 data class EntitlementDto(
     val plan: String,
-    val period: String,
+    val period: String?,         // null for complimentary plans
     val status: String,
     val startedAt: Long,
     val renewsAt: Long?,
     val trialEndsAt: Long? = null,
     val graceEndsAt: Long? = null,
-    val source: String,
-    val orderId: String?
+    val dunning: DunningDto? = null,
+    val discount: DiscountDto? = null,
+    val pendingChange: PendingChangeDto? = null,
+    val resumesAt: Long? = null,       // paused subscriptions: when billing restarts by itself
+    val source: String,          // "stripe", "play", "team" or "comp" (complimentary, granted by support)
+    val orderId: String?,
+    val expiresAt: Long? = null,       // complimentary plans only
+    val productId: String? = null,     // Play only
+    val purchaseToken: String? = null, // Play only
+    val teamId: String? = null,        // team subscriptions and members
+    val seats: Int? = null             // team owner only
 )
+
+/**
+ * Discount applied to a subscription (promotion code / coupon)
+ */
+data class DiscountDto(
+    val code: String?,
+    val percentOff: Double?,
+    val amountOff: Long?,
+    val currency: String?,
+    val duration: String, // "once", "repeating" or "forever"
+    val durationInMonths: Int?,
+    val endsAt: Long?
+)
+
+/**
+ * Error body of every failed billing call:
+ * `{ error, code, message, retryable, declineCode }` (+ `fields` for invalid bodies)
+ */
+data class ApiErrorDto(
+    val error: String? = null,
+    val code: String? = null,
+    val message: String? = null,
+    val retryable: Boolean = false,
+    val declineCode: String? = null, // card declines only, e.g. "insufficient_funds"
+    val fields: List<ApiFieldErrorDto>? = null
+)
+
+data class ApiFieldErrorDto(
+    val field: String?,
+    val message: String
+)
+
+/**
+ * A billing call the server answered with an error. [code] is stable (e.g. "card_declined",
+ * "invalid_request", "unavailable") and [message] can be shown to the user; [retryable] says
+ * whether trying again later can succeed.
+ */
+class BillingApiException(
+    val httpStatus: Int,
+    val code: String,
+    override val message: String,
+    val retryable: Boolean,
+    val declineCode: String? = null
+) : IOException(message) {
+    val isCardDeclined: Boolean get() = httpStatus == 402
+}
@@ -2,10 +2,15 @@ package com.example.innovexia.subscriptions.stripe
 
 import android.os.Build
 import com.example.innovexia.BuildConfig
+import com.google.android.gms.tasks.Tasks
+import com.google.firebase.auth.FirebaseAuth
 import com.google.gson.GsonBuilder
+import okhttp3.Interceptor
 import okhttp3.OkHttpClient
 import retrofit2.Retrofit
 import retrofit2.converter.gson.GsonConverterFactory
+import java.util.Locale
+import java.util.UUID
 import java.util.concurrent.TimeUnit
 
 /**
@@ -61,7 +66,88 @@ object BillingRetrofitClient {
         .setLenient()
         .create()
 
+    /**
+     * Attach the current user's Firebase ID token to every billing request.
+     * The server derives the uid/email from this token instead of the request body.
+     */
+    private val authInterceptor = Interceptor { chain ->
+        val token = try {
+            FirebaseAuth.getInstance().currentUser
+                ?.getIdToken(false)
+                ?.let { Tasks.await(it, 10, TimeUnit.SECONDS).token }
+        } catch (e: Exception) {
+            null
+        }
+
+        val request = if (token != null) {
+            chain.request().newBuilder()
+                .header("Authorization", "Bearer $token")
+                .build()
+        } else {
+            chain.request()
+        }
+        chain.proceed(request)
+    }
+
+    /**
+     * Send the device locale so /billing/plans, subscribe and switch pick the same currency.
+     */
+    private val localeInterceptor = Interceptor { chain ->
+        chain.proceed(
+            chain.request().newBuilder()
+                .header("Accept-Language", Locale.getDefault().toLanguageTag())
+                .build()
+        )
+    }
+
+    /**
+     * Give every POST an Idempotency-Key, so a request OkHttp re-sends after a dropped connection
+     * is answered with the first response instead of being run twice (e.g. a second subscription).
+     * Callers retrying a user action themselves can set the header to reuse their key.
+     */
+    private val idempotencyInterceptor = Interceptor { chain ->
+        val request = chain.request()
+        if (request.method != "POST" || request.header("Idempotency-Key") != null) {
+            chain.proceed(request)
+        } else {
+            chain.proceed(
+                request.newBuilder()
+                    .header("Idempotency-Key", UUID.randomUUID().toString())
+                    .build()
+            )
+        }
+    }
+
+    /**
+     * Turn the server's error envelope into [BillingApiException] (code, message, retryable,
+     * declineCode) instead of Retrofit's bare HttpException.
+     */
+    private val errorInterceptor = Interceptor { chain ->
+        val response = chain.proceed(chain.request())
+        if (response.isSuccessful) return@Interceptor response
+
+        val error = try {
+            gson.fromJson(response.peekBody(64 * 1024).string(), ApiErrorDto::class.java)
+        } catch (e: Exception) {
+            null
+        }
+        if (error?.code == null) return@Interceptor response
+
+        response.close()
+        throw BillingApiException(
+            httpStatus = response.code,
+            code = error.code,
+            message = error.message ?: error.error ?: "Billing request failed",
+            retryable = error.retryable,
+            declineCode = error.declineCode
+        )
+    }
+
     private val okHttpClient = OkHttpClient.Builder()
+        .addInterceptor(authInterceptor)
+        .addInterceptor(localeInterceptor)
+        .addInterceptor(idempotencyInterceptor)
+        .addInterceptor(errorInterceptor)
         .apply {
             // Only add logging interceptor in debug builds
             // HttpLoggingInterceptor is not available in release builds
@@ -69,6 +69,46 @@ class StripeBillingProvider(
         _paymentSheetState.value = PaymentSheetState.Idle
     }
 
+    /**
+     * Prepare PaymentSheet to replace the default card (e.g. to recover a PAST_DUE subscription).
+     * Present it with [presentPaymentSheet]; the server switches the default once the card is saved.
+     */
+    suspend fun prepareCardUpdate(): Result<Unit> = runCatching {
+        _paymentSheetState.value = PaymentSheetState.Loading
+
+        val resp = api.updateCard()
+
+        setupClientSecret = resp.setupIntentClientSecret
+        paymentSheetConfig = PaymentSheet.Configuration(
+            merchantDisplayName = "Innovexia",
+            customer = PaymentSheet.CustomerConfiguration(
+                id = resp.customerId,
+                ephemeralKeySecret = resp.ephemeralKeySecret
+            ),
+            allowsDelayedPaymentMethods = false
+        )
+
+        _paymentSheetState.value = PaymentSheetState.Idle
+    }
+
+    /**
+     * Saved cards of the customer
+     */
+    suspend fun paymentMethods(): Result<List<PaymentMethodDto>> = runCatching {
+        api.paymentMethods().paymentMethods
+    }
+
+    /**
+     * Make a saved card the default; returns the retry of a past-due invoice, if any
+     */
+    suspend fun setDefaultPaymentMethod(paymentMethodId: String): Result<InvoiceRetryDto?> = runCatching {
+        api.setDefaultPaymentMethod(DefaultPaymentMethodRequest(paymentMethodId)).retry
+    }
+
+    suspend fun removePaymentMethod(paymentMethodId: String): Result<Unit> = runCatching {
+        api.detachPaymentMethod(paymentMethodId)
+    }
+
     /**
      * Handle PaymentSheet result
      */
@@ -194,17 +234,28 @@ class StripeBillingProvider(
     }
 
     /**
-     * Convert server DTO to local Entitlement model
+     * Convert server DTO to local Entitlement model.
+     * PAST_DUE keeps access (GRACE) until graceEndsAt; subscriptions that ended are EXPIRED.
      */
     private fun EntitlementDto.toEntitlement(): Entitlement {
+        val localStatus = when (this.status) {
+            "PAST_DUE" -> {
+                val graceEnd = this.graceEndsAt
+                if (graceEnd == null || System.currentTimeMillis() < graceEnd) SubStatus.GRACE.name else SubStatus.EXPIRED.name
+            }
+            "INACTIVE", "INCOMPLETE" -> SubStatus.EXPIRED.name
+            else -> this.status
+        }
         return Entitlement(
             plan = this.plan,
-            period = this.period,
-            status = this.status,
+            period = this.period ?: Period.MONTHLY.name, // complimentary plans have no billing period
+            status = localStatus,
             startedAt = this.startedAt,
             renewsAt = this.renewsAt,
             trialEndsAt = this.trialEndsAt,
             graceEndsAt = this.graceEndsAt,
+            paymentAttemptCount = this.dunning?.attemptCount ?: 0,
+            nextPaymentAttempt = this.dunning?.nextPaymentAttempt,
             source = this.source,
             orderId = this.orderId
         )
@@ -12,17 +12,26 @@ import androidx.compose.ui.Modifier
 import androidx.compose.ui.graphics.Color
 import androidx.compose.ui.text.font.FontWeight
 import androidx.compose.ui.unit.dp
+import com.example.innovexia.subscriptions.mock.PaymentIssue
 import com.example.innovexia.subscriptions.mock.UsageState
+import java.text.SimpleDateFormat
+import java.util.Date
+import java.util.Locale
 
 /**
- * Banner that displays usage limit warnings and errors
+ * Banner that displays usage limit warnings and errors.
+ * A failed renewal payment takes precedence; [onFixPayment] opens the card update.
  */
 @Composable
 fun UsageLimitBanner(
     usageState: UsageState,
-    modifier: Modifier = Modifier
+    modifier: Modifier = Modifier,
+    onFixPayment: (() -> Unit)? = null
 ) {
-    if (usageState.isLimitReached) {
+    val paymentIssue = usageState.paymentIssue
+    if (paymentIssue != null) {
+        PaymentIssueBanner(paymentIssue = paymentIssue, onFixPayment = onFixPayment, modifier = modifier)
+    } else if (usageState.isLimitReached) {
         // Limit reached - blocking state
         Surface(
             modifier = modifier
@@ -114,6 +123,77 @@ fun UsageLimitBanner(
     }
 }
 
+/**
+ * Payment failed: paid features stay on until the grace period ends
+ */
+@Composable
+private fun PaymentIssueBanner(
+    paymentIssue: PaymentIssue,
+    onFixPayment: (() -> Unit)?,
+    modifier: Modifier = Modifier
+) {
+    Surface(
+        modifier = modifier
+            .fillMaxWidth()
+            .padding(horizontal = 16.dp, vertical = 8.dp),
+        shape = RoundedCornerShape(12.dp),
+        color = Color(0xFFFF6B6B),
+        tonalElevation = 4.dp
+    ) {
+        Row(
+            modifier = Modifier
+                .padding(16.dp),
+            verticalAlignment = Alignment.CenterVertically,
+            horizontalArrangement = Arrangement.spacedBy(12.dp)
+        ) {
+            Icon(
+                imageVector = Icons.Default.Warning,
+                contentDescription = null,
+                tint = Color.White,
+                modifier = Modifier.size(24.dp)
+            )
+            Column(
+                modifier = Modifier.weight(1f)
+            ) {
+                Text(
+                    text = "Payment Failed",
+                    style = MaterialTheme.typography.titleSmall.copy(
+                        fontWeight = FontWeight.Bold
+                    ),
+                    color = Color.White
+                )
+                Spacer(modifier = Modifier.height(4.dp))
+                Text(
+                    text = buildString {
+                        append("We couldn't charge your card")
+                        if (paymentIssue.attemptCount > 1) append(" (${paymentIssue.attemptCount} attempts)")
+                        append(".")
+                        paymentIssue.graceEndsAt?.let { append(" Your plan stays active until ${formatBannerDate(it)}.") }
+                        paymentIssue.nextPaymentAttempt?.let { append(" Next retry ${formatBannerDate(it)}.") }
+                        append(" Update your payment method to keep your features.")
+                    },
+                    style = MaterialTheme.typography.bodySmall,
+                    color = Color.White.copy(alpha = 0.95f),
+                    lineHeight = MaterialTheme.typography.bodySmall.lineHeight * 1.4
+                )
+            }
+            if (onFixPayment != null) {
+                TextButton(onClick = onFixPayment) {
+                    Text(
+                        text = "Update",
+                        color = Color.White,
+                        fontWeight = FontWeight.SemiBold
+                    )
+                }
+            }
+        }
+    }
+}
+
+private fun formatBannerDate(timestamp: Long): String {
+    return SimpleDateFormat("MMM d", Locale.getDefault()).format(Date(timestamp))
+}
+
 /**
  * Compact usage info for chat header/status bar
  */
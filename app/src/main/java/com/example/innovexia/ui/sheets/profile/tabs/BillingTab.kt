@@ -24,8 +24,10 @@ import com.example.innovexia.data.models.PlanLimits
 import com.example.innovexia.data.models.SubscriptionPlan
 import com.example.innovexia.data.models.SubscriptionStatus
 import com.example.innovexia.data.models.UserSubscription
+import com.example.innovexia.subscriptions.stripe.InvoiceDto
 import com.example.innovexia.ui.glass.GlassButton
 import com.example.innovexia.ui.glass.GlassButtonStyle
+import com.example.innovexia.ui.subscriptions.formatPrice
 import com.example.innovexia.ui.theme.InnovexiaColors
 import java.text.SimpleDateFormat
 import java.util.*
@@ -40,6 +42,9 @@ fun BillingTab(
     onManageBilling: () -> Unit,
     onCancelSubscription: () -> Unit,
     modifier: Modifier = Modifier,
+    invoices: List<InvoiceDto> = emptyList(),
+    upcomingInvoice: InvoiceDto? = null,
+    onOpenInvoice: (String) -> Unit = {},
     darkTheme: Boolean = isSystemInDarkTheme()
 ) {
     val textPrimary = if (darkTheme) InnovexiaColors.DarkTextPrimary else InnovexiaColors.LightTextPrimary
@@ -74,7 +79,8 @@ fun BillingTab(
             color = textPrimary
         )
 
-        SubscriptionPlan.values().forEach { plan ->
+        // Team plans are started with BillingApi.createTeam, not the single-user flow
+        SubscriptionPlan.values().filter { it != SubscriptionPlan.TEAM }.forEach { plan ->
             PlanOptionCard(
                 plan = plan,
                 isCurrent = plan == subscription.plan,
@@ -85,6 +91,38 @@ fun BillingTab(
             )
         }
 
+        // Billing history
+        if (invoices.isNotEmpty() || upcomingInvoice != null) {
+            Text(
+                text = "Billing History",
+                style = MaterialTheme.typography.titleMedium.copy(fontWeight = FontWeight.SemiBold),
+                color = textPrimary
+            )
+
+            upcomingInvoice?.let { upcoming ->
+                InvoiceRow(
+                    invoice = upcoming,
+                    upcoming = true,
+                    onClick = null,
+                    surface = surface,
+                    textPrimary = textPrimary,
+                    textSecondary = textSecondary
+                )
+            }
+
+            invoices.forEach { invoice ->
+                val url = invoice.hostedInvoiceUrl ?: invoice.invoicePdf
+                InvoiceRow(
+                    invoice = invoice,
+                    upcoming = false,
+                    onClick = url?.let { { onOpenInvoice(it) } },
+                    surface = surface,
+                    textPrimary = textPrimary,
+                    textSecondary = textSecondary
+                )
+            }
+        }
+
         Spacer(Modifier.height(8.dp))
 
         // Manage billing portal
@@ -186,6 +224,19 @@ private fun CurrentSubscriptionCard(
                     )
                 }
 
+                subscription.pendingPlan?.let { pendingPlan ->
+                    val target = listOfNotNull(
+                        pendingPlan.name.lowercase().replaceFirstChar { it.uppercase() },
+                        subscription.pendingPeriod?.lowercase()
+                    ).joinToString(" ")
+                    val dateStr = subscription.pendingChangeAt?.let { formatTimestamp(it) } ?: "the end of the period"
+                    Text(
+                        text = "Switches to $target on $dateStr",
+                        style = MaterialTheme.typography.bodySmall,
+                        color = InnovexiaColors.BlueAccent
+                    )
+                }
+
                 if (subscription.cancelAtPeriodEnd) {
                     Text(
                         text = "⚠️ Your subscription will cancel at the end of the billing period",
@@ -194,6 +245,19 @@ private fun CurrentSubscriptionCard(
                     )
                 }
 
+                if (subscription.status == SubscriptionStatus.PAST_DUE) {
+                    Text(
+                        text = if (subscription.isInGracePeriod()) {
+                            "⚠️ Payment failed. Update your card to keep your plan" +
+                                (subscription.graceEnd?.let { " after ${formatTimestamp(it.seconds * 1000)}" } ?: "")
+                        } else {
+                            "⚠️ Payment failed. Paid features are paused until your card is updated"
+                        },
+                        style = MaterialTheme.typography.bodySmall,
+                        color = InnovexiaColors.ErrorRed
+                    )
+                }
+
                 if (subscription.isTrialing()) {
                     subscription.trialEnd?.let { trialEnd ->
                         val dateStr = formatTimestamp(trialEnd.seconds * 1000)
@@ -234,6 +298,7 @@ private fun PlanOptionCard(
         SubscriptionPlan.FREE -> "✨"
         SubscriptionPlan.PLUS -> "🚀"
         SubscriptionPlan.PRO -> "💎"
+        SubscriptionPlan.TEAM -> "👥"
         SubscriptionPlan.MASTER -> "⚡"
     }
 
@@ -321,6 +386,70 @@ private fun PlanOptionCard(
     }
 }
 
+/**
+ * Billing history row (tap opens the hosted invoice)
+ */
+@Composable
+private fun InvoiceRow(
+    invoice: InvoiceDto,
+    upcoming: Boolean,
+    onClick: (() -> Unit)?,
+    surface: Color,
+    textPrimary: Color,
+    textSecondary: Color
+) {
+    val (statusColor, statusText) = when {
+        upcoming -> Pair(textSecondary, "Upcoming")
+        invoice.paid -> Pair(InnovexiaColors.BlueAccent, "Paid")
+        invoice.status == "open" -> Pair(InnovexiaColors.ErrorRed, "Payment failed")
+        else -> Pair(Color.Gray, invoice.status.replaceFirstChar { it.uppercase() })
+    }
+    val date = (if (upcoming) invoice.periodStart else invoice.created)?.let { formatTimestamp(it) }
+    val planLabel = listOfNotNull(
+        invoice.plan?.lowercase()?.replaceFirstChar { it.uppercase() },
+        invoice.period?.lowercase()
+    ).joinToString(" • ")
+
+    Row(
+        modifier = Modifier
+            .fillMaxWidth()
+            .clip(RoundedCornerShape(16.dp))
+            .background(surface)
+            .then(if (onClick != null) Modifier.clickable(onClick = onClick, role = Role.Button) else Modifier)
+            .padding(16.dp),
+        horizontalArrangement = Arrangement.SpaceBetween,
+        verticalAlignment = Alignment.CenterVertically
+    ) {
+        Column(modifier = Modifier.weight(1f)) {
+            Text(
+                text = date ?: invoice.number ?: "Invoice",
+                style = MaterialTheme.typography.bodyMedium.copy(fontWeight = FontWeight.Medium),
+                color = textPrimary
+            )
+            if (planLabel.isNotEmpty()) {
+                Text(
+                    text = planLabel,
+                    style = MaterialTheme.typography.bodySmall,
+                    color = textSecondary
+                )
+            }
+        }
+
+        Column(horizontalAlignment = Alignment.End) {
+            Text(
+                text = formatPrice(if (invoice.paid) invoice.amountPaid else invoice.amountDue, invoice.currency),
+                style = MaterialTheme.typography.bodyMedium.copy(fontWeight = FontWeight.SemiBold),
+                color = textPrimary
+            )
+            Text(
+                text = statusText,
+                style = MaterialTheme.typography.labelSmall,
+                color = statusColor
+            )
+        }
+    }
+}
+
 /**
  * Status badge
  */
@@ -5,12 +5,14 @@ import androidx.lifecycle.AndroidViewModel
 import androidx.lifecycle.viewModelScope
 import com.example.innovexia.data.local.AppDatabase
 import com.example.innovexia.data.local.entities.SessionEntity
+import com.example.innovexia.subscriptions.stripe.BillingRetrofitClient
 import com.google.firebase.auth.EmailAuthProvider
 import com.google.firebase.auth.ktx.auth
 import com.google.firebase.ktx.Firebase
 import kotlinx.coroutines.flow.*
 import kotlinx.coroutines.launch
 import kotlinx.coroutines.tasks.await
+import retrofit2.HttpException
 
 class SecurityViewModel(
     private val app: Application
@@ -97,17 +99,31 @@ class SecurityViewModel(
             }
         }
 
+        var playSubscriptionActive = false
         runCatching {
+            // Cancel subscriptions and delete billing data while the user can still be identified
+            // (the server wants a token from the recent sign-in)
+            user.getIdToken(true).await()
+            playSubscriptionActive = BillingRetrofitClient.api.deleteBillingAccount().playSubscriptionActive
             // Delete all local data first
             val db = AppDatabase.getInstance(app)
             db.clearAllTables()
             // Delete Firebase account
             user.delete().await()
         }
-            .onSuccess { message.emit("Account deleted successfully.") }
+            .onSuccess {
+                message.emit(
+                    if (playSubscriptionActive) {
+                        "Account deleted. Cancel your subscription in the Play Store to stop renewals."
+                    } else {
+                        "Account deleted successfully."
+                    }
+                )
+            }
             .onFailure {
                 val errorMsg = when {
-                    it.message?.contains("requires-recent-login") == true ->
+                    it.message?.contains("requires-recent-login") == true ||
+                        (it as? HttpException)?.code() == 401 ->
                         "Please sign in again to delete your account."
                     else -> it.localizedMessage ?: "Failed to delete account."
                 }
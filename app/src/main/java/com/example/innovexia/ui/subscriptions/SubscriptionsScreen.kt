@@ -1,5 +1,6 @@
 package com.example.innovexia.ui.subscriptions
 
+import android.util.Log
 import android.widget.Toast
 import androidx.activity.ComponentActivity
 import androidx.compose.animation.*
@@ -22,6 +23,7 @@ import androidx.compose.ui.text.style.TextAlign
 import androidx.compose.ui.unit.dp
 import com.example.innovexia.InnovexiaApplication
 import com.example.innovexia.subscriptions.mock.*
+import com.example.innovexia.subscriptions.stripe.BillingRetrofitClient
 import com.example.innovexia.subscriptions.stripe.StripeBillingProvider
 import com.google.firebase.auth.FirebaseAuth
 // Stripe imports - ensure Gradle is synced to resolve these
@@ -52,7 +54,7 @@ fun SubscriptionsScreen(
             )
         )
     }
-    val plans = remember { Plans }
+    var plans by remember { mutableStateOf(Plans) }
     var showPurchaseDialog by remember { mutableStateOf(false) }
     var pendingPurchase by remember { mutableStateOf<Pair<PlanId, BillingPeriod>?>(null) }
 
@@ -61,6 +63,15 @@ fun SubscriptionsScreen(
         app.stripeBillingProvider.handlePaymentSheetResult(result)
     }
 
+    // Live prices in the user's currency (built-in prices stay on screen if the server is unreachable)
+    LaunchedEffect(Unit) {
+        if (InnovexiaApplication.USE_STRIPE) {
+            runCatching { BillingRetrofitClient.api.plans() }
+                .onSuccess { catalog -> plans = Plans.withServerPrices(catalog) }
+                .onFailure { error -> Log.w("SubscriptionsScreen", "Could not load plan prices", error) }
+        }
+    }
+
     // Initialize Stripe if enabled
     LaunchedEffect(Unit) {
         if (InnovexiaApplication.USE_STRIPE) {
@@ -3,6 +3,9 @@ package com.example.innovexia.ui.subscriptions
 import androidx.compose.ui.graphics.Color
 import androidx.compose.ui.unit.dp
 import com.example.innovexia.subscriptions.mock.PlanId
+import com.example.innovexia.subscriptions.stripe.PlansResponse
+import java.text.NumberFormat
+import java.util.Currency
 
 object TierTokens {
     // Surfaces (dark matte/glass look)
@@ -110,3 +113,33 @@ val Plans = listOf(
         color = TierTokens.Master
     )
 )
+
+/**
+ * Replace the built-in prices with the server's catalog (live Stripe amounts in the user's currency).
+ * Plans missing from the catalog keep their built-in prices.
+ */
+fun List<Plan>.withServerPrices(catalog: PlansResponse): List<Plan> {
+    return map { plan ->
+        val prices = catalog.plans.firstOrNull { it.planId.equals(plan.id, ignoreCase = true) }?.prices
+        val monthly = prices?.get("MONTHLY")
+        val yearly = prices?.get("YEARLY")
+        plan.copy(
+            priceMonthly = monthly?.let { formatPrice(it.amount, it.currency) } ?: plan.priceMonthly,
+            priceYearly = yearly?.let { formatPrice(it.amount, it.currency) } ?: plan.priceYearly
+        )
+    }
+}
+
+/**
+ * Format an amount in the smallest currency unit, e.g. 1999 "eur" -> "€19.99"
+ */
+fun formatPrice(amount: Long, currency: String): String {
+    val format = NumberFormat.getCurrencyInstance()
+    return try {
+        val code = Currency.getInstance(currency.uppercase())
+        format.currency = code
+        format.format(amount / Math.pow(10.0, code.defaultFractionDigits.coerceAtLeast(0).toDouble()))
+    } catch (e: IllegalArgumentException) {
+        "%.2f %s".format(amount / 100.0, currency.uppercase())
+    }
+}
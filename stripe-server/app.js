@@ -0,0 +1,2794 @@
+// Express app factory
+// Builds the billing API from injected dependencies: index.js passes the real Stripe client,
+// Firestore and storage backend; the tests pass the offline stand-ins in test/support.
+
+import express from 'express';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import {
+  createAuthMiddleware,
+  createRecentLoginMiddleware,
+  createAdminKeyMiddleware,
+  createAdminMiddleware,
+  createPushTokenMiddleware,
+  createMetricsTokenMiddleware,
+  verifyGuestToken
+} from './lib/auth.js';
+import { planToPriceId, planFromSubscription, trialDaysForPlan } from './lib/prices.js';
+import { findPromotionCode, promotionCodeError, discountedAmount, describeCoupon, getCustomerHistory } from './lib/promotions.js';
+import {
+  TERMINAL_SUBSCRIPTION_STATUSES,
+  LIVE_SUBSCRIPTION_STATUSES,
+  ENTITLEMENT_SOURCES,
+  entitlementStatus,
+  entitlementFromSubscription,
+  sourceEntitlement,
+  createEntitlementStore
+} from './lib/entitlements.js';
+import { createEventLedger } from './lib/webhook-ledger.js';
+import { createUsageStore, billingPeriod, parseUsageEvent, usageSummary } from './lib/usage.js';
+import { createRateLimiter } from './lib/rate-limit.js';
+import { effectivePlan, entitlementSummary, limitsForPlan } from './lib/plan-features.js';
+import { createReconciler, summarizeReport } from './lib/reconcile.js';
+import { invoiceRecord, invoicePageSize } from './lib/invoices.js';
+import {
+  SETUP_PURPOSE_BOOTSTRAP,
+  SETUP_PURPOSE_UPDATE_CARD,
+  defaultPaymentMethodId,
+  paymentMethodRecord
+} from './lib/payment-methods.js';
+import { createPlanCatalog, countryFromRequest, currencyForCountry, priceCurrencies, priceAmount } from './lib/pricing.js';
+import {
+  classifyPlanChange,
+  isImmediateChange,
+  pendingChangeMetadata,
+  clearedPendingChangeMetadata,
+  pendingChangeFromSubscription,
+  scheduleIdOf,
+  phaseDiscounts,
+  prorationSummary
+} from './lib/plan-changes.js';
+import { DEFAULT_GRACE_PERIOD_DAYS, dunningFromInvoice, paymentIssue } from './lib/dunning.js';
+import { PLAY_NOTIFICATION_TYPES, planFromPlayPurchase, playEntitlementStatus, entitlementFromPlayPurchase, parsePlayNotification } from './lib/play.js';
+import {
+  TEAM_PLAN_ID,
+  newTeamId,
+  newInviteId,
+  isValidSeatCount,
+  teamIdOf,
+  seatsOf,
+  createTeam,
+  addInvite,
+  revokeInvite,
+  acceptInvite,
+  removeMember,
+  seatChangeError,
+  teamEntitlement,
+  teamSummary
+} from './lib/teams.js';
+import { COMP_SOURCE, compGrantError, compEntitlement, createCompGrants } from './lib/comp.js';
+import { createAuditLog, auditActor } from './lib/audit-log.js';
+import { consoleLogger, createRequestMiddleware, withRequestId } from './lib/logger.js';
+import { createMetrics, instrumentStripe } from './lib/metrics.js';
+import { createReadinessCheck } from './lib/health.js';
+import { sendError, errorEnvelopeMiddleware, createErrorHandler } from './lib/errors.js';
+import { SCHEMAS, validateBody } from './lib/validation.js';
+import { createIdempotencyStore, createIdempotencyMiddleware, stripeIdempotency, originRequestId } from './lib/idempotency.js';
+import { resumeDateError, cancellationDetails, unusedTimeRefunds, historyEntry } from './lib/cancellation.js';
+
+// Helper: Payment the client still has to confirm for a subscription.
+// The app confirms `clientSecret` with PaymentSheet; `requiresAction` means 3DS/SCA is needed.
+function paymentStateForSubscription(sub) {
+  const paymentIntent = sub.latest_invoice?.payment_intent;
+  const setupIntent = sub.pending_setup_intent;
+  const intent = typeof paymentIntent === 'object' && paymentIntent
+    ? paymentIntent
+    : (typeof setupIntent === 'object' && setupIntent ? setupIntent : null);
+
+  if (!intent) {
+    return { clientSecret: null, intentType: null, intentStatus: null, requiresAction: false };
+  }
+
+  return {
+    clientSecret: intent.client_secret,
+    intentType: intent.object === 'setup_intent' ? 'setup' : 'payment',
+    intentStatus: intent.status,
+    requiresAction: intent.status === 'requires_action'
+  };
+}
+
+// Helper: A proration date (Stripe seconds) returned by /billing/switch/preview is used for the
+// change while it falls inside the current period; otherwise Stripe prorates at the time of the change.
+function validProrationDate(value, sub) {
+  return Number.isInteger(value) && value >= sub.current_period_start && value <= sub.current_period_end;
+}
+
+/**
+ * Create the Express app.
+ *
+ * @param {object} deps
+ * @param {object} deps.stripe - Stripe client (or the fake in test/support/fake-stripe.js), instrumented with `metrics`
+ * @param {object} deps.storage - billing record backend (lib/storage.js)
+ * @param {object|null} [deps.db] - Firestore instance for the ledger, usage and rate limits; null for in-memory
+ * @param {object|null} [deps.firebaseAuth] - firebase-admin Auth instance, null if not configured
+ * @param {{ now: () => number }} [deps.clock] - time source (ms), defaults to Date
+ * @param {object} [deps.reconciler] - shared with the scheduled job (lib/reconcile.js), created if omitted
+ * @param {object|null} [deps.play] - Google Play client (lib/play-publisher.js), null if not configured
+ * @param {object} [deps.compGrants] - complimentary grant index, shared with the expiry job (lib/comp.js), created if omitted
+ * @param {object} [deps.metrics] - Prometheus registry (lib/metrics.js), created if omitted
+ * @param {object} [deps.logger] - structured logger (lib/logger.js) for access lines and billing/webhook logs,
+ *   plain console lines if omitted
+ * @param {object} [deps.config]
+ * @param {boolean} [deps.config.live] - live Stripe keys (selects price-ids.production.json)
+ * @param {string|null} [deps.config.secretKeyMode] - 'live'/'test' from the secret key prefix, null if invalid (/health/ready)
+ * @param {boolean} [deps.config.production] - NODE_ENV=production
+ * @param {boolean} [deps.config.allowLocalAuth] - accept unverified identities without Firebase Admin
+ * @param {string} [deps.config.adminApiKey] - key for the operational routes (X-Admin-Key)
+ * @param {string} [deps.config.webhookSecret] - Stripe webhook signing secret
+ * @param {string} [deps.config.publishableKey] - returned to the app by /billing/bootstrap
+ * @param {string} [deps.config.baseUrl] - public URL of this server (return pages)
+ * @param {string} [deps.config.appDeepLinkScheme] - scheme of the app's billing deep links
+ * @param {string[]} [deps.config.allowedRedirectOrigins] - https origins clients may redirect to
+ * @param {string} [deps.config.checkoutSuccessUrl]
+ * @param {string} [deps.config.checkoutCancelUrl]
+ * @param {string} [deps.config.portalReturnUrl]
+ * @param {number} [deps.config.gracePeriodDays] - days a past-due subscription keeps paid features
+ * @param {string} [deps.config.playPushToken] - secret in the RTDN push subscription URL (`?token=`)
+ * @param {string} [deps.config.metricsToken] - bearer token for GET /metrics, open when unset
+ */
+export function createApp({ stripe: stripeClient, storage, db = null, firebaseAuth = null, clock = Date, reconciler = null, play = null, compGrants = null, metrics = null, logger = consoleLogger, config = {} }) {
+  const {
+    live: isLiveKey = false,
+    secretKeyMode = isLiveKey ? 'live' : 'test',
+    production = false,
+    allowLocalAuth = false,
+    adminApiKey = null,
+    webhookSecret,
+    publishableKey = null,
+    baseUrl = 'http://localhost:4242',
+    appDeepLinkScheme = 'innovexia',
+    allowedRedirectOrigins = [],
+    checkoutSuccessUrl = null,
+    checkoutCancelUrl = null,
+    portalReturnUrl = null,
+    gracePeriodDays = DEFAULT_GRACE_PERIOD_DAYS,
+    playPushToken = null,
+    metricsToken = null
+  } = config;
+
+  // Request latency, Stripe API calls and webhook events (GET /metrics)
+  const appMetrics = metrics || createMetrics();
+  const stripe = instrumentStripe(stripeClient, appMetrics);
+
+  const app = express();
+
+  // Correlation ID per request (X-Request-Id), on every log line and the Stripe objects it creates
+  app.use(createRequestMiddleware({ logger }));
+  app.use(appMetrics.middleware);
+  app.use(cors({ origin: true }));
+
+  // Error responses share one envelope: { error, code, message, retryable, declineCode }
+  app.use(errorEnvelopeMiddleware);
+
+  // Auth: verify Firebase ID tokens on every billing route.
+  // Without Firebase Admin, local mode (development only) trusts the caller's identity.
+  const requireAuth = createAuthMiddleware({ firebaseAuth, allowLocal: allowLocalAuth, logger });
+
+  // Account deletion also needs a recent sign-in (verified tokens only)
+  const requireRecentLogin = createRecentLoginMiddleware({ clock });
+
+  // Operational routes (webhook replay) are guarded by a shared admin key
+  const requireAdminKey = createAdminKeyMiddleware(adminApiKey);
+
+  // Support/admin API: the admin key or a Firebase user with the `admin` custom claim
+  const requireAdmin = createAdminMiddleware({ apiKey: adminApiKey, firebaseAuth, logger });
+
+  // Play Real-Time Developer Notifications are pushed by Pub/Sub with a shared token
+  const requirePushToken = createPushTokenMiddleware(playPushToken);
+
+  // Prometheus scrapes /metrics with a bearer token when one is configured
+  const requireMetricsToken = createMetricsTokenMiddleware(metricsToken);
+
+  // Ledger of processed webhook events (idempotency, ordering, dead letters)
+  const eventLedger = createEventLedger({ db, clock });
+
+  // Usage metering (users/{uid}/usage/{periodId})
+  const usageStore = createUsageStore({ db });
+
+  // Per-tier request rate limiting (users/{uid}/rate/now)
+  const rateLimiter = createRateLimiter({ db });
+
+  // Entitlement reads/writes (stripe/customer + subscription/current)
+  const { getEntitlement, updateUserEntitlement, updateEntitlementStatus } = createEntitlementStore({ storage, clock, logger });
+
+  // Stripe -> storage resync (POST /billing/reconcile)
+  const reconcileJob = reconciler || createReconciler({ stripe, storage, live: isLiveKey, clock, gracePeriodDays, logger });
+
+  // Complimentary plans granted by support (comp_grants/{uid}, read by the expiry job)
+  const compGrantIndex = compGrants || createCompGrants({ db });
+
+  // Every admin action (admin_audit)
+  const auditLog = createAuditLog({ db, clock, logger });
+
+  // Retried billing calls (Idempotency-Key header) answer with the first response (idempotency_keys)
+  const idempotent = createIdempotencyMiddleware({ store: createIdempotencyStore({ db, clock }), logger });
+
+  // Cached Stripe prices for GET /billing/plans
+  const planCatalog = createPlanCatalog({ stripe, live: isLiveKey, clock, logger });
+
+  // Stripe keys, webhook secret, prices and Firestore (GET /health/ready)
+  const readiness = createReadinessCheck({
+    secretKeyMode,
+    publishableKey,
+    production,
+    webhookSecret,
+    planCatalog,
+    db,
+    storageName: storage.name
+  });
+
+  // Helper: The customer's current subscription (active, trialing or past due), or null
+  async function findLiveSubscription(customerId) {
+    const subscriptions = await stripe.subscriptions.list({
+      customer: customerId,
+      status: 'all',
+      limit: 10
+    });
+    return subscriptions.data.find(sub => LIVE_SUBSCRIPTION_STATUSES.includes(sub.status)) || null;
+  }
+
+  // Helper: Whether the user pays through Google Play (Stripe must not bill them a second time)
+  async function hasPaidPlaySubscription(uid) {
+    return effectivePlan(await getEntitlement(uid, 'play'), clock.now()) !== 'FREE';
+  }
+
+  // Helper: Entitlement after changing an existing subscription (cancel/resume)
+  function entitlementForUpdate(sub, rec) {
+    const plan = planFromSubscription(sub, isLiveKey);
+    if (plan) {
+      return entitlementFromSubscription(sub, plan);
+    }
+    return {
+      ...sourceEntitlement(rec, 'stripe'),
+      status: entitlementStatus(sub),
+      renewsAt: sub.current_period_end * 1000
+    };
+  }
+
+  // Helper: Find the Stripe customer previously created for a uid (lost record, restart)
+  async function findStripeCustomer(uid, email) {
+    try {
+      const result = await stripe.customers.search({ query: `metadata['uid']:'${uid.replace(/'/g, "\\'")}'` });
+      const match = result.data.find(customer => !customer.deleted);
+      if (match) return match;
+    } catch (error) {
+      // Search is unavailable in some regions - fall back to listing by email
+      logger.warn('customer search failed', { uid, error: error.message });
+    }
+
+    if (!email) return null;
+    const byEmail = await stripe.customers.list({ email, limit: 10 });
+    return byEmail.data.find(customer => customer.metadata?.uid === uid) || null;
+  }
+
+  // Helper: Get or create user record.
+  // Without a stored record, reuses the Stripe customer tagged with this uid before
+  // creating a new one (creating requires an email).
+  async function getUserRecord(uid, email = null) {
+    const existing = await storage.getCustomer(uid);
+    if (existing?.customerId) {
+      return existing;
+    }
+
+    let customer = await findStripeCustomer(uid, email);
+    if (customer) {
+      logger.info('relinked existing Stripe customer', { uid, customerId: customer.id });
+    } else if (email) {
+      customer = await stripe.customers.create({
+        email,
+        metadata: withRequestId({ uid })
+      }, stripeIdempotency('customers.create'));
+    } else {
+      return null;
+    }
+
+    const record = {
+      customerId: customer.id,
+      activeEntitlement: existing?.activeEntitlement || null,
+      createdAt: new Date(clock.now()).toISOString()
+    };
+
+    await storage.setCustomer(uid, record);
+    return record;
+  }
+
+  // Helper: Create a subscription for a customer.
+  // Subscriptions start `incomplete` until the first invoice is paid; the entitlement is only
+  // written here when no payment is pending (e.g. trials) - otherwise the webhook writes it
+  // once Stripe confirms payment, so a declined card never unlocks a paid tier.
+  // `offer` carries the trial length and promotion code resolved by resolveOffer().
+  // Team subscriptions pass their `teamId` and the number of `seats` (item quantity).
+  async function createSubscription(uid, rec, { planId, period, priceId, currency, seats = null, teamId = null }, offer = {}) {
+    // Clean up abandoned attempts (declined card, unfinished 3DS) before starting a new one.
+    // A retry with the same Idempotency-Key keeps its first attempt: Stripe hands that one back.
+    const abandoned = await stripe.subscriptions.list({
+      customer: rec.customerId,
+      status: 'incomplete',
+      limit: 10
+    });
+    const retryOf = originRequestId();
+    for (const stale of abandoned.data) {
+      if (retryOf && stale.metadata?.requestId === retryOf) continue;
+      await stripe.subscriptions.cancel(stale.id);
+      logger.info('canceled incomplete subscription', { uid, subscriptionId: stale.id });
+    }
+
+    const metadata = { uid, planId, period };
+    if (offer.promo) {
+      metadata.promoCode = offer.promo.code;
+    }
+    if (teamId) {
+      metadata.teamId = teamId;
+    }
+
+    const sub = await stripe.subscriptions.create({
+      customer: rec.customerId,
+      items: [{ price: priceId, ...(seats ? { quantity: seats } : {}) }],
+      ...(currency ? { currency } : {}),
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      ...(offer.trialDays ? { trial_period_days: offer.trialDays } : {}),
+      ...(offer.promo ? { discounts: [{ promotion_code: offer.promo.id }] } : {}),
+      metadata: withRequestId(metadata),
+      expand: ['latest_invoice.payment_intent', 'pending_setup_intent']
+    }, stripeIdempotency('subscriptions.create'));
+
+    if (sub.trial_end) {
+      // One trial per customer
+      await stripe.customers.update(rec.customerId, { metadata: { trialUsed: 'true' } });
+    }
+
+    const entitlement = entitlementFromSubscription(sub, { planId, period });
+    if (sub.status !== 'incomplete') {
+      await updateUserEntitlement(uid, entitlement);
+    }
+
+    return { sub, entitlement };
+  }
+
+  // Helper: A payment method attached to the customer, or null (unknown id or someone else's card)
+  async function findCustomerPaymentMethod(customerId, paymentMethodId) {
+    try {
+      const pm = await stripe.paymentMethods.retrieve(paymentMethodId);
+      return pm.customer === customerId ? pm : null;
+    } catch (error) {
+      if (error.code === 'resource_missing') return null;
+      throw error;
+    }
+  }
+
+  // Helper: Make a saved card the default for invoices and the live subscription.
+  // A past-due subscription's open invoice is retried on the card right away; returns that
+  // attempt as `retry` ({ invoiceId, status, error }) or null. The webhook updates the entitlement.
+  async function setDefaultPaymentMethod(uid, customerId, paymentMethodId) {
+    await stripe.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId }
+    }, stripeIdempotency('customers.update:default-payment-method'));
+
+    const sub = await findLiveSubscription(customerId);
+    if (!sub) return { retry: null };
+
+    await stripe.subscriptions.update(sub.id, { default_payment_method: paymentMethodId }, stripeIdempotency('subscriptions.update:default-payment-method'));
+    if (sub.status !== 'past_due' || !sub.latest_invoice) return { retry: null };
+
+    const invoice = await stripe.invoices.retrieve(
+      typeof sub.latest_invoice === 'string' ? sub.latest_invoice : sub.latest_invoice.id
+    );
+    if (invoice.status !== 'open') return { retry: null };
+
+    try {
+      const paid = await stripe.invoices.pay(invoice.id, { payment_method: paymentMethodId }, stripeIdempotency('invoices.pay'));
+      logger.info('paid past-due invoice with the new default card', { uid, invoiceId: invoice.id });
+      return { retry: { invoiceId: invoice.id, status: paid.status, error: null } };
+    } catch (error) {
+      if (error.type !== 'StripeCardError') throw error;
+      logger.warn('past-due invoice retry declined', { uid, invoiceId: invoice.id, error: error.message });
+      return { retry: { invoiceId: invoice.id, status: invoice.status, error: error.message } };
+    }
+  }
+
+  // Helper: Switch the subscription to another price at the end of the current period.
+  // A subscription schedule keeps the current phase and starts the new price at renewal
+  // (then releases); the subscription's metadata records the pending change until then.
+  async function schedulePlanChange(uid, sub, { planId, period, priceId }) {
+    // Only one scheduled change at a time: a new choice replaces the previous one
+    if (scheduleIdOf(sub)) {
+      await stripe.subscriptionSchedules.release(scheduleIdOf(sub));
+    }
+
+    const schedule = await stripe.subscriptionSchedules.create({ from_subscription: sub.id }, stripeIdempotency('subscriptionSchedules.create'));
+    const [currentPhase] = schedule.phases;
+    const discounts = phaseDiscounts(currentPhase);
+    const effectiveAt = sub.current_period_end;
+
+    await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: [{ price: sub.items.data[0].price.id, quantity: 1 }],
+          start_date: currentPhase.start_date,
+          end_date: effectiveAt,
+          proration_behavior: 'none',
+          ...(sub.currency ? { currency: sub.currency } : {}),
+          ...(discounts.length ? { discounts } : {})
+        },
+        {
+          items: [{ price: priceId, quantity: 1 }],
+          iterations: 1,
+          proration_behavior: 'none',
+          ...(sub.currency ? { currency: sub.currency } : {}),
+          ...(discounts.length ? { discounts } : {}),
+          // Applied to the subscription when the phase starts
+          metadata: { planId, period, ...clearedPendingChangeMetadata() }
+        }
+      ],
+      metadata: { uid, planId, period }
+    }, stripeIdempotency('subscriptionSchedules.update'));
+
+    const updated = await stripe.subscriptions.update(sub.id, {
+      metadata: pendingChangeMetadata({ planId, period }, effectiveAt)
+    }, stripeIdempotency('subscriptions.update:pending-change'));
+    logger.info('scheduled plan change', { uid, subscriptionId: sub.id, planId, period, effectiveAt: new Date(effectiveAt * 1000).toISOString() });
+    return updated;
+  }
+
+  // Helper: Drop a scheduled plan change (releases the schedule, the current price stays)
+  async function cancelScheduledChange(uid, sub) {
+    const scheduleId = scheduleIdOf(sub);
+    if (scheduleId) {
+      await stripe.subscriptionSchedules.release(scheduleId);
+    }
+    const updated = await stripe.subscriptions.update(sub.id, { metadata: clearedPendingChangeMetadata() }, stripeIdempotency('subscriptions.update:clear-pending-change'));
+    logger.info('canceled scheduled plan change', { uid, subscriptionId: sub.id });
+    return updated;
+  }
+
+  // Helper: Record a pause, resume or cancel in the user's entitlement history
+  async function recordEntitlementHistory(uid, { action, mode = null, entitlement, reason = null, feedback = null, refund = null }) {
+    await storage.addEntitlementHistory(uid, historyEntry({
+      action,
+      mode,
+      plan: entitlement?.plan || null,
+      status: entitlement?.status || null,
+      reason,
+      feedback,
+      refund,
+      resumesAt: entitlement?.resumesAt || null
+    }, clock.now()));
+  }
+
+  // Helper: Cancel a subscription now and refund the unused time of its paid period
+  // (lib/cancellation.js). A payment support already refunded is skipped; a refund failing
+  // otherwise is logged and reported in `refund.failed` - the subscription stays canceled.
+  // Returns { entitlement, refund: { amount, currency, refundIds, failed } }.
+  async function cancelNow(uid, rec, sub, { reason, feedback }) {
+    const paid = await stripe.invoices.list({ subscription: sub.id, status: 'paid', limit: 10 });
+    const planned = unusedTimeRefunds(paid.data, Math.floor(clock.now() / 1000));
+
+    const canceled = await stripe.subscriptions.cancel(sub.id, {
+      cancellation_details: cancellationDetails({ reason, feedback })
+    }, stripeIdempotency('subscriptions.cancel'));
+
+    const refund = { amount: 0, currency: planned[0]?.currency || sub.currency, refundIds: [], failed: [] };
+    for (const [index, { invoiceId, paymentIntentId, amount }] of planned.entries()) {
+      try {
+        const created = await stripe.refunds.create({
+          payment_intent: paymentIntentId,
+          amount,
+          reason: 'requested_by_customer',
+          metadata: withRequestId({ uid, invoiceId, subscriptionId: sub.id })
+        }, stripeIdempotency(`refunds.create:${index}`));
+        refund.amount += created.amount;
+        refund.refundIds.push(created.id);
+      } catch (error) {
+        if (error.code === 'charge_already_refunded' || error.code === 'amount_too_large') {
+          logger.warn('unused time not refunded', { uid, invoiceId, error: error.message });
+          continue;
+        }
+        logger.error('unused time refund failed, refund it with the admin refunds route', { uid, invoiceId, err: error });
+        refund.failed.push(invoiceId);
+      }
+    }
+
+    const entitlement = entitlementForUpdate(canceled, rec);
+    await updateUserEntitlement(uid, entitlement);
+
+    // Every member of a team loses access with it
+    await endTeam(uid, canceled);
+
+    await recordEntitlementHistory(uid, {
+      action: 'cancel',
+      mode: 'immediate',
+      entitlement,
+      reason,
+      feedback,
+      refund: { amount: refund.amount, currency: refund.currency, refundIds: refund.refundIds }
+    });
+    logger.info('canceled subscription now', { uid, subscriptionId: sub.id, refundAmount: refund.amount, currency: refund.currency });
+    return { entitlement, refund };
+  }
+
+  // Helper: Country of the caller (`country` / `locale` in the query or body, else Accept-Language)
+  function requestCountry(req) {
+    return countryFromRequest({
+      country: req.query.country ?? req.body?.country,
+      locale: req.query.locale ?? req.body?.locale,
+      acceptLanguage: req.get('accept-language')
+    });
+  }
+
+  // Helper: Currency to charge a plan in - the one /billing/plans shows for the same request.
+  // Stripe bills a customer in a single currency, so once they have subscribed that currency wins.
+  // Returns { currency } or { error }.
+  async function resolveCurrency(req, rec, priceId) {
+    const price = await stripe.prices.retrieve(priceId, { expand: ['currency_options'] });
+    const supported = priceCurrencies(price);
+    const requested = typeof req.body.currency === 'string' ? req.body.currency.toLowerCase() : null;
+    const customer = await stripe.customers.retrieve(rec.customerId);
+
+    if (customer.currency) {
+      if (requested && requested !== customer.currency) {
+        return { error: `this account is billed in ${customer.currency.toUpperCase()}` };
+      }
+      if (!supported.includes(customer.currency)) {
+        return { error: `plan not available in ${customer.currency.toUpperCase()}` };
+      }
+      return { currency: customer.currency };
+    }
+
+    if (requested) {
+      return supported.includes(requested)
+        ? { currency: requested }
+        : { error: `plan not available in ${requested.toUpperCase()}` };
+    }
+
+    return { currency: currencyForCountry(requestCountry(req), supported) };
+  }
+
+  // Helper: Resolve the trial and promotion code a new subscription is eligible for.
+  // Returns { trialDays, promo } or { error } if the promotion code cannot be used.
+  async function resolveOffer(rec, { planId, priceId }, promoCode) {
+    const history = await getCustomerHistory(stripe, rec.customerId);
+    const trialDays = history.trialUsed ? 0 : trialDaysForPlan(planId, isLiveKey);
+
+    if (!promoCode) {
+      return { trialDays, promo: null };
+    }
+
+    const promo = await findPromotionCode(stripe, promoCode);
+    if (!promo) {
+      return { error: 'Invalid promo code' };
+    }
+
+    const price = await stripe.prices.retrieve(priceId);
+    const error = promotionCodeError(promo, {
+      customerId: rec.customerId,
+      price,
+      firstTimeCustomer: history.firstTimeCustomer,
+      now: clock.now()
+    });
+    if (error) {
+      return { error };
+    }
+
+    return { trialDays, promo, price };
+  }
+
+  // Redirect URLs for hosted Checkout / Billing Portal.
+  // Defaults bounce through /billing/return/* which deep-links back into the app;
+  // clients may pass their own https URLs if the origin is allow-listed.
+  function resolveRedirectUrl(requested, fallback) {
+    if (!requested) return fallback;
+    try {
+      const url = new URL(requested);
+      if (url.protocol === 'https:' && allowedRedirectOrigins.includes(url.origin)) {
+        return requested;
+      }
+    } catch (err) {
+      // Not a valid URL
+    }
+    return null;
+  }
+
+  // Health check endpoint (liveness: the process answers)
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date(clock.now()).toISOString() });
+  });
+
+  // Readiness: billing can work with this configuration (Render's health check).
+  // 503 with the failing checks otherwise.
+  app.get('/health/ready', async (req, res) => {
+    try {
+      const { ready, checks } = await readiness.run();
+      if (!ready) {
+        logger.warn('not ready', { failed: Object.fromEntries(Object.entries(checks).filter(([, check]) => check.status === 'fail').map(([name, check]) => [name, check.message])) });
+      }
+      res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        checks,
+        timestamp: new Date(clock.now()).toISOString()
+      });
+    } catch (error) {
+      logger.error('readiness check failed', { err: error });
+      res.status(503).json({ status: 'not_ready', error: error.message });
+    }
+  });
+
+  // Prometheus metrics
+  app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(appMetrics.render());
+  });
+
+  // 1) Bootstrap: Create or fetch Stripe Customer, Ephemeral Key, and SetupIntent
+  app.post('/billing/bootstrap', bodyParser.json(), requireAuth, idempotent, async (req, res) => {
+    try {
+      const { uid, email } = req.user;
+      if (!email) {
+        return res.status(400).json({ error: 'account email required' });
+      }
+
+      const rec = await getUserRecord(uid, email);
+      if (!rec) {
+        return res.status(500).json({ error: 'Failed to create customer' });
+      }
+
+      const ephemeralKey = await stripe.ephemeralKeys.create(
+        { customer: rec.customerId },
+        { apiVersion: '2024-06-20' }
+      );
+
+      // Use SetupIntent to collect a reusable payment method for subscriptions.
+      // The webhook (setup_intent.succeeded) makes the saved card the customer's default.
+      const setupIntent = await stripe.setupIntents.create({
+        customer: rec.customerId,
+        payment_method_types: ['card'],
+        usage: 'off_session',
+        metadata: withRequestId({ uid, purpose: SETUP_PURPOSE_BOOTSTRAP })
+      }, stripeIdempotency('setupIntents.create'));
+
+      res.json({
+        customerId: rec.customerId,
+        ephemeralKeySecret: ephemeralKey.secret,
+        setupIntentClientSecret: setupIntent.client_secret,
+        publishableKey
+      });
+    } catch (error) {
+      logger.error('bootstrap failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 2) Create subscription using the saved payment method from PaymentSheet
+  app.post('/billing/subscribe', bodyParser.json(), requireAuth, validateBody(SCHEMAS.subscribe), idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { planId, period, promoCode } = req.body;
+      if (planId === TEAM_PLAN_ID) {
+        return res.status(400).json({ error: 'team plans are started with /billing/team' });
+      }
+
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found, call /billing/bootstrap first' });
+      }
+
+      const priceId = planToPriceId(planId, period, isLiveKey);
+      if (!priceId) {
+        return res.status(400).json({ error: 'invalid plan/period' });
+      }
+
+      // One live subscription per customer - plan changes go through /billing/switch
+      const existing = await findLiveSubscription(rec.customerId);
+      if (existing?.pause_collection) {
+        return res.status(409).json({ error: 'your subscription is paused, use /billing/resume to continue it' });
+      }
+      if (existing) {
+        return res.status(409).json({ error: 'already subscribed, use /billing/switch to change plans' });
+      }
+      if (await hasPaidPlaySubscription(uid)) {
+        return res.status(409).json({ error: 'already subscribed through Google Play, manage it in the Play Store' });
+      }
+
+      const { currency, error: currencyError } = await resolveCurrency(req, rec, priceId);
+      if (currencyError) {
+        return res.status(400).json({ error: currencyError });
+      }
+
+      const offer = await resolveOffer(rec, { planId, priceId }, promoCode);
+      if (offer.error) {
+        return res.status(400).json({ error: offer.error });
+      }
+
+      const { sub, entitlement } = await createSubscription(uid, rec, { planId, period, priceId, currency }, offer);
+
+      res.json({
+        ok: true,
+        subscriptionId: sub.id,
+        status: sub.status,
+        currency: sub.currency,
+        entitlement,
+        payment: paymentStateForSubscription(sub)
+      });
+    } catch (error) {
+      logger.error('subscribe failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 3) Cancel the subscription. `mode: 'period_end'` (default) keeps paid features until the
+  // period ends; `mode: 'immediate'` ends it now and refunds the unused time of the current period.
+  // The optional `reason` (Stripe's cancellation feedback values) and `feedback` go to Stripe's
+  // cancellation_details and the entitlement history.
+  app.post('/billing/cancel', bodyParser.json(), requireAuth, validateBody(SCHEMAS.cancel), idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { mode = 'period_end', reason = null, feedback = null } = req.body;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.json({ ok: true });
+      }
+
+      const sub = await findLiveSubscription(rec.customerId);
+      if (!sub) {
+        return res.json({ ok: true });
+      }
+
+      // A subscription ending has nothing to switch to
+      if (scheduleIdOf(sub)) {
+        await cancelScheduledChange(uid, sub);
+      }
+
+      if (mode === 'immediate') {
+        const { entitlement, refund } = await cancelNow(uid, rec, sub, { reason, feedback });
+        return res.json({ ok: true, entitlement, refund });
+      }
+
+      const updated = await stripe.subscriptions.update(sub.id, {
+        cancel_at_period_end: true,
+        cancellation_details: cancellationDetails({ reason, feedback })
+      }, stripeIdempotency('subscriptions.update:cancel'));
+
+      const entitlement = entitlementForUpdate(updated, rec);
+
+      await updateUserEntitlement(uid, entitlement);
+      await recordEntitlementHistory(uid, { action: 'cancel', mode, entitlement, reason, feedback });
+
+      res.json({ ok: true, entitlement });
+    } catch (error) {
+      logger.error('cancel failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 4) Resume a paused subscription (billing and paid features restart now) and/or one canceled
+  // at period end (it renews again)
+  app.post('/billing/resume', bodyParser.json(), requireAuth, idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      const sub = await findLiveSubscription(rec.customerId);
+      if (!sub || (!sub.pause_collection && !sub.cancel_at_period_end)) {
+        return res.status(400).json({ error: 'No paused or canceled subscription to resume' });
+      }
+
+      const updated = await stripe.subscriptions.update(sub.id, {
+        ...(sub.pause_collection ? { pause_collection: '' } : {}),
+        ...(sub.cancel_at_period_end ? { cancel_at_period_end: false } : {})
+      }, stripeIdempotency('subscriptions.update:resume'));
+
+      const entitlement = entitlementForUpdate(updated, rec);
+
+      await updateUserEntitlement(uid, entitlement);
+      await recordEntitlementHistory(uid, {
+        action: 'resume',
+        mode: sub.pause_collection ? 'paused' : 'period_end',
+        entitlement
+      });
+
+      res.json({ ok: true, entitlement });
+    } catch (error) {
+      logger.error('resume failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 5) Switch/Upgrade plan
+  app.post('/billing/switch', bodyParser.json(), requireAuth, validateBody(SCHEMAS.switch), idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { planId, period, promoCode, prorationDate } = req.body;
+      if (planId === TEAM_PLAN_ID) {
+        return res.status(400).json({ error: 'team plans are started with /billing/team' });
+      }
+
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      const newPriceId = planToPriceId(planId, period, isLiveKey);
+      if (!newPriceId) {
+        return res.status(400).json({ error: 'invalid plan/period' });
+      }
+
+      // An existing subscription keeps its currency; the new price must be sold in it
+      const { currency, error: currencyError } = await resolveCurrency(req, rec, newPriceId);
+      if (currencyError) {
+        return res.status(400).json({ error: currencyError });
+      }
+
+      const offer = await resolveOffer(rec, { planId, priceId: newPriceId }, promoCode);
+      if (offer.error) {
+        return res.status(400).json({ error: offer.error });
+      }
+
+      // Get current active subscription
+      const currentSub = await findLiveSubscription(rec.customerId);
+      if (teamIdOf(currentSub)) {
+        return res.status(409).json({ error: 'team subscriptions change seats with /billing/team/seats' });
+      }
+      if (currentSub?.pause_collection) {
+        return res.status(409).json({ error: 'resume the paused subscription (/billing/resume) before changing plans' });
+      }
+
+      if (!currentSub) {
+        // No active subscription - create new one
+        const { sub, entitlement } = await createSubscription(
+          uid,
+          rec,
+          { planId, period, priceId: newPriceId, currency },
+          offer
+        );
+
+        return res.json({
+          ok: true,
+          subscriptionId: sub.id,
+          status: sub.status,
+          currency: sub.currency,
+          entitlement,
+          payment: paymentStateForSubscription(sub)
+        });
+      }
+
+      const currentPlan = planFromSubscription(currentSub, isLiveKey);
+      const change = classifyPlanChange(currentPlan, { planId, period });
+
+      // Choosing the current plan again keeps it: drops a scheduled change, charges nothing
+      if (change === 'none') {
+        const updated = scheduleIdOf(currentSub) ? await cancelScheduledChange(uid, currentSub) : currentSub;
+        const entitlement = entitlementForUpdate(updated, rec);
+        await updateUserEntitlement(uid, entitlement);
+        return res.json({
+          ok: true,
+          subscriptionId: updated.id,
+          status: updated.status,
+          currency: updated.currency,
+          change,
+          entitlement
+        });
+      }
+
+      // Promotion codes apply to the existing subscription before the price change
+      // (trials only apply to new subscriptions)
+      if (offer.promo) {
+        await stripe.subscriptions.update(currentSub.id, {
+          discounts: [{ promotion_code: offer.promo.id }],
+          metadata: { promoCode: offer.promo.code }
+        }, stripeIdempotency('subscriptions.update:promotion'));
+      }
+
+      // Downgrades and period changes keep the paid period and switch at renewal
+      if (!isImmediateChange(change)) {
+        const scheduled = await schedulePlanChange(uid, currentSub, { planId, period, priceId: newPriceId });
+        const entitlement = entitlementForUpdate(scheduled, rec);
+        await updateUserEntitlement(uid, entitlement);
+
+        return res.json({
+          ok: true,
+          subscriptionId: scheduled.id,
+          status: scheduled.status,
+          currency: scheduled.currency,
+          change,
+          scheduled: true,
+          pendingChange: entitlement.pendingChange,
+          entitlement
+        });
+      }
+
+      // An upgrade replaces a scheduled change
+      if (scheduleIdOf(currentSub)) {
+        await cancelScheduledChange(uid, currentSub);
+      }
+
+      // Update existing subscription.
+      // pending_if_incomplete: the new price only applies once the proration invoice is paid,
+      // so a declined card or unfinished 3DS leaves the current plan in place.
+      // prorationDate (from /billing/switch/preview) makes the charge match the preview.
+      const updated = await stripe.subscriptions.update(currentSub.id, {
+        items: [{
+          id: currentSub.items.data[0].id,
+          price: newPriceId,
+        }],
+        proration_behavior: 'always_invoice', // Prorate the difference
+        ...(validProrationDate(prorationDate, currentSub) ? { proration_date: prorationDate } : {}),
+        payment_behavior: 'pending_if_incomplete',
+        expand: ['latest_invoice.payment_intent']
+      }, stripeIdempotency('subscriptions.update:price'));
+
+      const payment = paymentStateForSubscription(updated);
+
+      if (updated.pending_update) {
+        // Payment still needed - keep the current plan until the webhook confirms it
+        const entitlement = currentPlan ? entitlementFromSubscription(updated, currentPlan) : sourceEntitlement(rec, 'stripe');
+
+        return res.json({
+          ok: true,
+          subscriptionId: updated.id,
+          status: updated.status,
+          currency: updated.currency,
+          change,
+          pendingUpdate: true,
+          entitlement,
+          payment
+        });
+      }
+
+      await stripe.subscriptions.update(updated.id, { metadata: { planId, period } }, stripeIdempotency('subscriptions.update:plan-metadata'));
+
+      const entitlement = entitlementFromSubscription(updated, { planId, period });
+      await updateUserEntitlement(uid, entitlement);
+
+      res.json({
+        ok: true,
+        subscriptionId: updated.id,
+        status: updated.status,
+        currency: updated.currency,
+        change,
+        entitlement,
+        payment
+      });
+    } catch (error) {
+      logger.error('switch failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 6) Restore purchases (fetch current subscription state)
+  app.post('/billing/restore', bodyParser.json(), requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.json({ entitlement: null });
+      }
+
+      const sub = await findLiveSubscription(rec.customerId);
+      if (!sub) {
+        return res.json({ entitlement: null });
+      }
+
+      // Parse plan from the subscription's price (or plan metadata)
+      const plan = planFromSubscription(sub, isLiveKey);
+      if (!plan) {
+        logger.error('restore: subscription price is not a known plan', { uid, subscriptionId: sub.id, priceId: sub.items.data[0]?.price?.id });
+        return res.status(500).json({ error: 'Subscription price is not a known plan' });
+      }
+
+      const entitlement = entitlementFromSubscription(sub, plan);
+
+      await updateUserEntitlement(uid, entitlement);
+      res.json({ entitlement });
+    } catch (error) {
+      logger.error('restore failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // Helper: Write the entitlement for a subscription received from Stripe.
+  // `dunning` ({ graceEndsAt, dunning }) is the timeline of a failed renewal (invoice.payment_failed).
+  async function syncSubscriptionEntitlement(uid, subscription, event, dunning = {}) {
+    const plan = planFromSubscription(subscription, isLiveKey);
+    if (!plan) {
+      logger.error('subscription price is not a known plan', { uid, subscriptionId: subscription.id, priceId: subscription.items.data[0]?.price?.id, eventId: event?.id });
+      return { uid };
+    }
+
+    // A dead subscription must not overwrite the entitlement of a different, live one
+    // (e.g. an abandoned incomplete subscription expiring after the user subscribed again)
+    if (TERMINAL_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+      const currentOrderId = (await getEntitlement(uid, 'stripe'))?.orderId;
+      if (currentOrderId && currentOrderId !== subscription.id) {
+        logger.info('ignoring ended subscription the user is no longer on', { uid, subscriptionId: subscription.id, status: subscription.status, currentSubscriptionId: currentOrderId });
+        return { uid };
+      }
+    }
+
+    const entitlement = await updateUserEntitlement(uid, {
+      ...entitlementFromSubscription(subscription, plan),
+      ...dunning
+    }, event);
+    if (entitlement.teamId) {
+      await syncTeam(entitlement.teamId, entitlement, event);
+    }
+    return { uid, entitlement };
+  }
+
+  // Helper: Copy the owner's entitlement for a team subscription to the team and its members.
+  // Teams follow one subscription: the first one seen, then only that one.
+  async function syncTeam(teamId, ownerEntitlement, event = null) {
+    const team = await storage.updateTeam(teamId, current => {
+      if (!current || (current.subscriptionId && current.subscriptionId !== ownerEntitlement.orderId)) return null;
+      return {
+        ...current,
+        subscriptionId: ownerEntitlement.orderId,
+        status: ownerEntitlement.status,
+        seats: ownerEntitlement.seats ?? current.seats,
+        updatedAt: clock.now()
+      };
+    });
+    if (team?.subscriptionId !== ownerEntitlement.orderId) return;
+
+    for (const [uid, member] of Object.entries(team.members)) {
+      if (member.role === 'owner') continue;
+      await updateUserEntitlement(uid, teamEntitlement(ownerEntitlement, team), event);
+    }
+    logger.info('synced team', { teamId, status: ownerEntitlement.status, members: Object.keys(team.members).length - 1 });
+  }
+
+  // Helper: A team subscription ended: its members lose access, and the owner is unlinked from the
+  // team so it cannot be used again with a later subscription of theirs
+  async function endTeam(ownerUid, subscription, event = null) {
+    const teamId = teamIdOf(subscription);
+    const plan = teamId && planFromSubscription(subscription, isLiveKey);
+    if (!plan) return;
+
+    await syncTeam(teamId, entitlementFromSubscription(subscription, plan), event);
+    const team = await storage.getTeam(teamId);
+    if (team?.subscriptionId === subscription.id && (await storage.getCustomer(ownerUid))?.team?.teamId === teamId) {
+      await storage.setCustomer(ownerUid, { team: null });
+      logger.info('team ended', { uid: ownerUid, teamId, subscriptionId: subscription.id });
+    }
+  }
+
+  // Helper: Store an invoice in users/{uid}/invoices (billing history).
+  // Re-reads it from Stripe so a late or retried event never stores an outdated state.
+  async function recordInvoice(uid, invoice, event) {
+    const latest = await stripe.invoices.retrieve(invoice.id);
+    await storage.setInvoice(uid, latest.id, {
+      ...invoiceRecord(latest, isLiveKey),
+      updatedAt: new Date(clock.now()).toISOString(),
+      lastEventId: event.id
+    });
+    return latest;
+  }
+
+  // Apply a Stripe event to user state.
+  // Returns { uid, entitlement } describing the change, recorded in the event ledger.
+  async function applyStripeEvent(event) {
+    switch (event.type) {
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated': {
+        const subscription = event.data.object;
+        const customerId = subscription.customer;
+
+        // Find user by customer ID
+        const customer = await stripe.customers.retrieve(customerId);
+        const uid = customer.metadata?.uid;
+
+        if (!uid) return {};
+
+        const result = await syncSubscriptionEntitlement(uid, subscription, event);
+        logger.info('subscription synced', { uid, subscriptionId: subscription.id });
+        return result;
+      }
+
+      case 'checkout.session.completed': {
+        const session = event.data.object;
+        if (session.mode !== 'subscription' || !session.subscription) {
+          return {};
+        }
+
+        const uid = session.client_reference_id || session.metadata?.uid;
+        if (!uid) return {};
+
+        const subscription = await stripe.subscriptions.retrieve(session.subscription);
+        const result = await syncSubscriptionEntitlement(uid, subscription, event);
+        logger.info('checkout completed', { uid, subscriptionId: subscription.id });
+        return result;
+      }
+
+      case 'customer.subscription.deleted': {
+        const subscription = event.data.object;
+        const customerId = subscription.customer;
+
+        const customer = await stripe.customers.retrieve(customerId);
+        const uid = customer.metadata?.uid;
+
+        if (!uid) return { uid };
+
+        // Every member of a team loses access with it
+        await endTeam(uid, subscription, event);
+
+        // Only the user's current subscription ends their entitlement, not an older one deleted
+        // late (e.g. an abandoned incomplete subscription canceled by a later subscribe)
+        const currentOrderId = (await getEntitlement(uid, 'stripe'))?.orderId;
+        if (currentOrderId && currentOrderId !== subscription.id) {
+          logger.info('ignoring deletion of a subscription the user is no longer on', { uid, subscriptionId: subscription.id, currentSubscriptionId: currentOrderId });
+          return { uid };
+        }
+
+        // Mark subscription as inactive
+        await updateEntitlementStatus(uid, 'INACTIVE', event);
+        logger.info('subscription deleted', { uid, subscriptionId: subscription.id });
+        return { uid, entitlement: { status: 'INACTIVE' } };
+      }
+
+      case 'invoice.paid': {
+        const invoice = event.data.object;
+        logger.info('invoice paid', { invoiceId: invoice.id, customerId: invoice.customer });
+
+        const customer = await stripe.customers.retrieve(invoice.customer);
+        const uid = customer.metadata?.uid;
+        if (!uid) return {};
+
+        await recordInvoice(uid, invoice, event);
+        if (!invoice.subscription) return { uid };
+
+        // Payment confirmed - activate the subscription (incomplete -> active)
+        const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+        return syncSubscriptionEntitlement(uid, subscription, event);
+      }
+
+      case 'setup_intent.succeeded': {
+        const intent = event.data.object;
+        const paymentMethodId = typeof intent.payment_method === 'string' ? intent.payment_method : intent.payment_method?.id;
+        if (!intent.customer || !paymentMethodId) return {};
+
+        const customer = await stripe.customers.retrieve(intent.customer);
+        const uid = customer.metadata?.uid;
+        if (!uid) return {};
+
+        // Cards saved through bootstrap or the card update replace the default; others
+        // (e.g. collected during a trial) only fill in a missing one
+        const purpose = intent.metadata?.purpose;
+        const replace = purpose === SETUP_PURPOSE_BOOTSTRAP || purpose === SETUP_PURPOSE_UPDATE_CARD;
+        if (!replace && defaultPaymentMethodId(customer)) return { uid };
+
+        // A replayed event must not bring back a card the user has removed since
+        if (!(await findCustomerPaymentMethod(intent.customer, paymentMethodId))) {
+          logger.info('payment method no longer attached, keeping the default', { uid, paymentMethodId });
+          return { uid };
+        }
+
+        await setDefaultPaymentMethod(uid, intent.customer, paymentMethodId);
+        logger.info('set default payment method', { uid, paymentMethodId });
+        return { uid };
+      }
+
+      case 'invoice.payment_failed': {
+        const invoice = event.data.object;
+        const customerId = invoice.customer;
+
+        const customer = await stripe.customers.retrieve(customerId);
+        const uid = customer.metadata?.uid;
+
+        if (!uid) return { uid };
+
+        const latest = await recordInvoice(uid, invoice, event);
+        if (!invoice.subscription) return { uid };
+
+        // A declined first payment (incomplete) or upgrade (pending update) leaves the
+        // subscription as it was; only a past-due renewal starts the grace period
+        const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+        if (subscription.status !== 'past_due' || latest.status !== 'open') {
+          return syncSubscriptionEntitlement(uid, subscription, event);
+        }
+
+        const dunning = dunningFromInvoice(latest, gracePeriodDays);
+        logger.warn('renewal payment failed', { uid, invoiceId: latest.id, attempt: latest.attempt_count, graceEndsAt: new Date(dunning.graceEndsAt).toISOString() });
+        return syncSubscriptionEntitlement(uid, subscription, event, dunning);
+      }
+
+      default:
+        logger.info('unhandled webhook event type', { eventId: event.id, type: event.type });
+        return {};
+    }
+  }
+
+  // Run an event through the ledger: skip duplicates and out-of-order events,
+  // record what was applied, and dead-letter failures (then rethrow so Stripe retries).
+  async function processStripeEvent(event) {
+    const { duplicate } = await eventLedger.claim(event);
+    if (duplicate) {
+      logger.info('skipping duplicate webhook event', { eventId: event.id, type: event.type });
+      return 'duplicate';
+    }
+
+    if (await eventLedger.isStale(event)) {
+      logger.info('skipping out-of-order webhook event', { eventId: event.id, type: event.type });
+      await eventLedger.markSkipped(event, 'stale');
+      return 'stale';
+    }
+
+    try {
+      const result = await applyStripeEvent(event);
+      await eventLedger.markProcessed(event, result);
+      logger.info('webhook applied', { eventId: event.id, type: event.type, uid: result.uid || null });
+      return 'processed';
+    } catch (error) {
+      await eventLedger.markFailed(event, error);
+      throw error;
+    }
+  }
+
+  // 7) Webhook endpoint (for production - handle subscription lifecycle events)
+  app.post('/billing/webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    let event;
+
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.body,
+        sig,
+        webhookSecret
+      );
+    } catch (err) {
+      logger.warn('webhook signature verification failed', { error: err.message });
+      appMetrics.webhookEvent('stripe', 'unknown', 'invalid_signature');
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    logger.info('webhook received', { eventId: event.id, type: event.type });
+
+    // Handle the event
+    try {
+      const result = await processStripeEvent(event);
+      appMetrics.webhookEvent('stripe', event.type, result);
+      res.json({ received: true, result });
+    } catch (error) {
+      logger.error('webhook processing failed', { eventId: event.id, type: event.type, err: error });
+      appMetrics.webhookEvent('stripe', event.type, 'failed');
+      return res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 8) Dead-letter list: webhook events that failed processing
+  app.get('/billing/webhook/failed', requireAdminKey, async (req, res) => {
+    try {
+      const events = await eventLedger.listFailed(Number(req.query.limit) || 50);
+      res.json({ events });
+    } catch (error) {
+      logger.error('dead-letter list failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 9) Replay a failed webhook event
+  app.post('/billing/webhook/replay/:eventId', requireAdminKey, async (req, res) => {
+    try {
+      const event = await eventLedger.getFailedEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ error: 'No failed event with that id' });
+      }
+
+      logger.info('replaying webhook event', { eventId: event.id, type: event.type });
+      const result = await processStripeEvent(event);
+      res.json({ ok: true, result });
+    } catch (error) {
+      logger.error('replay failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 10) Hosted Checkout: create a subscription-mode Checkout Session
+  app.post('/billing/checkout-session', bodyParser.json(), requireAuth, validateBody(SCHEMAS.checkoutSession), idempotent, async (req, res) => {
+    try {
+      const { uid, email } = req.user;
+      const { planId, period, successUrl, cancelUrl } = req.body;
+      if (planId === TEAM_PLAN_ID) {
+        return res.status(400).json({ error: 'team plans are started with /billing/team' });
+      }
+
+      const priceId = planToPriceId(planId, period, isLiveKey);
+      if (!priceId) {
+        return res.status(400).json({ error: 'invalid plan/period' });
+      }
+
+      const successRedirect = resolveRedirectUrl(
+        successUrl,
+        checkoutSuccessUrl || `${baseUrl}/billing/return/checkout-success?session_id={CHECKOUT_SESSION_ID}`
+      );
+      const cancelRedirect = resolveRedirectUrl(
+        cancelUrl,
+        checkoutCancelUrl || `${baseUrl}/billing/return/checkout-cancel`
+      );
+      if (!successRedirect || !cancelRedirect) {
+        return res.status(400).json({ error: 'redirect URL not allowed' });
+      }
+
+      const rec = await getUserRecord(uid, email);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found, call /billing/bootstrap first' });
+      }
+
+      // Same rule as /billing/subscribe: Checkout must not start a second subscription
+      const existing = await findLiveSubscription(rec.customerId);
+      if (existing?.pause_collection) {
+        return res.status(409).json({ error: 'your subscription is paused, use /billing/resume to continue it' });
+      }
+      if (existing) {
+        return res.status(409).json({ error: 'already subscribed, use /billing/switch to change plans' });
+      }
+      if (await hasPaidPlaySubscription(uid)) {
+        return res.status(409).json({ error: 'already subscribed through Google Play, manage it in the Play Store' });
+      }
+
+      const { currency, error: currencyError } = await resolveCurrency(req, rec, priceId);
+      if (currencyError) {
+        return res.status(400).json({ error: currencyError });
+      }
+
+      const { trialUsed } = await getCustomerHistory(stripe, rec.customerId);
+      const trialDays = trialUsed ? 0 : trialDaysForPlan(planId, isLiveKey);
+
+      const session = await stripe.checkout.sessions.create({
+        mode: 'subscription',
+        allow_promotion_codes: true,
+        customer: rec.customerId,
+        currency,
+        client_reference_id: uid,
+        line_items: [{ price: priceId, quantity: 1 }],
+        success_url: successRedirect,
+        cancel_url: cancelRedirect,
+        metadata: withRequestId({ uid, planId, period }),
+        subscription_data: {
+          ...(trialDays ? { trial_period_days: trialDays } : {}),
+          metadata: withRequestId({ uid, planId, period })
+        }
+      }, stripeIdempotency('checkout.sessions.create'));
+
+      res.json({ sessionId: session.id, url: session.url });
+    } catch (error) {
+      logger.error('checkout session failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 11) Customer Portal: manage payment methods, invoices and cancellation on Stripe
+  app.post('/billing/portal-session', bodyParser.json(), requireAuth, validateBody(SCHEMAS.portalSession), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { returnUrl } = req.body;
+
+      const returnRedirect = resolveRedirectUrl(
+        returnUrl,
+        portalReturnUrl || `${baseUrl}/billing/return/portal`
+      );
+      if (!returnRedirect) {
+        return res.status(400).json({ error: 'redirect URL not allowed' });
+      }
+
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found, call /billing/bootstrap first' });
+      }
+
+      const session = await stripe.billingPortal.sessions.create({
+        customer: rec.customerId,
+        return_url: returnRedirect
+      });
+
+      res.json({ url: session.url });
+    } catch (error) {
+      logger.error('portal session failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 12) Return pages for Checkout/Portal: hand control back to the app via deep link
+  app.get('/billing/return/:target', (req, res) => {
+    const targets = ['checkout-success', 'checkout-cancel', 'portal'];
+    if (!targets.includes(req.params.target)) {
+      return res.status(404).send('Not found');
+    }
+
+    const query = new URLSearchParams(req.query).toString();
+    res.redirect(302, `${appDeepLinkScheme}://billing/${req.params.target}${query ? `?${query}` : ''}`);
+  });
+
+  // 13) Validate a promotion code and preview the discounted price
+  app.post('/billing/promo/validate', bodyParser.json(), requireAuth, validateBody(SCHEMAS.promoValidate), async (req, res) => {
+    try {
+      const { uid, email } = req.user;
+      const { code, planId, period } = req.body;
+
+      const priceId = planToPriceId(planId, period, isLiveKey);
+      if (!priceId) {
+        return res.status(400).json({ error: 'invalid plan/period' });
+      }
+
+      const rec = await getUserRecord(uid, email);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found, call /billing/bootstrap first' });
+      }
+
+      const offer = await resolveOffer(rec, { planId, priceId }, code);
+      if (offer.error) {
+        return res.json({ valid: false, code, reason: offer.error, trialDays: offer.trialDays || 0 });
+      }
+
+      const { promo, price, trialDays } = offer;
+      res.json({
+        valid: true,
+        code: promo.code,
+        coupon: describeCoupon(promo.coupon),
+        currency: price.currency,
+        amount: price.unit_amount,
+        discountedAmount: discountedAmount(promo.coupon, price.unit_amount),
+        trialDays
+      });
+    } catch (error) {
+      logger.error('promo validate failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 14) Record a usage event (tokens, messages, attachments, model)
+  app.post('/usage/record', bodyParser.json(), requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { event, error } = parseUsageEvent(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const now = clock.now();
+      const period = billingPeriod(await getEntitlement(uid), now);
+      const { usage, duplicate } = await usageStore.record(uid, period, event, now);
+
+      res.json({ ok: true, duplicate, ...usageSummary(usage, period, now) });
+    } catch (error) {
+      logger.error('usage record failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 15) Current period usage against the plan's limits (UsageDetailsScreen).
+  // `paymentIssue` is set while a renewal payment is failing (UsageLimitBanner asks to fix the card).
+  app.get('/usage/current', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const now = clock.now();
+      const entitlement = await getEntitlement(uid);
+      const period = billingPeriod(entitlement, now);
+      const usage = await usageStore.get(uid, period);
+
+      res.json({ ...usageSummary(usage, period, now), paymentIssue: paymentIssue(entitlement, now) });
+    } catch (error) {
+      logger.error('usage read failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 16) Consume rate-limit capacity for one request (per-tier requests per minute)
+  app.post('/limits/consume', bodyParser.json(), requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const cost = req.body?.cost ?? 1;
+      if (!Number.isInteger(cost) || cost < 1 || cost > 10) {
+        return res.status(400).json({ error: 'cost must be an integer between 1 and 10' });
+      }
+
+      const now = clock.now();
+      const plan = effectivePlan(await getEntitlement(uid), now);
+      const limit = limitsForPlan(plan).burstRequestsPerMinute;
+
+      const result = await rateLimiter.consume(uid, { limit, cost }, now);
+      const body = {
+        allowed: result.allowed,
+        plan,
+        limit,
+        remaining: result.remaining,
+        retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000),
+        resetAt: result.resetAt
+      };
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(body.retryAfterSeconds));
+        return res.status(429).json(body);
+      }
+      res.json(body);
+    } catch (error) {
+      logger.error('rate limit check failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 17) Reconcile entitlements with Stripe (repairs drift left by missed webhooks).
+  // ?dryRun=true only reports mismatches, orphaned customers and duplicate subscriptions.
+  app.post('/billing/reconcile', requireAdminKey, async (req, res) => {
+    try {
+      if (reconcileJob.isRunning()) {
+        return res.status(409).json({ error: 'Reconciliation already running' });
+      }
+
+      const report = await reconcileJob.run({ dryRun: req.query.dryRun === 'true' });
+      logger.info(`reconciliation ${summarizeReport(report)}`);
+      res.json(report);
+    } catch (error) {
+      logger.error('reconcile failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 18) Public plan catalog: live Stripe prices, trials and limits for PlanCards/CompareTable.
+  // Currency from ?currency=, else ?country= / ?locale= / Accept-Language (no auth).
+  app.get('/billing/plans', async (req, res) => {
+    try {
+      const currency = typeof req.query.currency === 'string' ? req.query.currency.toLowerCase() : null;
+      const catalog = await planCatalog.getPlans({ country: requestCountry(req), currency });
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.set('Vary', 'Accept-Language');
+      res.json(catalog);
+    } catch (error) {
+      logger.error('plans read failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 19) Billing history: the customer's invoices, newest first.
+  // ?limit= (1-100, default 10), ?startingAfter=<invoiceId> for the next page.
+  app.get('/billing/invoices', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.json({ invoices: [], hasMore: false, nextCursor: null });
+      }
+
+      const page = await stripe.invoices.list({
+        customer: rec.customerId,
+        limit: invoicePageSize(req.query.limit),
+        ...(req.query.startingAfter ? { starting_after: String(req.query.startingAfter) } : {})
+      });
+
+      const invoices = page.data.map(invoice => invoiceRecord(invoice, isLiveKey));
+      res.json({
+        invoices,
+        hasMore: page.has_more,
+        nextCursor: page.has_more && invoices.length ? invoices[invoices.length - 1].invoiceId : null
+      });
+    } catch (error) {
+      logger.error('invoices read failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 20) Next invoice of the live subscription (amount and date of the next charge), or null
+  app.get('/billing/invoices/upcoming', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.json({ invoice: null });
+      }
+
+      const upcoming = await stripe.invoices.retrieveUpcoming({ customer: rec.customerId });
+      res.json({ invoice: invoiceRecord(upcoming, isLiveKey) });
+    } catch (error) {
+      if (error.code === 'invoice_upcoming_none') {
+        return res.json({ invoice: null });
+      }
+      logger.error('upcoming invoice failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 21) Saved cards: the customer's payment methods and which one pays invoices
+  app.get('/billing/payment-methods', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.json({ paymentMethods: [], defaultPaymentMethodId: null });
+      }
+
+      const [customer, cards] = await Promise.all([
+        stripe.customers.retrieve(rec.customerId),
+        stripe.customers.listPaymentMethods(rec.customerId, { type: 'card', limit: 100 })
+      ]);
+      const defaultId = defaultPaymentMethodId(customer);
+
+      res.json({
+        paymentMethods: cards.data.map(pm => paymentMethodRecord(pm, defaultId, clock.now())),
+        defaultPaymentMethodId: defaultId
+      });
+    } catch (error) {
+      logger.error('payment methods read failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 22) Make a saved card the default (invoices + live subscription).
+  // Retries the open invoice of a past-due subscription on that card.
+  app.post('/billing/payment-methods/default', bodyParser.json(), requireAuth, validateBody(SCHEMAS.defaultPaymentMethod), idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { paymentMethodId } = req.body;
+
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      const pm = await findCustomerPaymentMethod(rec.customerId, String(paymentMethodId));
+      if (!pm) {
+        return res.status(404).json({ error: 'payment method not found' });
+      }
+
+      const { retry } = await setDefaultPaymentMethod(uid, rec.customerId, pm.id);
+      res.json({ ok: true, defaultPaymentMethodId: pm.id, retry });
+    } catch (error) {
+      logger.error('set default payment method failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 23) Remove a saved card. The card paying a live subscription has to be replaced first.
+  app.delete('/billing/payment-methods/:paymentMethodId', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      const pm = await findCustomerPaymentMethod(rec.customerId, req.params.paymentMethodId);
+      if (!pm) {
+        return res.status(404).json({ error: 'payment method not found' });
+      }
+
+      const customer = await stripe.customers.retrieve(rec.customerId);
+      const sub = await findLiveSubscription(rec.customerId);
+      const paysSubscription = sub && !sub.cancel_at_period_end &&
+        (sub.default_payment_method || defaultPaymentMethodId(customer)) === pm.id;
+      if (paysSubscription) {
+        return res.status(409).json({ error: 'this card pays for your subscription, set another default payment method first' });
+      }
+
+      await stripe.paymentMethods.detach(pm.id);
+      logger.info('detached payment method', { uid, paymentMethodId: pm.id });
+
+      const updated = await stripe.customers.retrieve(rec.customerId);
+      res.json({ ok: true, defaultPaymentMethodId: defaultPaymentMethodId(updated) });
+    } catch (error) {
+      logger.error('detach payment method failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 24) Update card: SetupIntent for PaymentSheet (setup mode). Once confirmed, the webhook
+  // (setup_intent.succeeded) makes the new card the default and retries a past-due invoice.
+  app.post('/billing/payment-methods/update', bodyParser.json(), requireAuth, idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found, call /billing/bootstrap first' });
+      }
+
+      const ephemeralKey = await stripe.ephemeralKeys.create(
+        { customer: rec.customerId },
+        { apiVersion: '2024-06-20' }
+      );
+
+      const setupIntent = await stripe.setupIntents.create({
+        customer: rec.customerId,
+        payment_method_types: ['card'],
+        usage: 'off_session',
+        metadata: withRequestId({ uid, purpose: SETUP_PURPOSE_UPDATE_CARD })
+      }, stripeIdempotency('setupIntents.create'));
+
+      res.json({
+        customerId: rec.customerId,
+        ephemeralKeySecret: ephemeralKey.secret,
+        setupIntentId: setupIntent.id,
+        setupIntentClientSecret: setupIntent.client_secret,
+        publishableKey
+      });
+    } catch (error) {
+      logger.error('update card failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 25) Preview a plan change before /billing/switch: the amount charged now (prorations) and
+  // the next invoice. Upgrades apply immediately; downgrades and period changes at renewal.
+  app.post('/billing/switch/preview', bodyParser.json(), requireAuth, validateBody(SCHEMAS.switchPreview), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { planId, period } = req.body;
+
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      const priceId = planToPriceId(planId, period, isLiveKey);
+      if (!priceId) {
+        return res.status(400).json({ error: 'invalid plan/period' });
+      }
+
+      const sub = await findLiveSubscription(rec.customerId);
+      if (!sub) {
+        return res.status(404).json({ error: 'no subscription to change, use /billing/subscribe' });
+      }
+      if (planId === TEAM_PLAN_ID || teamIdOf(sub)) {
+        return res.status(409).json({ error: 'team subscriptions change seats with /billing/team/seats' });
+      }
+
+      const change = classifyPlanChange(planFromSubscription(sub, isLiveKey), { planId, period });
+      if (change === 'none') {
+        return res.status(400).json({ error: 'already on this plan' });
+      }
+
+      const amount = priceAmount(await stripe.prices.retrieve(priceId), sub.currency);
+      if (amount === null) {
+        return res.status(400).json({ error: `plan not available in ${sub.currency.toUpperCase()}` });
+      }
+
+      let proration = { prorationAmount: 0, amountDueNow: 0 };
+      let prorationDate = null;
+      let nextInvoiceAt = sub.current_period_end;
+
+      if (isImmediateChange(change)) {
+        prorationDate = Math.floor(clock.now() / 1000);
+        const preview = await stripe.invoices.retrieveUpcoming({
+          customer: rec.customerId,
+          subscription: sub.id,
+          subscription_items: [{ id: sub.items.data[0].id, price: priceId }],
+          subscription_proration_behavior: 'always_invoice',
+          subscription_proration_date: prorationDate
+        });
+        proration = prorationSummary(preview);
+
+        // The new price's line ends with the period it bills (a new interval restarts the period)
+        const newPriceLine = preview.lines.data.find(line => line.proration && line.price?.id === priceId);
+        nextInvoiceAt = newPriceLine?.period?.end || sub.current_period_end;
+      }
+
+      // Recurring discounts still running at the next invoice apply to it
+      const coupon = sub.discount?.coupon;
+      const discountApplies = coupon && (coupon.duration === 'forever' ||
+        (coupon.duration === 'repeating' && sub.discount.end > nextInvoiceAt));
+
+      res.json({
+        planId,
+        period,
+        change,
+        effective: isImmediateChange(change) ? 'immediate' : 'period_end',
+        effectiveAt: (prorationDate ?? sub.current_period_end) * 1000,
+        currency: sub.currency,
+        ...proration,
+        prorationDate,
+        nextInvoice: {
+          amount: discountApplies ? discountedAmount(coupon, amount) : amount,
+          date: nextInvoiceAt * 1000
+        }
+      });
+    } catch (error) {
+      logger.error('switch preview failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 26) Cancel a scheduled downgrade/period change: the current plan renews as before
+  app.post('/billing/switch/cancel-scheduled', bodyParser.json(), requireAuth, idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      const sub = await findLiveSubscription(rec.customerId);
+      if (!sub || !pendingChangeFromSubscription(sub)) {
+        return res.status(400).json({ error: 'No scheduled plan change to cancel' });
+      }
+
+      const updated = await cancelScheduledChange(uid, sub);
+      const entitlement = entitlementForUpdate(updated, rec);
+      await updateUserEntitlement(uid, entitlement);
+
+      res.json({ ok: true, entitlement });
+    } catch (error) {
+      logger.error('cancel scheduled change failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // Helper: Store a Play subscription purchase as the user's `play` entitlement and
+  // acknowledge it. `event` ({ id, type }) is the notification that reported the change.
+  async function applyPlayPurchase(uid, purchaseToken, purchase, event = null) {
+    const plan = planFromPlayPurchase(purchase);
+    const item = purchase.lineItems?.[0];
+    if (!plan) {
+      logger.error('Play product is not a known plan', { uid, productId: item?.productId, basePlanId: item?.offerDetails?.basePlanId });
+      return { error: 'unknown Google Play product' };
+    }
+
+    const record = await storage.getPlayPurchase(purchaseToken);
+    await storage.setPlayPurchase(purchaseToken, {
+      uid,
+      productId: item.productId,
+      linkedPurchaseToken: purchase.linkedPurchaseToken || null,
+      updatedAt: new Date(clock.now()).toISOString()
+    });
+
+    // Upgrades and resubscriptions replace the linked purchase, which then expires:
+    // the replaced purchase must not overwrite its successor
+    if (purchase.linkedPurchaseToken && (await storage.getPlayPurchase(purchase.linkedPurchaseToken))) {
+      await storage.setPlayPurchase(purchase.linkedPurchaseToken, { replacedBy: purchaseToken });
+    }
+    if (record?.replacedBy) {
+      logger.info('ignoring Play purchase replaced by a newer one', { uid, productId: item.productId });
+      return { entitlement: await getEntitlement(uid, 'play'), acknowledged: false };
+    }
+
+    // Play refunds purchases that are not acknowledged within 3 days
+    let acknowledged = purchase.acknowledgementState === 'ACKNOWLEDGEMENT_STATE_ACKNOWLEDGED';
+    const status = playEntitlementStatus(purchase, clock.now());
+    if (!acknowledged && status !== 'INCOMPLETE' && status !== 'INACTIVE') {
+      await play.acknowledgeSubscription(item.productId, purchaseToken);
+      acknowledged = true;
+    }
+
+    const entitlement = await updateUserEntitlement(
+      uid,
+      entitlementFromPlayPurchase(purchase, plan, purchaseToken, clock.now()),
+      event
+    );
+    return { entitlement, acknowledged };
+  }
+
+  // 27) Verify a Google Play purchase token (after BillingClient's purchase flow or on restore)
+  // and store it as the `play` entitlement. When the user also has a Stripe subscription, the
+  // active entitlement follows the precedence rule in lib/entitlements.js (resolveEntitlement).
+  app.post('/billing/play/verify', bodyParser.json(), requireAuth, validateBody(SCHEMAS.playVerify), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { purchaseToken } = req.body;
+      if (!play) {
+        return res.status(503).json({ error: 'Google Play billing is not configured on this server' });
+      }
+
+      let purchase;
+      try {
+        purchase = await play.getSubscription(purchaseToken);
+      } catch (error) {
+        if ([400, 404, 410].includes(error.statusCode)) {
+          return res.status(400).json({ error: 'invalid purchase token' });
+        }
+        throw error;
+      }
+
+      // The app sets the uid as obfuscatedAccountId; a token already linked to another user stays
+      // theirs (a guest's purchase is linked to the account it was merged into)
+      const owner = purchase.externalAccountIdentifiers?.obfuscatedExternalAccountId;
+      const record = await storage.getPlayPurchase(purchaseToken);
+      const linked = record?.uid || owner;
+      if (record?.accountDeletedAt || (linked && linked !== uid)) {
+        return res.status(403).json({ error: 'this purchase belongs to another account' });
+      }
+
+      const result = await applyPlayPurchase(uid, purchaseToken, purchase);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      const active = await getEntitlement(uid);
+      logger.info('verified Play purchase', { uid, plan: result.entitlement.plan, status: result.entitlement.status });
+      res.json({
+        ok: true,
+        entitlement: result.entitlement,
+        acknowledged: result.acknowledged,
+        activeSource: active?.source || null
+      });
+    } catch (error) {
+      logger.error('Play verify failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 28) Play Real-Time Developer Notifications (Pub/Sub push, `?token=` in the push URL).
+  // Notifications only say that a purchase changed: the purchase is re-read from Play, so
+  // redelivered or out-of-order messages are harmless. A 500 makes Pub/Sub retry.
+  app.post('/billing/play/notifications', requirePushToken, bodyParser.json(), async (req, res) => {
+    let type = 'unknown';
+    const respond = result => {
+      appMetrics.webhookEvent('play', type, result);
+      return res.json({ received: true, result });
+    };
+    try {
+      if (!play) {
+        return res.status(503).json({ error: 'Google Play billing is not configured on this server' });
+      }
+
+      const parsed = parsePlayNotification(req.body);
+      if (!parsed) {
+        return res.status(400).json({ error: 'invalid Pub/Sub message' });
+      }
+
+      const { messageId, notification } = parsed;
+      if (notification.packageName !== play.packageName) {
+        logger.info('ignoring Play notification for another package', { messageId, packageName: notification.packageName });
+        return respond('ignored');
+      }
+      if (notification.testNotification) {
+        logger.info('Play test notification received', { messageId });
+        type = 'TEST';
+        return respond('test');
+      }
+
+      const purchaseToken = notification.subscriptionNotification?.purchaseToken ||
+        notification.voidedPurchaseNotification?.purchaseToken;
+      if (!purchaseToken) {
+        return respond('ignored');
+      }
+
+      type = notification.subscriptionNotification
+        ? PLAY_NOTIFICATION_TYPES[notification.subscriptionNotification.notificationType] || 'SUBSCRIPTION_UNKNOWN'
+        : 'VOIDED_PURCHASE';
+      logger.info('Play notification received', { messageId, type });
+
+      let purchase;
+      try {
+        purchase = await play.getSubscription(purchaseToken);
+      } catch (error) {
+        if ([404, 410].includes(error.statusCode)) {
+          logger.info('Play purchase no longer exists', { messageId, type });
+          return respond('ignored');
+        }
+        throw error;
+      }
+
+      // Purchases are linked to users by /billing/play/verify or the obfuscated account id;
+      // purchases of deleted accounts are not linked again
+      const record = await storage.getPlayPurchase(purchaseToken);
+      if (record?.accountDeletedAt) {
+        logger.info('Play purchase belongs to a deleted account', { messageId, type });
+        return respond('ignored');
+      }
+      const uid = record?.uid || purchase.externalAccountIdentifiers?.obfuscatedExternalAccountId;
+      if (!uid) {
+        logger.info('Play purchase is not linked to a user yet', { messageId, type });
+        return respond('ignored');
+      }
+
+      const result = await applyPlayPurchase(uid, purchaseToken, purchase, { id: messageId, type: `play.${type}` });
+      logger.info('Play notification applied', { messageId, type, uid });
+      respond(result.error ? 'ignored' : 'processed');
+    } catch (error) {
+      logger.error('Play notification processing failed', { type, err: error });
+      appMetrics.webhookEvent('play', type, 'failed');
+      res.status(500).json({ error: 'Notification processing failed' });
+    }
+  });
+
+  // Helper: The team a user owns or belongs to (customer record `team`), or null
+  async function getUserTeam(uid) {
+    const teamId = (await storage.getCustomer(uid))?.team?.teamId;
+    const team = teamId ? await storage.getTeam(teamId) : null;
+    return team?.members[uid] ? team : null;
+  }
+
+  // Helper: The owner's entitlement for a team while it unlocks paid features, or null.
+  // Only the subscription the team follows counts, not a later one of the owner.
+  async function activeTeamEntitlement(team) {
+    const entitlement = await getEntitlement(team.ownerUid, 'stripe');
+    if (entitlement?.teamId !== team.teamId || team.subscriptionId !== entitlement.orderId ||
+        effectivePlan(entitlement, clock.now()) === 'FREE') {
+      return null;
+    }
+    return entitlement;
+  }
+
+  // 29) Start a team: a TEAM subscription billed per seat (`seats` includes the owner).
+  // Payment works like /billing/subscribe; members are invited once it is paid.
+  app.post('/billing/team', bodyParser.json(), requireAuth, validateBody(SCHEMAS.team), idempotent, async (req, res) => {
+    try {
+      const { uid, email } = req.user;
+      const { name, period, seats, promoCode } = req.body;
+
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found, call /billing/bootstrap first' });
+      }
+
+      // TEAM prices are optional in price-ids.*.json (OPTIONAL_PLANS): no team without them
+      const priceId = planToPriceId(TEAM_PLAN_ID, period, isLiveKey);
+      if (!priceId) {
+        return res.status(503).json({ error: 'team plans are not available on this server' });
+      }
+
+      const current = await getUserTeam(uid);
+      if (current && current.ownerUid !== uid && (await activeTeamEntitlement(current))) {
+        return res.status(409).json({ error: 'already a member of a team, leave it first' });
+      }
+      if (await findLiveSubscription(rec.customerId)) {
+        return res.status(409).json({ error: 'already subscribed, cancel the current subscription before starting a team' });
+      }
+      if (await hasPaidPlaySubscription(uid)) {
+        return res.status(409).json({ error: 'already subscribed through Google Play, manage it in the Play Store' });
+      }
+
+      const { currency, error: currencyError } = await resolveCurrency(req, rec, priceId);
+      if (currencyError) {
+        return res.status(400).json({ error: currencyError });
+      }
+
+      const offer = await resolveOffer(rec, { planId: TEAM_PLAN_ID, priceId }, promoCode);
+      if (offer.error) {
+        return res.status(400).json({ error: offer.error });
+      }
+
+      // The team is stored once Stripe has accepted the subscription: a declined card or a
+      // rejected price leaves nothing behind
+      const teamId = newTeamId();
+      const { sub, entitlement } = await createSubscription(
+        uid,
+        rec,
+        { planId: TEAM_PLAN_ID, period, priceId, currency, seats, teamId },
+        offer
+      );
+      const team = await storage.updateTeam(teamId, () => ({
+        ...createTeam({
+          teamId,
+          name,
+          ownerUid: uid,
+          ownerEmail: email,
+          customerId: rec.customerId,
+          seats,
+          now: clock.now()
+        }),
+        subscriptionId: sub.id,
+        status: entitlement.status
+      }));
+      await storage.setCustomer(uid, { team: { teamId, role: 'owner' } });
+
+      logger.info('created team', { uid, teamId, seats, subscriptionId: sub.id });
+      res.json({
+        ok: true,
+        subscriptionId: sub.id,
+        status: sub.status,
+        currency: sub.currency,
+        entitlement,
+        payment: paymentStateForSubscription(sub),
+        team: teamSummary(team, uid, clock.now())
+      });
+    } catch (error) {
+      logger.error('create team failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 30) The caller's team: members, seats and (for the owner) pending invites
+  app.get('/billing/team', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const team = await getUserTeam(uid);
+      res.json({ team: team ? teamSummary(team, uid, clock.now()) : null });
+    } catch (error) {
+      logger.error('get team failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 31) Change the number of seats (owner). Added seats are charged now, prorated to the end of
+  // the period (kept pending until paid, like upgrades); removed seats are credited on the next
+  // invoice. Seats taken by members and open invites cannot be removed.
+  app.post('/billing/team/seats', bodyParser.json(), requireAuth, validateBody(SCHEMAS.teamSeats), idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { seats } = req.body;
+
+      const team = await getUserTeam(uid);
+      if (!team || team.ownerUid !== uid) {
+        return res.status(403).json({ error: 'only the team owner can change seats' });
+      }
+
+      const seatError = seatChangeError(team, seats, clock.now());
+      if (seatError) {
+        return res.status(isValidSeatCount(seats) ? 409 : 400).json({ error: seatError });
+      }
+
+      const sub = team.subscriptionId ? await stripe.subscriptions.retrieve(team.subscriptionId) : null;
+      if (!sub || !LIVE_SUBSCRIPTION_STATUSES.includes(sub.status)) {
+        return res.status(409).json({ error: 'the team subscription is not active' });
+      }
+
+      const rec = await storage.getCustomer(uid);
+      if (seats === seatsOf(sub)) {
+        return res.json({ ok: true, seats, entitlement: entitlementForUpdate(sub, rec), team: teamSummary(team, uid, clock.now()) });
+      }
+
+      const adding = seats > seatsOf(sub);
+      const updated = await stripe.subscriptions.update(sub.id, {
+        items: [{ id: sub.items.data[0].id, quantity: seats }],
+        ...(adding
+          ? { proration_behavior: 'always_invoice', payment_behavior: 'pending_if_incomplete', expand: ['latest_invoice.payment_intent'] }
+          : { proration_behavior: 'create_prorations' })
+      }, stripeIdempotency('subscriptions.update:seats'));
+
+      const payment = adding ? paymentStateForSubscription(updated) : null;
+      if (updated.pending_update) {
+        // The seats are added once the webhook confirms the payment
+        return res.json({
+          ok: true,
+          seats: seatsOf(updated),
+          pendingUpdate: true,
+          entitlement: entitlementForUpdate(updated, rec),
+          payment,
+          team: teamSummary(team, uid, clock.now())
+        });
+      }
+
+      const entitlement = await updateUserEntitlement(uid, entitlementForUpdate(updated, rec));
+      await syncTeam(team.teamId, entitlement);
+      const synced = await storage.getTeam(team.teamId);
+
+      logger.info('changed team seats', { uid, teamId: team.teamId, seats });
+      res.json({ ok: true, seats, entitlement, payment, team: teamSummary(synced, uid, clock.now()) });
+    } catch (error) {
+      logger.error('team seats change failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 32) Invite a member by email (owner). The invite holds a seat until it is accepted,
+  // revoked or expires; the app sends the invitee a link with the teamId and inviteId.
+  app.post('/billing/team/invites', bodyParser.json(), requireAuth, validateBody(SCHEMAS.teamInvite), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { email } = req.body;
+
+      const team = await getUserTeam(uid);
+      if (!team || team.ownerUid !== uid) {
+        return res.status(403).json({ error: 'only the team owner can invite members' });
+      }
+      if (!(await activeTeamEntitlement(team))) {
+        return res.status(409).json({ error: 'the team subscription is not active' });
+      }
+
+      let result;
+      const updated = await storage.updateTeam(team.teamId, current => {
+        result = addInvite(current, email, { inviteId: newInviteId(), now: clock.now() });
+        return result.team || null;
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      logger.info('invited team member', { uid, teamId: team.teamId, inviteId: result.invite.inviteId });
+      res.json({ ok: true, invite: result.invite, team: teamSummary(updated, uid, clock.now()) });
+    } catch (error) {
+      logger.error('team invite failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 33) Revoke a pending invite (owner), freeing its seat
+  app.delete('/billing/team/invites/:inviteId', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+
+      const team = await getUserTeam(uid);
+      if (!team || team.ownerUid !== uid) {
+        return res.status(403).json({ error: 'only the team owner can revoke invites' });
+      }
+
+      let result;
+      const updated = await storage.updateTeam(team.teamId, current => {
+        result = revokeInvite(current, req.params.inviteId, clock.now());
+        return result.team || null;
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({ ok: true, team: teamSummary(updated, uid, clock.now()) });
+    } catch (error) {
+      logger.error('team invite revoke failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 34) Accept an invite: the signed-in account's email must be the invited one. The member's
+  // `team` entitlement follows the owner's subscription from then on (syncTeam).
+  app.post('/billing/team/join', bodyParser.json(), requireAuth, validateBody(SCHEMAS.teamJoin), async (req, res) => {
+    try {
+      const { uid, email } = req.user;
+      const { teamId, inviteId } = req.body;
+
+      const current = await getUserTeam(uid);
+      if (current && current.teamId !== teamId && (await activeTeamEntitlement(current))) {
+        return res.status(409).json({ error: 'already a member of a team, leave it first' });
+      }
+
+      const team = await storage.getTeam(teamId);
+      if (!team) {
+        return res.status(404).json({ error: 'Invite not found or expired' });
+      }
+      const ownerEntitlement = await activeTeamEntitlement(team);
+      if (!ownerEntitlement) {
+        return res.status(409).json({ error: 'the team subscription is not active' });
+      }
+
+      let result;
+      const updated = await storage.updateTeam(teamId, latest => {
+        result = acceptInvite(latest, inviteId, { uid, email, now: clock.now() });
+        return result.team || null;
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await storage.setCustomer(uid, { team: { teamId, role: 'member' } });
+      const entitlement = await updateUserEntitlement(uid, teamEntitlement(ownerEntitlement, updated));
+
+      logger.info('joined team', { uid, teamId });
+      res.json({ ok: true, entitlement, team: teamSummary(updated, uid, clock.now()) });
+    } catch (error) {
+      logger.error('team join failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 35) Remove a member (owner) or leave the team (member). The seat stays paid for until
+  // the owner removes it; the member's team entitlement ends immediately.
+  app.delete('/billing/team/members/:uid', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const memberUid = req.params.uid;
+
+      const team = await getUserTeam(uid);
+      if (!team) {
+        return res.status(404).json({ error: 'not a member of a team' });
+      }
+      if (team.ownerUid !== uid && memberUid !== uid) {
+        return res.status(403).json({ error: 'only the team owner can remove members' });
+      }
+
+      let result;
+      const updated = await storage.updateTeam(team.teamId, current => {
+        result = removeMember(current, memberUid, clock.now());
+        return result.team || null;
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await storage.setCustomer(memberUid, { team: null });
+      const entitlement = await getEntitlement(memberUid, 'team');
+      if (entitlement?.teamId === team.teamId) {
+        await updateUserEntitlement(memberUid, { ...entitlement, status: 'INACTIVE' });
+      }
+
+      logger.info('left team', { uid: memberUid, teamId: team.teamId });
+      res.json({ ok: true, team: memberUid === uid ? null : teamSummary(updated, uid, clock.now()) });
+    } catch (error) {
+      logger.error('team member removal failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 36) Delete the caller's billing data (before the app deletes the Firebase account).
+  // Cancels Stripe subscriptions now (a team's members lose access with it), detaches saved
+  // cards, then deletes the Stripe customer - or only anonymizes it when it has invoices, which
+  // Stripe keeps for accounting. Removes stripe/customer, subscription/current, invoices, usage
+  // and rate limit docs. Play subscriptions can only be canceled in the Play Store:
+  // `playSubscriptionActive` tells the app to send the user there.
+  app.delete('/billing/account', requireAuth, requireRecentLogin, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const rec = await storage.getCustomer(uid);
+      const now = new Date(clock.now()).toISOString();
+
+      // A member leaves their team (an owner's team ends with the subscription below)
+      const team = await getUserTeam(uid);
+      if (team && team.ownerUid !== uid) {
+        await storage.updateTeam(team.teamId, current => removeMember(current, uid, clock.now()).team || null);
+      }
+
+      let subscriptionsCanceled = 0;
+      let paymentMethodsDetached = 0;
+      let customer = null;
+      if (rec?.customerId) {
+        // Unlink first: events caused by the cleanup must not write to the deleted user
+        await stripe.customers.update(rec.customerId, { metadata: { uid: '', deletedAt: now } });
+
+        const subscriptions = await stripe.subscriptions.list({ customer: rec.customerId, status: 'all', limit: 100 });
+        for (const sub of subscriptions.data) {
+          if (TERMINAL_SUBSCRIPTION_STATUSES.includes(sub.status)) continue;
+          const canceled = await stripe.subscriptions.cancel(sub.id);
+          subscriptionsCanceled++;
+
+          const plan = teamIdOf(canceled) && planFromSubscription(canceled, isLiveKey);
+          if (plan) {
+            await syncTeam(teamIdOf(canceled), entitlementFromSubscription(canceled, plan));
+          }
+        }
+
+        const paymentMethods = await stripe.customers.listPaymentMethods(rec.customerId, { limit: 100 });
+        for (const pm of paymentMethods.data) {
+          await stripe.paymentMethods.detach(pm.id);
+          paymentMethodsDetached++;
+        }
+
+        const invoices = await stripe.invoices.list({ customer: rec.customerId, limit: 1 });
+        if (invoices.data.length) {
+          await stripe.customers.update(rec.customerId, { email: '', name: '', phone: '', address: '' });
+          customer = 'anonymized';
+        } else {
+          await stripe.customers.del(rec.customerId);
+          customer = 'deleted';
+        }
+      }
+
+      const playEntitlement = sourceEntitlement(rec, 'play');
+      if (playEntitlement?.purchaseToken) {
+        await storage.setPlayPurchase(playEntitlement.purchaseToken, { uid: null, accountDeletedAt: now });
+      }
+
+      await storage.deleteUser(uid);
+      await usageStore.deleteUser(uid);
+      await rateLimiter.reset(uid);
+      await compGrantIndex.remove(uid);
+
+      logger.info('deleted billing data', { uid, customer: customer || 'none', subscriptionsCanceled });
+      res.json({
+        ok: true,
+        subscriptionsCanceled,
+        paymentMethodsDetached,
+        customer,
+        playSubscriptionActive: effectivePlan(playEntitlement, clock.now()) !== 'FREE'
+      });
+    } catch (error) {
+      logger.error('account deletion failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 37) Move a guest's billing record to the signed-in account (after the app links or merges
+  // the guest). `guestIdToken` proves the caller owns the guest. The guest's Stripe customer
+  // becomes the account's (metadata.uid) unless the account already has one; its entitlements
+  // replace the account's only where those unlock nothing.
+  app.post('/billing/account/merge', bodyParser.json(), requireAuth, validateBody(SCHEMAS.accountMerge), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const guest = await verifyGuestToken(firebaseAuth, req.body.guestIdToken, { logger });
+      if (guest.error) {
+        return res.status(guest.status).json({ error: guest.error });
+      }
+      if (guest.uid === uid) {
+        return res.status(400).json({ error: 'cannot merge an account into itself' });
+      }
+
+      const guestRec = await storage.getCustomer(guest.uid);
+      if (!guestRec) {
+        return res.json({ ok: true, merged: false, entitlement: await getEntitlement(uid) });
+      }
+
+      const rec = await storage.getCustomer(uid);
+      const now = new Date(clock.now()).toISOString();
+      let customerId = rec?.customerId || null;
+      const movedCustomer = Boolean(guestRec.customerId && !customerId);
+      if (movedCustomer) {
+        await stripe.customers.update(guestRec.customerId, { metadata: { uid, mergedFrom: guest.uid } });
+        customerId = guestRec.customerId;
+        await storage.setCustomer(uid, { customerId, createdAt: rec?.createdAt || now });
+
+        // Billing and entitlement history follow the customer
+        let page = await storage.listInvoices(guest.uid, { limit: 100 });
+        while (page.length) {
+          for (const invoice of page) {
+            await storage.setInvoice(uid, invoice.invoiceId, invoice);
+          }
+          page = await storage.listInvoices(guest.uid, { limit: 100, startAfter: page[page.length - 1].invoiceId });
+        }
+        let entries = await storage.listEntitlementHistory(guest.uid, { limit: 100 });
+        while (entries.length) {
+          for (const entry of entries) {
+            await storage.addEntitlementHistory(uid, entry);
+          }
+          entries = await storage.listEntitlementHistory(guest.uid, { limit: 100, startAfter: entries[entries.length - 1].entryId });
+        }
+      } else if (guestRec.customerId) {
+        // One Stripe customer per account: the guest's is retired, unless it still bills
+        if (await findLiveSubscription(guestRec.customerId)) {
+          return res.status(409).json({ error: 'both accounts have a Stripe customer and the guest one is subscribed, cancel one subscription first' });
+        }
+        await stripe.customers.update(guestRec.customerId, { metadata: { uid: '', mergedInto: uid } });
+      }
+
+      // The guest's Stripe entitlement only comes along with its customer. Guests cannot join
+      // teams, and complimentary plans stay with the uid they were granted to.
+      const movedSources = [];
+      for (const source of ENTITLEMENT_SOURCES) {
+        const entitlement = sourceEntitlement(guestRec, source);
+        if (!entitlement || source === 'team' || source === COMP_SOURCE || (source === 'stripe' && !movedCustomer)) continue;
+        if (effectivePlan(sourceEntitlement(rec, source), clock.now()) !== 'FREE') continue;
+
+        await updateUserEntitlement(uid, entitlement);
+        if (source === 'play' && entitlement.purchaseToken) {
+          await storage.setPlayPurchase(entitlement.purchaseToken, { uid });
+        }
+        movedSources.push(source);
+      }
+
+      await storage.deleteUser(guest.uid);
+
+      logger.info('merged guest billing record', { uid, guestUid: guest.uid, movedSources });
+      res.json({
+        ok: true,
+        merged: true,
+        customerId,
+        movedCustomer,
+        movedSources,
+        entitlement: await getEntitlement(uid)
+      });
+    } catch (error) {
+      logger.error('account merge failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 38) Admin: find users by the email of their Stripe customer (support tickets rarely have a uid)
+  app.get('/admin/users', requireAdmin, async (req, res) => {
+    try {
+      const email = typeof req.query.email === 'string' ? req.query.email.trim() : '';
+      if (!email) {
+        return res.status(400).json({ error: 'email required' });
+      }
+
+      const customers = await stripe.customers.list({ email, limit: 20 });
+      await auditLog.record({ action: 'user.search', actor: auditActor(req.admin), details: { email } });
+      res.json({
+        users: customers.data.map(customer => ({
+          uid: customer.metadata?.uid || null,
+          customerId: customer.id,
+          email: customer.email,
+          created: customer.created * 1000
+        }))
+      });
+    } catch (error) {
+      logger.error('admin user search failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 39) Admin: everything billing knows about a user - the stored record and entitlements, the
+  // Stripe customer, its subscriptions and recent invoices (invoiceId is what /refunds takes), and
+  // the latest pauses and cancellations with their reasons (entitlement history)
+  app.get('/admin/users/:uid', requireAdmin, async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const rec = await storage.getCustomer(uid);
+      const customerId = rec?.customerId || (await findStripeCustomer(uid, null))?.id || null;
+
+      let customer = null;
+      let subscriptions = [];
+      let invoices = [];
+      if (customerId) {
+        const stripeCustomer = await stripe.customers.retrieve(customerId);
+        customer = stripeCustomer.deleted
+          ? { customerId, deleted: true }
+          : {
+              customerId,
+              deleted: false,
+              email: stripeCustomer.email || null,
+              name: stripeCustomer.name || null,
+              currency: stripeCustomer.currency || null,
+              defaultPaymentMethod: defaultPaymentMethodId(stripeCustomer),
+              metadata: stripeCustomer.metadata || {},
+              created: stripeCustomer.created * 1000
+            };
+      }
+      if (customer && !customer.deleted) {
+        const subs = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 20 });
+        subscriptions = subs.data.map(sub => {
+          const plan = planFromSubscription(sub, isLiveKey);
+          return {
+            subscriptionId: sub.id,
+            status: sub.status,
+            plan: plan?.planId || null,
+            period: plan?.period || null,
+            seats: seatsOf(sub),
+            teamId: teamIdOf(sub),
+            cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+            paused: Boolean(sub.pause_collection),
+            currentPeriodEnd: sub.current_period_end * 1000,
+            created: sub.created * 1000
+          };
+        });
+        const list = await stripe.invoices.list({ customer: customerId, limit: 20 });
+        invoices = list.data.map(invoice => invoiceRecord(invoice, isLiveKey));
+      }
+
+      await auditLog.record({ action: 'user.lookup', actor: auditActor(req.admin), uid });
+      res.json({
+        uid,
+        entitlement: rec?.activeEntitlement || null,
+        entitlements: Object.fromEntries(
+          ENTITLEMENT_SOURCES.map(source => [source, sourceEntitlement(rec, source)]).filter(([, entitlement]) => entitlement)
+        ),
+        subscription: await storage.getSubscription(uid),
+        team: rec?.team || null,
+        customer,
+        subscriptions,
+        invoices,
+        history: await storage.listEntitlementHistory(uid, { limit: 20 })
+      });
+    } catch (error) {
+      logger.error('admin lookup failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 40) Admin: grant a complimentary plan for `days` days (`source: 'comp'`). It replaces an
+  // earlier grant and ends by itself (lib/comp.js); a paid plan of the same tier stays active.
+  app.post('/admin/users/:uid/comp', bodyParser.json(), requireAdmin, validateBody(SCHEMAS.adminComp), async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const { planId, days, reason } = req.body;
+      const grantError = compGrantError({ planId, days });
+      if (grantError) {
+        return res.status(400).json({ error: grantError });
+      }
+
+      const actor = auditActor(req.admin);
+      const entitlement = await updateUserEntitlement(uid, compEntitlement({
+        planId,
+        days,
+        reason: typeof reason === 'string' ? reason.slice(0, 200) : null,
+        grantedBy: actor,
+        now: clock.now()
+      }));
+      await compGrantIndex.set(uid, { planId, expiresAt: entitlement.expiresAt });
+
+      await auditLog.record({
+        action: 'comp.grant',
+        actor,
+        uid,
+        details: { planId, days, expiresAt: entitlement.expiresAt, reason: entitlement.reason }
+      });
+      res.json({ ok: true, entitlement, activeSource: (await getEntitlement(uid))?.source || null });
+    } catch (error) {
+      logger.error('admin comp grant failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 41) Admin: end a complimentary plan now
+  app.delete('/admin/users/:uid/comp', requireAdmin, async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const current = await getEntitlement(uid, COMP_SOURCE);
+      if (effectivePlan(current, clock.now()) === 'FREE') {
+        return res.status(404).json({ error: 'no active complimentary plan' });
+      }
+
+      const entitlement = await updateUserEntitlement(uid, { ...current, status: 'INACTIVE' });
+      await compGrantIndex.remove(uid);
+
+      await auditLog.record({ action: 'comp.revoke', actor: auditActor(req.admin), uid, details: { planId: current.plan } });
+      res.json({ ok: true, entitlement, activeSource: (await getEntitlement(uid))?.source || null });
+    } catch (error) {
+      logger.error('admin comp revoke failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 42) Admin: refund a paid invoice of the user, fully or `amount` (smallest currency unit).
+  // The subscription is left as it is; cancel it separately if the refund ends the service.
+  app.post('/admin/users/:uid/refunds', bodyParser.json(), requireAdmin, validateBody(SCHEMAS.adminRefund), idempotent, async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const { invoiceId, amount, reason, note } = req.body;
+
+      const rec = await storage.getCustomer(uid);
+      if (!rec?.customerId) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      let invoice;
+      try {
+        invoice = await stripe.invoices.retrieve(invoiceId);
+      } catch (error) {
+        if (error.code !== 'resource_missing') throw error;
+      }
+      if (!invoice || invoice.customer !== rec.customerId) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      if (!invoice.paid || !invoice.payment_intent) {
+        return res.status(409).json({ error: 'this invoice has no payment to refund' });
+      }
+
+      const actor = auditActor(req.admin);
+      let refund;
+      try {
+        refund = await stripe.refunds.create({
+          payment_intent: typeof invoice.payment_intent === 'string' ? invoice.payment_intent : invoice.payment_intent.id,
+          ...(amount != null ? { amount } : {}),
+          ...(reason ? { reason } : {}),
+          metadata: withRequestId({ uid, invoiceId, actor: actor.uid || actor.type })
+        }, stripeIdempotency('refunds.create'));
+      } catch (error) {
+        if (error.type === 'StripeInvalidRequestError') {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      await auditLog.record({
+        action: 'refund.create',
+        actor,
+        uid,
+        details: {
+          invoiceId,
+          refundId: refund.id,
+          amount: refund.amount,
+          currency: refund.currency,
+          reason: reason || null,
+          note: typeof note === 'string' ? note.slice(0, 500) : null
+        }
+      });
+      res.json({
+        ok: true,
+        refund: { refundId: refund.id, amount: refund.amount, currency: refund.currency, status: refund.status }
+      });
+    } catch (error) {
+      logger.error('admin refund failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 43) Admin: resync one user from Stripe (and Google Play), like /billing/reconcile for a
+  // single uid. ?dryRun=true only reports the drift.
+  app.post('/admin/users/:uid/resync', requireAdmin, async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const dryRun = req.query.dryRun === 'true';
+      const report = await reconcileJob.runForUser(uid, { dryRun });
+
+      const playEntitlement = await getEntitlement(uid, 'play');
+      let playStatus = null;
+      if (play && playEntitlement?.purchaseToken && !dryRun) {
+        const purchase = await play.getSubscription(playEntitlement.purchaseToken);
+        playStatus = (await applyPlayPurchase(uid, playEntitlement.purchaseToken, purchase)).entitlement?.status || null;
+      }
+
+      // A team follows its owner's subscription
+      const stripeEntitlement = await getEntitlement(uid, 'stripe');
+      if (stripeEntitlement?.teamId && !dryRun) {
+        await syncTeam(stripeEntitlement.teamId, stripeEntitlement);
+      }
+
+      await auditLog.record({
+        action: 'user.resync',
+        actor: auditActor(req.admin),
+        uid,
+        details: { dryRun, mismatches: report.mismatches.length, fixed: report.fixed.length, playStatus }
+      });
+      res.json({ ok: true, report, playStatus, entitlement: await getEntitlement(uid) });
+    } catch (error) {
+      logger.error('admin resync failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 44) Admin: the audit log, newest first (?uid= for one user, ?limit= up to 200)
+  app.get('/admin/audit', requireAdmin, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+      const uid = typeof req.query.uid === 'string' && req.query.uid ? req.query.uid : null;
+      res.json({ entries: await auditLog.list({ uid, limit }) });
+    } catch (error) {
+      logger.error('admin audit log failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 45) The signed-in user's resolved entitlement: plan and status in their canonical form, the
+  // plan whose limits apply now (`effectivePlan`, FREE past grace or expiry) and those limits
+  app.get('/entitlements/me', requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      res.json({ uid, ...entitlementSummary(await getEntitlement(uid), clock.now()) });
+    } catch (error) {
+      logger.error('entitlement read failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // 46) Pause the subscription: Stripe stops charging (pause_collection, renewals are voided) and
+  // paid features are off (PAUSED) until /billing/resume, or until `resumesAt` (ms, at most
+  // MAX_PAUSE_DAYS ahead) when Stripe resumes it by itself. Team subscriptions cannot be paused.
+  app.post('/billing/pause', bodyParser.json(), requireAuth, validateBody(SCHEMAS.pause), idempotent, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { resumesAt = null } = req.body;
+      if (resumesAt != null) {
+        const dateError = resumeDateError(resumesAt, clock.now());
+        if (dateError) {
+          return res.status(400).json({ error: dateError });
+        }
+      }
+
+      const rec = await getUserRecord(uid);
+      if (!rec) {
+        return res.status(404).json({ error: 'customer not found' });
+      }
+
+      const sub = await findLiveSubscription(rec.customerId);
+      if (!sub) {
+        return res.status(400).json({ error: 'No subscription to pause' });
+      }
+      if (teamIdOf(sub)) {
+        return res.status(409).json({ error: 'team subscriptions cannot be paused' });
+      }
+      if (sub.pause_collection) {
+        return res.status(409).json({ error: 'the subscription is already paused' });
+      }
+      if (sub.status !== 'active') {
+        return res.status(409).json({ error: `a ${sub.status} subscription cannot be paused` });
+      }
+      if (sub.cancel_at_period_end) {
+        return res.status(409).json({ error: 'the subscription ends at period end, resume it first' });
+      }
+
+      // Nothing may switch while billing is off
+      if (scheduleIdOf(sub)) {
+        await cancelScheduledChange(uid, sub);
+      }
+
+      const updated = await stripe.subscriptions.update(sub.id, {
+        pause_collection: {
+          behavior: 'void',
+          ...(resumesAt != null ? { resumes_at: Math.floor(resumesAt / 1000) } : {})
+        }
+      }, stripeIdempotency('subscriptions.update:pause'));
+
+      const entitlement = entitlementForUpdate(updated, rec);
+
+      await updateUserEntitlement(uid, entitlement);
+      await recordEntitlementHistory(uid, { action: 'pause', entitlement });
+
+      logger.info('paused subscription', { uid, subscriptionId: sub.id, resumesAt: resumesAt != null ? new Date(resumesAt).toISOString() : null });
+      res.json({ ok: true, entitlement });
+    } catch (error) {
+      logger.error('pause failed', { err: error });
+      sendError(res, error);
+    }
+  });
+
+  // Bodies that are not JSON, and errors no route caught
+  app.use(createErrorHandler({ logger }));
+
+  return app;
+}
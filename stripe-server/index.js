@@ -1,599 +1,166 @@
 import 'dotenv/config';
-import express from 'express';
 import Stripe from 'stripe';
-import cors from 'cors';
-import bodyParser from 'body-parser';
-import admin from 'firebase-admin';
-import { readFileSync, existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { createLogger } from './lib/logger.js';
+import { createMetrics, instrumentStripe } from './lib/metrics.js';
+import { initFirebase } from './lib/firebase.js';
+import { checkPriceConfig } from './lib/prices.js';
+import { createStorage } from './lib/storage.js';
+import { createReconciler, summarizeReport } from './lib/reconcile.js';
+import { createPlayPublisher } from './lib/play-publisher.js';
+import { createCompGrants, createCompExpiry } from './lib/comp.js';
+import { createApp } from './app.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const isProduction = process.env.NODE_ENV === 'production';
 
-const app = express();
-app.use(cors({ origin: true }));
+// Structured logs: JSON lines in production (LOG_FORMAT=pretty for plain text), secrets redacted.
+// Handed to every module that logs.
+const logger = createLogger({
+  format: process.env.LOG_FORMAT || (isProduction ? 'json' : 'pretty'),
+  level: process.env.LOG_LEVEL || 'info'
+});
 
-// Initialize Stripe
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+// Initialize Stripe (every API call is timed and its errors counted for /metrics)
+const metrics = createMetrics();
+const stripe = instrumentStripe(new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' }), metrics);
 
 // Validate environment
-const isProduction = process.env.NODE_ENV === 'production';
 const isTestKey = process.env.STRIPE_SECRET_KEY?.startsWith('sk_test_');
 const isLiveKey = process.env.STRIPE_SECRET_KEY?.startsWith('sk_live_');
 
-console.log(`\n🚀 Starting Innovexia Stripe Server`);
-console.log(`📍 Environment: ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'}`);
-console.log(`🔑 Stripe Mode: ${isLiveKey ? 'LIVE' : 'TEST'}`);
+logger.info('starting Innovexia Stripe server', {
+  environment: isProduction ? 'production' : 'development',
+  stripeMode: isLiveKey ? 'live' : 'test'
+});
 
 if (isProduction && !isLiveKey) {
-  console.warn('⚠️  WARNING: Running in production mode with TEST Stripe keys!');
+  logger.warn('running in production mode with TEST Stripe keys');
 }
 
-// Initialize Firebase Admin (for Firestore)
-try {
-  // Try to initialize with environment variables first (for production/Render)
-  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_PRIVATE_KEY && process.env.FIREBASE_CLIENT_EMAIL) {
-    admin.initializeApp({
-      credential: admin.credential.cert({
-        projectId: process.env.FIREBASE_PROJECT_ID,
-        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-      })
-    });
-    console.log('✅ Firebase Admin initialized with environment variables');
-  }
-  // Try to find service account file (for local development)
-  else {
-    const serviceAccountPaths = [
-      join(__dirname, 'serviceAccountKey.json'),
-      join(__dirname, '..', 'app', 'google-services.json'),
-    ];
-
-    let initialized = false;
-    for (const path of serviceAccountPaths) {
-      if (existsSync(path)) {
-        try {
-          const serviceAccount = JSON.parse(readFileSync(path, 'utf8'));
-          admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount)
-          });
-          console.log(`✅ Firebase Admin initialized from: ${path}`);
-          initialized = true;
-          break;
-        } catch (err) {
-          // Try next path
-        }
-      }
-    }
-
-    if (!initialized) {
-      console.warn('⚠️  Firebase Admin not initialized - running without Firestore persistence');
-      console.warn('   Subscription data will be stored in memory only (not recommended for production)');
-    }
-  }
-} catch (error) {
-  console.warn('⚠️  Firebase Admin initialization failed:', error.message);
-  console.warn('   Subscription data will be stored in memory only (not recommended for production)');
+// Price IDs come from price-ids.*.json (written by setup-products.js); refuse to start with a broken file
+const priceConfig = checkPriceConfig(isLiveKey);
+priceConfig.warnings.forEach(warning => logger.warn(warning));
+if (priceConfig.errors.length) {
+  priceConfig.errors.forEach(error => logger.error(error));
+  process.exit(1);
 }
 
-const db = admin.apps.length > 0 ? admin.firestore() : null;
-
-// In-memory fallback store (used if Firestore is not available)
-const users = new Map(); // uid -> { customerId, activeEntitlement }
-
-// Map your app plan/period to Stripe price IDs
-// TODO: Update these with your actual Stripe price IDs
-// Run: npm run setup:test (for test mode) or npm run setup:prod (for production)
-function planToPriceId(planId, period) {
-  // Try to load from JSON config first
-  const configFileName = isLiveKey ? 'price-ids.production.json' : 'price-ids.test.json';
-  const configPath = join(__dirname, configFileName);
-
-  if (existsSync(configPath)) {
-    try {
-      const config = JSON.parse(readFileSync(configPath, 'utf8'));
-      return config.priceIds[`${planId}:${period}`];
-    } catch (err) {
-      console.warn('Failed to load price IDs from config file:', err.message);
-    }
-  }
-
-  // Fallback to hardcoded IDs (test mode only)
-  const map = {
-    'PLUS:MONTHLY': 'price_1SG7plRutIy9oqiF45T5OrXR',
-    'PLUS:YEARLY': 'price_1SG7plRutIy9oqiFvzawPEC4',
-    'PRO:MONTHLY': 'price_1SG7plRutIy9oqiFj9mfAMoR',
-    'PRO:YEARLY': 'price_1SG7pmRutIy9oqiFY7obhe66',
-    'MASTER:MONTHLY': 'price_1SG7pmRutIy9oqiFuQKEXvVc',
-    'MASTER:YEARLY': 'price_1SG7pmRutIy9oqiFAdfInzrR',
-  };
-  return map[`${planId}:${period}`];
-}
-
-// Helper: Get or create user record (with Firestore persistence)
-async function getUserRecord(uid, email = null) {
-  // Try Firestore first
-  if (db) {
-    try {
-      const userRef = db.collection('users').doc(uid).collection('stripe').doc('customer');
-      const doc = await userRef.get();
-
-      if (doc.exists) {
-        return doc.data();
-      }
-
-      // Create new customer if needed
-      if (email) {
-        const customer = await stripe.customers.create({
-          email,
-          metadata: { uid }
-        });
-
-        const record = {
-          customerId: customer.id,
-          activeEntitlement: null,
-          createdAt: new Date().toISOString()
-        };
+// Initialize Firebase Admin (for Firestore)
+const { db, auth: firebaseAuth } = initFirebase({ logger });
 
-        await userRef.set(record);
-        return record;
-      }
+// Without Firebase Auth, local mode (development only) trusts the caller's identity
+const allowLocalAuth = !isProduction || process.env.AUTH_MODE === 'local';
 
-      return null;
-    } catch (error) {
-      console.error('Firestore error:', error);
-      // Fall through to in-memory store
-    }
+if (!firebaseAuth) {
+  if (allowLocalAuth) {
+    logger.warn('auth running in LOCAL mode - ID tokens are NOT verified (development only)');
+  } else {
+    logger.warn('auth not configured - billing routes will reject all requests');
   }
-
-  // Fallback to in-memory store
-  let rec = users.get(uid);
-  if (!rec && email) {
-    const customer = await stripe.customers.create({
-      email,
-      metadata: { uid }
-    });
-    rec = { customerId: customer.id, activeEntitlement: null };
-    users.set(uid, rec);
-  }
-  return rec;
 }
 
-// Helper: Update user entitlement (with Firestore persistence)
-async function updateUserEntitlement(uid, entitlement) {
-  // Update Firestore
-  if (db) {
-    try {
-      // Update stripe customer record
-      await db.collection('users').doc(uid).collection('stripe').doc('customer')
-        .set({ activeEntitlement: entitlement }, { merge: true });
-
-      // Also update the main subscription document that the Android app uses
-      await db.collection('users').doc(uid).collection('subscription').doc('current')
-        .set({
-          plan: entitlement.plan,
-          status: entitlement.status,
-          currentPeriodStart: new Date(entitlement.startedAt),
-          currentPeriodEnd: entitlement.renewsAt ? new Date(entitlement.renewsAt) : null,
-          stripeCustomerId: (await getUserRecord(uid))?.customerId,
-          stripeSubscriptionId: entitlement.orderId,
-          updatedAt: new Date()
-        }, { merge: true });
-
-      console.log(`✅ Updated Firestore for user ${uid}`);
-    } catch (error) {
-      console.error('Firestore update error:', error);
-    }
-  }
-
-  // Also update in-memory store
-  const rec = users.get(uid);
-  if (rec) {
-    rec.activeEntitlement = entitlement;
-  }
-}
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Billing records (stripe/customer, subscription/current): Firestore, JSON file or memory
+const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND,
+  db,
+  filePath: process.env.STORAGE_FILE
 });
+logger.info('storage backend selected', { backend: storage.name });
 
-// 1) Bootstrap: Create or fetch Stripe Customer, Ephemeral Key, and SetupIntent
-app.post('/billing/bootstrap', bodyParser.json(), async (req, res) => {
-  try {
-    const { uid, email } = req.body;
-    if (!uid) {
-      return res.status(400).json({ error: 'uid required' });
-    }
-
-    const rec = await getUserRecord(uid, email);
-    if (!rec) {
-      return res.status(500).json({ error: 'Failed to create customer' });
-    }
-
-    const ephemeralKey = await stripe.ephemeralKeys.create(
-      { customer: rec.customerId },
-      { apiVersion: '2024-06-20' }
-    );
-
-    // Use SetupIntent to collect a reusable payment method for subscriptions
-    const setupIntent = await stripe.setupIntents.create({
-      customer: rec.customerId,
-      payment_method_types: ['card'],
-    });
+const PORT = process.env.PORT || 4242;
 
-    res.json({
-      customerId: rec.customerId,
-      ephemeralKeySecret: ephemeralKey.secret,
-      setupIntentClientSecret: setupIntent.client_secret,
-      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+// Days a past-due subscription keeps paid features while Stripe retries the payment
+const gracePeriodDays = Number(process.env.GRACE_PERIOD_DAYS) || undefined;
+
+// Stripe -> storage resync, shared by POST /billing/reconcile and the scheduled job
+const reconciler = createReconciler({ stripe, storage, live: isLiveKey, gracePeriodDays, logger });
+
+// Google Play Billing (PLAY_PACKAGE_NAME, off when unset). The service account defaults to the
+// Firebase Admin one; it must be linked in Play Console.
+const playClientEmail = process.env.PLAY_CLIENT_EMAIL || process.env.FIREBASE_CLIENT_EMAIL;
+const playPrivateKey = (process.env.PLAY_PRIVATE_KEY || process.env.FIREBASE_PRIVATE_KEY)?.replace(/\\n/g, '\n');
+let play = null;
+if (process.env.PLAY_PACKAGE_NAME) {
+  if (playClientEmail && playPrivateKey) {
+    play = createPlayPublisher({
+      packageName: process.env.PLAY_PACKAGE_NAME,
+      clientEmail: playClientEmail,
+      privateKey: playPrivateKey
     });
-  } catch (error) {
-    console.error('Bootstrap error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 2) Create subscription using the saved payment method from PaymentSheet
-app.post('/billing/subscribe', bodyParser.json(), async (req, res) => {
-  try {
-    const { uid, planId, period } = req.body;
-    if (!uid || !planId || !period) {
-      return res.status(400).json({ error: 'uid, planId, period required' });
-    }
-
-    const rec = await getUserRecord(uid);
-    if (!rec) {
-      return res.status(404).json({ error: 'customer not found, call /billing/bootstrap first' });
-    }
-
-    const priceId = planToPriceId(planId, period);
-    if (!priceId) {
-      return res.status(400).json({ error: 'invalid plan/period' });
+    logger.info('Google Play Billing enabled', { packageName: play.packageName });
+    if (!process.env.PLAY_PUSH_TOKEN) {
+      logger.warn('PLAY_PUSH_TOKEN not set - Play notifications will be rejected');
     }
-
-    // Create subscription
-    const sub = await stripe.subscriptions.create({
-      customer: rec.customerId,
-      items: [{ price: priceId }],
-      payment_behavior: 'default_incomplete',
-      expand: ['latest_invoice.payment_intent', 'pending_setup_intent']
-    });
-
-    // Build entitlement response
-    const entitlement = {
-      plan: planId,
-      period,
-      status: 'ACTIVE',
-      startedAt: sub.created * 1000,
-      renewsAt: sub.current_period_end * 1000,
-      source: 'stripe',
-      orderId: sub.id
-    };
-
-    await updateUserEntitlement(uid, entitlement);
-
-    res.json({
-      ok: true,
-      subscriptionId: sub.id,
-      entitlement
-    });
-  } catch (error) {
-    console.error('Subscribe error:', error);
-    res.status(500).json({ error: error.message });
+  } else {
+    logger.warn('PLAY_PACKAGE_NAME set without service account credentials - Play Billing disabled');
   }
-});
-
-// 3) Cancel subscription at period end
-app.post('/billing/cancel', bodyParser.json(), async (req, res) => {
-  try {
-    const { uid } = req.body;
-    const rec = await getUserRecord(uid);
-    if (!rec) {
-      return res.json({ ok: true });
-    }
-
-    const subscriptions = await stripe.subscriptions.list({
-      customer: rec.customerId,
-      status: 'active',
-      limit: 1
-    });
-
-    const sub = subscriptions.data[0];
-    if (!sub) {
-      return res.json({ ok: true });
-    }
-
-    const updated = await stripe.subscriptions.update(sub.id, {
-      cancel_at_period_end: true
-    });
-
-    const entitlement = {
-      ...rec.activeEntitlement,
-      status: 'CANCELED',
-      renewsAt: updated.current_period_end * 1000
-    };
-
-    await updateUserEntitlement(uid, entitlement);
-
-    res.json({ ok: true, entitlement });
-  } catch (error) {
-    console.error('Cancel error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 4) Resume a canceled subscription
-app.post('/billing/resume', bodyParser.json(), async (req, res) => {
-  try {
-    const { uid } = req.body;
-    const rec = await getUserRecord(uid);
-    if (!rec) {
-      return res.status(404).json({ error: 'customer not found' });
-    }
-
-    const subscriptions = await stripe.subscriptions.list({
-      customer: rec.customerId,
-      status: 'active',
-      limit: 1
-    });
-
-    const sub = subscriptions.data[0];
-    if (!sub || !sub.cancel_at_period_end) {
-      return res.status(400).json({ error: 'No canceled subscription to resume' });
-    }
-
-    const updated = await stripe.subscriptions.update(sub.id, {
-      cancel_at_period_end: false
-    });
-
-    const entitlement = {
-      ...rec.activeEntitlement,
-      status: 'ACTIVE',
-      renewsAt: updated.current_period_end * 1000
-    };
-
-    await updateUserEntitlement(uid, entitlement);
+}
 
-    res.json({ ok: true, entitlement });
-  } catch (error) {
-    console.error('Resume error:', error);
-    res.status(500).json({ error: error.message });
+// Complimentary plans granted through the admin API, shared with the expiry job below
+const compGrants = createCompGrants({ db });
+
+const app = createApp({
+  stripe,
+  storage,
+  db,
+  firebaseAuth,
+  reconciler,
+  play,
+  compGrants,
+  metrics,
+  logger,
+  config: {
+    live: isLiveKey,
+    secretKeyMode: isLiveKey ? 'live' : (isTestKey ? 'test' : null),
+    production: isProduction,
+    allowLocalAuth,
+    adminApiKey: process.env.ADMIN_API_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+    baseUrl: process.env.BASE_URL || `http://localhost:${PORT}`,
+    appDeepLinkScheme: process.env.APP_DEEP_LINK_SCHEME || 'innovexia',
+    allowedRedirectOrigins: (process.env.ALLOWED_REDIRECT_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean),
+    checkoutSuccessUrl: process.env.CHECKOUT_SUCCESS_URL,
+    checkoutCancelUrl: process.env.CHECKOUT_CANCEL_URL,
+    portalReturnUrl: process.env.PORTAL_RETURN_URL,
+    gracePeriodDays,
+    playPushToken: process.env.PLAY_PUSH_TOKEN,
+    metricsToken: process.env.METRICS_TOKEN
   }
 });
 
-// 5) Switch/Upgrade plan
-app.post('/billing/switch', bodyParser.json(), async (req, res) => {
-  try {
-    const { uid, planId, period } = req.body;
-    if (!uid || !planId || !period) {
-      return res.status(400).json({ error: 'uid, planId, period required' });
-    }
-
-    const rec = await getUserRecord(uid);
-    if (!rec) {
-      return res.status(404).json({ error: 'customer not found' });
-    }
-
-    const newPriceId = planToPriceId(planId, period);
-    if (!newPriceId) {
-      return res.status(400).json({ error: 'invalid plan/period' });
-    }
-
-    // Get current active subscription
-    const subscriptions = await stripe.subscriptions.list({
-      customer: rec.customerId,
-      status: 'active',
-      limit: 1
-    });
-
-    const currentSub = subscriptions.data[0];
-
-    if (!currentSub) {
-      // No active subscription - create new one
-      const sub = await stripe.subscriptions.create({
-        customer: rec.customerId,
-        items: [{ price: newPriceId }],
-        payment_behavior: 'default_incomplete',
-        expand: ['latest_invoice.payment_intent', 'pending_setup_intent']
-      });
-
-      const entitlement = {
-        plan: planId,
-        period,
-        status: 'ACTIVE',
-        startedAt: sub.created * 1000,
-        renewsAt: sub.current_period_end * 1000,
-        source: 'stripe',
-        orderId: sub.id
-      };
-
-      await updateUserEntitlement(uid, entitlement);
-
-      return res.json({
-        ok: true,
-        subscriptionId: sub.id,
-        entitlement
-      });
-    }
-
-    // Update existing subscription
-    const updated = await stripe.subscriptions.update(currentSub.id, {
-      items: [{
-        id: currentSub.items.data[0].id,
-        price: newPriceId,
-      }],
-      proration_behavior: 'always_invoice', // Prorate the difference
-    });
-
-    const entitlement = {
-      plan: planId,
-      period,
-      status: updated.cancel_at_period_end ? 'CANCELED' : 'ACTIVE',
-      startedAt: updated.created * 1000,
-      renewsAt: updated.current_period_end * 1000,
-      source: 'stripe',
-      orderId: updated.id
-    };
-
-    await updateUserEntitlement(uid, entitlement);
-
-    res.json({
-      ok: true,
-      subscriptionId: updated.id,
-      entitlement
-    });
-  } catch (error) {
-    console.error('Switch error:', error);
-    res.status(500).json({ error: error.message });
-  }
+app.listen(PORT, () => {
+  logger.info('Innovexia Stripe server running', {
+    port: Number(PORT),
+    baseUrl: process.env.BASE_URL || `http://localhost:${PORT}`,
+    publishableKeyPrefix: process.env.STRIPE_PUBLISHABLE_KEY?.substring(0, 20) || null
+  });
 });
 
-// 6) Restore purchases (fetch current subscription state)
-app.post('/billing/restore', bodyParser.json(), async (req, res) => {
-  try {
-    const { uid } = req.body;
-    const rec = await getUserRecord(uid);
-    if (!rec) {
-      return res.json({ entitlement: null });
-    }
-
-    const subscriptions = await stripe.subscriptions.list({
-      customer: rec.customerId,
-      status: 'active',
-      limit: 1
-    });
-
-    const sub = subscriptions.data[0];
-    if (!sub) {
-      return res.json({ entitlement: null });
+// Scheduled reconciliation (RECONCILE_INTERVAL_MINUTES, off when unset)
+const reconcileIntervalMinutes = Number(process.env.RECONCILE_INTERVAL_MINUTES) || 0;
+if (reconcileIntervalMinutes > 0) {
+  logger.info('scheduled reconciliation enabled', { intervalMinutes: reconcileIntervalMinutes });
+  setInterval(async () => {
+    if (reconciler.isRunning()) return;
+    try {
+      const report = await reconciler.run();
+      logger.info(`reconciliation ${summarizeReport(report)}`);
+    } catch (error) {
+      logger.error('scheduled reconciliation failed', { err: error });
     }
+  }, reconcileIntervalMinutes * 60 * 1000).unref();
+}
 
-    // Parse plan from subscription metadata or price
-    const entitlement = {
-      plan: rec.activeEntitlement?.plan || 'UNKNOWN',
-      period: rec.activeEntitlement?.period || 'MONTHLY',
-      status: sub.cancel_at_period_end ? 'CANCELED' : 'ACTIVE',
-      startedAt: sub.created * 1000,
-      renewsAt: sub.current_period_end * 1000,
-      source: 'stripe',
-      orderId: sub.id
-    };
-
-    await updateUserEntitlement(uid, entitlement);
-    res.json({ entitlement });
-  } catch (error) {
-    console.error('Restore error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// 7) Webhook endpoint (for production - handle subscription lifecycle events)
-app.post('/billing/webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
-  } catch (err) {
-    console.error('⚠️  Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  console.log(`📥 Webhook received: ${event.type}`);
-
-  // Handle the event
+// Complimentary plans stop unlocking features at expiresAt; this writes them INACTIVE
+const compExpiry = createCompExpiry({ storage, grants: compGrants, logger });
+setInterval(async () => {
   try {
-    switch (event.type) {
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        const customerId = subscription.customer;
-
-        // Find user by customer ID
-        const customer = await stripe.customers.retrieve(customerId);
-        const uid = customer.metadata?.uid;
-
-        if (uid) {
-          const entitlement = {
-            plan: 'UNKNOWN', // Would need to map price ID back to plan
-            period: subscription.items.data[0].price.recurring?.interval === 'year' ? 'YEARLY' : 'MONTHLY',
-            status: subscription.cancel_at_period_end ? 'CANCELED' : subscription.status.toUpperCase(),
-            startedAt: subscription.created * 1000,
-            renewsAt: subscription.current_period_end * 1000,
-            source: 'stripe',
-            orderId: subscription.id
-          };
-
-          await updateUserEntitlement(uid, entitlement);
-          console.log(`✅ Updated subscription for user ${uid}`);
-        }
-        break;
-      }
-
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        const customerId = subscription.customer;
-
-        const customer = await stripe.customers.retrieve(customerId);
-        const uid = customer.metadata?.uid;
-
-        if (uid && db) {
-          // Mark subscription as inactive
-          await db.collection('users').doc(uid).collection('subscription').doc('current')
-            .update({
-              status: 'INACTIVE',
-              updatedAt: new Date()
-            });
-          console.log(`✅ Marked subscription as deleted for user ${uid}`);
-        }
-        break;
-      }
-
-      case 'invoice.paid': {
-        const invoice = event.data.object;
-        console.log(`✅ Invoice paid: ${invoice.id} for customer ${invoice.customer}`);
-        break;
-      }
-
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        const customerId = invoice.customer;
-
-        const customer = await stripe.customers.retrieve(customerId);
-        const uid = customer.metadata?.uid;
-
-        if (uid && db) {
-          // Put subscription in grace period
-          await db.collection('users').doc(uid).collection('subscription').doc('current')
-            .update({
-              status: 'PAST_DUE',
-              updatedAt: new Date()
-            });
-          console.log(`⚠️  Payment failed for user ${uid}, set to PAST_DUE`);
-        }
-        break;
-      }
-
-      default:
-        console.log(`ℹ️  Unhandled event type: ${event.type}`);
-    }
+    const expired = await compExpiry.run();
+    if (expired.length) logger.info('expired complimentary plans', { count: expired.length });
   } catch (error) {
-    console.error('❌ Error processing webhook:', error);
-    return res.status(500).json({ error: 'Webhook processing failed' });
+    logger.error('complimentary plan expiry failed', { err: error });
   }
-
-  res.json({ received: true });
-});
-
-const PORT = process.env.PORT || 4242;
-app.listen(PORT, () => {
-  console.log(`🚀 Innovexia Stripe server running on port ${PORT}`);
-  console.log(`📍 Base URL: ${process.env.BASE_URL || `http://localhost:${PORT}`}`);
-  console.log(`🔑 Using publishable key: ${process.env.STRIPE_PUBLISHABLE_KEY?.substring(0, 20)}...`);
-});
+}, 15 * 60 * 1000).unref();
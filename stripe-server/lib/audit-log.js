@@ -0,0 +1,77 @@
+// Admin audit log
+// Every admin route (lookups included) records who did what to which user, so support actions
+// on billing can be traced without the Stripe dashboard.
+//
+// Firestore layout (an in-memory array when Firestore is unavailable):
+//   admin_audit/{entryId}   - { entryId, action, actor, uid, details, at }
+
+import { randomBytes } from 'crypto';
+import { consoleLogger } from './logger.js';
+
+const AUDIT = 'admin_audit';
+
+/**
+ * Who performed an admin action, as stored in the log: the API key or a user with the
+ * `admin` custom claim (req.admin, see createAdminMiddleware)
+ */
+export function auditActor(admin) {
+  return admin?.uid ? { type: 'user', uid: admin.uid, email: admin.email || null } : { type: 'api_key' };
+}
+
+/**
+ * Create the audit log.
+ *
+ * @param {object} options
+ * @param {object|null} options.db - Firestore instance, null to use the in-memory store
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ * @param {object} [options.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function createAuditLog({ db, clock = Date, logger = consoleLogger }) {
+  const memoryEntries = [];
+  let sequence = 0;
+
+  /**
+   * Append an entry: `action` (e.g. 'comp.grant'), the `actor`, the target `uid` and `details`
+   */
+  async function record({ action, actor, uid = null, details = {} }) {
+    const entry = {
+      // Sorts by time, then by order within this process
+      entryId: [
+        String(clock.now()).padStart(15, '0'),
+        String(sequence++ % 1e6).padStart(6, '0'),
+        randomBytes(4).toString('hex')
+      ].join('-'),
+      action,
+      actor,
+      uid,
+      details,
+      at: new Date(clock.now()).toISOString()
+    };
+
+    if (db) {
+      await db.collection(AUDIT).doc(entry.entryId).set(entry);
+    } else {
+      memoryEntries.push(entry);
+    }
+    logger.info('admin action', { action, uid, actor: actor.type === 'user' ? actor.uid : 'api_key' });
+    return entry;
+  }
+
+  /**
+   * Newest entries first, optionally for one target user
+   */
+  async function list({ uid = null, limit = 50 } = {}) {
+    if (db) {
+      let query = db.collection(AUDIT);
+      if (uid) query = query.where('uid', '==', uid);
+      const snapshot = await query.orderBy('entryId', 'desc').limit(limit).get();
+      return snapshot.docs.map(doc => doc.data());
+    }
+    return [...memoryEntries]
+      .reverse()
+      .filter(entry => !uid || entry.uid === uid)
+      .slice(0, limit);
+  }
+
+  return { record, list };
+}
@@ -0,0 +1,228 @@
+import { timingSafeEqual } from 'crypto';
+import { consoleLogger } from './logger.js';
+
+// Authentication middleware for billing routes
+// Verifies the Firebase ID token sent as `Authorization: Bearer <idToken>`
+// and exposes the verified identity as `req.user = { uid, email, authTime }`.
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Decode a JWT payload WITHOUT verifying its signature.
+ * Only used in local development mode where Firebase Admin is not configured.
+ */
+function decodeUnverified(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Create the auth middleware.
+ *
+ * @param {object} options
+ * @param {object|null} options.firebaseAuth - firebase-admin Auth instance (admin.auth()), null if not configured
+ * @param {boolean} options.allowLocal - accept unverified identities when Firebase Admin is not configured (development only)
+ * @param {object} [options.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function createAuthMiddleware({ firebaseAuth, allowLocal = false, logger = consoleLogger }) {
+  return async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+
+    // Local development mode: no way to verify tokens, trust the caller
+    if (!firebaseAuth) {
+      if (!allowLocal) {
+        return res.status(503).json({ error: 'Authentication is not configured on this server' });
+      }
+
+      const claims = token ? decodeUnverified(token) : null;
+      const uid = claims?.user_id || claims?.sub || req.body?.uid || req.headers['x-debug-uid'];
+      if (!uid) {
+        return res.status(401).json({ error: 'Missing bearer token' });
+      }
+      if (claims?.firebase?.sign_in_provider === 'anonymous') {
+        return res.status(403).json({ error: 'Guest accounts cannot manage subscriptions. Please sign in.' });
+      }
+
+      req.user = { uid, email: claims?.email || req.body?.email || null, local: true };
+      return next();
+    }
+
+    if (!token) {
+      return res.status(401).json({ error: 'Missing bearer token' });
+    }
+
+    let decoded;
+    try {
+      decoded = await firebaseAuth.verifyIdToken(token);
+    } catch (err) {
+      const expired = err.code === 'auth/id-token-expired';
+      logger.warn('ID token rejected', { code: err.code || null, error: err.message });
+      return res.status(401).json({ error: expired ? 'ID token expired' : 'Invalid ID token' });
+    }
+
+    if (decoded.firebase?.sign_in_provider === 'anonymous') {
+      return res.status(403).json({ error: 'Guest accounts cannot manage subscriptions. Please sign in.' });
+    }
+
+    req.user = { uid: decoded.uid, email: decoded.email || null, authTime: decoded.auth_time ?? null };
+    next();
+  };
+}
+
+/**
+ * Create a middleware for destructive routes (account deletion), used after requireAuth.
+ * Only admits verified ID tokens whose sign-in (`auth_time`) is at most `maxAgeSeconds` old,
+ * the same rule Firebase applies before deleting a user.
+ *
+ * @param {object} [options]
+ * @param {{ now: () => number }} [options.clock] - time source (ms), defaults to Date
+ * @param {number} [options.maxAgeSeconds]
+ */
+export function createRecentLoginMiddleware({ clock = Date, maxAgeSeconds = 5 * 60 } = {}) {
+  return function requireRecentLogin(req, res, next) {
+    if (req.user.local) {
+      return res.status(403).json({ error: 'This action requires a verified sign-in' });
+    }
+    if (!req.user.authTime || clock.now() / 1000 - req.user.authTime > maxAgeSeconds) {
+      return res.status(401).json({ error: 'Please sign in again to continue (requires-recent-login)' });
+    }
+    next();
+  };
+}
+
+/**
+ * Verify the ID token of a guest (anonymous) account, e.g. to merge it into the signed-in one.
+ * Returns { uid } or { error, status }. Rejected tokens are logged with `logger`.
+ */
+export async function verifyGuestToken(firebaseAuth, token, { logger = consoleLogger } = {}) {
+  if (!firebaseAuth) {
+    return { error: 'Authentication is not configured on this server', status: 503 };
+  }
+  if (!token || typeof token !== 'string') {
+    return { error: 'guestIdToken required', status: 400 };
+  }
+
+  let decoded;
+  try {
+    decoded = await firebaseAuth.verifyIdToken(token);
+  } catch (err) {
+    logger.warn('guest ID token rejected', { code: err.code || null, error: err.message });
+    return { error: 'Invalid guest ID token', status: 401 };
+  }
+  if (decoded.firebase?.sign_in_provider !== 'anonymous') {
+    return { error: 'guestIdToken must belong to a guest account', status: 400 };
+  }
+  return { uid: decoded.uid };
+}
+
+/**
+ * Create a middleware that only admits requests carrying the server's admin API key
+ * (`X-Admin-Key` header). Used for operational routes such as webhook replay.
+ */
+export function createAdminKeyMiddleware(apiKey) {
+  return function requireAdminKey(req, res, next) {
+    if (!apiKey) {
+      return res.status(503).json({ error: 'Admin API is not configured on this server' });
+    }
+    if (!secretsMatch(req.headers['x-admin-key'], apiKey)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  };
+}
+
+/**
+ * Create a middleware for Pub/Sub push endpoints: the push subscription's URL carries a
+ * shared secret as `?token=` (Play Real-Time Developer Notifications).
+ */
+export function createPushTokenMiddleware(token) {
+  return function requirePushToken(req, res, next) {
+    if (!token) {
+      return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+    }
+    if (!secretsMatch(req.query.token, token)) {
+      return res.status(403).json({ error: 'Invalid push token' });
+    }
+    next();
+  };
+}
+
+/**
+ * Create a middleware for GET /metrics: Prometheus sends `Authorization: Bearer <token>`.
+ * Without a token configured the metrics are public (they hold no user data).
+ */
+export function createMetricsTokenMiddleware(token) {
+  return function requireMetricsToken(req, res, next) {
+    if (!token) return next();
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ') || !secretsMatch(header.slice('Bearer '.length), token)) {
+      return res.status(401).json({ error: 'Metrics token required' });
+    }
+    next();
+  };
+}
+
+/**
+ * Create a middleware for the support/admin API. Admits the server's admin API key
+ * (`X-Admin-Key`) or a verified Firebase ID token whose user has the `admin` custom claim
+ * (set with firebase-admin's setCustomUserClaims). Exposes the caller as
+ * `req.admin = { uid, email }` (both null for the API key).
+ *
+ * @param {object} options
+ * @param {string|null} options.apiKey - admin API key, null if not configured
+ * @param {object|null} options.firebaseAuth - firebase-admin Auth instance, null if not configured
+ * @param {object} [options.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function createAdminMiddleware({ apiKey, firebaseAuth, logger = consoleLogger }) {
+  return async function requireAdmin(req, res, next) {
+    if (!apiKey && !firebaseAuth) {
+      return res.status(503).json({ error: 'Admin API is not configured on this server' });
+    }
+
+    if (req.headers['x-admin-key'] !== undefined) {
+      if (!apiKey || !secretsMatch(req.headers['x-admin-key'], apiKey)) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      req.admin = { uid: null, email: null };
+      return next();
+    }
+
+    const token = getBearerToken(req);
+    if (!token || !firebaseAuth) {
+      return res.status(401).json({ error: 'Missing admin credentials' });
+    }
+
+    let decoded;
+    try {
+      decoded = await firebaseAuth.verifyIdToken(token);
+    } catch (err) {
+      logger.warn('admin ID token rejected', { code: err.code || null, error: err.message });
+      return res.status(401).json({ error: 'Invalid ID token' });
+    }
+    if (decoded.admin !== true) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    req.admin = { uid: decoded.uid, email: decoded.email || null };
+    next();
+  };
+}
+
+// Constant-time comparison of a provided secret with the expected one
+function secretsMatch(provided, expected) {
+  const a = Buffer.from(String(provided || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
@@ -0,0 +1,110 @@
+// Pausing and canceling subscriptions
+// A pause stops billing with Stripe's `pause_collection` (invoices are voided) and turns paid
+// features off (entitlement status PAUSED) until the user resumes, or until `resumes_at`.
+// Canceling either ends the subscription at period end, or now with a refund of the unused time.
+// Each pause, resume and cancel is recorded in the user's entitlement history, with the reason and
+// feedback the user gave for canceling.
+//
+// Firestore layout:
+//   users/{uid}/entitlement_history/{entryId}
+//     { entryId, action: 'pause'|'resume'|'cancel', mode, plan, status, reason, feedback, refund, resumesAt, at }
+
+import { randomBytes } from 'crypto';
+
+// Stripe's cancellation_details.feedback values
+export const CANCELLATION_REASONS = [
+  'customer_service',
+  'low_quality',
+  'missing_features',
+  'other',
+  'switched_service',
+  'too_complex',
+  'too_expensive',
+  'unused'
+];
+
+// period_end: paid features stay on until the paid period ends (resumable until then)
+// immediate: the subscription ends now and the unused time is refunded
+export const CANCEL_MODES = ['period_end', 'immediate'];
+
+// Longest pause a user can choose; a pause without a date lasts until /billing/resume
+export const MAX_PAUSE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Problem with a requested resume date (ms), or null when it can be used
+ */
+export function resumeDateError(resumesAt, now = Date.now()) {
+  if (resumesAt <= now) return 'resumesAt must be in the future';
+  if (resumesAt > now + MAX_PAUSE_DAYS * DAY_MS) return `a pause can last at most ${MAX_PAUSE_DAYS} days`;
+  return null;
+}
+
+/**
+ * Stripe's cancellation_details for a reason and free-text feedback (both optional)
+ */
+export function cancellationDetails({ reason, feedback } = {}) {
+  return {
+    ...(reason ? { feedback: reason } : {}),
+    ...(feedback ? { comment: feedback } : {})
+  };
+}
+
+/**
+ * Value of the unused time on a subscription's paid invoices at `nowSeconds`, per payment:
+ * [{ invoiceId, paymentIntentId, amount, currency }].
+ * Each line is prorated over its own service period (renewals, and the prorations of a mid-period
+ * plan change), and the share of the invoice still unused is applied to what was actually paid,
+ * so discounts and taxes are refunded in proportion.
+ */
+export function unusedTimeRefunds(invoices, nowSeconds) {
+  const refunds = [];
+  for (const invoice of invoices) {
+    if (!invoice.paid || !invoice.amount_paid || !invoice.payment_intent) continue;
+
+    const lines = invoice.lines?.data || [];
+    const charged = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (charged <= 0) continue;
+
+    const unused = lines.reduce((sum, line) => {
+      const { start, end } = line.period || {};
+      if (!end || end <= nowSeconds || end <= start) return sum;
+      return sum + line.amount * (end - Math.max(start, nowSeconds)) / (end - start);
+    }, 0);
+    const amount = Math.min(invoice.amount_paid, Math.round(invoice.amount_paid * unused / charged));
+    if (amount <= 0) continue;
+
+    refunds.push({
+      invoiceId: invoice.id,
+      paymentIntentId: typeof invoice.payment_intent === 'string' ? invoice.payment_intent : invoice.payment_intent.id,
+      amount,
+      currency: invoice.currency
+    });
+  }
+  return refunds;
+}
+
+let sequence = 0;
+
+/**
+ * Entitlement history entry for `action` at `now`. IDs sort by time, then by order within this process.
+ */
+export function historyEntry({ action, mode = null, plan = null, status = null, reason = null, feedback = null, refund = null, resumesAt = null }, now = Date.now()) {
+  return {
+    entryId: [
+      String(now).padStart(15, '0'),
+      String(sequence++ % 1e6).padStart(6, '0'),
+      randomBytes(4).toString('hex')
+    ].join('-'),
+    action,
+    mode,
+    plan,
+    status,
+    reason,
+    feedback,
+    refund,
+    resumesAt,
+    at: new Date(now).toISOString()
+  };
+}
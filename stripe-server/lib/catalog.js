@@ -0,0 +1,350 @@
+// Product catalog: catalog.json is the source of truth for plans and prices
+// `planCatalog` compares it with Stripe and returns the changes needed; `applyCatalog`
+// makes them. Each price carries a lookup key (`<prefix>_<plan>_<period>`): changing a
+// price creates a new one, moves the lookup key to it and archives the old price, so
+// existing subscribers keep their price and new ones get the catalog's.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { listAll } from './paginate.js';
+import { PLAN_FEATURES } from './plan-features.js';
+
+export const DEFAULT_CATALOG_FILE = join(dirname(dirname(fileURLToPath(import.meta.url))), 'catalog.json');
+
+const PERIOD_INTERVALS = { MONTHLY: 'month', YEARLY: 'year' };
+const CURRENCY_PATTERN = /^[a-z]{3}$/;
+const MAX_TRIAL_DAYS = 730; // Stripe's limit
+
+/**
+ * Read catalog.json (throws if the file is missing or not JSON)
+ */
+export function loadCatalog(path = DEFAULT_CATALOG_FILE) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Check a catalog for mistakes. Returns a list of errors (empty when valid).
+ */
+export function validateCatalog(catalog) {
+  const errors = [];
+
+  if (!Number.isInteger(catalog?.version) || catalog.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+  if (!Array.isArray(catalog?.products) || catalog.products.length === 0) {
+    errors.push('products must be a non-empty array');
+    return errors;
+  }
+
+  const planIds = new Set();
+  for (const [index, product] of catalog.products.entries()) {
+    const where = `products[${index}]${product?.planId ? ` (${product.planId})` : ''}`;
+
+    if (!PLAN_FEATURES[product.planId] || product.planId === 'FREE') {
+      errors.push(`${where}: planId must be one of ${Object.keys(PLAN_FEATURES).filter(id => id !== 'FREE').join(', ')}`);
+    } else if (planIds.has(product.planId)) {
+      errors.push(`${where}: duplicate planId`);
+    }
+    planIds.add(product.planId);
+
+    if (!product.name || typeof product.name !== 'string') {
+      errors.push(`${where}: name is required`);
+    }
+    if (!Number.isInteger(product.trialDays) || product.trialDays < 0 || product.trialDays > MAX_TRIAL_DAYS) {
+      errors.push(`${where}: trialDays must be an integer between 0 and ${MAX_TRIAL_DAYS}`);
+    }
+    if (product.features !== undefined &&
+        (!Array.isArray(product.features) || product.features.some(f => typeof f !== 'string' || !f))) {
+      errors.push(`${where}: features must be a list of strings`);
+    }
+    if (!Array.isArray(product.prices) || product.prices.length === 0) {
+      errors.push(`${where}: prices must be a non-empty array`);
+      continue;
+    }
+
+    const periods = new Set();
+    for (const price of product.prices) {
+      const priceWhere = `${where} ${price.period || 'price'}`;
+      if (!PERIOD_INTERVALS[price.period]) {
+        errors.push(`${priceWhere}: period must be MONTHLY or YEARLY`);
+      } else if (periods.has(price.period)) {
+        errors.push(`${priceWhere}: duplicate period`);
+      } else if (price.interval !== PERIOD_INTERVALS[price.period]) {
+        errors.push(`${priceWhere}: interval must be "${PERIOD_INTERVALS[price.period]}"`);
+      }
+      periods.add(price.period);
+
+      if (!CURRENCY_PATTERN.test(price.currency || '')) {
+        errors.push(`${priceWhere}: currency must be a lowercase ISO code like "usd"`);
+      }
+      if (!Number.isInteger(price.amount) || price.amount <= 0) {
+        errors.push(`${priceWhere}: amount must be a positive integer (smallest currency unit)`);
+      }
+      for (const [currency, amount] of Object.entries(price.currencyOptions || {})) {
+        if (!CURRENCY_PATTERN.test(currency) || currency === price.currency) {
+          errors.push(`${priceWhere}: invalid currencyOptions currency "${currency}"`);
+        }
+        if (!Number.isInteger(amount) || amount <= 0) {
+          errors.push(`${priceWhere}: currencyOptions.${currency} must be a positive integer`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Lookup key of a catalog price, e.g. "innovexia_pro_monthly"
+ */
+export function lookupKeyFor(catalog, planId, period) {
+  return `${catalog.lookupKeyPrefix || 'innovexia'}_${planId}_${period}`.toLowerCase();
+}
+
+function productParams(product) {
+  return {
+    name: product.name,
+    description: product.description || '',
+    marketing_features: (product.features || []).map(name => ({ name })),
+    metadata: { planId: product.planId, trialDays: String(product.trialDays) }
+  };
+}
+
+function priceParams(catalog, product, price) {
+  const currencyOptions = Object.entries(price.currencyOptions || {});
+  return {
+    unit_amount: price.amount,
+    currency: price.currency,
+    recurring: { interval: price.interval },
+    ...(currencyOptions.length
+      ? { currency_options: Object.fromEntries(currencyOptions.map(([currency, amount]) => [currency, { unit_amount: amount }])) }
+      : {}),
+    lookup_key: lookupKeyFor(catalog, product.planId, price.period),
+    metadata: { planId: product.planId, period: price.period }
+  };
+}
+
+// Product fields that differ from the catalog, as [field, current, desired]
+function productDiff(existing, desired) {
+  const diff = [];
+  if (existing.name !== desired.name) diff.push(['name', existing.name, desired.name]);
+  if ((existing.description || '') !== desired.description) diff.push(['description', existing.description || '', desired.description]);
+
+  const features = (existing.marketing_features || []).map(f => f.name);
+  const desiredFeatures = desired.marketing_features.map(f => f.name);
+  if (JSON.stringify(features) !== JSON.stringify(desiredFeatures)) diff.push(['features', features, desiredFeatures]);
+
+  for (const [key, value] of Object.entries(desired.metadata)) {
+    if (existing.metadata?.[key] !== value) diff.push([`metadata.${key}`, existing.metadata?.[key] ?? null, value]);
+  }
+  return diff;
+}
+
+// Amounts per currency of a Stripe price or price params: { usd: 999, eur: 999 }
+function priceAmounts(price) {
+  const amounts = { [price.currency]: price.unit_amount };
+  for (const [currency, option] of Object.entries(price.currency_options || {})) {
+    if (currency !== price.currency) amounts[currency] = option.unit_amount;
+  }
+  return amounts;
+}
+
+// Fields that cannot change on an existing price (a new price is needed)
+function priceDiff(existing, desired) {
+  const diff = [];
+  if (existing.recurring?.interval !== desired.recurring.interval) {
+    diff.push(['interval', existing.recurring?.interval ?? null, desired.recurring.interval]);
+  }
+
+  const current = priceAmounts(existing);
+  const wanted = priceAmounts(desired);
+  if (existing.currency !== desired.currency) diff.push(['currency', existing.currency, desired.currency]);
+  for (const currency of new Set([...Object.keys(current), ...Object.keys(wanted)])) {
+    if (current[currency] !== wanted[currency]) {
+      diff.push([`amount.${currency}`, current[currency] ?? null, wanted[currency] ?? null]);
+    }
+  }
+  return diff;
+}
+
+/**
+ * Compare the catalog with Stripe (read-only).
+ * Returns { changes, priceIds, trialDays, unmanaged }:
+ *   changes   - ordered list of { type, planId, key?, ... } to apply
+ *   priceIds  - `plan:period -> priceId` for prices that already match (null where one will be created)
+ *   unmanaged - active Stripe products with a planId that is not in the catalog (reported, never archived)
+ */
+export async function planCatalog(stripe, catalog) {
+  const products = await listAll(params => stripe.products.list(params), { active: true });
+  const changes = [];
+  const priceIds = {};
+  const trialDays = {};
+
+  for (const product of catalog.products) {
+    const { planId } = product;
+    trialDays[planId] = product.trialDays;
+
+    // Products are matched by plan metadata; name matching adopts products created before the catalog
+    const existing = products.find(p => p.metadata?.planId === planId) ||
+      products.find(p => !p.metadata?.planId && p.name === product.name);
+    const desiredProduct = productParams(product);
+
+    if (!existing) {
+      changes.push({ type: 'create_product', planId, params: desiredProduct });
+    } else {
+      const diff = productDiff(existing, desiredProduct);
+      if (diff.length) {
+        changes.push({ type: 'update_product', planId, productId: existing.id, params: desiredProduct, diff });
+      }
+    }
+
+    const prices = existing
+      ? await listAll(params => stripe.prices.list(params), {
+        product: existing.id,
+        active: true,
+        type: 'recurring',
+        expand: ['data.currency_options']
+      })
+      : [];
+
+    for (const price of product.prices) {
+      const key = `${planId}:${price.period}`;
+      const desired = priceParams(catalog, product, price);
+      const samePlan = p => p.metadata?.planId === planId && p.metadata?.period === price.period;
+
+      // The price holding the lookup key, or (before lookup keys) one stamped with the plan
+      const current = prices.find(p => p.lookup_key === desired.lookup_key) ||
+        prices.find(p => samePlan(p) && p.recurring?.interval === price.interval);
+
+      priceIds[key] = null;
+      if (!current) {
+        changes.push({ type: 'create_price', planId, key, params: desired });
+      } else {
+        const diff = priceDiff(current, desired);
+        if (diff.length) {
+          changes.push({ type: 'rotate_price', planId, key, priceId: current.id, params: desired, diff });
+        } else {
+          priceIds[key] = current.id;
+          if (current.lookup_key !== desired.lookup_key || !samePlan(current)) {
+            changes.push({
+              type: 'update_price',
+              planId,
+              key,
+              priceId: current.id,
+              params: { lookup_key: desired.lookup_key, metadata: desired.metadata },
+              diff: [['lookup_key', current.lookup_key || null, desired.lookup_key]]
+            });
+          }
+        }
+      }
+
+      // Any other active price for this plan/period has been superseded
+      for (const stale of prices.filter(p => p !== current && (samePlan(p) || p.lookup_key === desired.lookup_key))) {
+        changes.push({ type: 'archive_price', planId, key, priceId: stale.id });
+      }
+    }
+  }
+
+  const planIds = catalog.products.map(p => p.planId);
+  const unmanaged = products
+    .filter(p => p.metadata?.planId && !planIds.includes(p.metadata.planId))
+    .map(p => ({ productId: p.id, name: p.name, planId: p.metadata.planId }));
+
+  return { changes, priceIds, trialDays, unmanaged };
+}
+
+/**
+ * Make the changes returned by planCatalog().
+ * Returns the complete { priceIds, trialDays } for price-ids.*.json.
+ */
+export async function applyCatalog(stripe, plan, { onChange = () => {} } = {}) {
+  const priceIds = { ...plan.priceIds };
+  const productIds = {};
+
+  for (const change of plan.changes) {
+    if (change.productId) productIds[change.planId] = change.productId;
+  }
+
+  for (const change of plan.changes) {
+    switch (change.type) {
+      case 'create_product': {
+        const product = await stripe.products.create(change.params);
+        productIds[change.planId] = product.id;
+        onChange(change, product.id);
+        break;
+      }
+      case 'update_product': {
+        await stripe.products.update(change.productId, change.params);
+        onChange(change, change.productId);
+        break;
+      }
+      case 'create_price':
+      case 'rotate_price': {
+        const productId = productIds[change.planId] || await productIdForPrice(stripe, change.priceId);
+        const price = await stripe.prices.create({
+          ...change.params,
+          product: productId,
+          transfer_lookup_key: true
+        });
+        if (change.type === 'rotate_price') {
+          await stripe.prices.update(change.priceId, { active: false });
+        }
+        priceIds[change.key] = price.id;
+        onChange(change, price.id);
+        break;
+      }
+      case 'update_price': {
+        await stripe.prices.update(change.priceId, { ...change.params, transfer_lookup_key: true });
+        onChange(change, change.priceId);
+        break;
+      }
+      case 'archive_price': {
+        await stripe.prices.update(change.priceId, { active: false });
+        onChange(change, change.priceId);
+        break;
+      }
+      default:
+        throw new Error(`Unknown catalog change: ${change.type}`);
+    }
+  }
+
+  return { priceIds, trialDays: plan.trialDays };
+}
+
+async function productIdForPrice(stripe, priceId) {
+  const price = await stripe.prices.retrieve(priceId);
+  return typeof price.product === 'string' ? price.product : price.product.id;
+}
+
+/**
+ * Human readable description of a change, for the plan output
+ */
+export function describeChange(change) {
+  const details = (change.diff || [])
+    .map(([field, from, to]) => `\n      ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`)
+    .join('');
+
+  switch (change.type) {
+    case 'create_product':
+      return `+ create product ${change.params.name} (${change.planId})`;
+    case 'update_product':
+      return `~ update product ${change.productId} (${change.planId})${details}`;
+    case 'create_price':
+      return `+ create price ${change.key} ${formatAmounts(change.params)}/${change.params.recurring.interval} [${change.params.lookup_key}]`;
+    case 'rotate_price':
+      return `± replace price ${change.priceId} (${change.key}) with ${formatAmounts(change.params)}/${change.params.recurring.interval}, archive the old one${details}`;
+    case 'update_price':
+      return `~ update price ${change.priceId} (${change.key})${details}`;
+    case 'archive_price':
+      return `- archive superseded price ${change.priceId} (${change.key})`;
+    default:
+      return `? ${change.type}`;
+  }
+}
+
+function formatAmounts(params) {
+  return Object.entries(priceAmounts(params))
+    .map(([currency, amount]) => `${(amount / 100).toFixed(2)} ${currency.toUpperCase()}`)
+    .join(' / ');
+}
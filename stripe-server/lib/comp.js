@@ -0,0 +1,125 @@
+// Complimentary entitlements
+// Support can give a user a paid tier for a number of days (testers, partners) without Stripe or
+// Play: a `comp` entitlement with an `expiresAt`. effectivePlan() stops honoring it at that time;
+// the expiry sweep then writes it INACTIVE so users/{uid}/subscription/current follows.
+//
+// Firestore layout (an in-memory Map when Firestore is unavailable):
+//   comp_grants/{uid}   - { uid, planId, expiresAt } for every unexpired grant (the sweep's index)
+
+import { PLAN_FEATURES } from './plan-features.js';
+import { createEntitlementStore } from './entitlements.js';
+import { consoleLogger } from './logger.js';
+
+export const COMP_SOURCE = 'comp';
+export const MAX_COMP_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANTS = 'comp_grants';
+
+/**
+ * Why a grant of `planId` for `days` days is invalid, or null
+ */
+export function compGrantError({ planId, days }) {
+  if (!PLAN_FEATURES[planId] || planId === 'FREE') {
+    return `planId must be one of ${Object.keys(PLAN_FEATURES).filter(plan => plan !== 'FREE').join(', ')}`;
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_COMP_DAYS) {
+    return `days must be between 1 and ${MAX_COMP_DAYS}`;
+  }
+  return null;
+}
+
+/**
+ * The entitlement of a grant. A new grant replaces the previous one.
+ */
+export function compEntitlement({ planId, days, reason = null, grantedBy, now }) {
+  const expiresAt = now + days * DAY_MS;
+  return {
+    plan: planId,
+    period: null,
+    status: 'ACTIVE',
+    startedAt: now,
+    periodStartsAt: now,
+    renewsAt: expiresAt,
+    expiresAt,
+    trialEndsAt: null,
+    discount: null,
+    pendingChange: null,
+    source: COMP_SOURCE,
+    orderId: null,
+    reason,
+    grantedBy
+  };
+}
+
+/**
+ * Create the grant index the expiry sweep reads.
+ *
+ * @param {object} options
+ * @param {object|null} options.db - Firestore instance, null to use the in-memory store
+ */
+export function createCompGrants({ db }) {
+  const memoryGrants = new Map();
+
+  async function set(uid, { planId, expiresAt }) {
+    if (db) {
+      await db.collection(GRANTS).doc(uid).set({ uid, planId, expiresAt });
+      return;
+    }
+    memoryGrants.set(uid, { uid, planId, expiresAt });
+  }
+
+  async function remove(uid) {
+    if (db) {
+      await db.collection(GRANTS).doc(uid).delete();
+      return;
+    }
+    memoryGrants.delete(uid);
+  }
+
+  /**
+   * Users whose grant has expired at `now`
+   */
+  async function due(now, limit = 100) {
+    if (db) {
+      const snapshot = await db.collection(GRANTS).where('expiresAt', '<=', now).limit(limit).get();
+      return snapshot.docs.map(doc => doc.data().uid);
+    }
+    return [...memoryGrants.values()].filter(grant => grant.expiresAt <= now).slice(0, limit).map(grant => grant.uid);
+  }
+
+  return { set, remove, due };
+}
+
+/**
+ * Create the expiry sweep: marks expired grants INACTIVE. Run by the scheduled job in index.js.
+ *
+ * @param {object} options
+ * @param {object} options.storage - billing record backend (lib/storage.js)
+ * @param {object} options.grants - grant index (createCompGrants)
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ * @param {object} [options.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function createCompExpiry({ storage, grants, clock = Date, logger = consoleLogger }) {
+  const { getEntitlement, updateUserEntitlement } = createEntitlementStore({ storage, clock, logger });
+
+  /**
+   * Expire every due grant. Returns the uids whose entitlement was written.
+   */
+  async function run() {
+    const expired = [];
+    for (let uids = await grants.due(clock.now()); uids.length; uids = await grants.due(clock.now())) {
+      for (const uid of uids) {
+        const entitlement = await getEntitlement(uid, COMP_SOURCE);
+        if (entitlement?.status === 'ACTIVE' && entitlement.expiresAt <= clock.now()) {
+          await updateUserEntitlement(uid, { ...entitlement, status: 'INACTIVE' });
+          expired.push(uid);
+        }
+        await grants.remove(uid);
+      }
+    }
+    return expired;
+  }
+
+  return { run };
+}
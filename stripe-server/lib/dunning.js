@@ -0,0 +1,71 @@
+// Dunning: renewals whose payment failed
+// While Stripe retries a past-due invoice, paid features stay on for a grace window counted
+// from the invoice's creation (GRACE_PERIOD_DAYS). Attempt count and next retry come from the
+// invoice. When Stripe gives up the subscription turns unpaid/canceled and the entitlement
+// drops to INACTIVE through the subscription webhooks; a paid invoice makes it ACTIVE again.
+
+export const DEFAULT_GRACE_PERIOD_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Grace window and dunning timeline ({ graceEndsAt, dunning }) of a past-due subscription
+ * from its open invoice (pure)
+ */
+export function dunningFromInvoice(invoice, gracePeriodDays = DEFAULT_GRACE_PERIOD_DAYS) {
+  const dueSince = invoice.created * 1000;
+  return {
+    graceEndsAt: dueSince + gracePeriodDays * DAY_MS,
+    dunning: {
+      invoiceId: invoice.id,
+      dueSince,
+      attemptCount: invoice.attempt_count ?? 0,
+      // null once Stripe has no retry left
+      nextPaymentAttempt: invoice.next_payment_attempt ? invoice.next_payment_attempt * 1000 : null,
+      amountDue: invoice.amount_remaining ?? invoice.amount_due,
+      currency: invoice.currency,
+      hostedInvoiceUrl: invoice.hosted_invoice_url || null
+    }
+  };
+}
+
+/**
+ * Entitlement with its dunning fields settled before it is stored: a past-due entitlement
+ * without a fresh timeline keeps the one stored for the same subscription, any other
+ * status clears it
+ */
+export function carryDunning(entitlement, previous) {
+  if (entitlement.status !== 'PAST_DUE') {
+    return { ...entitlement, graceEndsAt: null, dunning: null };
+  }
+  if (entitlement.dunning !== undefined) return entitlement;
+
+  const sameSubscription = previous?.status === 'PAST_DUE' && previous.orderId === entitlement.orderId;
+  return {
+    ...entitlement,
+    graceEndsAt: sameSubscription ? previous.graceEndsAt ?? null : null,
+    dunning: sameSubscription ? previous.dunning ?? null : null
+  };
+}
+
+/**
+ * Whether a past-due entitlement still unlocks paid features. Without a known grace end
+ * (payment_failed not received yet) the user keeps them.
+ */
+export function isInGracePeriod(entitlement, now = Date.now()) {
+  return entitlement?.status === 'PAST_DUE' && (!entitlement.graceEndsAt || entitlement.graceEndsAt > now);
+}
+
+/**
+ * What the app shows to get a failed payment fixed, or null when payments are fine.
+ * Team members get none: only the owner can fix the team's payment.
+ */
+export function paymentIssue(entitlement, now = Date.now()) {
+  if (entitlement?.status !== 'PAST_DUE' || entitlement.source === 'team') return null;
+  return {
+    status: entitlement.status,
+    inGracePeriod: isInGracePeriod(entitlement, now),
+    graceEndsAt: entitlement.graceEndsAt ?? null,
+    dunning: entitlement.dunning ?? null
+  };
+}
@@ -0,0 +1,214 @@
+// Entitlements: what a Stripe subscription unlocks, and how it is written to storage
+// Shared by the API (app.js) and the reconciliation job (lib/reconcile.js).
+//
+// Each source (Stripe, Google Play, a team the user belongs to) keeps its own entitlement in
+// stripe/customer.entitlements; activeEntitlement and subscription/current follow the one that
+// wins (resolveEntitlement).
+
+import { consoleLogger } from './logger.js';
+import { describeCoupon } from './promotions.js';
+import { pendingChangeFromSubscription } from './plan-changes.js';
+import { carryDunning } from './dunning.js';
+import { PLAN_FEATURES, effectivePlan, entitlementSummary, normalizePlan, normalizeStatus } from './plan-features.js';
+
+// Stripe subscription status -> entitlement status.
+// Only ACTIVE/TRIALING/CANCELED (still within the paid period) unlock paid features.
+export const SUBSCRIPTION_STATUS_MAP = {
+  active: 'ACTIVE',
+  trialing: 'TRIALING',
+  past_due: 'PAST_DUE',
+  incomplete: 'INCOMPLETE',
+  incomplete_expired: 'INACTIVE',
+  unpaid: 'INACTIVE',
+  canceled: 'INACTIVE',
+  paused: 'PAUSED'
+};
+
+// Terminal statuses: the subscription will never become active again
+export const TERMINAL_SUBSCRIPTION_STATUSES = ['incomplete_expired', 'canceled'];
+
+// A customer's current subscription has one of these statuses (at most one per customer)
+export const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+export function entitlementStatus(sub) {
+  const status = SUBSCRIPTION_STATUS_MAP[sub.status] || 'INACTIVE';
+  // Paused collection (/billing/pause): Stripe keeps the subscription active but bills nothing
+  if (sub.pause_collection && (status === 'ACTIVE' || status === 'TRIALING' || status === 'PAST_DUE')) {
+    return 'PAUSED';
+  }
+  if (sub.cancel_at_period_end && (status === 'ACTIVE' || status === 'TRIALING')) {
+    return 'CANCELED';
+  }
+  return status;
+}
+
+/**
+ * Build the entitlement for a Stripe subscription
+ */
+export function entitlementFromSubscription(sub, { planId, period }) {
+  return {
+    plan: planId,
+    period,
+    status: entitlementStatus(sub),
+    startedAt: sub.created * 1000,
+    periodStartsAt: sub.current_period_start * 1000,
+    renewsAt: sub.current_period_end * 1000,
+    trialEndsAt: sub.status === 'trialing' && sub.trial_end ? sub.trial_end * 1000 : null,
+    discount: discountFromSubscription(sub),
+    pendingChange: pendingChangeFromSubscription(sub),
+    source: 'stripe',
+    orderId: sub.id,
+    // Paused subscriptions: when Stripe resumes billing by itself (null = on /billing/resume, or not paused)
+    resumesAt: sub.pause_collection?.resumes_at ? sub.pause_collection.resumes_at * 1000 : null,
+    // Team subscriptions (lib/teams.js): seats paid for. Written as null for other subscriptions,
+    // so a merge never keeps the team of an earlier one.
+    teamId: sub.metadata?.teamId || null,
+    seats: sub.metadata?.teamId ? sub.items.data[0].quantity : null
+  };
+}
+
+/**
+ * Active discount on a subscription (promotion code / coupon), or null
+ */
+export function discountFromSubscription(sub) {
+  const coupon = sub.discount?.coupon;
+  if (!coupon) return null;
+
+  return {
+    ...describeCoupon(coupon),
+    code: sub.metadata?.promoCode || null,
+    endsAt: sub.discount.end ? sub.discount.end * 1000 : null
+  };
+}
+
+// Entitlement sources, in order of precedence when two of them unlock the same tier
+export const ENTITLEMENT_SOURCES = ['stripe', 'play', 'team', 'comp'];
+
+const PLAN_ORDER = Object.keys(PLAN_FEATURES);
+
+/**
+ * The entitlement that applies when a user has several sources ({ stripe, play }), or null.
+ * One that unlocks paid features beats one that doesn't, then the higher tier wins,
+ * then the source listed first in ENTITLEMENT_SOURCES.
+ */
+export function resolveEntitlement(entitlements, now = Date.now()) {
+  const rank = entitlement => {
+    const plan = effectivePlan(entitlement, now);
+    return [plan === 'FREE' ? 0 : 1, PLAN_ORDER.indexOf(plan), -ENTITLEMENT_SOURCES.indexOf(entitlement.source)];
+  };
+  const compare = (a, b) => {
+    const [rankA, rankB] = [rank(a), rank(b)];
+    const index = rankA.findIndex((value, i) => value !== rankB[i]);
+    return index === -1 ? 0 : rankB[index] - rankA[index];
+  };
+
+  const candidates = Object.values(entitlements || {}).filter(Boolean);
+  return candidates.sort(compare)[0] || null;
+}
+
+// Per-source entitlements of a customer record. Records written before sources were
+// tracked only have activeEntitlement, which may lack the fields added since (source, dunning).
+function sourceEntitlements(rec) {
+  if (rec?.entitlements) return rec.entitlements;
+  const active = rec?.activeEntitlement;
+  if (!active) return {};
+  const source = active.source || 'stripe';
+  return { [source]: { ...active, source, dunning: active.dunning ?? null } };
+}
+
+/**
+ * A source's entitlement on a customer record (stripe/customer), or null
+ */
+export function sourceEntitlement(rec, source) {
+  return sourceEntitlements(rec)[source] || null;
+}
+
+/**
+ * Create the entitlement store: reads and writes users/{uid}/stripe/customer (entitlements per
+ * source + activeEntitlement) and the users/{uid}/subscription/current document the Android app reads.
+ *
+ * @param {object} options
+ * @param {object} options.storage - billing record backend (lib/storage.js)
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ * @param {object} [options.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function createEntitlementStore({ storage, clock = Date, logger = consoleLogger }) {
+  /**
+   * Current entitlement without touching Stripe (null for users without a record).
+   * With a `source`, that source's entitlement even if another one is active.
+   */
+  async function getEntitlement(uid, source = null) {
+    const rec = await storage.getCustomer(uid);
+    if (!source) return rec?.activeEntitlement || null;
+    return sourceEntitlement(rec, source);
+  }
+
+  /**
+   * Update user entitlement (for its `source`, 'stripe' when unset).
+   * Pass the Stripe event when called from the webhook so the change can be audited.
+   * Plan and status are stored normalized (normalizePlan / normalizeStatus).
+   * Returns the stored entitlement (with the dunning timeline of a past-due subscription).
+   */
+  async function updateUserEntitlement(uid, incoming, event = null) {
+    const rec = await storage.getCustomer(uid);
+    const source = incoming.source || 'stripe';
+    const entitlements = sourceEntitlements(rec);
+    const normalized = { ...incoming, plan: normalizePlan(incoming.plan), status: normalizeStatus(incoming.status), source };
+    const entitlement = carryDunning(normalized, entitlements[source]);
+    entitlements[source] = entitlement;
+    const active = resolveEntitlement(entitlements, clock.now());
+
+    // Update stripe customer record
+    await storage.setCustomer(uid, { entitlements, activeEntitlement: active });
+
+    // Also update the main subscription document that the Android app uses. effectivePlan and
+    // limits are as of this write; GET /entitlements/me recomputes them on every read.
+    const { plan, status, effectivePlan: effective, limits } = entitlementSummary(active, clock.now());
+    await storage.setSubscription(uid, {
+      plan,
+      status,
+      effectivePlan: effective,
+      limits,
+      source: active.source ?? null,
+      currentPeriodStart: new Date(active.periodStartsAt || active.startedAt),
+      currentPeriodEnd: active.renewsAt ? new Date(active.renewsAt) : null,
+      cancelAtPeriodEnd: active.status === 'CANCELED',
+      trialEnd: active.trialEndsAt ? new Date(active.trialEndsAt) : null,
+      discount: active.discount || null,
+      pendingChange: active.pendingChange || null,
+      resumesAt: active.resumesAt ? new Date(active.resumesAt) : null,
+      graceEnd: active.graceEndsAt ? new Date(active.graceEndsAt) : null,
+      dunning: active.dunning ?? null,
+      stripeCustomerId: rec?.customerId || null,
+      stripeSubscriptionId: active.source === 'stripe' ? active.orderId : null,
+      playPurchaseToken: active.source === 'play' ? active.purchaseToken : null,
+      teamId: active.teamId || null,
+      lastEventId: event?.id || null,
+      lastEventType: event?.type || null,
+      updatedAt: new Date(clock.now())
+    });
+
+    logger.info('entitlement updated', { uid, source, status: entitlement.status, activeSource: active.source, eventId: event?.id || null });
+    return entitlement;
+  }
+
+  /**
+   * Change only the status of a source's entitlement (webhook)
+   */
+  async function updateEntitlementStatus(uid, status, event, source = 'stripe') {
+    const current = await getEntitlement(uid, source);
+    if (current) {
+      return updateUserEntitlement(uid, { ...current, status }, event);
+    }
+
+    await storage.setSubscription(uid, {
+      status: normalizeStatus(status),
+      lastEventId: event.id,
+      lastEventType: event.type,
+      updatedAt: new Date(clock.now())
+    });
+    return null;
+  }
+
+  return { getEntitlement, updateUserEntitlement, updateEntitlementStatus };
+}
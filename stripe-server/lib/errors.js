@@ -0,0 +1,119 @@
+// API error envelope
+// Every error response has the same shape, so the app can branch on `code` instead of parsing
+// messages:
+//   { error, code, message, retryable, declineCode }
+// `error` repeats `message` for clients written against the old `{ error }` bodies.
+// Stripe errors are mapped by type: card declines become 402 with Stripe's decline code, outages
+// and rate limits are retryable 503/429, and key or permission problems never reach the client.
+
+import { consoleLogger } from './logger.js';
+
+// Default code for an HTTP status
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthenticated',
+  402: 'payment_failed',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable'
+};
+
+// Declines where the same card may go through on a later attempt
+const RETRYABLE_DECLINES = ['try_again_later', 'processing_error', 'issuer_not_available', 'reenter_transaction'];
+
+/**
+ * Code used for an HTTP status when the route does not name one
+ */
+export function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+/**
+ * Error body for `status`. Extra fields (e.g. `fields` for validation errors) are kept.
+ */
+export function errorBody(status, message, { code = codeForStatus(status), retryable = status >= 500 || status === 429, declineCode = null, ...extra } = {}) {
+  return { error: message, code, message, retryable, declineCode, ...extra };
+}
+
+/**
+ * Status and body for an error thrown while handling a request: Stripe errors by type,
+ * anything else as a retryable 500 without its internal message.
+ */
+export function errorResponse(error) {
+  switch (error?.type) {
+    case 'StripeCardError': {
+      const declineCode = error.decline_code || null;
+      return {
+        status: 402,
+        body: errorBody(402, error.message, {
+          code: error.code || 'card_declined',
+          declineCode,
+          retryable: RETRYABLE_DECLINES.includes(declineCode) || RETRYABLE_DECLINES.includes(error.code)
+        })
+      };
+    }
+    case 'StripeRateLimitError':
+      return { status: 429, body: errorBody(429, 'Too many requests to the payment provider, try again shortly') };
+    case 'StripeConnectionError':
+    case 'StripeAPIError':
+      return { status: 503, body: errorBody(503, 'The payment provider is unavailable, try again shortly') };
+    case 'StripeIdempotencyError':
+      return { status: 409, body: errorBody(409, error.message, { code: 'idempotency_error' }) };
+    case 'StripeInvalidRequestError': {
+      const status = error.statusCode >= 400 && error.statusCode < 500 ? error.statusCode : 400;
+      return { status, body: errorBody(status, error.message, { code: error.code || codeForStatus(status), retryable: false }) };
+    }
+    case 'StripeAuthenticationError':
+    case 'StripePermissionError':
+      // Our keys are at fault; the message would only confuse the user
+      return { status: 500, body: errorBody(500, 'Payments are misconfigured', { retryable: false }) };
+    default:
+      return { status: 500, body: errorBody(500, 'Internal server error') };
+  }
+}
+
+/**
+ * Send the envelope for an error caught in a route
+ */
+export function sendError(res, error) {
+  const { status, body } = errorResponse(error);
+  return res.status(status).json(body);
+}
+
+/**
+ * Express middleware completing `{ error }` bodies sent with an error status into the envelope,
+ * so routes can keep answering `res.status(400).json({ error: '...' })`
+ */
+export function errorEnvelopeMiddleware(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && body.code === undefined) {
+      const { error: message, ...extra } = body;
+      return json(errorBody(res.statusCode, message, extra));
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Create the final Express error handler: unparseable JSON bodies and anything a route let
+ * through (logged with `logger`, console lines if omitted)
+ */
+export function createErrorHandler({ logger = consoleLogger } = {}) {
+  return function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json(errorBody(400, 'request body is not valid JSON'));
+    }
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json(errorBody(413, 'request body too large', { code: 'payload_too_large' }));
+    }
+    logger.error('unhandled error', { method: req.method, path: req.path, err: error });
+    sendError(res, error);
+  };
+}
@@ -0,0 +1,75 @@
+// Firebase Admin initialization (Firestore + Auth)
+// Credentials come from FIREBASE_PROJECT_ID / FIREBASE_PRIVATE_KEY / FIREBASE_CLIENT_EMAIL,
+// or a service account file for local development.
+
+import admin from 'firebase-admin';
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { consoleLogger } from './logger.js';
+
+const ROOT_DIR = dirname(dirname(fileURLToPath(import.meta.url)));
+
+/**
+ * Initialize Firebase Admin once.
+ * Returns { db, auth }, both null when no credentials are available.
+ *
+ * @param {object} [options]
+ * @param {object} [options.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function initFirebase({ logger = consoleLogger } = {}) {
+  if (admin.apps.length === 0) {
+    initializeApp(logger);
+  }
+
+  return admin.apps.length > 0
+    ? { db: admin.firestore(), auth: admin.auth() }
+    : { db: null, auth: null };
+}
+
+function initializeApp(logger) {
+  try {
+    // Try to initialize with environment variables first (for production/Render)
+    if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_PRIVATE_KEY && process.env.FIREBASE_CLIENT_EMAIL) {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+        })
+      });
+      logger.info('Firebase Admin initialized', { credentials: 'environment' });
+    }
+    // Try to find service account file (for local development)
+    else {
+      const serviceAccountPaths = [
+        join(ROOT_DIR, 'serviceAccountKey.json'),
+        join(ROOT_DIR, '..', 'app', 'google-services.json'),
+      ];
+
+      let initialized = false;
+      for (const path of serviceAccountPaths) {
+        if (existsSync(path)) {
+          try {
+            const serviceAccount = JSON.parse(readFileSync(path, 'utf8'));
+            admin.initializeApp({
+              credential: admin.credential.cert(serviceAccount)
+            });
+            logger.info('Firebase Admin initialized', { credentials: path });
+            initialized = true;
+            break;
+          } catch (err) {
+            // Try next path
+          }
+        }
+      }
+
+      if (!initialized) {
+        logger.warn('Firebase Admin not initialized, running without Firestore: billing records use the local JSON file store (not recommended for production)');
+      }
+    }
+  } catch (error) {
+    logger.warn('Firebase Admin initialization failed, billing records use the local JSON file store (not recommended for production)', { error: error.message });
+  }
+
+}
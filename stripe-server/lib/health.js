@@ -0,0 +1,118 @@
+// Readiness check (GET /health/ready)
+// /health only says the process is up. Ready means billing can work: the Stripe keys are of one
+// mode and Stripe accepts them, webhooks can be verified, every configured price exists in that
+// mode, and Firestore answers. Render routes traffic to an instance only once this passes.
+
+import { checkPriceConfig } from './prices.js';
+
+const FIRESTORE_TIMEOUT_MS = 3000;
+
+function keyMode(key, prefix) {
+  if (typeof key !== 'string') return null;
+  if (key.startsWith(`${prefix}_live_`)) return 'live';
+  if (key.startsWith(`${prefix}_test_`)) return 'test';
+  return null;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+    timer.unref?.();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create the readiness check.
+ *
+ * @param {object} options
+ * @param {string|null} options.secretKeyMode - 'live' or 'test' from the STRIPE_SECRET_KEY prefix, null if missing/invalid
+ * @param {string|null} [options.publishableKey] - must be of the same mode as the secret key
+ * @param {boolean} [options.production] - NODE_ENV=production (test keys are reported as a warning, Firestore is required)
+ * @param {string|null} [options.webhookSecret] - Stripe webhook signing secret
+ * @param {object} options.planCatalog - Stripe-backed price catalog (lib/pricing.js), loads every configured price
+ * @param {object|null} [options.db] - Firestore instance, null when not configured
+ * @param {string} [options.storageName] - storage backend, reported when Firestore is not used
+ */
+export function createReadinessCheck({ secretKeyMode, publishableKey = null, production = false, webhookSecret = null, planCatalog, db = null, storageName = null }) {
+  const live = secretKeyMode === 'live';
+
+  function stripeKeys() {
+    if (!secretKeyMode) {
+      return { status: 'fail', message: 'STRIPE_SECRET_KEY is missing or is not a secret key (sk_live_/sk_test_)' };
+    }
+    const publishableMode = keyMode(publishableKey, 'pk');
+    if (publishableKey && publishableMode !== secretKeyMode) {
+      return { status: 'fail', mode: secretKeyMode, message: `STRIPE_PUBLISHABLE_KEY is not a ${secretKeyMode} key` };
+    }
+    if (production && !live) {
+      return { status: 'warn', mode: secretKeyMode, message: 'production is running with test keys' };
+    }
+    return { status: 'ok', mode: secretKeyMode };
+  }
+
+  function webhookSecretCheck() {
+    if (!webhookSecret) return { status: 'fail', message: 'STRIPE_WEBHOOK_SECRET is not set' };
+    if (!webhookSecret.startsWith('whsec_')) return { status: 'fail', message: 'STRIPE_WEBHOOK_SECRET is not a signing secret (whsec_)' };
+    return { status: 'ok' };
+  }
+
+  // The price-ids file, then the prices themselves (this is also the call that proves Stripe
+  // accepts the secret key). The catalog is cached, so most checks do not reach Stripe.
+  async function prices(keys) {
+    const { errors, warnings } = checkPriceConfig(live);
+    if (errors.length) return { status: 'fail', message: errors.join('; ') };
+    if (keys.status === 'fail') return { status: 'skipped', message: 'the Stripe keys are invalid' };
+
+    try {
+      const catalog = await planCatalog.load();
+      const wrongMode = catalog.plans.flatMap(plan => Object.values(plan.prices))
+        .filter(price => price.livemode !== undefined && price.livemode !== live);
+      if (wrongMode.length) {
+        return { status: 'fail', message: `prices ${wrongMode.map(price => price.id).join(', ')} are not ${secretKeyMode} mode prices` };
+      }
+      return warnings.length ? { status: 'warn', message: warnings.join('; ') } : { status: 'ok' };
+    } catch (error) {
+      // The key or the connection is at fault, not the prices
+      if (error.type === 'StripeAuthenticationError' || error.type === 'StripeConnectionError') {
+        keys.status = 'fail';
+        keys.message = error.type === 'StripeAuthenticationError' ? 'Stripe rejected the secret key' : `Stripe is unreachable: ${error.message}`;
+        return { status: 'skipped', message: 'the prices could not be read from Stripe' };
+      }
+      return { status: 'fail', message: error.message };
+    }
+  }
+
+  async function firestore() {
+    if (!db) {
+      // Render's disk is temporary: production billing records must not end up in the JSON file
+      const message = `Firestore is not configured (storage: ${storageName || 'unknown'})`;
+      return { status: production ? 'fail' : 'skipped', message };
+    }
+    const start = Date.now();
+    try {
+      await withTimeout(db.collection('_health').doc('ready').get(), FIRESTORE_TIMEOUT_MS, `no answer within ${FIRESTORE_TIMEOUT_MS} ms`);
+      return { status: 'ok', latencyMs: Date.now() - start };
+    } catch (error) {
+      return { status: 'fail', message: `Firestore is unreachable: ${error.message}` };
+    }
+  }
+
+  /**
+   * Run every check. `ready` is false when any of them failed (warnings do not count).
+   */
+  async function run() {
+    const stripe = stripeKeys();
+    const [priceConfig, firestoreCheck] = await Promise.all([prices(stripe), firestore()]);
+    const checks = {
+      stripe,
+      webhookSecret: webhookSecretCheck(),
+      priceConfig,
+      firestore: firestoreCheck
+    };
+    return { ready: Object.values(checks).every(check => check.status !== 'fail'), checks };
+  }
+
+  return { run };
+}
@@ -0,0 +1,211 @@
+// Idempotency keys
+// A client retrying a billing call (flaky network, app killed mid-request) sends the same
+// `Idempotency-Key` header again. The first request with a key runs; a retry gets the stored
+// response instead of creating a second subscription or charge. Keys are scoped to the caller,
+// kept for 24 hours, and bound to the request they were first used with (method, path, body).
+// The key is also forwarded to Stripe (stripeIdempotency()), so a retry after a request that
+// failed halfway gets Stripe's original objects back rather than new ones.
+//
+// Firestore layout (a Map when Firestore is unavailable):
+//   idempotency_keys/{sha256(scope, key)}
+//     { state: 'in_progress'|'completed'|'failed', fingerprint, requestId, status, body, startedAt, expiresAt }
+// `requestId` is the request that first used the key; retries tag Stripe objects with it too, so
+// the parameters sent to Stripe stay identical.
+
+import { createHash } from 'crypto';
+import { consoleLogger, requestContext } from './logger.js';
+import { errorBody } from './errors.js';
+
+const KEYS = 'idempotency_keys';
+
+export const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A request holding a key this long without answering is assumed dead (crash, redeploy)
+const IN_PROGRESS_TIMEOUT_MS = 60 * 1000;
+
+// Printable ASCII, no spaces; UUIDs in practice
+const KEY_PATTERN = /^[\x21-\x7E]{1,200}$/;
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+// Firestore returns Timestamps, the memory store Dates
+const toMillis = value => (typeof value?.toDate === 'function' ? value.toDate() : new Date(value)).getTime();
+
+/**
+ * Document ID of a key: the caller's scope and the key, hashed (keys never collide across users)
+ */
+export function idempotencyKeyId(scope, key) {
+  return sha256(`${scope}\n${key}`);
+}
+
+/**
+ * What a key is bound to: the method, path and body of the request that first used it
+ */
+export function requestFingerprint(req) {
+  return sha256(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? null)}`);
+}
+
+/**
+ * Decide what to do with a request given the stored key (pure).
+ * Returns { action: 'proceed' | 'replay' | 'in_progress' | 'mismatch', record }.
+ */
+export function claimDecision(existing, { fingerprint, requestId }, now) {
+  const fresh = {
+    state: 'in_progress',
+    fingerprint,
+    requestId,
+    status: null,
+    body: null,
+    startedAt: now,
+    expiresAt: new Date(now + IDEMPOTENCY_KEY_TTL_MS)
+  };
+
+  if (!existing || toMillis(existing.expiresAt) <= now) {
+    return { action: 'proceed', record: fresh };
+  }
+  if (existing.fingerprint !== fingerprint) {
+    return { action: 'mismatch', record: existing };
+  }
+  if (existing.state === 'completed') {
+    return { action: 'replay', record: existing };
+  }
+  if (existing.state === 'in_progress' && now - existing.startedAt < IN_PROGRESS_TIMEOUT_MS) {
+    return { action: 'in_progress', record: existing };
+  }
+  // Failed or abandoned: run again as the original request
+  return { action: 'proceed', record: { ...existing, state: 'in_progress', startedAt: now } };
+}
+
+/**
+ * Create the key store.
+ *
+ * @param {object} options
+ * @param {object|null} options.db - Firestore instance, null to use the in-memory store
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ */
+export function createIdempotencyStore({ db, clock = Date }) {
+  const memoryKeys = new Map();
+
+  /**
+   * Claim `id` for a request, atomically. Returns claimDecision()'s result.
+   */
+  async function claim(id, request) {
+    const now = clock.now();
+
+    if (db) {
+      const ref = db.collection(KEYS).doc(id);
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        const decision = claimDecision(doc.exists ? doc.data() : null, request, now);
+        if (decision.action === 'proceed') {
+          tx.set(ref, decision.record);
+        }
+        return decision;
+      });
+    }
+
+    for (const [keyId, record] of memoryKeys) {
+      if (toMillis(record.expiresAt) <= now) memoryKeys.delete(keyId);
+    }
+    const decision = claimDecision(memoryKeys.get(id), request, now);
+    if (decision.action === 'proceed') {
+      memoryKeys.set(id, decision.record);
+    }
+    return decision;
+  }
+
+  /**
+   * Store the response of the request holding `id`. Server errors mark the key failed, so the
+   * client's retry runs again.
+   */
+  async function finish(id, status, body) {
+    const changes = status >= 500
+      ? { state: 'failed', status, body: null }
+      : { state: 'completed', status, body: JSON.stringify(body ?? null) };
+
+    if (db) {
+      await db.collection(KEYS).doc(id).set(changes, { merge: true });
+    } else if (memoryKeys.has(id)) {
+      memoryKeys.set(id, { ...memoryKeys.get(id), ...changes });
+    }
+  }
+
+  return { claim, finish };
+}
+
+/**
+ * Express middleware making a route idempotent when the request has an `Idempotency-Key`
+ * header (requests without one run as before). Goes after the auth middleware: keys are
+ * scoped to req.user (or to the admin API for admin routes).
+ *
+ * - first use: the route runs and its response is stored
+ * - same key and request again: the stored response, with `Idempotent-Replayed: true`
+ * - same key, different request: 422 idempotency_key_reused
+ * - same key while the first request is still running: 409, retryable
+ *
+ * Storage failures are logged with `logger` (console lines if omitted).
+ */
+export function createIdempotencyMiddleware({ store, logger = consoleLogger }) {
+  return async function idempotency(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json(errorBody(400, 'Idempotency-Key must be 1-200 printable characters', { code: 'invalid_idempotency_key' }));
+    }
+
+    const scope = req.user?.uid ? `user:${req.user.uid}` : 'admin';
+    const id = idempotencyKeyId(scope, key);
+
+    let decision;
+    try {
+      decision = await store.claim(id, { fingerprint: requestFingerprint(req), requestId: req.id });
+    } catch (error) {
+      logger.error('idempotency key check failed', { scope, err: error });
+      return res.status(503).json(errorBody(503, 'Could not check the Idempotency-Key, try again'));
+    }
+
+    switch (decision.action) {
+      case 'mismatch':
+        return res.status(422).json(errorBody(422, 'Idempotency-Key was already used for a different request', { code: 'idempotency_key_reused' }));
+      case 'in_progress':
+        return res.status(409).json(errorBody(409, 'A request with this Idempotency-Key is still in progress', { code: 'idempotency_in_progress', retryable: true }));
+      case 'replay':
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(decision.record.status).json(JSON.parse(decision.record.body));
+    }
+
+    // Stripe calls made by this request use keys derived from this one (stripeIdempotency())
+    const context = requestContext.getStore();
+    if (context) {
+      context.idempotencyKey = id;
+      context.originRequestId = decision.record.requestId;
+    }
+
+    // The response is stored before it is sent, so an immediate retry finds it
+    const json = res.json.bind(res);
+    res.json = body => {
+      store.finish(id, res.statusCode, body)
+        .catch(error => logger.error('idempotency key response not stored', { scope, status: res.statusCode, err: error }))
+        .finally(() => json(body));
+      return res;
+    };
+    next();
+  };
+}
+
+/**
+ * Stripe request options for one call of the current request: `{ idempotencyKey }` derived from
+ * the client's Idempotency-Key and `operation` (unique per call within a route), or `{}` when
+ * the request has no key
+ */
+export function stripeIdempotency(operation) {
+  const id = requestContext.getStore()?.idempotencyKey;
+  return id ? { idempotencyKey: `${id}:${operation}` } : {};
+}
+
+/**
+ * ID of the request that first used the current Idempotency-Key (null without one)
+ */
+export function originRequestId() {
+  return requestContext.getStore()?.originRequestId || null;
+}
@@ -0,0 +1,56 @@
+// Billing history
+// Stripe invoices reduced to what the app's Billing tab shows. The webhook stores paid and failed
+// invoices in users/{uid}/invoices/{invoiceId}, so the history is also readable offline.
+
+import { priceIdToPlan } from './prices.js';
+
+const toMillis = seconds => (seconds ? seconds * 1000 : null);
+
+/**
+ * App-facing record of a Stripe invoice (amounts in the smallest currency unit, times in ms).
+ * Works for upcoming invoices too, which have no id, number or links.
+ */
+export function invoiceRecord(invoice, live = false) {
+  const line = invoice.lines?.data?.[0];
+  const price = line?.price;
+  const plan = price
+    ? priceIdToPlan(price.id, live) ||
+      (price.metadata?.planId && price.metadata?.period ? { planId: price.metadata.planId, period: price.metadata.period } : null)
+    : null;
+
+  return {
+    invoiceId: invoice.id || null,
+    number: invoice.number || null,
+    status: invoice.status,
+    paid: Boolean(invoice.paid),
+    billingReason: invoice.billing_reason || null,
+    subscriptionId: typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription?.id || null,
+    plan: plan?.planId || null,
+    period: plan?.period || null,
+    description: line?.description || null,
+    currency: invoice.currency,
+    subtotal: invoice.subtotal ?? null,
+    tax: invoice.tax ?? null,
+    total: invoice.total ?? invoice.amount_due,
+    amountDue: invoice.amount_due,
+    amountPaid: invoice.amount_paid,
+    amountRemaining: invoice.amount_remaining ?? null,
+    created: toMillis(invoice.created),
+    // The service period being charged for (line period), falling back to the invoice's own
+    periodStart: toMillis(line?.period?.start ?? invoice.period_start),
+    periodEnd: toMillis(line?.period?.end ?? invoice.period_end),
+    attemptCount: invoice.attempt_count ?? 0,
+    nextPaymentAttempt: toMillis(invoice.next_payment_attempt),
+    hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+    invoicePdf: invoice.invoice_pdf || null
+  };
+}
+
+/**
+ * Page size for invoice lists: 1-100, default 10
+ */
+export function invoicePageSize(value) {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isFinite(limit)) return 10;
+  return Math.min(Math.max(limit, 1), 100);
+}
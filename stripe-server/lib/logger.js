@@ -0,0 +1,179 @@
+// Structured logging
+// One JSON object per line in production (LOG_FORMAT=json), plain lines in development. Every
+// line written while a request is handled carries its `requestId` (requestContext), and secrets
+// (Stripe keys, client secrets, bearer tokens, private keys) are masked before anything is written.
+// Modules log through the logger they are given (`logger.info(msg, fields)`, index.js creates it);
+// consoleLogger stands in when they are not given one.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+import { inspect } from 'util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SECRET_KEY = /(^|_)(authorization|cookie|password)$|secret$|token$|(api|private|ephemeral)_?key$/i;
+
+// Secrets inside free text (log messages, error messages)
+const SECRET_PATTERNS = [
+  [/\b(sk|rk|ek)_(live|test)_[A-Za-z0-9]+/g, `$1_$2_${REDACTED}`],
+  [/\bwhsec_[A-Za-z0-9]+/g, `whsec_${REDACTED}`],
+  [/\b((?:pi|seti)_[A-Za-z0-9]+)_secret_[A-Za-z0-9]+/g, `$1_secret_${REDACTED}`],
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, `[REDACTED PRIVATE KEY]`]
+];
+
+// Caller-supplied request IDs (X-Request-Id from the app or Render's proxy) are kept when sane
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Per-request context ({ requestId }), set by the request middleware in app.js.
+ * Idempotent routes add `idempotencyKey` and `originRequestId` (lib/idempotency.js).
+ */
+export const requestContext = new AsyncLocalStorage();
+
+/**
+ * Correlation ID of the request being handled, or null outside a request
+ */
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+/**
+ * Stripe metadata tagged with the current request's ID, so an object in the Stripe
+ * dashboard leads back to the log lines of the request that created it. A retry with an
+ * Idempotency-Key uses the first attempt's ID (lib/idempotency.js), so it sends Stripe the
+ * same parameters.
+ */
+export function withRequestId(metadata = {}) {
+  const context = requestContext.getStore();
+  const requestId = context?.originRequestId || context?.requestId;
+  return requestId ? { ...metadata, requestId } : metadata;
+}
+
+function redactText(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Errors keep what helps debugging; Stripe errors carry Stripe's own request ID
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.type ? { type: error.type } : {}),
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.statusCode ? { statusCode: error.statusCode } : {}),
+    ...(error.requestId ? { stripeRequestId: error.requestId } : {}),
+    stack: error.stack
+  };
+}
+
+/**
+ * Copy of a value that is safe to log: secret-looking keys are masked, secrets in strings
+ * are replaced, errors are turned into plain objects
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= 6) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY.test(key) && item != null ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Create a logger.
+ *
+ * @param {object} [options]
+ * @param {'json'|'pretty'} [options.format] - JSON lines (production) or plain text
+ * @param {'debug'|'info'|'warn'|'error'} [options.level] - lowest level written
+ * @param {{ write: (line: string) => void }} [options.stdout] - debug/info lines
+ * @param {{ write: (line: string) => void }} [options.stderr] - warn/error lines
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ */
+export function createLogger({ format = 'json', level = 'info', stdout = process.stdout, stderr = process.stderr, clock = Date } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lineLevel, msg, fields = {}) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const requestId = currentRequestId();
+    const safe = redact(fields);
+    let line;
+
+    if (format === 'json') {
+      line = JSON.stringify({
+        time: new Date(clock.now()).toISOString(),
+        level: lineLevel,
+        msg: redactText(String(msg)),
+        ...(requestId ? { requestId } : {}),
+        ...safe
+      });
+    } else {
+      const { err, ...rest } = safe;
+      line = [
+        redactText(String(msg)),
+        Object.keys(rest).length ? inspect(rest, { breakLength: Infinity, depth: 4 }) : null,
+        requestId ? `[${requestId}]` : null,
+        err ? `\n${err.stack || err.message}` : null
+      ].filter(Boolean).join(' ');
+    }
+
+    (LEVELS[lineLevel] >= LEVELS.warn ? stderr : stdout).write(`${line}\n`);
+  }
+
+  return {
+    format,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+}
+
+/**
+ * Plain-text logger writing through console.log/console.error, for callers that are not handed
+ * one (tests, scripts). Read at each call, so a replaced console is used.
+ */
+export const consoleLogger = createLogger({
+  format: 'pretty',
+  stdout: { write: line => console.log(line.trimEnd()) },
+  stderr: { write: line => console.error(line.trimEnd()) }
+});
+
+/**
+ * Express middleware giving every request a correlation ID: the caller's X-Request-Id or a new
+ * UUID, as `req.id` and in the response's X-Request-Id header. The rest of the request runs in
+ * requestContext. With a `logger`, one access line is written per request (path without query,
+ * which may carry tokens).
+ */
+export function createRequestMiddleware({ logger = null } = {}) {
+  return function requestMiddleware(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    if (logger) {
+      const start = performance.now();
+      res.on('finish', () => {
+        logger.info(`${req.method} ${req.path} ${res.statusCode}`, {
+          requestId: req.id,
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+          status: res.statusCode,
+          durationMs: Math.round(performance.now() - start),
+          uid: req.user?.uid || null
+        });
+      });
+    }
+
+    requestContext.run({ requestId: req.id }, next);
+  };
+}
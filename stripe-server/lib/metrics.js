@@ -0,0 +1,188 @@
+// Prometheus metrics
+// Counters and histograms kept in memory and served as text by GET /metrics:
+//   http_request_duration_seconds{method, route, status}   - every API request
+//   stripe_api_request_duration_seconds{resource, method}  - every Stripe API call (instrumentStripe)
+//   stripe_api_errors_total{resource, method, type}        - Stripe API calls that failed
+//   webhook_events_total{source, type, result}             - Stripe webhooks and Play notifications
+// Counts restart with the process; Prometheus' rate() and increase() handle the resets.
+
+import { performance } from 'perf_hooks';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const INSTRUMENTED = Symbol('instrumented');
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) lines.push(`${name}${key} ${value}`);
+      return lines.join('\n');
+    }
+  };
+}
+
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  return {
+    observe(labels, seconds) {
+      const key = formatLabels(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i]++;
+      });
+      entry.sum += seconds;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${key} ${entry.sum}`);
+        lines.push(`${name}_count${key} ${entry.count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+}
+
+/**
+ * Create the metrics registry. index.js shares one between the app and the Stripe client.
+ */
+export function createMetrics() {
+  const httpRequestDuration = createHistogram('http_request_duration_seconds', 'API request latency by route and status');
+  const stripeRequestDuration = createHistogram('stripe_api_request_duration_seconds', 'Stripe API call latency by resource and method');
+  const stripeErrors = createCounter('stripe_api_errors_total', 'Stripe API calls that failed, by error type');
+  const webhookEvents = createCounter('webhook_events_total', 'Webhook events and Play notifications received, by type and result');
+
+  /**
+   * Express middleware timing every request. The route is the matched path pattern
+   * (/admin/users/:uid), so user IDs never become labels.
+   */
+  function middleware(req, res, next) {
+    const start = performance.now();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      httpRequestDuration.observe(
+        { method: req.method, route, status: res.statusCode },
+        (performance.now() - start) / 1000
+      );
+    });
+    next();
+  }
+
+  /**
+   * Count a webhook event: `source` 'stripe' or 'play', the event or notification `type`
+   * and what happened to it (processed, duplicate, stale, ignored, failed, invalid_signature)
+   */
+  function webhookEvent(source, type, result) {
+    webhookEvents.inc({ source, type, result });
+  }
+
+  function stripeCall(resource, method, seconds, error = null) {
+    stripeRequestDuration.observe({ resource, method }, seconds);
+    if (error) {
+      stripeErrors.inc({ resource, method, type: error.type || error.name || 'Error' });
+    }
+  }
+
+  /**
+   * Prometheus text exposition format
+   */
+  function render() {
+    const memory = process.memoryUsage();
+    return [
+      httpRequestDuration.render(),
+      stripeRequestDuration.render(),
+      stripeErrors.render(),
+      webhookEvents.render(),
+      '# HELP process_uptime_seconds Seconds since the server started',
+      '# TYPE process_uptime_seconds gauge',
+      `process_uptime_seconds ${process.uptime()}`,
+      '# HELP nodejs_heap_used_bytes V8 heap in use',
+      '# TYPE nodejs_heap_used_bytes gauge',
+      `nodejs_heap_used_bytes ${memory.heapUsed}`
+    ].join('\n') + '\n';
+  }
+
+  return {
+    middleware,
+    webhookEvent,
+    stripeCall,
+    render
+  };
+}
+
+/**
+ * Wrap a Stripe client so every API call (stripe.<resource>.<method>(), also nested ones
+ * like stripe.checkout.sessions.create()) is timed and its failures counted in `metrics`.
+ * Calls return exactly what the client returns (auto-pagination keeps working);
+ * synchronous helpers such as webhooks.constructEvent are passed through.
+ * Wrapping an already instrumented client returns it unchanged.
+ */
+export function instrumentStripe(stripe, metrics) {
+  if (stripe[INSTRUMENTED]) return stripe;
+  const proxies = new WeakMap();
+
+  function observe(resource, method, call) {
+    const start = performance.now();
+    const result = call();
+    if (result && typeof result.then === 'function') {
+      const elapsed = () => (performance.now() - start) / 1000;
+      result.then(
+        () => metrics.stripeCall(resource, method, elapsed()),
+        error => metrics.stripeCall(resource, method, elapsed(), error)
+      );
+    }
+    return result;
+  }
+
+  function wrap(target, path) {
+    if (proxies.has(target)) return proxies.get(target);
+    const proxy = new Proxy(target, {
+      get(object, prop) {
+        if (prop === INSTRUMENTED) return true;
+        const value = Reflect.get(object, prop);
+        // Internals, classes (Stripe.errors.*) and the client's own helpers stay as they are
+        if (typeof prop !== 'string' || prop.startsWith('_') || /^[A-Z]/.test(prop)) return value;
+        // Namespaces can be functions with methods (webhooks)
+        const namespace = value && (typeof value === 'object' || (typeof value === 'function' && Object.keys(value).length));
+        if (namespace && !Array.isArray(value) && path.length < 2) {
+          return wrap(value, [...path, prop]);
+        }
+        if (typeof value === 'function') {
+          if (!path.length) return value.bind(object);
+          return (...args) => observe(path.join('.'), prop, () => value.apply(object, args));
+        }
+        return value;
+      }
+    });
+    proxies.set(target, proxy);
+    return proxy;
+  }
+
+  return wrap(stripe, []);
+}
@@ -0,0 +1,25 @@
+// Iterate over every object of a Stripe list endpoint (cursor pagination)
+
+/**
+ * @param {(params: object) => Promise<{ data: object[], has_more: boolean }>} list - e.g. params => stripe.customers.list(params)
+ * @param {object} [params] - list filters
+ */
+export async function* paginate(list, params = {}) {
+  let startingAfter = null;
+  do {
+    const page = await list({ ...params, limit: 100, ...(startingAfter ? { starting_after: startingAfter } : {}) });
+    yield* page.data;
+    startingAfter = page.has_more && page.data.length ? page.data[page.data.length - 1].id : null;
+  } while (startingAfter);
+}
+
+/**
+ * Collect every object of a Stripe list endpoint into an array
+ */
+export async function listAll(list, params = {}) {
+  const items = [];
+  for await (const item of paginate(list, params)) {
+    items.push(item);
+  }
+  return items;
+}
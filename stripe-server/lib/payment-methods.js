@@ -0,0 +1,44 @@
+// Saved payment methods
+// Cards on the Stripe customer as the app's Billing tab lists them. The default card pays
+// invoices and subscription renewals (customer invoice_settings + the live subscription).
+
+// SetupIntent purposes (metadata.purpose): which SetupIntents replace the default card on success
+export const SETUP_PURPOSE_BOOTSTRAP = 'bootstrap';
+export const SETUP_PURPOSE_UPDATE_CARD = 'update_card';
+
+const idOf = value => (typeof value === 'string' ? value : value?.id || null);
+
+/**
+ * The customer's default payment method id (invoice_settings), or null
+ */
+export function defaultPaymentMethodId(customer) {
+  return idOf(customer?.invoice_settings?.default_payment_method);
+}
+
+// A card is usable through the end of its expiry month
+function isCardExpired(card, now) {
+  if (!card.exp_year || !card.exp_month) return false;
+  const date = new Date(now);
+  const year = date.getUTCFullYear();
+  return card.exp_year < year || (card.exp_year === year && card.exp_month < date.getUTCMonth() + 1);
+}
+
+/**
+ * App-facing record of a saved card. `now` (ms) decides `expired`.
+ */
+export function paymentMethodRecord(pm, defaultId = null, now = Date.now()) {
+  const card = pm.card || {};
+  return {
+    paymentMethodId: pm.id,
+    type: pm.type,
+    brand: card.brand || null,
+    last4: card.last4 || null,
+    expMonth: card.exp_month ?? null,
+    expYear: card.exp_year ?? null,
+    funding: card.funding || null,
+    wallet: card.wallet?.type || null,
+    expired: isCardExpired(card, now),
+    isDefault: pm.id === defaultId,
+    created: pm.created ? pm.created * 1000 : null
+  };
+}
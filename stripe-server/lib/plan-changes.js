@@ -0,0 +1,95 @@
+// Plan changes (/billing/switch)
+// Upgrades apply immediately with a prorated charge. Downgrades and period changes wait for the
+// end of the paid period: a Stripe subscription schedule switches the price at renewal, and the
+// subscription's metadata carries the pending change until then (entitlement `pendingChange`).
+
+import { PLAN_FEATURES } from './plan-features.js';
+
+// Tiers from lowest to highest
+const PLAN_ORDER = Object.keys(PLAN_FEATURES);
+const PERIOD_ORDER = ['MONTHLY', 'YEARLY'];
+
+// Subscription metadata keys of a scheduled change (Stripe deletes keys set to '')
+export const PENDING_CHANGE_KEYS = ['pendingPlanId', 'pendingPeriod', 'pendingChangeAt'];
+
+/**
+ * Kind of change from the current { planId, period } to the target:
+ * 'none', 'upgrade' (higher tier, same or longer period), 'downgrade' (lower tier)
+ * or 'period_change' (same tier, or a higher tier on a shorter period).
+ * An unknown current plan counts as an upgrade (applied immediately, as before schedules).
+ */
+export function classifyPlanChange(current, target) {
+  if (!current) return 'upgrade';
+  if (current.planId === target.planId && current.period === target.period) return 'none';
+
+  const tier = PLAN_ORDER.indexOf(target.planId) - PLAN_ORDER.indexOf(current.planId);
+  const length = PERIOD_ORDER.indexOf(target.period) - PERIOD_ORDER.indexOf(current.period);
+  if (tier < 0) return 'downgrade';
+  if (tier > 0 && length >= 0) return 'upgrade';
+  return 'period_change';
+}
+
+/**
+ * Whether a change applies now (otherwise at the end of the current period)
+ */
+export function isImmediateChange(kind) {
+  return kind === 'upgrade';
+}
+
+/**
+ * Subscription metadata recording a change scheduled for `effectiveAt` (Stripe seconds)
+ */
+export function pendingChangeMetadata({ planId, period }, effectiveAt) {
+  return { pendingPlanId: planId, pendingPeriod: period, pendingChangeAt: String(effectiveAt) };
+}
+
+/**
+ * Subscription metadata clearing a scheduled change
+ */
+export function clearedPendingChangeMetadata() {
+  return Object.fromEntries(PENDING_CHANGE_KEYS.map(key => [key, '']));
+}
+
+/**
+ * The change scheduled on a subscription ({ planId, period, effectiveAt } in ms), or null
+ */
+export function pendingChangeFromSubscription(sub) {
+  const { pendingPlanId, pendingPeriod, pendingChangeAt } = sub.metadata || {};
+  if (!sub.schedule || !pendingPlanId || !pendingPeriod) return null;
+  return {
+    planId: pendingPlanId,
+    period: pendingPeriod,
+    effectiveAt: pendingChangeAt ? Number(pendingChangeAt) * 1000 : sub.current_period_end * 1000
+  };
+}
+
+/**
+ * Id of the subscription schedule attached to a subscription, or null
+ */
+export function scheduleIdOf(sub) {
+  return typeof sub.schedule === 'string' ? sub.schedule : sub.schedule?.id || null;
+}
+
+/**
+ * Discounts of a schedule phase in the form phase updates accept (kept when phases are replaced)
+ */
+export function phaseDiscounts(phase) {
+  return (phase?.discounts || []).map(discount => {
+    const id = value => (typeof value === 'string' ? value : value?.id);
+    if (discount.discount) return { discount: id(discount.discount) };
+    if (discount.promotion_code) return { promotion_code: id(discount.promotion_code) };
+    return { coupon: id(discount.coupon) };
+  });
+}
+
+/**
+ * Proration on an immediate-change preview invoice: the net of credits for unused time and
+ * charges for the new price, and what the customer pays now
+ */
+export function prorationSummary(invoice) {
+  const lines = invoice.lines?.data || [];
+  return {
+    prorationAmount: lines.filter(line => line.proration).reduce((sum, line) => sum + line.amount, 0),
+    amountDueNow: invoice.amount_due
+  };
+}
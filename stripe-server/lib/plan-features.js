@@ -0,0 +1,152 @@
+// Per-tier feature limits, and the canonical plan and status values
+// Mirrors PlanLimits in the Android app (data/models/SubscriptionModels.kt). Plans and statuses are
+// written in upper case (the Kotlin enum names); firestore.rules.subscription validates the same lists.
+
+import { isInGracePeriod } from './dunning.js';
+
+export const PLAN_FEATURES = {
+  FREE: {
+    tokensPerWindow: 100_000,
+    messagesPerWindow: 25,
+    windowDurationHours: 5,
+    burstRequestsPerMinute: 10,
+    modelAccess: ['gemini-2.5-flash'],
+    maxUploadMB: 10,
+    maxSources: 5,
+    memoryEntries: 50,
+    contextLength: '32K',
+    cloudBackup: false,
+    teamSpaces: 0,
+    priorityClass: 1
+  },
+  PLUS: {
+    tokensPerWindow: 500_000,
+    messagesPerWindow: 100,
+    windowDurationHours: 5,
+    burstRequestsPerMinute: 30,
+    modelAccess: ['gemini-2.5-flash', 'gemini-2.5-pro'],
+    maxUploadMB: 50,
+    maxSources: 50,
+    memoryEntries: 500,
+    contextLength: '128K',
+    cloudBackup: true,
+    teamSpaces: 0,
+    priorityClass: 2
+  },
+  PRO: {
+    tokensPerWindow: 1_500_000,
+    messagesPerWindow: 250,
+    windowDurationHours: 5,
+    burstRequestsPerMinute: 60,
+    modelAccess: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gpt-5', 'claude-4.5', 'perplexity'],
+    maxUploadMB: 100,
+    maxSources: 250,
+    memoryEntries: null, // unlimited
+    contextLength: '256K',
+    cloudBackup: true,
+    teamSpaces: 2,
+    priorityClass: 3
+  },
+  // Per seat of a team subscription (lib/teams.js): Pro limits, more team spaces
+  TEAM: {
+    tokensPerWindow: 1_500_000,
+    messagesPerWindow: 250,
+    windowDurationHours: 5,
+    burstRequestsPerMinute: 60,
+    modelAccess: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gpt-5', 'claude-4.5', 'perplexity'],
+    maxUploadMB: 100,
+    maxSources: 250,
+    memoryEntries: null, // unlimited
+    contextLength: '256K',
+    cloudBackup: true,
+    teamSpaces: 10,
+    priorityClass: 3
+  },
+  MASTER: {
+    tokensPerWindow: 5_000_000,
+    messagesPerWindow: 1000,
+    windowDurationHours: 5,
+    burstRequestsPerMinute: 90,
+    modelAccess: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gpt-5', 'claude-4.5', 'perplexity', 'perplexity-pro'],
+    maxUploadMB: 250,
+    maxSources: 1000,
+    memoryEntries: null, // unlimited
+    contextLength: '512K',
+    cloudBackup: true,
+    teamSpaces: 5,
+    priorityClass: 4
+  }
+};
+
+export const PLAN_IDS = Object.keys(PLAN_FEATURES);
+
+// Every status an entitlement can have (lib/entitlements.js, lib/play.js, lib/teams.js)
+export const ENTITLEMENT_STATUSES = ['ACTIVE', 'TRIALING', 'PAST_DUE', 'CANCELED', 'INCOMPLETE', 'PAUSED', 'INACTIVE'];
+
+// Older names still found in stored documents and clients ('core' was the first paid tier)
+const PLAN_ALIASES = { CORE: 'PLUS' };
+const STATUS_ALIASES = { CANCELLED: 'CANCELED' };
+
+// Entitlement statuses that keep paid features on
+// (CANCELED = canceled at period end, still inside the paid period; PAST_DUE = within the grace window)
+export const PAID_STATUSES = ['ACTIVE', 'TRIALING', 'CANCELED', 'PAST_DUE'];
+
+/**
+ * Canonical plan id for any spelling ('pro', 'core', 'PRO'); FREE for unknown values
+ */
+export function normalizePlan(value) {
+  if (typeof value !== 'string') return 'FREE';
+  const plan = value.trim().toUpperCase();
+  const canonical = PLAN_ALIASES[plan] || plan;
+  return PLAN_FEATURES[canonical] ? canonical : 'FREE';
+}
+
+/**
+ * Canonical entitlement status for any spelling ('past_due', 'Past-Due'); INACTIVE for unknown values
+ */
+export function normalizeStatus(value) {
+  if (typeof value !== 'string') return 'INACTIVE';
+  const status = value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  const canonical = STATUS_ALIASES[status] || status;
+  return ENTITLEMENT_STATUSES.includes(canonical) ? canonical : 'INACTIVE';
+}
+
+/**
+ * The plan whose limits apply to an entitlement: its plan while paid features are on, otherwise FREE.
+ * Entitlements with an `expiresAt` (complimentary grants) end then, whatever their status.
+ */
+export function effectivePlan(entitlement, now = Date.now()) {
+  if (!entitlement || !PAID_STATUSES.includes(entitlement.status)) return 'FREE';
+  if (entitlement.expiresAt && entitlement.expiresAt <= now) return 'FREE';
+  if (entitlement.status === 'CANCELED' && entitlement.renewsAt && entitlement.renewsAt < now) return 'FREE';
+  if (entitlement.status === 'PAST_DUE' && !isInGracePeriod(entitlement, now)) return 'FREE';
+  return PLAN_FEATURES[entitlement.plan] ? entitlement.plan : 'FREE';
+}
+
+/**
+ * Feature limits for a plan (FREE for unknown plans)
+ */
+export function limitsForPlan(planId) {
+  return PLAN_FEATURES[planId] || PLAN_FEATURES.FREE;
+}
+
+/**
+ * What an entitlement grants right now: the purchased `plan` and its `status`, the `effectivePlan`
+ * whose `limits` apply (FREE once paid features are off), and when that can change.
+ * Served by GET /entitlements/me and written to users/{uid}/subscription/current.
+ */
+export function entitlementSummary(entitlement, now = Date.now()) {
+  const plan = effectivePlan(entitlement, now);
+  return {
+    plan: normalizePlan(entitlement?.plan),
+    status: entitlement ? normalizeStatus(entitlement.status) : 'ACTIVE',
+    source: entitlement?.source || null,
+    effectivePlan: plan,
+    limits: limitsForPlan(plan),
+    renewsAt: entitlement?.renewsAt || null,
+    expiresAt: entitlement?.expiresAt || null,
+    trialEndsAt: entitlement?.trialEndsAt || null,
+    graceEndsAt: entitlement?.graceEndsAt || null,
+    resumesAt: entitlement?.resumesAt || null
+  };
+}
@@ -0,0 +1,100 @@
+// Google Play Developer API (Android Publisher v3) client for subscription purchases
+// Authenticates as a service account with the JWT bearer grant. In Play Console the account
+// needs "View financial data" and "Manage orders and subscriptions" for the app.
+// Errors carry the HTTP status as `statusCode` (404/410: unknown or expired purchase token).
+//
+// Tests use the stand-in in test/support/fake-play.js, which has the same interface.
+
+import { createSign } from 'crypto';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const API_URL = 'https://androidpublisher.googleapis.com/androidpublisher/v3/applications';
+const SCOPE = 'https://www.googleapis.com/auth/androidpublisher';
+
+/**
+ * Create the Play client.
+ *
+ * @param {object} options
+ * @param {string} options.packageName - Android application id
+ * @param {string} options.clientEmail - service account email
+ * @param {string} options.privateKey - service account private key (PEM)
+ * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ */
+export function createPlayPublisher({ packageName, clientEmail, privateKey, fetch = globalThis.fetch, clock = Date }) {
+  let accessToken = null; // { token, expiresAt }
+
+  function playError(statusCode, message) {
+    const error = new Error(`Google Play API: ${message}`);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function signedAssertion() {
+    const now = Math.floor(clock.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.` +
+      encode({ iss: clientEmail, scope: SCOPE, aud: TOKEN_URL, iat: now, exp: now + 3600 });
+    const signature = createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  // Access tokens are reused until a minute before they expire
+  async function getAccessToken() {
+    if (accessToken && accessToken.expiresAt - 60 * 1000 > clock.now()) {
+      return accessToken.token;
+    }
+
+    const res = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: signedAssertion()
+      })
+    });
+    const body = await res.json();
+    if (!res.ok) {
+      throw playError(res.status, body.error_description || body.error || 'token request failed');
+    }
+
+    accessToken = { token: body.access_token, expiresAt: clock.now() + body.expires_in * 1000 };
+    return accessToken.token;
+  }
+
+  async function call(method, path, body = undefined) {
+    const res = await fetch(`${API_URL}/${encodeURIComponent(packageName)}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const text = await res.text();
+    const result = text ? JSON.parse(text) : {};
+    if (!res.ok) {
+      throw playError(res.status, result.error?.message || res.statusText);
+    }
+    return result;
+  }
+
+  return {
+    packageName,
+
+    /**
+     * Subscription purchase (SubscriptionPurchaseV2) for a purchase token
+     */
+    getSubscription(purchaseToken) {
+      return call('GET', `/purchases/subscriptionsv2/tokens/${encodeURIComponent(purchaseToken)}`);
+    },
+
+    /**
+     * Acknowledge a new purchase. Play refunds purchases not acknowledged within 3 days.
+     */
+    async acknowledgeSubscription(productId, purchaseToken) {
+      await call('POST', `/purchases/subscriptions/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(purchaseToken)}:acknowledge`, {});
+    }
+  };
+}
@@ -0,0 +1,131 @@
+// Google Play Billing subscriptions
+// The app buys through Play Billing and sends the purchase token to /billing/play/verify; the
+// server reads the purchase from the Android Publisher API (lib/play-publisher.js) and stores it
+// as the `play` entitlement. Real-Time Developer Notifications (Pub/Sub push) re-read the
+// purchase whenever Play changes it.
+//
+// Play products mirror the Stripe catalog: one subscription per tier, base plans `monthly`/`yearly`.
+
+import { PLAN_FEATURES } from './plan-features.js';
+
+// Subscription product id -> plan
+export const PLAY_PRODUCTS = {
+  innovexia_plus: 'PLUS',
+  innovexia_pro: 'PRO',
+  innovexia_master: 'MASTER'
+};
+
+// Base plan id -> billing period
+export const PLAY_BASE_PLANS = {
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+};
+
+// subscriptionNotification.notificationType (RTDN), for logs and the ledger
+export const PLAY_NOTIFICATION_TYPES = {
+  1: 'SUBSCRIPTION_RECOVERED',
+  2: 'SUBSCRIPTION_RENEWED',
+  3: 'SUBSCRIPTION_CANCELED',
+  4: 'SUBSCRIPTION_PURCHASED',
+  5: 'SUBSCRIPTION_ON_HOLD',
+  6: 'SUBSCRIPTION_IN_GRACE_PERIOD',
+  7: 'SUBSCRIPTION_RESTARTED',
+  8: 'SUBSCRIPTION_PRICE_CHANGE_CONFIRMED',
+  9: 'SUBSCRIPTION_DEFERRED',
+  10: 'SUBSCRIPTION_PAUSED',
+  11: 'SUBSCRIPTION_PAUSE_SCHEDULE_CHANGED',
+  12: 'SUBSCRIPTION_REVOKED',
+  13: 'SUBSCRIPTION_EXPIRED',
+  20: 'SUBSCRIPTION_PENDING_PURCHASE_CANCELED'
+};
+
+/**
+ * Plan of a subscription purchase (SubscriptionPurchaseV2) from its first line item, or null
+ */
+export function planFromPlayPurchase(purchase) {
+  const item = purchase.lineItems?.[0];
+  const planId = PLAY_PRODUCTS[item?.productId];
+  const period = PLAY_BASE_PLANS[item?.offerDetails?.basePlanId];
+  return planId && period && PLAN_FEATURES[planId] ? { planId, period } : null;
+}
+
+/**
+ * Entitlement status of a Play subscription (same values as SUBSCRIPTION_STATUS_MAP).
+ * Account hold is PAST_DUE with a grace period that has already ended: no paid features,
+ * but the app still asks the user to fix the payment.
+ */
+export function playEntitlementStatus(purchase, now = Date.now()) {
+  const item = purchase.lineItems?.[0];
+  const expiresAt = item?.expiryTime ? Date.parse(item.expiryTime) : 0;
+
+  switch (purchase.subscriptionState) {
+    case 'SUBSCRIPTION_STATE_ACTIVE':
+      if (item?.autoRenewingPlan?.autoRenewEnabled === false) return 'CANCELED';
+      return item?.offerPhase?.freeTrial ? 'TRIALING' : 'ACTIVE';
+    case 'SUBSCRIPTION_STATE_CANCELED':
+      return expiresAt > now ? 'CANCELED' : 'INACTIVE';
+    case 'SUBSCRIPTION_STATE_IN_GRACE_PERIOD':
+    case 'SUBSCRIPTION_STATE_ON_HOLD':
+      return 'PAST_DUE';
+    case 'SUBSCRIPTION_STATE_PAUSED':
+      return 'PAUSED';
+    case 'SUBSCRIPTION_STATE_PENDING':
+      return 'INCOMPLETE';
+    default:
+      // EXPIRED, PENDING_PURCHASE_CANCELED
+      return 'INACTIVE';
+  }
+}
+
+// Start of the period ending at `end` (Play only reports the expiry)
+function periodStart(end, period) {
+  const date = new Date(end);
+  if (period === 'YEARLY') date.setUTCFullYear(date.getUTCFullYear() - 1);
+  else date.setUTCMonth(date.getUTCMonth() - 1);
+  return date.getTime();
+}
+
+/**
+ * Build the `play` entitlement for a subscription purchase
+ */
+export function entitlementFromPlayPurchase(purchase, { planId, period }, purchaseToken, now = Date.now()) {
+  const item = purchase.lineItems[0];
+  const expiresAt = item.expiryTime ? Date.parse(item.expiryTime) : null;
+  const status = playEntitlementStatus(purchase, now);
+
+  return {
+    plan: planId,
+    period,
+    status,
+    startedAt: Date.parse(purchase.startTime),
+    periodStartsAt: expiresAt ? periodStart(expiresAt, period) : null,
+    renewsAt: expiresAt,
+    trialEndsAt: status === 'TRIALING' ? expiresAt : null,
+    // In grace period Play extends the expiry to the end of the grace period
+    graceEndsAt: status === 'PAST_DUE' ? expiresAt : null,
+    dunning: null,
+    discount: null,
+    pendingChange: null,
+    source: 'play',
+    orderId: purchase.latestOrderId || null,
+    productId: item.productId,
+    purchaseToken
+  };
+}
+
+/**
+ * Decode a Pub/Sub push body into a DeveloperNotification ({ messageId, notification }),
+ * or null when it is not one
+ */
+export function parsePlayNotification(body) {
+  const data = body?.message?.data;
+  if (!data) return null;
+  try {
+    return {
+      messageId: body.message.messageId || body.message.message_id || null,
+      notification: JSON.parse(Buffer.from(data, 'base64').toString('utf8'))
+    };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,190 @@
+import { readFileSync, existsSync, writeFileSync, renameSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { PLAN_FEATURES } from './plan-features.js';
+import { consoleLogger } from './logger.js';
+
+const __dirname = dirname(dirname(fileURLToPath(import.meta.url)));
+
+// Where price-ids.*.json lives: PRICE_IDS_DIR, else the server directory
+const priceIdsDir = () => process.env.PRICE_IDS_DIR || __dirname;
+
+// Fallback to hardcoded IDs (test mode only)
+const FALLBACK_PRICE_IDS = {
+  'PLUS:MONTHLY': 'price_1SG7plRutIy9oqiF45T5OrXR',
+  'PLUS:YEARLY': 'price_1SG7plRutIy9oqiFvzawPEC4',
+  'PRO:MONTHLY': 'price_1SG7plRutIy9oqiFj9mfAMoR',
+  'PRO:YEARLY': 'price_1SG7pmRutIy9oqiFY7obhe66',
+  'MASTER:MONTHLY': 'price_1SG7pmRutIy9oqiFuQKEXvVc',
+  'MASTER:YEARLY': 'price_1SG7pmRutIy9oqiFAdfInzrR',
+};
+
+// Free trial length per plan (days), used when price-ids.*.json has no `trialDays`
+const FALLBACK_TRIAL_DAYS = {
+  PLUS: 7,
+  PRO: 7,
+  MASTER: 0,
+  TEAM: 0,
+};
+
+// Billing periods every plan is sold in
+export const BILLING_PERIODS = ['MONTHLY', 'YEARLY'];
+
+// Plans sold only once their prices are set up (npm run setup:*). Until then they are left out of
+// the catalog and cannot be bought, and price-ids files written before them stay valid.
+export const OPTIONAL_PLANS = ['TEAM'];
+
+const planPeriods = planIds => planIds.flatMap(planId => BILLING_PERIODS.map(period => `${planId}:${period}`));
+const PAID_PLANS = Object.keys(PLAN_FEATURES).filter(planId => planId !== 'FREE');
+const REQUIRED_PLAN_PERIODS = planPeriods(PAID_PLANS.filter(planId => !OPTIONAL_PLANS.includes(planId)));
+const OPTIONAL_PLAN_PERIODS = planPeriods(OPTIONAL_PLANS);
+
+/**
+ * Path of price-ids.{production,test}.json
+ */
+export function priceIdsPath(live, dir = priceIdsDir()) {
+  return join(dir, live ? 'price-ids.production.json' : 'price-ids.test.json');
+}
+
+function loadConfig(live) {
+  const configPath = priceIdsPath(live);
+
+  if (existsSync(configPath)) {
+    try {
+      return JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      // checkPriceConfig() stops the server on this at startup; a file broken later is reported here
+      consoleLogger.warn('price IDs file could not be read', { path: configPath, error: err.message });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Write price-ids.{production,test}.json atomically (temp file + rename),
+ * so the server never reads a half-written file.
+ */
+export function writePriceIdsFile(live, config, { dir = priceIdsDir() } = {}) {
+  const configPath = priceIdsPath(live, dir);
+  const tmpPath = `${configPath}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(config, null, 2) + '\n');
+  renameSync(tmpPath, configPath);
+  return configPath;
+}
+
+/**
+ * Check a price-ids config. Returns a list of errors (empty when valid).
+ */
+export function validatePriceIds(config, live) {
+  const errors = [];
+  const expectedMode = live ? 'production' : 'test';
+
+  if (!config || typeof config !== 'object') return ['not a JSON object'];
+  if (config.mode && config.mode !== expectedMode) {
+    errors.push(`written for ${config.mode} mode but the server uses ${expectedMode} keys`);
+  }
+  if (!config.priceIds || typeof config.priceIds !== 'object') {
+    errors.push('priceIds is missing');
+  } else {
+    for (const key of [...REQUIRED_PLAN_PERIODS, ...OPTIONAL_PLAN_PERIODS]) {
+      const priceId = config.priceIds[key];
+      if (!priceId) {
+        if (REQUIRED_PLAN_PERIODS.includes(key)) errors.push(`priceIds["${key}"] is missing`);
+      } else if (typeof priceId !== 'string' || !priceId.startsWith('price_')) {
+        errors.push(`priceIds["${key}"] is not a Stripe price ID: ${JSON.stringify(priceId)}`);
+      }
+    }
+  }
+  if (config.trialDays !== undefined) {
+    for (const [planId, days] of Object.entries(config.trialDays)) {
+      if (!Number.isInteger(days) || days < 0) errors.push(`trialDays["${planId}"] must be a non-negative integer`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Startup check of the price-ids file for the current mode.
+ * Returns { errors, warnings }; live mode requires the file, test mode falls back to the built-in IDs.
+ */
+export function checkPriceConfig(live, { dir = priceIdsDir() } = {}) {
+  const configPath = priceIdsPath(live, dir);
+  const setupCommand = live ? 'npm run setup:prod' : 'npm run setup:test';
+
+  if (!existsSync(configPath)) {
+    return live
+      ? { errors: [`${configPath} not found - run ${setupCommand}`], warnings: [] }
+      : { errors: [], warnings: [`${configPath} not found - using the built-in test price IDs (run ${setupCommand})`] };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    return { errors: [`${configPath} is not valid JSON: ${err.message}`], warnings: [] };
+  }
+
+  return {
+    errors: validatePriceIds(config, live).map(error => `${configPath}: ${error}`),
+    warnings: []
+  };
+}
+
+/**
+ * Load the `plan:period -> priceId` table.
+ * Reads price-ids.{production,test}.json (written by setup-products.js),
+ * falling back to the hardcoded test-mode IDs.
+ */
+export function loadPriceIds(live) {
+  return loadConfig(live)?.priceIds || FALLBACK_PRICE_IDS;
+}
+
+/**
+ * Free trial length (days) for a plan, 0 for no trial
+ */
+export function trialDaysForPlan(planId, live) {
+  const trialDays = loadConfig(live)?.trialDays || FALLBACK_TRIAL_DAYS;
+  return trialDays[planId] || 0;
+}
+
+/**
+ * Map your app plan/period to a Stripe price ID
+ * Run: npm run setup:test (for test mode) or npm run setup:prod (for production)
+ */
+export function planToPriceId(planId, period, live) {
+  return loadPriceIds(live)[`${planId}:${period}`];
+}
+
+/**
+ * Reverse lookup: Stripe price ID -> { planId, period }, or null if unknown
+ */
+export function priceIdToPlan(priceId, live) {
+  const priceIds = loadPriceIds(live);
+  const key = Object.keys(priceIds).find(k => priceIds[k] === priceId);
+  if (!key) return null;
+
+  const [planId, period] = key.split(':');
+  return { planId, period };
+}
+
+/**
+ * Resolve the plan of a Stripe subscription.
+ * Tries the price ID table first, then plan metadata stamped on the price
+ * or the subscription when they were created.
+ */
+export function planFromSubscription(subscription, live) {
+  const price = subscription.items?.data?.[0]?.price;
+
+  const fromTable = price?.id ? priceIdToPlan(price.id, live) : null;
+  if (fromTable) return fromTable;
+
+  for (const metadata of [price?.metadata, subscription.metadata]) {
+    if (metadata?.planId && metadata?.period) {
+      return { planId: metadata.planId, period: metadata.period };
+    }
+  }
+
+  return null;
+}
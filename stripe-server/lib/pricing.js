@@ -0,0 +1,211 @@
+// Public plan catalog: live Stripe prices for every plan and period, localized to a currency.
+// Prices are read from Stripe (including the multi-currency options created from catalog.json)
+// and cached, so GET /billing/plans does not hit Stripe on every request.
+
+import { loadPriceIds, trialDaysForPlan } from './prices.js';
+import { PLAN_FEATURES, limitsForPlan } from './plan-features.js';
+import { TEAM_PLAN_ID } from './teams.js';
+import { consoleLogger } from './logger.js';
+
+export const DEFAULT_CURRENCY = 'usd';
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+const EURO_COUNTRIES = [
+  'AD', 'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT',
+  'LU', 'LV', 'MC', 'ME', 'MT', 'NL', 'PT', 'SI', 'SK', 'SM', 'VA', 'XK'
+];
+
+// Billing currency by ISO country code (anything else pays in DEFAULT_CURRENCY)
+const COUNTRY_CURRENCIES = {
+  ...Object.fromEntries(EURO_COUNTRIES.map(country => [country, 'eur'])),
+  GB: 'gbp',
+  GG: 'gbp',
+  IM: 'gbp',
+  JE: 'gbp',
+  US: 'usd'
+};
+
+/**
+ * Country of a request: an explicit `country` wins, then the region of `locale`
+ * (e.g. "de-DE", "en_GB"), then the highest-weighted Accept-Language tag with a region.
+ * Returns an uppercase ISO code or null.
+ */
+export function countryFromRequest({ country, locale, acceptLanguage } = {}) {
+  if (typeof country === 'string' && /^[a-z]{2}$/i.test(country.trim())) {
+    return country.trim().toUpperCase();
+  }
+
+  const regionOf = tag => tag?.trim().split(/[-_]/).slice(1).find(part => /^[a-z]{2}$/i.test(part))?.toUpperCase() || null;
+
+  const fromLocale = typeof locale === 'string' ? regionOf(locale) : null;
+  if (fromLocale) return fromLocale;
+
+  const tags = String(acceptLanguage || '')
+    .split(',')
+    .map(entry => {
+      const [tag, ...params] = entry.split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) || 0 : 1 };
+    })
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of tags) {
+    const region = regionOf(tag);
+    if (region) return region;
+  }
+  return null;
+}
+
+/**
+ * Billing currency for a country, limited to the currencies the prices support
+ */
+export function currencyForCountry(country, supported = [DEFAULT_CURRENCY]) {
+  const currency = COUNTRY_CURRENCIES[country];
+  if (currency && supported.includes(currency)) return currency;
+  return supported.includes(DEFAULT_CURRENCY) ? DEFAULT_CURRENCY : supported[0];
+}
+
+/**
+ * Currencies a Stripe price can be charged in (base currency first)
+ */
+export function priceCurrencies(price) {
+  return [price.currency, ...Object.keys(price.currency_options || {}).filter(c => c !== price.currency)];
+}
+
+/**
+ * Amount of a Stripe price in `currency` (smallest unit), or null if the price has no such option
+ */
+export function priceAmount(price, currency) {
+  if (currency === price.currency) return price.unit_amount;
+  return price.currency_options?.[currency]?.unit_amount ?? null;
+}
+
+/**
+ * Cached catalog of the plans sold through Stripe.
+ *
+ * @param {object} deps
+ * @param {object} deps.stripe - Stripe client
+ * @param {boolean} [deps.live] - live Stripe keys (selects price-ids.production.json)
+ * @param {{ now: () => number }} [deps.clock]
+ * @param {number} [deps.ttlMs] - how long Stripe prices are cached
+ * @param {object} [deps.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function createPlanCatalog({ stripe, live = false, clock = Date, ttlMs = DEFAULT_TTL_MS, logger = consoleLogger }) {
+  let cached = null;
+  let loading = null;
+
+  async function fetchCatalog() {
+    const priceIds = loadPriceIds(live);
+    const plans = [];
+
+    for (const planId of Object.keys(PLAN_FEATURES).filter(id => id !== 'FREE')) {
+      const prices = {};
+      let product = null;
+
+      for (const period of ['MONTHLY', 'YEARLY']) {
+        // Optional plans (OPTIONAL_PLANS, e.g. TEAM) are left out until their prices are set up
+        const priceId = priceIds[`${planId}:${period}`];
+        if (!priceId) continue;
+        const price = await stripe.prices.retrieve(priceId, { expand: ['currency_options', 'product'] });
+        if (!price.active) {
+          logger.warn('price is archived, run the catalog setup', { priceId, planId, period });
+        }
+        if (typeof price.product === 'object' && price.product) product = price.product;
+        prices[period] = price;
+      }
+
+      if (Object.keys(prices).length) {
+        plans.push({
+          planId,
+          name: product?.name || planId,
+          description: product?.description || null,
+          features: (product?.marketing_features || []).map(feature => feature.name),
+          trialDays: trialDaysForPlan(planId, live),
+          prices
+        });
+      }
+    }
+
+    const currencies = [...new Set(plans.flatMap(plan => Object.values(plan.prices).flatMap(priceCurrencies)))]
+      // Only currencies every price can be charged in
+      .filter(currency => plans.every(plan => Object.values(plan.prices).every(price => priceAmount(price, currency) !== null)));
+
+    return { plans, currencies, fetchedAt: clock.now() };
+  }
+
+  /**
+   * The Stripe-backed catalog, refreshed after `ttlMs`.
+   * A failed refresh keeps serving the previous copy.
+   */
+  async function load() {
+    if (cached && clock.now() - cached.fetchedAt < ttlMs) return cached;
+    if (!loading) {
+      loading = fetchCatalog()
+        .then(result => { cached = result; return result; })
+        .catch(error => {
+          if (!cached) throw error;
+          logger.warn('plan catalog refresh failed, serving cached prices', { error: error.message });
+          return cached;
+        })
+        .finally(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  /**
+   * Every plan (FREE included) with prices in one currency.
+   * Yearly prices carry the saving against twelve monthly payments.
+   */
+  async function getPlans({ country = null, currency = null } = {}) {
+    const catalog = await load();
+    const selected = currency && catalog.currencies.includes(currency)
+      ? currency
+      : currencyForCountry(country, catalog.currencies);
+
+    const plans = catalog.plans.map(plan => {
+      const prices = {};
+      for (const [period, price] of Object.entries(plan.prices)) {
+        const amount = priceAmount(price, selected);
+        prices[period] = {
+          priceId: price.id,
+          currency: selected,
+          amount,
+          interval: price.recurring?.interval,
+          monthlyAmount: period === 'YEARLY' ? Math.round(amount / 12) : amount
+        };
+      }
+
+      if (prices.MONTHLY && prices.YEARLY) {
+        const twelveMonths = prices.MONTHLY.amount * 12;
+        const amount = twelveMonths - prices.YEARLY.amount;
+        prices.YEARLY.savings = amount > 0
+          ? { amount, percent: Math.round((amount / twelveMonths) * 100) }
+          : null;
+      }
+
+      return {
+        planId: plan.planId,
+        name: plan.name,
+        description: plan.description,
+        features: plan.features,
+        trialDays: plan.trialDays,
+        perSeat: plan.planId === TEAM_PLAN_ID, // prices are per member (POST /billing/team)
+        limits: limitsForPlan(plan.planId),
+        prices
+      };
+    });
+
+    return {
+      currency: selected,
+      country,
+      currencies: catalog.currencies,
+      plans: [
+        { planId: 'FREE', name: 'Free', description: null, features: [], trialDays: 0, perSeat: false, limits: limitsForPlan('FREE'), prices: {} },
+        ...plans
+      ],
+      updatedAt: new Date(catalog.fetchedAt).toISOString()
+    };
+  }
+
+  return { getPlans, load };
+}
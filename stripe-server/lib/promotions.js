@@ -0,0 +1,99 @@
+// Promotion codes, coupons and trial eligibility
+
+/**
+ * Look up an active promotion code by its customer-facing code (e.g. "LAUNCH20").
+ * Returns the Stripe PromotionCode with its coupon expanded, or null.
+ */
+export async function findPromotionCode(stripe, code) {
+  if (!code || typeof code !== 'string') return null;
+
+  const result = await stripe.promotionCodes.list({
+    code: code.trim(),
+    active: true,
+    limit: 1,
+    expand: ['data.coupon.applies_to']
+  });
+  return result.data[0] || null;
+}
+
+/**
+ * Check that a promotion code can be applied to a price for a customer at `now` (ms).
+ * Returns null if valid, otherwise a human readable reason.
+ */
+export function promotionCodeError(promo, { customerId, price, firstTimeCustomer, now }) {
+  const coupon = promo.coupon;
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (!promo.active || !coupon?.valid) return 'This code is no longer valid';
+  if (promo.expires_at && promo.expires_at < nowSeconds) return 'This code has expired';
+  if (promo.max_redemptions && promo.times_redeemed >= promo.max_redemptions) {
+    return 'This code has reached its redemption limit';
+  }
+  if (promo.customer && promo.customer !== customerId) return 'This code is not available for your account';
+
+  const restrictions = promo.restrictions || {};
+  if (restrictions.first_time_transaction && !firstTimeCustomer) {
+    return 'This code is only valid on your first purchase';
+  }
+  if (restrictions.minimum_amount && price.currency === restrictions.minimum_amount_currency &&
+      price.unit_amount < restrictions.minimum_amount) {
+    return 'This code does not apply to this plan';
+  }
+
+  const products = coupon.applies_to?.products;
+  const productId = typeof price.product === 'string' ? price.product : price.product?.id;
+  if (products?.length && !products.includes(productId)) {
+    return 'This code does not apply to this plan';
+  }
+  if (coupon.amount_off && coupon.currency !== price.currency) {
+    return 'This code does not apply to this currency';
+  }
+
+  return null;
+}
+
+/**
+ * Price after applying a coupon once (smallest currency unit)
+ */
+export function discountedAmount(coupon, amount) {
+  if (coupon.percent_off) {
+    return Math.max(0, Math.round(amount * (1 - coupon.percent_off / 100)));
+  }
+  if (coupon.amount_off) {
+    return Math.max(0, amount - coupon.amount_off);
+  }
+  return amount;
+}
+
+/**
+ * Public summary of a coupon for API responses and entitlements
+ */
+export function describeCoupon(coupon) {
+  return {
+    percentOff: coupon.percent_off || null,
+    amountOff: coupon.amount_off || null,
+    currency: coupon.currency || null,
+    duration: coupon.duration,
+    durationInMonths: coupon.duration_in_months || null
+  };
+}
+
+/**
+ * Whether a customer has ever started a trial or paid for a subscription.
+ * One trial per customer: any earlier subscription with a trial counts,
+ * as does the `trialUsed` flag stamped on the customer.
+ */
+export async function getCustomerHistory(stripe, customerId) {
+  const customer = await stripe.customers.retrieve(customerId);
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: 'all',
+    limit: 100
+  });
+
+  const trialUsed = customer.metadata?.trialUsed === 'true' ||
+    subscriptions.data.some(sub => sub.trial_start);
+  const hasPaid = subscriptions.data.some(sub => !['incomplete', 'incomplete_expired'].includes(sub.status));
+
+  return { trialUsed, firstTimeCustomer: !hasPaid };
+}
@@ -0,0 +1,93 @@
+// Authoritative per-user rate limiting (sliding window log)
+//
+// Firestore backend: users/{uid}/rate/now, updated in a transaction. Besides the request
+// log it mirrors `minuteWindowStart` / `requestsThisMinute`, the fields the app's
+// FirebaseRateLimiter and RateLimitComposer already read.
+// Memory backend: same algorithm in a Map, for tests and local development.
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Sliding window check (pure).
+ * `timestamps` are the accepted requests (ms); requests older than the window are dropped.
+ */
+export function slidingWindow(timestamps, { limit, windowMs = WINDOW_MS, cost = 1 }, now) {
+  const recent = (timestamps || []).filter(ts => now - ts < windowMs).sort((a, b) => a - b);
+  const allowed = recent.length + cost <= limit;
+  const accepted = allowed ? [...recent, ...Array(cost).fill(now)] : recent;
+
+  // When denied, capacity returns as soon as enough of the oldest requests expire
+  const freeingIndex = Math.min(accepted.length - 1, Math.max(0, accepted.length + cost - limit - 1));
+  const retryAfterMs = allowed || accepted.length === 0 ? 0 : Math.max(0, accepted[freeingIndex] + windowMs - now);
+  const windowStart = accepted.length ? accepted[0] : now;
+
+  return {
+    allowed,
+    timestamps: accepted,
+    count: accepted.length,
+    limit,
+    remaining: Math.max(0, limit - accepted.length),
+    retryAfterMs,
+    windowStart,
+    resetAt: accepted.length ? windowStart + windowMs : now
+  };
+}
+
+/**
+ * In-memory backend
+ */
+export function createMemoryRateLimiter() {
+  const logs = new Map(); // uid -> timestamps
+
+  async function consume(uid, options, now = Date.now()) {
+    const result = slidingWindow(logs.get(uid), options, now);
+    logs.set(uid, result.timestamps);
+    return result;
+  }
+
+  async function reset(uid) {
+    logs.delete(uid);
+  }
+
+  return { consume, reset };
+}
+
+/**
+ * Firestore backend: one transaction per request so concurrent requests cannot overshoot
+ */
+export function createFirestoreRateLimiter(db) {
+  async function consume(uid, options, now = Date.now()) {
+    const ref = db.collection('users').doc(uid).collection('rate').doc('now');
+
+    return db.runTransaction(async tx => {
+      const doc = await tx.get(ref);
+      const result = slidingWindow(doc.exists ? doc.data().requestLog : [], options, now);
+
+      tx.set(ref, {
+        requestLog: result.timestamps,
+        // Mirrored for the app's RateLimitComposer
+        minuteWindowStart: new Date(result.windowStart),
+        requestsThisMinute: result.count,
+        limit: result.limit,
+        limited: !result.allowed,
+        resetAt: new Date(result.resetAt),
+        updatedAt: new Date(now)
+      });
+
+      return result;
+    });
+  }
+
+  async function reset(uid) {
+    await db.collection('users').doc(uid).collection('rate').doc('now').delete();
+  }
+
+  return { consume, reset };
+}
+
+/**
+ * Firestore-backed limiter when Firestore is available, in-memory otherwise
+ */
+export function createRateLimiter({ db }) {
+  return db ? createFirestoreRateLimiter(db) : createMemoryRateLimiter();
+}
@@ -0,0 +1,285 @@
+// Reconciliation: repair entitlements that drifted from Stripe (missed or failed webhooks)
+// Pages through every Stripe customer and subscription, works out the entitlement each user
+// (customer `metadata.uid`) should have and compares it with storage. A dry run only reports;
+// otherwise drifted users are rewritten from a freshly retrieved subscription.
+//
+// Used by the CLI (reconcile.js), the scheduled job in index.js and POST /billing/reconcile;
+// runForUser() resyncs a single user (POST /admin/users/:uid/resync).
+
+import { planFromSubscription } from './prices.js';
+import { paginate, listAll } from './paginate.js';
+import { PAID_STATUSES } from './plan-features.js';
+import { LIVE_SUBSCRIPTION_STATUSES, entitlementFromSubscription, sourceEntitlement, createEntitlementStore } from './entitlements.js';
+import { DEFAULT_GRACE_PERIOD_DAYS, dunningFromInvoice } from './dunning.js';
+import { consoleLogger } from './logger.js';
+
+// Entitlement fields that must match Stripe
+const COMPARED_FIELDS = ['plan', 'period', 'status', 'renewsAt', 'trialEndsAt', 'orderId'];
+
+// Subscriptions whose first payment never succeeded unlock nothing
+const NEVER_ACTIVATED = ['incomplete', 'incomplete_expired'];
+
+/**
+ * The subscription that decides a user's entitlement: the newest live one, otherwise
+ * the newest that ever activated (canceled, unpaid...), or null
+ */
+export function currentSubscription(subscriptions) {
+  const newest = [...subscriptions].sort((a, b) => b.created - a.created);
+  return newest.find(sub => LIVE_SUBSCRIPTION_STATUSES.includes(sub.status)) ||
+    newest.find(sub => !NEVER_ACTIVATED.includes(sub.status)) ||
+    null;
+}
+
+/**
+ * Fields that differ between the stored Stripe entitlement and the expected one (pure).
+ * subscription/current is only compared while the Stripe entitlement is the active one.
+ * Returns {} when they match.
+ */
+export function entitlementDrift(record, subscriptionDoc, expected) {
+  const stored = sourceEntitlement(record, 'stripe');
+  const differences = {};
+
+  if (!expected) {
+    // No subscription: nothing paid may stay unlocked
+    if (stored && PAID_STATUSES.includes(stored.status)) {
+      differences.status = { stored: stored.status, expected: 'INACTIVE' };
+    }
+    return differences;
+  }
+
+  // An ended subscription the user never had a record for
+  if (!stored && !PAID_STATUSES.includes(expected.status)) {
+    return differences;
+  }
+
+  for (const field of COMPARED_FIELDS) {
+    const storedValue = stored?.[field] ?? null;
+    if (storedValue !== (expected[field] ?? null)) {
+      differences[field] = { stored: storedValue, expected: expected[field] ?? null };
+    }
+  }
+
+  // subscription/current is what the app reads
+  const activeSource = record?.activeEntitlement?.source || 'stripe';
+  if (activeSource !== 'stripe') return differences;
+  for (const [field, expectedValue] of [['plan', expected.plan], ['status', expected.status], ['stripeSubscriptionId', expected.orderId]]) {
+    const storedValue = subscriptionDoc?.[field] ?? null;
+    if (storedValue !== expectedValue) {
+      differences[`subscription.${field}`] = { stored: storedValue, expected: expectedValue };
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * One-line summary of a report for logs
+ */
+export function summarizeReport(report) {
+  return `${report.dryRun ? 'dry run' : 'applied'}: ` +
+    `${report.scanned.customers} customers, ${report.scanned.subscriptions} subscriptions, ` +
+    `${report.mismatches.length} mismatches, ${report.fixed.length} fixed, ` +
+    `${report.orphanedCustomers.length} orphaned customers, ` +
+    `${report.duplicateSubscriptions.length} users with duplicate subscriptions, ` +
+    `${report.errors.length} errors`;
+}
+
+/**
+ * Create the reconciler.
+ *
+ * @param {object} options
+ * @param {object} options.stripe - Stripe client
+ * @param {object} options.storage - billing record backend (lib/storage.js)
+ * @param {boolean} [options.live] - live Stripe keys (price table selection)
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ * @param {number} [options.gracePeriodDays] - grace window of past-due subscriptions (lib/dunning.js)
+ * @param {object} [options.logger] - structured logger (lib/logger.js), console lines if omitted
+ */
+export function createReconciler({ stripe, storage, live = false, clock = Date, gracePeriodDays = DEFAULT_GRACE_PERIOD_DAYS, logger = consoleLogger }) {
+  const { updateUserEntitlement } = createEntitlementStore({ storage, clock, logger });
+  let running = false;
+
+  // Group Stripe customers and subscriptions by uid
+  async function scan(report) {
+    const users = new Map(); // uid -> { customers, subscriptions }
+    const customerUids = new Map(); // customerId -> uid
+
+    for await (const customer of paginate(params => stripe.customers.list(params))) {
+      report.scanned.customers++;
+      if (customer.deleted) continue;
+
+      const uid = customer.metadata?.uid;
+      if (!uid) {
+        report.orphanedCustomers.push({ customerId: customer.id, email: customer.email || null, uid: null, reason: 'no_uid' });
+        continue;
+      }
+
+      customerUids.set(customer.id, uid);
+      const user = users.get(uid) || { customers: [], subscriptions: [] };
+      user.customers.push(customer);
+      users.set(uid, user);
+    }
+
+    for await (const sub of paginate(params => stripe.subscriptions.list(params), { status: 'all' })) {
+      report.scanned.subscriptions++;
+      const uid = customerUids.get(sub.customer);
+      if (uid) {
+        users.get(uid).subscriptions.push(sub);
+      }
+    }
+
+    return users;
+  }
+
+  async function reconcileUser(uid, user, report, dryRun) {
+    const record = await storage.getCustomer(uid);
+    const subscriptionDoc = await storage.getSubscription(uid);
+
+    // Customers tagged with this uid that the user's record does not point to
+    for (const customer of user.customers) {
+      if (record?.customerId && record.customerId !== customer.id) {
+        report.orphanedCustomers.push({
+          customerId: customer.id,
+          email: customer.email || null,
+          uid,
+          reason: 'not_linked',
+          linkedCustomerId: record.customerId
+        });
+      }
+    }
+
+    const liveSubscriptions = user.subscriptions.filter(sub => LIVE_SUBSCRIPTION_STATUSES.includes(sub.status));
+    if (liveSubscriptions.length > 1) {
+      report.duplicateSubscriptions.push({ uid, subscriptionIds: liveSubscriptions.map(sub => sub.id) });
+    }
+
+    // Only the Stripe entitlement is ours to correct (Play and granted entitlements are kept)
+    const stored = sourceEntitlement(record, 'stripe');
+
+    const sub = currentSubscription(user.subscriptions);
+    let expected = null;
+    if (sub) {
+      const plan = planFromSubscription(sub, live);
+      if (!plan) {
+        report.unmappedSubscriptions.push({ uid, subscriptionId: sub.id, priceId: sub.items?.data?.[0]?.price?.id || null });
+        return;
+      }
+      expected = entitlementFromSubscription(sub, plan);
+    }
+
+    const differences = entitlementDrift(record, subscriptionDoc, expected);
+    if (Object.keys(differences).length === 0) return;
+
+    const customerId = sub?.customer || record?.customerId || user.customers[0].id;
+    report.mismatches.push({ uid, customerId, subscriptionId: sub?.id || null, differences });
+    if (dryRun) return;
+
+    if (!record?.customerId) {
+      await storage.setCustomer(uid, { customerId, createdAt: new Date(clock.now()).toISOString() });
+    }
+
+    if (sub) {
+      // Re-read right before writing so a webhook applied during the scan is not undone
+      const fresh = await stripe.subscriptions.retrieve(sub.id, { expand: ['latest_invoice'] });
+      const freshPlan = planFromSubscription(fresh, live);
+      if (!freshPlan) {
+        // Moved to a price we do not know since the scan: reported, left as it is
+        report.unmappedSubscriptions.push({ uid, subscriptionId: fresh.id, priceId: fresh.items?.data?.[0]?.price?.id || null });
+        return;
+      }
+      const entitlement = entitlementFromSubscription(fresh, freshPlan);
+      // A missed invoice.payment_failed: the grace window comes from the open invoice
+      const invoice = fresh.latest_invoice;
+      const dunning = fresh.status === 'past_due' && invoice?.status === 'open' ? dunningFromInvoice(invoice, gracePeriodDays) : {};
+      await updateUserEntitlement(uid, { ...entitlement, ...dunning });
+    } else {
+      await updateUserEntitlement(uid, { ...stored, status: 'INACTIVE' });
+    }
+    report.fixed.push(uid);
+  }
+
+  function newReport(dryRun) {
+    return {
+      dryRun,
+      startedAt: new Date(clock.now()).toISOString(),
+      finishedAt: null,
+      scanned: { customers: 0, subscriptions: 0, users: 0 },
+      mismatches: [],
+      fixed: [],
+      orphanedCustomers: [],
+      duplicateSubscriptions: [],
+      unmappedSubscriptions: [],
+      errors: []
+    };
+  }
+
+  /**
+   * Run one reconciliation pass. Only one pass runs at a time.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - report drift without writing
+   */
+  async function run({ dryRun = false } = {}) {
+    if (running) {
+      throw new Error('Reconciliation already running');
+    }
+    running = true;
+
+    const report = newReport(dryRun);
+
+    try {
+      const users = await scan(report);
+      report.scanned.users = users.size;
+
+      for (const [uid, user] of users) {
+        try {
+          await reconcileUser(uid, user, report, dryRun);
+        } catch (error) {
+          logger.error('reconcile failed for user', { uid, error: error.message });
+          report.errors.push({ uid, error: error.message });
+        }
+      }
+
+      report.finishedAt = new Date(clock.now()).toISOString();
+      return report;
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Reconcile one user: the customers tagged with the uid (or linked by its record) and their
+   * subscriptions. Same report as run(); errors are thrown.
+   */
+  async function runForUser(uid, { dryRun = false } = {}) {
+    const report = newReport(dryRun);
+    const record = await storage.getCustomer(uid);
+
+    const customers = new Map();
+    try {
+      const result = await stripe.customers.search({ query: `metadata['uid']:'${uid.replace(/'/g, "\\'")}'` });
+      result.data.filter(customer => !customer.deleted).forEach(customer => customers.set(customer.id, customer));
+    } catch (error) {
+      // Search is unavailable in some regions - the linked customer is enough
+      logger.warn('customer search failed', { uid, error: error.message });
+    }
+    if (record?.customerId && !customers.has(record.customerId)) {
+      const linked = await stripe.customers.retrieve(record.customerId);
+      if (!linked.deleted && linked.metadata?.uid === uid) customers.set(linked.id, linked);
+    }
+
+    const user = { customers: [...customers.values()], subscriptions: [] };
+    for (const customer of user.customers) {
+      user.subscriptions.push(...await listAll(params => stripe.subscriptions.list(params), { customer: customer.id, status: 'all' }));
+    }
+    report.scanned = { customers: user.customers.length, subscriptions: user.subscriptions.length, users: user.customers.length ? 1 : 0 };
+
+    if (user.customers.length) {
+      await reconcileUser(uid, user, report, dryRun);
+    }
+    report.finishedAt = new Date(clock.now()).toISOString();
+    return report;
+  }
+
+  return { run, runForUser, isRunning: () => running };
+}
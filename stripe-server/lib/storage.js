@@ -0,0 +1,324 @@
+// Persistence for billing records
+// Every read/write of users/{uid}/stripe/customer, users/{uid}/subscription/current,
+// users/{uid}/invoices/{invoiceId}, users/{uid}/entitlement_history/{entryId}, play_purchases/{tokenHash} and teams/{teamId} goes through
+// one of these backends, selected with STORAGE_BACKEND:
+//   firestore - Firestore via firebase-admin (production)
+//   file      - JSON file on disk (durable local fallback, survives restarts)
+//   memory    - process-local Map (tests)
+//
+// Interface (all async, merge semantics for writes: nested maps are merged too, like Firestore's
+// set(..., { merge: true }); arrays, dates and null replace the stored value):
+//   getCustomer(uid)            -> { customerId, activeEntitlement, createdAt } | null
+//   setCustomer(uid, fields)
+//   getSubscription(uid)        -> subscription/current document | null
+//   setSubscription(uid, fields)
+//   setInvoice(uid, invoiceId, fields)
+//   listInvoices(uid, { limit, startAfter }) -> invoice records, newest first (by `created`)
+//   addEntitlementHistory(uid, entry)           - entry has a time-sortable `entryId`
+//   listEntitlementHistory(uid, { limit, startAfter }) -> entries, newest first
+//   getPlayPurchase(token)      -> { uid, productId, ... } | null (Play purchase token owner)
+//   setPlayPurchase(token, fields)
+//   deleteUser(uid)             - removes stripe/customer, subscription/current, the invoices and
+//                                  the entitlement history
+//   getTeam(teamId)             -> teams/{teamId} document | null
+//   updateTeam(teamId, update)  -> stored team; `update(current | null)` returns the whole next
+//                                  document, or null to leave it unchanged (atomic read-modify-write)
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Used by the file backend unless STORAGE_FILE is set
+export const DEFAULT_STORAGE_FILE = join(dirname(dirname(fileURLToPath(import.meta.url))), 'data', 'billing-store.json');
+
+// Play purchase tokens are long opaque strings: records are keyed by their hash
+const tokenKey = token => createHash('sha256').update(token).digest('hex');
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Firestore's merge: nested maps are merged key by key, anything else replaces the stored value
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Firestore backend
+ */
+export function createFirestoreStorage(db) {
+  const customerRef = uid => db.collection('users').doc(uid).collection('stripe').doc('customer');
+  const subscriptionRef = uid => db.collection('users').doc(uid).collection('subscription').doc('current');
+  const invoicesRef = uid => db.collection('users').doc(uid).collection('invoices');
+  const historyRef = uid => db.collection('users').doc(uid).collection('entitlement_history');
+  const playPurchaseRef = token => db.collection('play_purchases').doc(tokenKey(token));
+  const teamRef = teamId => db.collection('teams').doc(teamId);
+
+  return {
+    name: 'firestore',
+
+    async getCustomer(uid) {
+      const doc = await customerRef(uid).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async setCustomer(uid, fields) {
+      await customerRef(uid).set(fields, { merge: true });
+    },
+
+    async getSubscription(uid) {
+      const doc = await subscriptionRef(uid).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async setSubscription(uid, fields) {
+      await subscriptionRef(uid).set(fields, { merge: true });
+    },
+
+    async setInvoice(uid, invoiceId, fields) {
+      await invoicesRef(uid).doc(invoiceId).set(fields, { merge: true });
+    },
+
+    async listInvoices(uid, { limit = 10, startAfter = null } = {}) {
+      let query = invoicesRef(uid).orderBy('created', 'desc');
+      if (startAfter) {
+        const cursor = await invoicesRef(uid).doc(startAfter).get();
+        if (cursor.exists) query = query.startAfter(cursor);
+      }
+      const snapshot = await query.limit(limit).get();
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async addEntitlementHistory(uid, entry) {
+      await historyRef(uid).doc(entry.entryId).set(entry);
+    },
+
+    async listEntitlementHistory(uid, { limit = 20, startAfter = null } = {}) {
+      let query = historyRef(uid).orderBy('entryId', 'desc');
+      if (startAfter) {
+        const cursor = await historyRef(uid).doc(startAfter).get();
+        if (cursor.exists) query = query.startAfter(cursor);
+      }
+      const snapshot = await query.limit(limit).get();
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async deleteUser(uid) {
+      for (const collection of [invoicesRef(uid), historyRef(uid)]) {
+        const snapshot = await collection.get();
+        for (const doc of snapshot.docs) {
+          await doc.ref.delete();
+        }
+      }
+      await customerRef(uid).delete();
+      await subscriptionRef(uid).delete();
+    },
+
+    async getPlayPurchase(token) {
+      const doc = await playPurchaseRef(token).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async setPlayPurchase(token, fields) {
+      await playPurchaseRef(token).set(fields, { merge: true });
+    },
+
+    async getTeam(teamId) {
+      const doc = await teamRef(teamId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    // Seats and invites are checked against the current members: read and write in one transaction
+    async updateTeam(teamId, update) {
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(teamRef(teamId));
+        const current = doc.exists ? doc.data() : null;
+        const next = update(current);
+        if (!next) return current;
+        tx.set(teamRef(teamId), next);
+        return next;
+      });
+    }
+  };
+}
+
+/**
+ * In-memory backend. `initial`, `initialPurchases` and `initialTeams` seed the store (used by the
+ * file backend).
+ */
+export function createMemoryStorage(initial = {}, initialPurchases = {}, initialTeams = {}) {
+  const users = initial; // uid -> { customer, subscription, invoices: { invoiceId -> record }, history: { entryId -> entry } }
+  const playPurchases = initialPurchases; // token hash -> record
+  const teams = initialTeams; // teamId -> team
+
+  const read = (uid, key) => {
+    const value = users[uid]?.[key];
+    return value ? structuredClone(value) : null;
+  };
+  const merge = (uid, key, fields) => {
+    users[uid] = users[uid] || {};
+    users[uid][key] = deepMerge(users[uid][key], structuredClone(fields));
+  };
+
+  return {
+    name: 'memory',
+    users,
+    playPurchases,
+    teams,
+    getCustomer: async uid => read(uid, 'customer'),
+    setCustomer: async (uid, fields) => merge(uid, 'customer', fields),
+    getSubscription: async uid => read(uid, 'subscription'),
+    setSubscription: async (uid, fields) => merge(uid, 'subscription', fields),
+
+    async setInvoice(uid, invoiceId, fields) {
+      users[uid] = users[uid] || {};
+      users[uid].invoices = users[uid].invoices || {};
+      users[uid].invoices[invoiceId] = deepMerge(users[uid].invoices[invoiceId], structuredClone(fields));
+    },
+
+    async listInvoices(uid, { limit = 10, startAfter = null } = {}) {
+      const invoices = Object.values(users[uid]?.invoices || {}).sort((a, b) => b.created - a.created);
+      const start = startAfter ? invoices.findIndex(invoice => invoice.invoiceId === startAfter) + 1 : 0;
+      return structuredClone(invoices.slice(start, start + limit));
+    },
+
+    async addEntitlementHistory(uid, entry) {
+      users[uid] = users[uid] || {};
+      users[uid].history = { ...users[uid].history, [entry.entryId]: structuredClone(entry) };
+    },
+
+    async listEntitlementHistory(uid, { limit = 20, startAfter = null } = {}) {
+      const entries = Object.values(users[uid]?.history || {})
+        .filter(entry => !startAfter || entry.entryId < startAfter)
+        .sort((a, b) => (a.entryId < b.entryId ? 1 : -1));
+      return structuredClone(entries.slice(0, limit));
+    },
+
+    async deleteUser(uid) {
+      delete users[uid];
+    },
+
+    async getPlayPurchase(token) {
+      const record = playPurchases[tokenKey(token)];
+      return record ? structuredClone(record) : null;
+    },
+
+    async setPlayPurchase(token, fields) {
+      const key = tokenKey(token);
+      playPurchases[key] = deepMerge(playPurchases[key], structuredClone(fields));
+    },
+
+    async getTeam(teamId) {
+      return teams[teamId] ? structuredClone(teams[teamId]) : null;
+    },
+
+    async updateTeam(teamId, update) {
+      const current = teams[teamId] ? structuredClone(teams[teamId]) : null;
+      const next = update(current);
+      if (!next) return current;
+      teams[teamId] = structuredClone(next);
+      return structuredClone(next);
+    }
+  };
+}
+
+/**
+ * JSON file backend: the whole store is kept in memory and rewritten atomically
+ * (temp file + rename) after every change. Writes are serialized.
+ */
+export function createFileStorage(filePath) {
+  let initial = {};
+  if (existsSync(filePath)) {
+    initial = JSON.parse(readFileSync(filePath, 'utf8'));
+  }
+
+  const memory = createMemoryStorage(initial.users || {}, initial.playPurchases || {}, initial.teams || {});
+  let pending = Promise.resolve();
+
+  function persist() {
+    pending = pending.then(() => {
+      mkdirSync(dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      writeFileSync(tmpPath, JSON.stringify({ users: memory.users, playPurchases: memory.playPurchases, teams: memory.teams }, null, 2));
+      renameSync(tmpPath, filePath);
+    });
+    return pending;
+  }
+
+  return {
+    name: 'file',
+    getCustomer: memory.getCustomer,
+    getSubscription: memory.getSubscription,
+    listInvoices: memory.listInvoices,
+    listEntitlementHistory: memory.listEntitlementHistory,
+    getPlayPurchase: memory.getPlayPurchase,
+    getTeam: memory.getTeam,
+
+    async setCustomer(uid, fields) {
+      await memory.setCustomer(uid, fields);
+      await persist();
+    },
+
+    async setSubscription(uid, fields) {
+      await memory.setSubscription(uid, fields);
+      await persist();
+    },
+
+    async setInvoice(uid, invoiceId, fields) {
+      await memory.setInvoice(uid, invoiceId, fields);
+      await persist();
+    },
+
+    async addEntitlementHistory(uid, entry) {
+      await memory.addEntitlementHistory(uid, entry);
+      await persist();
+    },
+
+    async deleteUser(uid) {
+      await memory.deleteUser(uid);
+      await persist();
+    },
+
+    async setPlayPurchase(token, fields) {
+      await memory.setPlayPurchase(token, fields);
+      await persist();
+    },
+
+    async updateTeam(teamId, update) {
+      const team = await memory.updateTeam(teamId, update);
+      await persist();
+      return team;
+    }
+  };
+}
+
+/**
+ * Create the configured backend.
+ * Defaults to Firestore when available, otherwise the JSON file.
+ *
+ * @param {object} options
+ * @param {string} [options.backend] - 'firestore' | 'file' | 'memory'
+ * @param {object|null} options.db - Firestore instance
+ * @param {string} [options.filePath] - JSON file for the file backend (DEFAULT_STORAGE_FILE)
+ */
+export function createStorage({ backend, db, filePath }) {
+  const selected = backend || (db ? 'firestore' : 'file');
+
+  switch (selected) {
+    case 'firestore':
+      if (!db) {
+        throw new Error('STORAGE_BACKEND=firestore but Firebase Admin is not initialized');
+      }
+      return createFirestoreStorage(db);
+    case 'file':
+      return createFileStorage(filePath || DEFAULT_STORAGE_FILE);
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${selected}`);
+  }
+}
@@ -0,0 +1,209 @@
+// Team plans
+// A team is a TEAM subscription on the owner's Stripe customer, billed per seat (the item's
+// quantity). The owner takes a seat; members join through email invites and get a `team`
+// entitlement copied from the owner's subscription, so they keep access exactly as long as it
+// does. Teams are stored in teams/{teamId}; each member's customer record points to its team
+// (`team: { teamId, role }`).
+//
+// The helpers below are pure: they return the next team document, or { error, status }.
+
+import { randomBytes } from 'crypto';
+
+export const TEAM_PLAN_ID = 'TEAM';
+export const MIN_TEAM_SEATS = 2;
+export const MAX_TEAM_SEATS = 100;
+export const TEAM_INVITE_TTL_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const newTeamId = () => `team_${randomBytes(8).toString('hex')}`;
+export const newInviteId = () => randomBytes(12).toString('base64url');
+
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+export function isValidSeatCount(seats) {
+  return Number.isInteger(seats) && seats >= MIN_TEAM_SEATS && seats <= MAX_TEAM_SEATS;
+}
+
+/**
+ * Team of a Stripe subscription (metadata.teamId), or null for single-user subscriptions
+ */
+export function teamIdOf(sub) {
+  return sub?.metadata?.teamId || null;
+}
+
+/**
+ * Seats paid for on a subscription (quantity of its item)
+ */
+export function seatsOf(sub) {
+  return sub?.items?.data?.[0]?.quantity ?? 1;
+}
+
+// Invites that have not expired yet (each one holds a seat)
+function openInvites(team, now) {
+  return Object.fromEntries(Object.entries(team.invites || {}).filter(([, invite]) => invite.expiresAt > now));
+}
+
+/**
+ * Seats taken by members and open invites
+ */
+export function seatsInUse(team, now) {
+  return Object.keys(team.members).length + Object.keys(openInvites(team, now)).length;
+}
+
+/**
+ * New team document, owned by `ownerUid`. The subscription id is set once it is created.
+ */
+export function createTeam({ teamId, name, ownerUid, ownerEmail, customerId, seats, now }) {
+  return {
+    teamId,
+    name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 80) : 'My team',
+    ownerUid,
+    customerId,
+    subscriptionId: null,
+    seats,
+    status: 'INCOMPLETE',
+    members: { [ownerUid]: { email: normalizeEmail(ownerEmail), role: 'owner', joinedAt: now } },
+    invites: {},
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Invite `email` to the team. Needs a free seat; expired invites are dropped.
+ * Returns { team, invite } or { error, status }.
+ */
+export function addInvite(team, email, { inviteId, now, ttlDays = TEAM_INVITE_TTL_DAYS }) {
+  const normalized = normalizeEmail(email);
+  if (!/^[^@\s]+@[^@\s]+$/.test(normalized)) {
+    return { error: 'a valid email is required', status: 400 };
+  }
+  if (Object.values(team.members).some(member => member.email === normalized)) {
+    return { error: `${normalized} is already a member of this team`, status: 409 };
+  }
+  const invites = openInvites(team, now);
+  if (Object.values(invites).some(invite => invite.email === normalized)) {
+    return { error: `${normalized} has already been invited`, status: 409 };
+  }
+  if (seatsInUse(team, now) >= team.seats) {
+    return { error: 'No free seat left, add seats first', status: 409 };
+  }
+
+  const invite = { email: normalized, invitedAt: now, expiresAt: now + ttlDays * DAY_MS };
+  return {
+    team: { ...team, invites: { ...invites, [inviteId]: invite }, updatedAt: now },
+    invite: { inviteId, ...invite }
+  };
+}
+
+/**
+ * Revoke an invite. Returns { team } or { error, status }.
+ */
+export function revokeInvite(team, inviteId, now) {
+  if (!team.invites?.[inviteId]) {
+    return { error: 'Invite not found', status: 404 };
+  }
+  const { [inviteId]: revoked, ...invites } = team.invites;
+  return { team: { ...team, invites, updatedAt: now } };
+}
+
+/**
+ * Accept an invite: the signed-in user's email must be the invited one.
+ * Returns { team } or { error, status }.
+ */
+export function acceptInvite(team, inviteId, { uid, email, now }) {
+  const invite = team.invites?.[inviteId];
+  if (!invite || invite.expiresAt <= now) {
+    return { error: 'Invite not found or expired', status: 404 };
+  }
+  if (normalizeEmail(email) !== invite.email) {
+    return { error: 'This invite was sent to another email address', status: 403 };
+  }
+  if (team.members[uid]) {
+    return { error: 'You are already a member of this team', status: 409 };
+  }
+  // The invite held a seat, unless seats were removed since
+  if (Object.keys(team.members).length >= team.seats) {
+    return { error: 'No free seat left on this team', status: 409 };
+  }
+
+  const { [inviteId]: accepted, ...invites } = team.invites;
+  return {
+    team: {
+      ...team,
+      members: { ...team.members, [uid]: { email: invite.email, role: 'member', joinedAt: now } },
+      invites,
+      updatedAt: now
+    }
+  };
+}
+
+/**
+ * Remove a member (or let one leave). The owner cannot be removed: ending the team means
+ * canceling its subscription. Returns { team } or { error, status }.
+ */
+export function removeMember(team, uid, now) {
+  const member = team.members[uid];
+  if (!member) {
+    return { error: 'Member not found', status: 404 };
+  }
+  if (member.role === 'owner') {
+    return { error: 'The owner cannot leave the team, cancel the team subscription instead', status: 400 };
+  }
+  const { [uid]: removed, ...members } = team.members;
+  return { team: { ...team, members, updatedAt: now } };
+}
+
+/**
+ * Why the team cannot have `seats` seats, or null
+ */
+export function seatChangeError(team, seats, now) {
+  if (!isValidSeatCount(seats)) {
+    return `seats must be between ${MIN_TEAM_SEATS} and ${MAX_TEAM_SEATS}`;
+  }
+  const used = seatsInUse(team, now);
+  if (seats < used) {
+    return `${used} seats are in use, remove members or invites first`;
+  }
+  return null;
+}
+
+/**
+ * A member's entitlement, derived from the owner's Stripe entitlement. Billing details
+ * (dunning, discount, scheduled changes) stay with the owner, who pays.
+ */
+export function teamEntitlement(ownerEntitlement, team) {
+  return {
+    ...ownerEntitlement,
+    source: 'team',
+    teamId: team.teamId,
+    discount: null,
+    pendingChange: null,
+    dunning: null
+  };
+}
+
+/**
+ * Team as returned by the API to `uid`. Only the owner sees pending invites.
+ */
+export function teamSummary(team, uid, now) {
+  const role = team.members[uid]?.role || null;
+  return {
+    teamId: team.teamId,
+    name: team.name,
+    role,
+    ownerUid: team.ownerUid,
+    status: team.status,
+    seats: team.seats,
+    seatsInUse: seatsInUse(team, now),
+    members: Object.entries(team.members)
+      .map(([memberUid, member]) => ({ uid: memberUid, ...member }))
+      .sort((a, b) => a.joinedAt - b.joinedAt),
+    invites: role === 'owner'
+      ? Object.entries(openInvites(team, now)).map(([inviteId, invite]) => ({ inviteId, ...invite }))
+      : []
+  };
+}
@@ -0,0 +1,249 @@
+// Usage metering
+// Aggregates usage events per billing period in users/{uid}/usage/{periodId}
+// (in-memory Map when Firestore is unavailable).
+//
+// Paid users: the period follows the subscription's current_period_start/end, so usage
+// starts fresh on renewal and whenever a plan switch moves the billing period.
+// Free users: calendar month (UTC), matching the app's "YYYY-MM" period IDs.
+
+import { effectivePlan, limitsForPlan } from './plan-features.js';
+
+/**
+ * Billing period containing `now` for an entitlement.
+ * If the stored period already ended (renewal webhook not yet received),
+ * it is rolled forward by whole period lengths.
+ */
+export function billingPeriod(entitlement, now = Date.now()) {
+  const plan = effectivePlan(entitlement, now);
+  const start = entitlement?.periodStartsAt;
+  const end = entitlement?.renewsAt;
+
+  if (plan !== 'FREE' && start && end && end > start) {
+    const length = end - start;
+    const elapsed = Math.max(0, Math.floor((now - start) / length));
+    const periodStart = start + elapsed * length;
+    return {
+      periodId: `${new Date(periodStart).toISOString().slice(0, 10)}_${entitlement.orderId}`,
+      start: periodStart,
+      end: periodStart + length,
+      plan
+    };
+  }
+
+  const date = new Date(now);
+  const monthStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  const monthEnd = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return {
+    periodId: new Date(monthStart).toISOString().slice(0, 7),
+    start: monthStart,
+    end: monthEnd,
+    plan: 'FREE'
+  };
+}
+
+/**
+ * Validate and normalize a usage event from a request body.
+ * Returns { event } or { error }.
+ */
+export function parseUsageEvent(body = {}) {
+  const fields = {
+    tokensIn: body.tokensIn ?? 0,
+    tokensOut: body.tokensOut ?? 0,
+    messages: body.messages ?? 1,
+    attachments: body.attachments ?? 0,
+    attachmentsBytes: body.attachmentsBytes ?? 0
+  };
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${name} must be a non-negative integer` };
+    }
+  }
+  if (fields.tokensIn + fields.tokensOut > 10_000_000 || fields.messages > 1000) {
+    return { error: 'usage event too large' };
+  }
+  if (!body.model || typeof body.model !== 'string') {
+    return { error: 'model required' };
+  }
+  if (body.eventId !== undefined && (typeof body.eventId !== 'string' || !/^[\w-]{1,128}$/.test(body.eventId))) {
+    return { error: 'eventId must be 1-128 letters, digits, "_" or "-"' };
+  }
+
+  return { event: { ...fields, model: body.model, eventId: body.eventId || null } };
+}
+
+function emptyUsage(period) {
+  return {
+    plan: period.plan,
+    periodStart: period.start,
+    periodEnd: period.end,
+    tokensIn: 0,
+    tokensOut: 0,
+    requests: 0,
+    attachments: 0,
+    attachmentsBytes: 0,
+    byModel: {},
+    window: null
+  };
+}
+
+/**
+ * Apply one usage event to an aggregate (pure; used by both backends).
+ * The rolling window mirrors the app's 5-hour token/message windows.
+ */
+export function applyUsageEvent(usage, event, period, now) {
+  const limits = limitsForPlan(period.plan);
+  const windowMs = limits.windowDurationHours * 60 * 60 * 1000;
+  const windowExpired = !usage.window || now - usage.window.startedAt >= windowMs;
+  const window = windowExpired ? { startedAt: now, tokens: 0, messages: 0 } : usage.window;
+  const model = usage.byModel[event.model] || { tokensIn: 0, tokensOut: 0, requests: 0 };
+
+  return {
+    ...usage,
+    plan: period.plan,
+    tokensIn: usage.tokensIn + event.tokensIn,
+    tokensOut: usage.tokensOut + event.tokensOut,
+    requests: usage.requests + event.messages,
+    attachments: usage.attachments + event.attachments,
+    attachmentsBytes: usage.attachmentsBytes + event.attachmentsBytes,
+    byModel: {
+      ...usage.byModel,
+      [event.model]: {
+        tokensIn: model.tokensIn + event.tokensIn,
+        tokensOut: model.tokensOut + event.tokensOut,
+        requests: model.requests + event.messages
+      }
+    },
+    window: {
+      startedAt: window.startedAt,
+      tokens: window.tokens + event.tokensIn + event.tokensOut,
+      messages: window.messages + event.messages
+    },
+    lastUpdated: now
+  };
+}
+
+/**
+ * Usage compared with the plan's limits, as returned to the app
+ */
+export function usageSummary(usage, period, now = Date.now()) {
+  const limits = limitsForPlan(period.plan);
+  const windowMs = limits.windowDurationHours * 60 * 60 * 1000;
+  const window = usage.window && now - usage.window.startedAt < windowMs
+    ? usage.window
+    : { startedAt: null, tokens: 0, messages: 0 };
+
+  return {
+    periodId: period.periodId,
+    periodStart: period.start,
+    periodEnd: period.end,
+    plan: period.plan,
+    usage: {
+      tokensIn: usage.tokensIn,
+      tokensOut: usage.tokensOut,
+      totalTokens: usage.tokensIn + usage.tokensOut,
+      requests: usage.requests,
+      attachments: usage.attachments,
+      attachmentsBytes: usage.attachmentsBytes,
+      byModel: usage.byModel
+    },
+    window: {
+      startedAt: window.startedAt,
+      resetsAt: window.startedAt ? window.startedAt + windowMs : null,
+      tokens: window.tokens,
+      messages: window.messages,
+      tokensRemaining: Math.max(0, limits.tokensPerWindow - window.tokens),
+      messagesRemaining: Math.max(0, limits.messagesPerWindow - window.messages),
+      exceeded: window.tokens >= limits.tokensPerWindow || window.messages >= limits.messagesPerWindow
+    },
+    limits
+  };
+}
+
+/**
+ * Create the usage store.
+ *
+ * @param {object} options
+ * @param {object|null} options.db - Firestore instance, null to use the in-memory store
+ */
+export function createUsageStore({ db }) {
+  const memoryUsage = new Map(); // `${uid}/${periodId}` -> usage
+  const memoryEvents = new Set(); // `${uid}/${periodId}/${eventId}`
+
+  /**
+   * Record a usage event. Safe under concurrent requests: Firestore writes run in a
+   * transaction, and an `eventId` already recorded for the period is not counted twice.
+   * Returns { usage, duplicate }.
+   */
+  async function record(uid, period, event, now = Date.now()) {
+    if (db) {
+      const usageRef = db.collection('users').doc(uid).collection('usage').doc(period.periodId);
+      const eventRef = event.eventId ? usageRef.collection('events').doc(event.eventId) : null;
+
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(usageRef);
+        const current = doc.exists ? { ...emptyUsage(period), ...doc.data() } : emptyUsage(period);
+
+        if (eventRef && (await tx.get(eventRef)).exists) {
+          return { usage: current, duplicate: true };
+        }
+
+        const usage = applyUsageEvent(current, event, period, now);
+        tx.set(usageRef, usage);
+        if (eventRef) {
+          tx.set(eventRef, { ...event, recordedAt: now });
+        }
+        return { usage, duplicate: false };
+      });
+    }
+
+    const key = `${uid}/${period.periodId}`;
+    const current = memoryUsage.get(key) || emptyUsage(period);
+    if (event.eventId && memoryEvents.has(`${key}/${event.eventId}`)) {
+      return { usage: current, duplicate: true };
+    }
+
+    const usage = applyUsageEvent(current, event, period, now);
+    memoryUsage.set(key, usage);
+    if (event.eventId) {
+      memoryEvents.add(`${key}/${event.eventId}`);
+    }
+    return { usage, duplicate: false };
+  }
+
+  /**
+   * Current aggregate for a period (zeros if nothing recorded yet)
+   */
+  async function get(uid, period) {
+    if (db) {
+      const doc = await db.collection('users').doc(uid).collection('usage').doc(period.periodId).get();
+      return doc.exists ? { ...emptyUsage(period), ...doc.data() } : emptyUsage(period);
+    }
+    return memoryUsage.get(`${uid}/${period.periodId}`) || emptyUsage(period);
+  }
+
+  /**
+   * Delete every period of a user (account deletion)
+   */
+  async function deleteUser(uid) {
+    if (db) {
+      const periods = await db.collection('users').doc(uid).collection('usage').get();
+      for (const period of periods.docs) {
+        const events = await period.ref.collection('events').get();
+        for (const event of events.docs) {
+          await event.ref.delete();
+        }
+        await period.ref.delete();
+      }
+      return;
+    }
+    for (const key of memoryUsage.keys()) {
+      if (key.startsWith(`${uid}/`)) memoryUsage.delete(key);
+    }
+    for (const key of memoryEvents) {
+      if (key.startsWith(`${uid}/`)) memoryEvents.delete(key);
+    }
+  }
+
+  return { record, get, deleteUser };
+}
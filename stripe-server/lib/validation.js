@@ -0,0 +1,110 @@
+// Request body validation
+// Each route that takes a JSON body declares a schema: field -> rule. Rules are plain objects:
+//   { type: 'string'|'integer'|'number'|'boolean', required, enum, pattern, maxLength, min, max }
+// Unknown fields are ignored (older and newer app versions send extras). A failing body gets a
+// 400 listing every bad field, before the route touches Stripe.
+
+import { PLAN_IDS } from './plan-features.js';
+import { BILLING_PERIODS } from './prices.js';
+import { MIN_TEAM_SEATS, MAX_TEAM_SEATS } from './teams.js';
+import { MAX_COMP_DAYS } from './comp.js';
+import { CANCEL_MODES, CANCELLATION_REASONS } from './cancellation.js';
+import { errorBody } from './errors.js';
+
+// Paid plans a client can ask for (TEAM is refused by the routes with a pointer to /billing/team)
+const PAID_PLAN_IDS = PLAN_IDS.filter(planId => planId !== 'FREE');
+
+const planId = { type: 'string', required: true, enum: PAID_PLAN_IDS };
+const period = { type: 'string', required: true, enum: BILLING_PERIODS };
+const promoCode = { type: 'string', maxLength: 64 };
+const currency = { type: 'string', pattern: /^[A-Za-z]{3}$/ };
+const country = { type: 'string', maxLength: 8 };
+const locale = { type: 'string', maxLength: 35 };
+const url = { type: 'string', maxLength: 2048 };
+const stripeId = prefix => ({ type: 'string', required: true, pattern: new RegExp(`^${prefix}_[A-Za-z0-9]+$`) });
+const seats = { type: 'integer', required: true, min: MIN_TEAM_SEATS, max: MAX_TEAM_SEATS };
+
+/**
+ * Body schemas of the routes, by route
+ */
+export const SCHEMAS = {
+  subscribe: { planId, period, promoCode, currency, country, locale },
+  switch: { planId, period, promoCode, currency, country, locale, prorationDate: { type: 'integer', min: 0 } },
+  cancel: {
+    mode: { type: 'string', enum: CANCEL_MODES },
+    reason: { type: 'string', enum: CANCELLATION_REASONS },
+    feedback: { type: 'string', maxLength: 500 }
+  },
+  pause: { resumesAt: { type: 'integer', min: 0 } },
+  switchPreview: { planId, period, currency, country, locale },
+  checkoutSession: { planId, period, successUrl: url, cancelUrl: url, currency, country, locale },
+  portalSession: { returnUrl: url },
+  promoValidate: { code: { ...promoCode, required: true }, planId, period, currency, country, locale },
+  defaultPaymentMethod: { paymentMethodId: stripeId('pm') },
+  playVerify: { purchaseToken: { type: 'string', required: true, maxLength: 4096 } },
+  team: { name: { type: 'string', maxLength: 80 }, period, seats, promoCode, currency, country, locale },
+  teamSeats: { seats: { ...seats, min: 1 } },
+  teamInvite: { email: { type: 'string', required: true, maxLength: 254 } },
+  teamJoin: { teamId: { type: 'string', required: true, maxLength: 64 }, inviteId: { type: 'string', required: true, maxLength: 64 } },
+  accountMerge: { guestIdToken: { type: 'string', required: true } },
+  adminComp: {
+    planId: { type: 'string', required: true, enum: PAID_PLAN_IDS },
+    days: { type: 'integer', required: true, min: 1, max: MAX_COMP_DAYS },
+    reason: { type: 'string', maxLength: 200 }
+  },
+  adminRefund: {
+    invoiceId: stripeId('in'),
+    amount: { type: 'integer', min: 1 },
+    reason: { type: 'string', enum: ['duplicate', 'fraudulent', 'requested_by_customer'] },
+    note: { type: 'string', maxLength: 500 }
+  }
+};
+
+function typeError(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string' ? null : 'must be a string';
+    case 'integer': return Number.isInteger(value) ? null : 'must be an integer';
+    case 'number': return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'boolean': return typeof value === 'boolean' ? null : 'must be true or false';
+    default: return null;
+  }
+}
+
+function fieldError(value, rule) {
+  if (value === undefined || value === null || value === '') {
+    return rule.required ? 'is required' : null;
+  }
+  const wrongType = typeError(value, rule.type);
+  if (wrongType) return wrongType;
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}`;
+  if (rule.pattern && !rule.pattern.test(value)) return 'has an invalid format';
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+  if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+  return null;
+}
+
+/**
+ * Check `body` against `schema`. Returns the problems as [{ field, message }], empty when valid.
+ */
+export function validate(body, schema) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: null, message: 'body must be a JSON object' }];
+  }
+  return Object.entries(schema)
+    .map(([field, rule]) => ({ field, message: fieldError(body[field], rule) }))
+    .filter(problem => problem.message);
+}
+
+/**
+ * Express middleware rejecting bodies that do not match `schema` with a 400:
+ * { code: 'invalid_request', message, fields: [{ field, message }] }
+ */
+export function validateBody(schema) {
+  return function bodyValidation(req, res, next) {
+    const problems = validate(req.body ?? {}, schema);
+    if (!problems.length) return next();
+    const message = problems.map(({ field, message }) => (field ? `${field} ${message}` : message)).join('; ');
+    res.status(400).json(errorBody(400, message, { fields: problems }));
+  };
+}
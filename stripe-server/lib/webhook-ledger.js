@@ -0,0 +1,202 @@
+// Webhook event ledger
+// Records every processed Stripe event so retries are skipped, out-of-order
+// subscription events are ignored, and failed events can be replayed.
+//
+// Firestore layout (in-memory Maps when Firestore is unavailable):
+//   stripe_events/{eventId}             - one record per event (status, uid, entitlement written, error)
+//   stripe_subscription_state/{subId}   - last applied event per subscription (ordering)
+
+const EVENTS = 'stripe_events';
+const SUBSCRIPTION_STATE = 'stripe_subscription_state';
+
+// An event stuck in "processing" longer than this is assumed crashed and may be retried
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+const DONE_STATUSES = ['processed', 'skipped'];
+
+/**
+ * Subscription ID an event applies to, or null
+ */
+export function subscriptionIdForEvent(event) {
+  const object = event.data?.object || {};
+  if (event.type.startsWith('customer.subscription.')) return object.id;
+  if (typeof object.subscription === 'string') return object.subscription;
+  return object.subscription?.id || null;
+}
+
+/**
+ * Create the event ledger.
+ *
+ * @param {object} options
+ * @param {object|null} options.db - Firestore instance, null to use the in-memory store
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ */
+export function createEventLedger({ db, clock = Date }) {
+  const memoryEvents = new Map();
+  const memoryState = new Map();
+
+  async function getEvent(eventId) {
+    if (db) {
+      const doc = await db.collection(EVENTS).doc(eventId).get();
+      return doc.exists ? doc.data() : null;
+    }
+    return memoryEvents.get(eventId) || null;
+  }
+
+  async function setEvent(eventId, data) {
+    if (db) {
+      await db.collection(EVENTS).doc(eventId).set(data, { merge: true });
+      return;
+    }
+    memoryEvents.set(eventId, { ...memoryEvents.get(eventId), ...data });
+  }
+
+  /**
+   * Claim an event for processing.
+   * Returns { duplicate: true } if it was already processed (or is being processed).
+   * Failed events can be claimed again, so Stripe retries and replays work.
+   */
+  async function claim(event) {
+    const record = {
+      type: event.type,
+      created: event.created,
+      livemode: event.livemode,
+      subscriptionId: subscriptionIdForEvent(event),
+      status: 'processing',
+      receivedAt: new Date(clock.now()).toISOString()
+    };
+
+    const isBusy = existing => existing && (
+      DONE_STATUSES.includes(existing.status) ||
+      (existing.status === 'processing' && clock.now() - Date.parse(existing.receivedAt) < PROCESSING_TIMEOUT_MS)
+    );
+
+    if (db) {
+      const ref = db.collection(EVENTS).doc(event.id);
+      return db.runTransaction(async tx => {
+        const doc = await tx.get(ref);
+        if (isBusy(doc.exists ? doc.data() : null)) {
+          return { duplicate: true };
+        }
+        tx.set(ref, { ...record, attempts: (doc.exists ? doc.data().attempts || 0 : 0) + 1 }, { merge: true });
+        return { duplicate: false };
+      });
+    }
+
+    const existing = memoryEvents.get(event.id);
+    if (isBusy(existing)) {
+      return { duplicate: true };
+    }
+    memoryEvents.set(event.id, { ...existing, ...record, attempts: (existing?.attempts || 0) + 1 });
+    return { duplicate: false };
+  }
+
+  /**
+   * Whether an event is older than the last state applied for its subscription.
+   * Nothing may follow a `customer.subscription.deleted` event.
+   */
+  async function isStale(event) {
+    const subscriptionId = subscriptionIdForEvent(event);
+    if (!subscriptionId) return false;
+
+    let state;
+    if (db) {
+      const doc = await db.collection(SUBSCRIPTION_STATE).doc(subscriptionId).get();
+      state = doc.exists ? doc.data() : null;
+    } else {
+      state = memoryState.get(subscriptionId);
+    }
+    if (!state) return false;
+
+    if (state.deleted && event.type !== 'customer.subscription.deleted') return true;
+    return event.type.startsWith('customer.subscription.') && event.created < state.lastEventCreated;
+  }
+
+  /**
+   * Record the event as applied. Subscription events advance the ordering state.
+   */
+  async function markProcessed(event, { uid = null, entitlement = null } = {}) {
+    await setEvent(event.id, {
+      status: 'processed',
+      uid,
+      entitlement,
+      processedAt: new Date(clock.now()).toISOString(),
+      error: null,
+      payload: null
+    });
+
+    if (!event.type.startsWith('customer.subscription.')) return;
+
+    const subscriptionId = event.data.object.id;
+    const state = {
+      lastEventId: event.id,
+      lastEventType: event.type,
+      lastEventCreated: event.created,
+      deleted: event.type === 'customer.subscription.deleted'
+    };
+
+    if (db) {
+      await db.collection(SUBSCRIPTION_STATE).doc(subscriptionId).set(state, { merge: true });
+    } else {
+      memoryState.set(subscriptionId, state);
+    }
+  }
+
+  /**
+   * Record an event that was ignored (stale or not applicable)
+   */
+  async function markSkipped(event, reason) {
+    await setEvent(event.id, {
+      status: 'skipped',
+      reason,
+      processedAt: new Date(clock.now()).toISOString()
+    });
+  }
+
+  /**
+   * Move an event to the dead-letter list, keeping its payload for replay
+   */
+  async function markFailed(event, error) {
+    await setEvent(event.id, {
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date(clock.now()).toISOString(),
+      payload: JSON.stringify(event)
+    });
+  }
+
+  /**
+   * List failed (dead-letter) events, newest first.
+   * The Firestore query needs the (status, created desc) index in firestore.indexes.json.
+   */
+  async function listFailed(limit = 50) {
+    let records;
+    if (db) {
+      const snapshot = await db.collection(EVENTS)
+        .where('status', '==', 'failed')
+        .orderBy('created', 'desc')
+        .limit(limit)
+        .get();
+      records = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } else {
+      records = [...memoryEvents.entries()]
+        .filter(([, rec]) => rec.status === 'failed')
+        .map(([id, rec]) => ({ id, ...rec }))
+        .sort((a, b) => b.created - a.created)
+        .slice(0, limit);
+    }
+
+    return records.map(({ payload, ...rec }) => rec);
+  }
+
+  /**
+   * Load the stored payload of a failed event
+   */
+  async function getFailedEvent(eventId) {
+    const record = await getEvent(eventId);
+    if (!record || record.status !== 'failed' || !record.payload) return null;
+    return JSON.parse(record.payload);
+  }
+
+  return { claim, isStale, markProcessed, markSkipped, markFailed, listFailed, getFailedEvent, getEvent };
+}
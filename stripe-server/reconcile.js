@@ -0,0 +1,84 @@
+import 'dotenv/config';
+import Stripe from 'stripe';
+import { initFirebase } from './lib/firebase.js';
+import { createStorage } from './lib/storage.js';
+import { createReconciler, summarizeReport } from './lib/reconcile.js';
+
+// Resync Stripe subscriptions with the stored entitlements.
+//   node reconcile.js             fix every user whose entitlement drifted from Stripe
+//   node reconcile.js --dry-run   only report mismatches, orphaned customers and duplicates
+//   node reconcile.js --json      print the full report as JSON
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const json = args.includes('--json');
+
+if (!process.env.STRIPE_SECRET_KEY) {
+  console.error('❌ ERROR: STRIPE_SECRET_KEY is not set');
+  process.exit(1);
+}
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+const isLiveKey = process.env.STRIPE_SECRET_KEY.startsWith('sk_live_');
+
+console.log(`${isLiveKey ? '🔴 LIVE' : '🟢 TEST'} MODE - ${dryRun ? 'dry run, nothing will be changed' : 'drift will be fixed'}`);
+
+const { db } = initFirebase();
+const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND,
+  db,
+  filePath: process.env.STORAGE_FILE
+});
+console.log(`💾 Storage backend: ${storage.name}`);
+
+function printReport(report) {
+  console.log(`\n🔄 Reconciliation ${summarizeReport(report)}\n`);
+
+  for (const { uid, customerId, subscriptionId, differences } of report.mismatches) {
+    const fixed = report.fixed.includes(uid) ? ' (fixed)' : '';
+    console.log(`⚠️  ${uid} (${customerId}, ${subscriptionId || 'no subscription'})${fixed}`);
+    for (const [field, { stored, expected }] of Object.entries(differences)) {
+      console.log(`   ${field}: ${JSON.stringify(stored)} -> ${JSON.stringify(expected)}`);
+    }
+  }
+
+  if (report.duplicateSubscriptions.length) {
+    console.log('\n👥 Users with more than one live subscription:');
+    for (const { uid, subscriptionIds } of report.duplicateSubscriptions) {
+      console.log(`   ${uid}: ${subscriptionIds.join(', ')}`);
+    }
+  }
+
+  if (report.orphanedCustomers.length) {
+    console.log('\n🧾 Orphaned customers:');
+    for (const { customerId, email, uid, reason, linkedCustomerId } of report.orphanedCustomers) {
+      const detail = reason === 'no_uid' ? 'no uid in metadata' : `uid ${uid} is linked to ${linkedCustomerId}`;
+      console.log(`   ${customerId}${email ? ` <${email}>` : ''}: ${detail}`);
+    }
+  }
+
+  if (report.unmappedSubscriptions.length) {
+    console.log('\n❓ Subscriptions with an unknown price:');
+    for (const { uid, subscriptionId, priceId } of report.unmappedSubscriptions) {
+      console.log(`   ${subscriptionId} (${uid}): ${priceId}`);
+    }
+  }
+
+  for (const { uid, error } of report.errors) {
+    console.error(`❌ ${uid}: ${error}`);
+  }
+}
+
+try {
+  const gracePeriodDays = Number(process.env.GRACE_PERIOD_DAYS) || undefined;
+  const report = await createReconciler({ stripe, storage, live: isLiveKey, gracePeriodDays }).run({ dryRun });
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  process.exit(report.errors.length ? 1 : 0);
+} catch (error) {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+}
@@ -1,15 +1,29 @@
 import 'dotenv/config';
 import Stripe from 'stripe';
-import { writeFileSync, existsSync } from 'fs';
+import { existsSync } from 'fs';
+import { createInterface } from 'readline/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import { loadCatalog, validateCatalog, planCatalog, applyCatalog, describeChange, DEFAULT_CATALOG_FILE } from './lib/catalog.js';
+import { writePriceIdsFile, validatePriceIds } from './lib/prices.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Parse command line arguments
+// Usage: node setup-products.js [plan|apply] [--production] [--yes] [--catalog path]
+//   plan   - show what would change in Stripe (default)
+//   apply  - show the plan, ask for confirmation, then make the changes and write price-ids.*.json
 const args = process.argv.slice(2);
+const catalogArg = args.indexOf('--catalog');
+const command = args.filter((arg, i) => !arg.startsWith('-') && i !== catalogArg + 1)[0] || 'plan';
 const mode = args.includes('--production') || args.includes('--prod') ? 'production' : 'test';
+const assumeYes = args.includes('--yes') || args.includes('-y');
+const catalogPath = catalogArg >= 0 ? resolve(args[catalogArg + 1]) : DEFAULT_CATALOG_FILE;
+
+if (!['plan', 'apply'].includes(command)) {
+  console.error(`❌ Unknown command "${command}" - use "plan" or "apply"`);
+  process.exit(1);
+}
 
 // Load appropriate environment
 if (mode === 'production') {
@@ -24,8 +38,6 @@ if (mode === 'production') {
   console.log('🟢 TEST MODE - Using test Stripe keys');
 }
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
-
 // Validate API key matches mode
 const isTestKey = process.env.STRIPE_SECRET_KEY?.startsWith('sk_test_');
 const isLiveKey = process.env.STRIPE_SECRET_KEY?.startsWith('sk_live_');
@@ -42,129 +54,88 @@ if (mode === 'test' && !isTestKey) {
   process.exit(1);
 }
 
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+
+async function confirm(question) {
+  if (assumeYes) return true;
+  if (!process.stdin.isTTY) {
+    console.error('❌ Not a terminal - pass --yes to apply without confirmation');
+    return false;
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(question);
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
 async function setupProducts() {
-  console.log(`\n🚀 Creating Stripe products and prices for ${mode.toUpperCase()} environment...\n`);
-
-  const products = [
-    {
-      name: 'Innovexia Plus',
-      description: 'Unlock more intelligence',
-      prices: [
-        { amount: 999, interval: 'month', key: 'PLUS:MONTHLY' },
-        { amount: 9999, interval: 'year', key: 'PLUS:YEARLY' }
-      ]
-    },
-    {
-      name: 'Innovexia Pro',
-      description: 'Your AI, fully realized',
-      prices: [
-        { amount: 1999, interval: 'month', key: 'PRO:MONTHLY' },
-        { amount: 19999, interval: 'year', key: 'PRO:YEARLY' }
-      ]
-    },
-    {
-      name: 'Innovexia Master',
-      description: 'Unleash everything',
-      prices: [
-        { amount: 3999, interval: 'month', key: 'MASTER:MONTHLY' },
-        { amount: 39999, interval: 'year', key: 'MASTER:YEARLY' }
-      ]
-    }
-  ];
-
-  const priceIdMap = {};
-
-  for (const productData of products) {
-    try {
-      // Check if product already exists
-      const existingProducts = await stripe.products.search({
-        query: `name:'${productData.name}' AND active:'true'`,
-      });
-
-      let product;
-      if (existingProducts.data.length > 0) {
-        product = existingProducts.data[0];
-        console.log(`ℹ️  Product already exists: ${product.name} (${product.id})`);
-      } else {
-        // Create product
-        product = await stripe.products.create({
-          name: productData.name,
-          description: productData.description,
-        });
-        console.log(`✅ Created product: ${product.name} (${product.id})`);
-      }
-
-      // Create or find prices for this product
-      for (const priceData of productData.prices) {
-        // Check if price already exists for this product
-        const existingPrices = await stripe.prices.list({
-          product: product.id,
-          active: true,
-        });
-
-        const matchingPrice = existingPrices.data.find(p =>
-          p.unit_amount === priceData.amount &&
-          p.recurring?.interval === priceData.interval
-        );
-
-        let price;
-        if (matchingPrice) {
-          price = matchingPrice;
-          const displayAmount = (priceData.amount / 100).toFixed(2);
-          console.log(`  ℹ️  Price already exists: $${displayAmount}/${priceData.interval} (${price.id})`);
-        } else {
-          price = await stripe.prices.create({
-            product: product.id,
-            unit_amount: priceData.amount,
-            currency: 'usd',
-            recurring: {
-              interval: priceData.interval
-            }
-          });
-
-          const displayAmount = (priceData.amount / 100).toFixed(2);
-          console.log(`  ✅ Created ${priceData.interval}ly price: $${displayAmount} (${price.id})`);
-        }
-
-        priceIdMap[priceData.key] = price.id;
-      }
-
-      console.log('');
-    } catch (error) {
-      console.error(`❌ Error creating ${productData.name}:`, error.message);
-    }
+  let catalog;
+  try {
+    catalog = loadCatalog(catalogPath);
+  } catch (error) {
+    console.error(`❌ Could not read ${catalogPath}: ${error.message}`);
+    process.exit(1);
   }
 
-  // Save price mapping to JSON file
-  const configFileName = mode === 'production' ? 'price-ids.production.json' : 'price-ids.test.json';
-  const configPath = join(__dirname, configFileName);
+  const catalogErrors = validateCatalog(catalog);
+  if (catalogErrors.length) {
+    console.error(`❌ ${catalogPath} is invalid:`);
+    catalogErrors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  console.log(`\n📦 Catalog v${catalog.version}: ${catalog.products.map(p => p.planId).join(', ')}`);
+  console.log(`🔍 Comparing with Stripe (${mode.toUpperCase()})...\n`);
+
+  const plan = await planCatalog(stripe, catalog);
+
+  for (const product of plan.unmanaged) {
+    console.log(`ℹ️  ${product.name} (${product.productId}) has planId ${product.planId}, which is not in the catalog - left alone`);
+  }
+
+  if (plan.changes.length === 0) {
+    console.log('✅ Stripe already matches the catalog\n');
+  } else {
+    console.log(`📋 ${plan.changes.length} change(s):`);
+    plan.changes.forEach(change => console.log(`  ${describeChange(change)}`));
+    console.log('');
+  }
+
+  if (command === 'plan') {
+    if (plan.changes.length) console.log(`💡 Run "node setup-products.js apply${mode === 'production' ? ' --production' : ''}" to make these changes\n`);
+    return;
+  }
+
+  if (plan.changes.length && !(await confirm(`Apply these changes to Stripe ${mode.toUpperCase()}? (y/N) `))) {
+    console.log('❎ Aborted - nothing was changed\n');
+    process.exit(1);
+  }
+
+  const { priceIds, trialDays } = await applyCatalog(stripe, plan, {
+    onChange: (change, id) => console.log(`  ✅ ${change.type.replace('_', ' ')} ${change.key || change.planId} (${id})`)
+  });
 
   const config = {
     mode,
     updated: new Date().toISOString(),
-    priceIds: priceIdMap
+    catalogVersion: catalog.version,
+    priceIds,
+    trialDays
   };
 
-  writeFileSync(configPath, JSON.stringify(config, null, 2));
-  console.log(`✅ Saved price IDs to ${configFileName}\n`);
-
-  // Display mapping
-  console.log('📋 Price ID Mapping:');
-  console.log('Copy these into your index.js planToPriceId function:\n');
-  console.log('function planToPriceId(planId, period) {');
-  console.log('  const map = {');
-  console.log(`    'PLUS:MONTHLY': '${priceIdMap['PLUS:MONTHLY']}',`);
-  console.log(`    'PLUS:YEARLY': '${priceIdMap['PLUS:YEARLY']}',`);
-  console.log(`    'PRO:MONTHLY': '${priceIdMap['PRO:MONTHLY']}',`);
-  console.log(`    'PRO:YEARLY': '${priceIdMap['PRO:YEARLY']}',`);
-  console.log(`    'MASTER:MONTHLY': '${priceIdMap['MASTER:MONTHLY']}',`);
-  console.log(`    'MASTER:YEARLY': '${priceIdMap['MASTER:YEARLY']}',`);
-  console.log('  };');
-  console.log('  return map[`${planId}:${period}`];');
-  console.log('}\n');
-
-  console.log('💡 TIP: Run this script again to update if you need to change prices.');
-  console.log(`💡 For ${mode === 'test' ? 'production' : 'test'} setup, run: node setup-products.js --${mode === 'test' ? 'production' : 'test'}\n`);
+  const errors = validatePriceIds(config, mode === 'production');
+  if (errors.length) {
+    console.error('❌ Refusing to write an incomplete price ID file:');
+    errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  const configPath = writePriceIdsFile(mode === 'production', config);
+  console.log(`\n✅ Saved price IDs to ${configPath}`);
+  console.log('💡 The server reads the new price IDs on its next request.\n');
 }
 
-setupProducts().catch(console.error);
+setupProducts().catch(error => {
+  console.error('❌ Catalog setup failed:', error.message);
+  process.exit(1);
+});
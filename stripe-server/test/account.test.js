@@ -0,0 +1,157 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+
+const MINUTE = 60 * 1000;
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+// Until nothing is pending: the setup_intent.succeeded handler can pay invoices (more events)
+async function deliver() {
+  for (let results = await ctx.deliverEvents(); results.length; results = await ctx.deliverEvents()) {
+    for (const { event, response } of results) {
+      assert.equal(response.status, 200, `${event.type} ${response.text}`);
+    }
+  }
+}
+
+// Bootstrap, save a card and pay for a PRO subscription (no trial once one was used), webhooks delivered
+async function paidSubscriber(uid) {
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  assert.equal(boot.status, 200, boot.text);
+  const intent = [...ctx.stripe.state.setupIntents.values()].find(i => i.client_secret === boot.body.setupIntentClientSecret);
+  ctx.stripe.confirmSetupIntent(intent.id);
+  await ctx.stripe.customers.update(boot.body.customerId, { metadata: { trialUsed: 'true' } });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(sub.status, 200, sub.text);
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+  return { customerId: boot.body.customerId, subscriptionId: sub.body.subscriptionId };
+}
+
+const guestToken = uid => ctx.auth.tokenFor(uid, { provider: 'anonymous' });
+
+test('deleting an account cancels, detaches and anonymizes a customer with invoices', async () => {
+  const uid = 'user-delete';
+  const { customerId, subscriptionId } = await paidSubscriber(uid);
+  await ctx.request('POST', '/usage/record', { uid, body: { model: 'gemini-2.5-flash', tokensIn: 10, tokensOut: 5 } });
+  await ctx.request('POST', '/limits/consume', { uid, body: {} });
+
+  // Only a recent, verified sign-in may delete
+  const stale = await ctx.request('DELETE', '/billing/account', {
+    headers: { Authorization: `Bearer ${ctx.auth.tokenFor(uid, { authTime: ctx.clock.now() - 10 * MINUTE })}` }
+  });
+  assert.equal(stale.status, 401);
+  assert.match(stale.body.error, /requires-recent-login/);
+
+  const res = await ctx.request('DELETE', '/billing/account', { uid });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body, {
+    ok: true,
+    subscriptionsCanceled: 1,
+    paymentMethodsDetached: 1,
+    customer: 'anonymized',
+    playSubscriptionActive: false
+  });
+
+  const customer = ctx.stripe.state.customers.get(customerId);
+  assert.equal(customer.metadata.uid, undefined);
+  assert.ok(customer.metadata.deletedAt);
+  assert.equal(customer.email, '');
+  assert.equal(ctx.stripe.state.subscriptions.get(subscriptionId).status, 'canceled');
+  assert.equal((await ctx.stripe.customers.listPaymentMethods(customerId)).data.length, 0);
+
+  // The cancellation's webhooks no longer find the user: nothing is written back
+  await deliver();
+  assert.equal(await ctx.storage.getCustomer(uid), null);
+  assert.equal(await ctx.storage.getSubscription(uid), null);
+  assert.deepEqual(await ctx.storage.listInvoices(uid), []);
+  assert.equal((await ctx.db.collection('users').doc(uid).collection('usage').get()).size, 0);
+  assert.equal((await ctx.db.collection('users').doc(uid).collection('rate').get()).size, 0);
+});
+
+test('a customer without invoices is deleted, and Play purchases are not linked again', async () => {
+  const uid = 'user-delete-play';
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const token = ctx.play.purchase({ uid, productId: 'innovexia_plus', basePlanId: 'monthly' });
+  const verify = await ctx.request('POST', '/billing/play/verify', { uid, body: { purchaseToken: token } });
+  assert.equal(verify.status, 200, verify.text);
+
+  const res = await ctx.request('DELETE', '/billing/account', { uid });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.customer, 'deleted');
+  assert.equal(res.body.playSubscriptionActive, true);
+  assert.equal((await ctx.stripe.customers.retrieve(boot.body.customerId)).deleted, true);
+  await deliver();
+
+  // The obfuscated account id still names the deleted user
+  const notification = await ctx.sendPlayNotification(ctx.play.notification(token, 2));
+  assert.equal(notification.body.result, 'ignored');
+  assert.equal(await ctx.storage.getCustomer(uid), null);
+});
+
+test('merging moves the guest customer, entitlements and invoices to the account', async () => {
+  const guest = 'guest-merge';
+  const uid = 'user-merge';
+  const { customerId } = await paidSubscriber(guest);
+  const token = ctx.play.purchase({ uid: guest, productId: 'innovexia_plus', basePlanId: 'monthly' });
+  const notification = await ctx.sendPlayNotification(ctx.play.notification(token, 4));
+  assert.equal(notification.body.result, 'processed');
+
+  const notGuest = await ctx.request('POST', '/billing/account/merge', { uid, body: { guestIdToken: ctx.auth.tokenFor(guest) } });
+  assert.equal(notGuest.status, 400);
+
+  const res = await ctx.request('POST', '/billing/account/merge', { uid, body: { guestIdToken: guestToken(guest) } });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.merged, true);
+  assert.equal(res.body.customerId, customerId);
+  assert.deepEqual(res.body.movedSources, ['stripe', 'play']);
+  assert.equal(res.body.entitlement.plan, 'PRO');
+  assert.equal(ctx.stripe.state.customers.get(customerId).metadata.uid, uid);
+  assert.equal(ctx.stripe.state.customers.get(customerId).metadata.mergedFrom, guest);
+
+  assert.equal(await ctx.storage.getCustomer(guest), null);
+  assert.equal((await ctx.storage.getSubscription(uid)).stripeCustomerId, customerId);
+  assert.equal((await ctx.storage.listInvoices(uid)).length, 1);
+
+  // Later events and Play notifications reach the account; a second merge has nothing left
+  ctx.stripe.renewSubscription(res.body.entitlement.orderId);
+  await deliver();
+  assert.equal((await ctx.storage.listInvoices(uid)).length, 2);
+  assert.equal((await ctx.sendPlayNotification(ctx.play.notification(token, 2))).body.result, 'processed');
+  assert.equal(await ctx.storage.getCustomer(guest), null);
+  assert.equal((await ctx.request('POST', '/billing/play/verify', { uid, body: { purchaseToken: token } })).status, 200);
+
+  const again = await ctx.request('POST', '/billing/account/merge', { uid, body: { guestIdToken: guestToken(guest) } });
+  assert.equal(again.body.merged, false);
+});
+
+test('a subscribed guest cannot be merged into an account with its own customer', async () => {
+  const guest = 'guest-conflict';
+  const uid = 'user-conflict';
+  const { customerId } = await paidSubscriber(guest);
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+
+  const res = await ctx.request('POST', '/billing/account/merge', { uid, body: { guestIdToken: guestToken(guest) } });
+  assert.equal(res.status, 409);
+  assert.equal(ctx.stripe.state.customers.get(customerId).metadata.uid, guest);
+  assert.equal((await ctx.storage.getCustomer(guest)).customerId, customerId);
+
+  // Once the guest's subscription is over, its customer is retired
+  await ctx.stripe.subscriptions.cancel((await ctx.storage.getCustomer(guest)).activeEntitlement.orderId);
+  await deliver();
+  const merged = await ctx.request('POST', '/billing/account/merge', { uid, body: { guestIdToken: guestToken(guest) } });
+  assert.equal(merged.status, 200, merged.text);
+  assert.equal(merged.body.movedCustomer, false);
+  assert.deepEqual(merged.body.movedSources, []);
+  assert.equal(ctx.stripe.state.customers.get(customerId).metadata.mergedInto, uid);
+  assert.equal(await ctx.storage.getCustomer(guest), null);
+});
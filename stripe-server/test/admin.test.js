@@ -0,0 +1,142 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, ADMIN_KEY } from './support/server.js';
+import { createCompGrants, createCompExpiry } from '../lib/comp.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+const asKey = { 'X-Admin-Key': ADMIN_KEY };
+const admin = (method, path, body) => ctx.request(method, path, { body, headers: asKey });
+
+// MASTER has no trial: subscribe and pay, webhooks delivered
+async function paidSubscriber(uid) {
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  assert.equal(sub.status, 200, sub.text);
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  for (const { event, response } of await ctx.deliverEvents()) {
+    assert.equal(response.status, 200, `${event.type} ${response.text}`);
+  }
+  return { customerId: boot.body.customerId, subscriptionId: sub.body.subscriptionId };
+}
+
+test('admin routes take the admin key or a user with the admin claim, and are audited', async () => {
+  const uid = 'user-lookup';
+  const { customerId, subscriptionId } = await paidSubscriber(uid);
+
+  assert.equal((await ctx.request('GET', `/admin/users/${uid}`)).status, 401);
+  assert.equal((await ctx.request('GET', `/admin/users/${uid}`, { uid: 'user-plain' })).status, 403);
+  assert.equal((await ctx.request('GET', `/admin/users/${uid}`, { headers: { 'X-Admin-Key': 'wrong' } })).status, 403);
+
+  const token = ctx.auth.tokenFor('support-1', { claims: { admin: true } });
+  const lookup = await ctx.request('GET', `/admin/users/${uid}`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(lookup.status, 200, lookup.text);
+  assert.equal(lookup.body.customer.customerId, customerId);
+  assert.equal(lookup.body.customer.email, `${uid}@example.com`);
+  assert.equal(lookup.body.entitlement.plan, 'MASTER');
+  assert.deepEqual(Object.keys(lookup.body.entitlements), ['stripe']);
+  assert.equal(lookup.body.subscriptions[0].subscriptionId, subscriptionId);
+  assert.equal(lookup.body.subscriptions[0].plan, 'MASTER');
+  assert.equal(lookup.body.invoices[0].paid, true);
+
+  const search = await admin('GET', `/admin/users?email=${encodeURIComponent(`${uid}@example.com`)}`);
+  assert.deepEqual(search.body.users.map(user => user.uid), [uid]);
+
+  const audit = await admin('GET', '/admin/audit');
+  assert.deepEqual(audit.body.entries.map(entry => entry.action), ['user.search', 'user.lookup']);
+  assert.deepEqual(audit.body.entries[1].actor, { type: 'user', uid: 'support-1', email: 'support-1@example.com' });
+  assert.deepEqual(audit.body.entries[0].actor, { type: 'api_key' });
+});
+
+test('complimentary plans unlock a tier until they expire', async () => {
+  const uid = 'user-comp';
+
+  assert.equal((await admin('POST', `/admin/users/${uid}/comp`, { planId: 'PRO', days: 0 })).status, 400);
+  assert.equal((await admin('POST', `/admin/users/${uid}/comp`, { planId: 'FREE', days: 30 })).status, 400);
+
+  const grant = await admin('POST', `/admin/users/${uid}/comp`, { planId: 'PRO', days: 30, reason: 'beta tester' });
+  assert.equal(grant.status, 200, grant.text);
+  assert.equal(grant.body.entitlement.source, 'comp');
+  assert.equal(grant.body.entitlement.expiresAt, ctx.clock.now() + 30 * DAY);
+  assert.equal(grant.body.activeSource, 'comp');
+
+  let current = await ctx.storage.getSubscription(uid);
+  assert.equal(current.plan, 'PRO');
+  assert.equal(current.source, 'comp');
+  assert.equal((await ctx.request('GET', '/usage/current', { uid })).body.plan, 'PRO');
+
+  // Past expiresAt the plan no longer applies, then the sweep writes it INACTIVE
+  const expiry = createCompExpiry({ storage: ctx.storage, grants: createCompGrants({ db: ctx.db }), clock: ctx.clock, logger: ctx.logger });
+  assert.deepEqual(await expiry.run(), []);
+  ctx.clock.advance(31 * DAY);
+  assert.equal((await ctx.request('GET', '/usage/current', { uid })).body.plan, 'FREE');
+  assert.deepEqual(await expiry.run(), [uid]);
+  current = await ctx.storage.getSubscription(uid);
+  assert.equal(current.status, 'INACTIVE');
+  assert.deepEqual(await expiry.run(), []);
+
+  assert.equal((await admin('DELETE', `/admin/users/${uid}/comp`)).status, 404);
+  await admin('POST', `/admin/users/${uid}/comp`, { planId: 'PLUS', days: 7 });
+  const revoked = await admin('DELETE', `/admin/users/${uid}/comp`);
+  assert.equal(revoked.status, 200, revoked.text);
+  assert.equal(revoked.body.entitlement.status, 'INACTIVE');
+  assert.deepEqual(
+    (await admin('GET', `/admin/audit?uid=${uid}`)).body.entries.map(entry => entry.action),
+    ['comp.revoke', 'comp.grant', 'comp.grant']
+  );
+});
+
+test('a paid invoice can be refunded in parts up to what was paid', async () => {
+  const uid = 'user-refund';
+  await paidSubscriber(uid);
+  await paidSubscriber('user-other');
+  const [invoice] = (await admin('GET', `/admin/users/${uid}`)).body.invoices;
+  const [otherInvoice] = (await admin('GET', '/admin/users/user-other')).body.invoices;
+
+  assert.equal((await admin('POST', `/admin/users/${uid}/refunds`, {})).status, 400);
+  assert.equal((await admin('POST', `/admin/users/${uid}/refunds`, { invoiceId: otherInvoice.invoiceId })).status, 404);
+  assert.equal((await admin('POST', `/admin/users/${uid}/refunds`, { invoiceId: invoice.invoiceId, amount: -5 })).status, 400);
+
+  const partial = await admin('POST', `/admin/users/${uid}/refunds`, { invoiceId: invoice.invoiceId, amount: 500, reason: 'requested_by_customer', note: 'ticket 42' });
+  assert.equal(partial.status, 200, partial.text);
+  assert.equal(partial.body.refund.amount, 500);
+
+  const rest = await admin('POST', `/admin/users/${uid}/refunds`, { invoiceId: invoice.invoiceId });
+  assert.equal(rest.body.refund.amount, invoice.amountPaid - 500);
+  const again = await admin('POST', `/admin/users/${uid}/refunds`, { invoiceId: invoice.invoiceId });
+  assert.equal(again.status, 400);
+
+  const [entry] = (await admin('GET', `/admin/audit?uid=${uid}`)).body.entries.filter(e => e.action === 'refund.create');
+  assert.equal(entry.details.refundId, rest.body.refund.refundId);
+  const refunds = [...ctx.stripe.state.refunds.values()];
+  assert.deepEqual(refunds.map(refund => refund.metadata.uid), [uid, uid]);
+  assert.equal(refunds[0].metadata.actor, 'api_key');
+});
+
+test('resync repairs one user from Stripe', async () => {
+  const uid = 'user-resync';
+  const { subscriptionId } = await paidSubscriber(uid);
+  const rec = await ctx.storage.getCustomer(uid);
+  await ctx.storage.setCustomer(uid, { entitlements: { stripe: { ...rec.entitlements.stripe, status: 'INACTIVE' } } });
+
+  const dry = await admin('POST', `/admin/users/${uid}/resync?dryRun=true`);
+  assert.equal(dry.status, 200, dry.text);
+  assert.deepEqual(dry.body.report.mismatches[0].differences.status, { stored: 'INACTIVE', expected: 'ACTIVE' });
+  assert.deepEqual(dry.body.report.fixed, []);
+
+  const res = await admin('POST', `/admin/users/${uid}/resync`);
+  assert.deepEqual(res.body.report.fixed, [uid]);
+  assert.equal(res.body.entitlement.status, 'ACTIVE');
+  assert.equal(res.body.entitlement.orderId, subscriptionId);
+  assert.equal((await admin('POST', `/admin/users/${uid}/resync`)).body.report.mismatches.length, 0);
+});
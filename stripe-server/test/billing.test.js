@@ -0,0 +1,294 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+// Send pending Stripe events to the webhook and check they were all accepted
+async function deliver() {
+  const results = await ctx.deliverEvents();
+  for (const { event, response } of results) {
+    assert.equal(response.status, 200, `${event.type} ${response.text}`);
+  }
+  return results;
+}
+
+async function bootstrap(uid) {
+  const res = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+test('bootstrap -> subscribe -> switch -> cancel -> resume -> restore', async () => {
+  const uid = 'user-flow';
+
+  // Bootstrap creates the customer once and hands out PaymentSheet secrets
+  const boot = await bootstrap(uid);
+  assert.match(boot.customerId, /^cus_/);
+  assert.ok(boot.ephemeralKeySecret);
+  assert.ok(boot.setupIntentClientSecret);
+  assert.equal(boot.publishableKey, 'pk_test_fake');
+  assert.equal((await bootstrap(uid)).customerId, boot.customerId);
+  assert.equal(ctx.stripe.state.customers.get(boot.customerId).metadata.uid, uid);
+
+  // Subscribe: PLUS comes with a trial, so it is usable immediately
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  assert.equal(sub.status, 200, sub.text);
+  assert.equal(sub.body.status, 'trialing');
+  assert.equal(sub.body.entitlement.plan, 'PLUS');
+  assert.equal(sub.body.entitlement.status, 'TRIALING');
+  assert.ok(sub.body.entitlement.trialEndsAt > ctx.clock.now());
+  assert.equal(sub.body.payment.intentType, 'setup');
+  await deliver();
+
+  let current = await ctx.storage.getSubscription(uid);
+  assert.equal(current.plan, 'PLUS');
+  assert.equal(current.stripeSubscriptionId, sub.body.subscriptionId);
+  assert.equal(current.stripeCustomerId, boot.customerId);
+
+  // A second subscription is refused
+  const again = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(again.status, 409);
+
+  // Switch to PRO on the same subscription
+  const switched = await ctx.request('POST', '/billing/switch', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(switched.status, 200, switched.text);
+  assert.equal(switched.body.subscriptionId, sub.body.subscriptionId);
+  assert.equal(switched.body.entitlement.plan, 'PRO');
+  assert.equal(switched.body.pendingUpdate, undefined);
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(uid)).plan, 'PRO');
+
+  // Cancel at period end: paid features stay on until renewsAt
+  const canceled = await ctx.request('POST', '/billing/cancel', { uid, body: {} });
+  assert.equal(canceled.status, 200, canceled.text);
+  assert.equal(canceled.body.entitlement.status, 'CANCELED');
+  await deliver();
+  current = await ctx.storage.getSubscription(uid);
+  assert.equal(current.status, 'CANCELED');
+  assert.equal(current.cancelAtPeriodEnd, true);
+
+  // Resume undoes the scheduled cancellation
+  const resumed = await ctx.request('POST', '/billing/resume', { uid, body: {} });
+  assert.equal(resumed.status, 200, resumed.text);
+  assert.equal(resumed.body.entitlement.status, 'TRIALING');
+  await deliver();
+
+  const resumeAgain = await ctx.request('POST', '/billing/resume', { uid, body: {} });
+  assert.equal(resumeAgain.status, 400);
+
+  // Restore rebuilds the entitlement from Stripe, even after the stored record is lost
+  await ctx.storage.setCustomer(uid, { activeEntitlement: null });
+  const restored = await ctx.request('POST', '/billing/restore', { uid, body: {} });
+  assert.equal(restored.status, 200, restored.text);
+  assert.equal(restored.body.entitlement.plan, 'PRO');
+  assert.equal(restored.body.entitlement.status, 'TRIALING');
+  assert.equal(restored.body.entitlement.orderId, sub.body.subscriptionId);
+  assert.equal((await ctx.storage.getCustomer(uid)).activeEntitlement.plan, 'PRO');
+});
+
+test('subscription without a trial stays incomplete until the payment is confirmed', async () => {
+  const uid = 'user-pay';
+  await bootstrap(uid);
+
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  assert.equal(sub.status, 200, sub.text);
+  assert.equal(sub.body.status, 'incomplete');
+  assert.equal(sub.body.payment.intentType, 'payment');
+  assert.ok(sub.body.payment.clientSecret);
+  assert.equal(sub.body.payment.requiresAction, false);
+  await deliver();
+
+  // Nothing is unlocked before payment
+  assert.equal((await ctx.storage.getCustomer(uid)).activeEntitlement.status, 'INCOMPLETE');
+  const limits = await ctx.request('POST', '/limits/consume', { uid, body: {} });
+  assert.equal(limits.body.plan, 'FREE');
+
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+
+  const { activeEntitlement } = await ctx.storage.getCustomer(uid);
+  assert.equal(activeEntitlement.plan, 'MASTER');
+  assert.equal(activeEntitlement.status, 'ACTIVE');
+});
+
+test('abandoned incomplete subscriptions are canceled on the next attempt', async () => {
+  const uid = 'user-retry';
+  await bootstrap(uid);
+
+  const first = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  const second = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'YEARLY' } });
+  assert.equal(second.status, 200, second.text);
+  assert.equal(ctx.stripe.state.subscriptions.get(first.body.subscriptionId).status, 'incomplete_expired');
+
+  // The expired attempt must not clobber the live subscription
+  ctx.stripe.confirmPayment(second.body.subscriptionId);
+  await deliver();
+  const { activeEntitlement } = await ctx.storage.getCustomer(uid);
+  assert.equal(activeEntitlement.orderId, second.body.subscriptionId);
+  assert.equal(activeEntitlement.period, 'YEARLY');
+});
+
+test('switch keeps the current plan while the proration payment is pending', async () => {
+  const uid = 'user-pending';
+  const { customerId } = await bootstrap(uid);
+  await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  await deliver();
+
+  ctx.stripe.setCardDeclined(customerId);
+  const switched = await ctx.request('POST', '/billing/switch', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(switched.status, 200, switched.text);
+  assert.equal(switched.body.pendingUpdate, true);
+  assert.equal(switched.body.entitlement.plan, 'PLUS');
+  assert.ok(switched.body.payment.clientSecret);
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(uid)).plan, 'PLUS');
+
+  // The customer completes the payment with another card
+  ctx.stripe.setCardDeclined(customerId, false);
+  ctx.stripe.confirmPayment(switched.body.subscriptionId);
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(uid)).plan, 'PRO');
+});
+
+test('promotion codes are validated and applied to new subscriptions', async () => {
+  const uid = 'user-promo';
+  await bootstrap(uid);
+  ctx.stripe.addPromotionCode({ code: 'LAUNCH20', coupon: { percent_off: 20, duration: 'repeating', duration_in_months: 3 } });
+
+  const preview = await ctx.request('POST', '/billing/promo/validate', {
+    uid,
+    body: { code: 'LAUNCH20', planId: 'PRO', period: 'MONTHLY' }
+  });
+  assert.equal(preview.status, 200, preview.text);
+  assert.equal(preview.body.valid, true);
+  assert.equal(preview.body.amount, 1999);
+  assert.equal(preview.body.discountedAmount, 1599);
+
+  const invalid = await ctx.request('POST', '/billing/promo/validate', {
+    uid,
+    body: { code: 'NOPE', planId: 'PRO', period: 'MONTHLY' }
+  });
+  assert.equal(invalid.body.valid, false);
+
+  const rejected = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY', promoCode: 'NOPE' } });
+  assert.equal(rejected.status, 400);
+
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY', promoCode: 'LAUNCH20' } });
+  assert.equal(sub.status, 200, sub.text);
+  assert.equal(sub.body.entitlement.discount.percentOff, 20);
+  assert.equal(sub.body.entitlement.discount.code, 'LAUNCH20');
+  assert.ok(sub.body.entitlement.discount.endsAt);
+});
+
+test('promotion codes expire on the server clock', async () => {
+  const uid = 'user-promo-expiry';
+  await bootstrap(uid);
+  ctx.stripe.addPromotionCode({
+    code: 'WEEKEND',
+    coupon: { percent_off: 10 },
+    expires_at: Math.floor(ctx.clock.now() / 1000) + 2 * 24 * 60 * 60
+  });
+  const validate = () => ctx.request('POST', '/billing/promo/validate', {
+    uid,
+    body: { code: 'WEEKEND', planId: 'PRO', period: 'MONTHLY' }
+  });
+
+  assert.equal((await validate()).body.valid, true);
+
+  ctx.clock.advance(3 * 24 * 60 * 60 * 1000);
+  const expired = await validate();
+  assert.equal(expired.body.valid, false);
+  assert.match(expired.body.reason, /expired/);
+});
+
+test('a customer gets one trial', async () => {
+  const uid = 'user-trial';
+  await bootstrap(uid);
+  const first = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  assert.equal(first.body.status, 'trialing');
+
+  await ctx.stripe.subscriptions.cancel(first.body.subscriptionId);
+  await deliver();
+
+  const second = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  assert.equal(second.status, 200, second.text);
+  assert.equal(second.body.status, 'incomplete');
+  assert.equal(second.body.entitlement.trialEndsAt, null);
+});
+
+test('billing routes reject unauthenticated and guest callers', async () => {
+  const missing = await ctx.request('POST', '/billing/bootstrap', { body: {} });
+  assert.equal(missing.status, 401);
+
+  const invalid = await ctx.request('POST', '/billing/bootstrap', { body: {}, headers: { Authorization: 'Bearer forged' } });
+  assert.equal(invalid.status, 401);
+
+  const guest = await ctx.request('POST', '/billing/bootstrap', {
+    body: {},
+    headers: { Authorization: `Bearer ${ctx.auth.tokenFor('guest', { provider: 'anonymous' })}` }
+  });
+  assert.equal(guest.status, 403);
+});
+
+test('requests validate plans and require a customer', async () => {
+  const uid = 'user-validation';
+  const noCustomer = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  assert.equal(noCustomer.status, 404);
+
+  await bootstrap(uid);
+  const missingFields = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS' } });
+  assert.equal(missingFields.status, 400);
+
+  const unknownPlan = await ctx.request('POST', '/billing/switch', { uid, body: { planId: 'GOLD', period: 'MONTHLY' } });
+  assert.equal(unknownPlan.status, 400);
+
+  const nothingToRestore = await ctx.request('POST', '/billing/restore', { uid, body: {} });
+  assert.deepEqual(nothingToRestore.body, { entitlement: null });
+});
+
+test('checkout and portal sessions redirect back into the app', async () => {
+  const uid = 'user-hosted';
+  await bootstrap(uid);
+
+  const checkout = await ctx.request('POST', '/billing/checkout-session', { uid, body: { planId: 'PRO', period: 'YEARLY' } });
+  assert.equal(checkout.status, 200, checkout.text);
+  assert.match(checkout.body.url, /^https:\/\/checkout\.stripe\.com\//);
+  const session = ctx.stripe.state.checkoutSessions.get(checkout.body.sessionId);
+  assert.equal(session.client_reference_id, uid);
+  assert.equal(session.success_url, 'https://billing.example.com/billing/return/checkout-success?session_id={CHECKOUT_SESSION_ID}');
+
+  const foreign = await ctx.request('POST', '/billing/checkout-session', {
+    uid,
+    body: { planId: 'PRO', period: 'YEARLY', successUrl: 'https://evil.example.com/done' }
+  });
+  assert.equal(foreign.status, 400);
+
+  const portal = await ctx.request('POST', '/billing/portal-session', { uid, body: {} });
+  assert.equal(portal.status, 200, portal.text);
+  assert.match(portal.body.url, /^https:\/\/billing\.stripe\.com\//);
+
+  const back = await ctx.request('GET', '/billing/return/checkout-success?session_id=cs_1');
+  assert.equal(back.status, 302);
+  assert.equal(back.headers.get('location'), 'innovexia://billing/checkout-success?session_id=cs_1');
+});
+
+test('checkout does not start a second subscription', async () => {
+  const uid = 'user-hosted-twice';
+  await bootstrap(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  assert.equal(sub.body.status, 'trialing');
+
+  const checkout = await ctx.request('POST', '/billing/checkout-session', { uid, body: { planId: 'PRO', period: 'YEARLY' } });
+  assert.equal(checkout.status, 409);
+  assert.equal(checkout.body.error, 'already subscribed, use /billing/switch to change plans');
+  assert.equal(ctx.stripe.state.checkoutSessions.size, 0);
+});
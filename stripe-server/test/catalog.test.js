@@ -0,0 +1,173 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFakeStripe } from './support/fake-stripe.js';
+import { loadCatalog, validateCatalog, planCatalog, applyCatalog, lookupKeyFor } from '../lib/catalog.js';
+import { writePriceIdsFile, checkPriceConfig, priceIdsPath } from '../lib/prices.js';
+
+let stripe;
+let catalog;
+let dir;
+
+beforeEach(() => {
+  stripe = createFakeStripe({ priceIds: {} });
+  catalog = loadCatalog();
+  dir = mkdtempSync(join(tmpdir(), 'catalog-test-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const countByType = changes => changes.reduce((counts, { type }) => ({ ...counts, [type]: (counts[type] || 0) + 1 }), {});
+
+async function applied() {
+  return applyCatalog(stripe, await planCatalog(stripe, catalog));
+}
+
+test('the shipped catalog is valid', () => {
+  assert.deepEqual(validateCatalog(catalog), []);
+});
+
+test('validation reports every mistake', () => {
+  const broken = structuredClone(catalog);
+  broken.version = 'one';
+  broken.products[1].planId = 'PLUS';
+  broken.products[0].trialDays = -1;
+  broken.products[0].prices[0].interval = 'year';
+  broken.products[0].prices[1].amount = 99.5;
+  broken.products[2].prices[0].currencyOptions = { usd: 100 };
+
+  const errors = validateCatalog(broken);
+  assert.equal(errors.length, 6, errors.join('\n'));
+  assert.ok(errors.some(error => error.includes('duplicate planId')));
+  assert.ok(errors.some(error => error.includes('interval must be "month"')));
+});
+
+test('an empty Stripe account gets every product and price', async () => {
+  const plan = await planCatalog(stripe, catalog);
+  assert.deepEqual(countByType(plan.changes), { create_product: 4, create_price: 8 });
+
+  const { priceIds, trialDays } = await applyCatalog(stripe, plan);
+  assert.deepEqual(trialDays, { PLUS: 7, PRO: 7, TEAM: 0, MASTER: 0 });
+
+  const proMonthly = await stripe.prices.retrieve(priceIds['PRO:MONTHLY']);
+  assert.equal(proMonthly.unit_amount, 1999);
+  assert.equal(proMonthly.lookup_key, 'innovexia_pro_monthly');
+  assert.deepEqual(proMonthly.currency_options, { eur: { unit_amount: 1999 }, gbp: { unit_amount: 1799 } });
+  assert.deepEqual(proMonthly.metadata, { planId: 'PRO', period: 'MONTHLY' });
+
+  const product = await stripe.products.retrieve(proMonthly.product);
+  assert.equal(product.metadata.planId, 'PRO');
+  assert.equal(product.marketing_features.length, 5);
+
+  // Applying again is a no-op
+  assert.deepEqual((await planCatalog(stripe, catalog)).changes, []);
+});
+
+test('a price change creates a new price, moves the lookup key and archives the old one', async () => {
+  const before = await applied();
+
+  catalog.products[0].prices[0].amount = 1299;
+  const plan = await planCatalog(stripe, catalog);
+  assert.deepEqual(plan.changes.map(({ type, key }) => [type, key]), [['rotate_price', 'PLUS:MONTHLY']]);
+  assert.deepEqual(plan.changes[0].diff, [['amount.usd', 999, 1299]]);
+
+  const after = await applyCatalog(stripe, plan);
+  assert.notEqual(after.priceIds['PLUS:MONTHLY'], before.priceIds['PLUS:MONTHLY']);
+  assert.equal(after.priceIds['PLUS:YEARLY'], before.priceIds['PLUS:YEARLY']);
+
+  const old = await stripe.prices.retrieve(before.priceIds['PLUS:MONTHLY']);
+  const current = await stripe.prices.retrieve(after.priceIds['PLUS:MONTHLY']);
+  assert.equal(old.active, false);
+  assert.equal(old.lookup_key, null);
+  assert.equal(current.unit_amount, 1299);
+  assert.equal(current.lookup_key, lookupKeyFor(catalog, 'PLUS', 'MONTHLY'));
+  assert.equal(current.product, old.product);
+});
+
+test('products and prices created before the catalog are adopted', async () => {
+  // What the old setup script left behind: matched by name, prices without lookup keys
+  const legacy = await stripe.products.create({ name: 'Innovexia Plus', description: 'Unlock more intelligence' });
+  const monthly = await stripe.prices.create({
+    product: legacy.id,
+    unit_amount: 999,
+    currency: 'usd',
+    recurring: { interval: 'month' },
+    currency_options: { eur: { unit_amount: 999 }, gbp: { unit_amount: 899 } },
+    metadata: { planId: 'PLUS', period: 'MONTHLY' }
+  });
+  const oldYearly = await stripe.prices.create({
+    product: legacy.id,
+    unit_amount: 9900,
+    currency: 'usd',
+    recurring: { interval: 'year' },
+    metadata: { planId: 'PLUS', period: 'YEARLY' }
+  });
+
+  const plan = await planCatalog(stripe, catalog);
+  const plus = plan.changes.filter(change => change.planId === 'PLUS');
+  assert.deepEqual(plus.map(({ type, key }) => [type, key]), [
+    ['update_product', undefined],
+    ['update_price', 'PLUS:MONTHLY'],
+    ['rotate_price', 'PLUS:YEARLY']
+  ]);
+  assert.equal(plan.priceIds['PLUS:MONTHLY'], monthly.id);
+
+  const { priceIds } = await applyCatalog(stripe, plan);
+  assert.equal(priceIds['PLUS:MONTHLY'], monthly.id);
+  assert.equal((await stripe.prices.retrieve(monthly.id)).lookup_key, 'innovexia_plus_monthly');
+  assert.equal((await stripe.prices.retrieve(oldYearly.id)).active, false);
+  assert.equal((await stripe.products.retrieve(legacy.id)).metadata.planId, 'PLUS');
+});
+
+test('products for plans outside the catalog are reported, not touched', async () => {
+  await applied();
+  const retired = await stripe.products.create({ name: 'Innovexia Legacy', metadata: { planId: 'LEGACY' } });
+
+  const plan = await planCatalog(stripe, catalog);
+  assert.deepEqual(plan.changes, []);
+  assert.deepEqual(plan.unmanaged, [{ productId: retired.id, name: 'Innovexia Legacy', planId: 'LEGACY' }]);
+});
+
+test('price-ids files are written atomically and validated', async () => {
+  const { priceIds, trialDays } = await applied();
+
+  assert.equal(checkPriceConfig(true, { dir }).errors.length, 1);
+  assert.equal(checkPriceConfig(false, { dir }).warnings.length, 1);
+
+  writePriceIdsFile(false, { mode: 'test', catalogVersion: 1, priceIds, trialDays }, { dir });
+  assert.deepEqual(readdirSync(dir), ['price-ids.test.json']);
+  assert.deepEqual(JSON.parse(readFileSync(priceIdsPath(false, dir), 'utf8')).priceIds, priceIds);
+  assert.deepEqual(checkPriceConfig(false, { dir }), { errors: [], warnings: [] });
+
+  writePriceIdsFile(true, { mode: 'test', priceIds: { ...priceIds, 'PRO:YEARLY': 'prod_123' } }, { dir });
+  const { errors } = checkPriceConfig(true, { dir });
+  assert.equal(errors.length, 2, errors.join('\n'));
+  assert.ok(errors.some(error => error.includes('written for test mode')));
+  assert.ok(errors.some(error => error.includes('PRO:YEARLY')));
+
+  writeFileSync(priceIdsPath(false, dir), '{ "priceIds": ');
+  assert.match(checkPriceConfig(false, { dir }).errors[0], /not valid JSON/);
+});
+
+test('TEAM prices are optional in price-ids files', async () => {
+  const { priceIds } = await applied();
+  const { 'TEAM:MONTHLY': monthly, 'TEAM:YEARLY': yearly, ...withoutTeam } = priceIds;
+  assert.ok(monthly && yearly);
+
+  // A file written before team plans existed still starts the server
+  writePriceIdsFile(true, { mode: 'production', priceIds: withoutTeam }, { dir });
+  assert.deepEqual(checkPriceConfig(true, { dir }), { errors: [], warnings: [] });
+
+  // Once present, TEAM prices are checked like the others
+  writePriceIdsFile(true, { mode: 'production', priceIds: { ...withoutTeam, 'TEAM:MONTHLY': 'team-monthly' } }, { dir });
+  assert.match(checkPriceConfig(true, { dir }).errors.join('\n'), /TEAM:MONTHLY/);
+
+  const { 'PRO:MONTHLY': pro, ...withoutPro } = withoutTeam;
+  writePriceIdsFile(true, { mode: 'production', priceIds: withoutPro }, { dir });
+  assert.match(checkPriceConfig(true, { dir }).errors.join('\n'), /PRO:MONTHLY"\] is missing/);
+  assert.ok(pro);
+});
@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+import { effectivePlan } from '../lib/plan-features.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function deliver() {
+  for (let results = await ctx.deliverEvents(); results.length; results = await ctx.deliverEvents()) {
+    for (const { event, response } of results) {
+      assert.equal(response.status, 200, `${event.type} ${response.text}`);
+    }
+  }
+}
+
+// A paid PRO subscriber whose renewal payment was just declined
+async function pastDueSubscriber(uid) {
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+
+  ctx.clock.advance(30 * DAY);
+  ctx.stripe.setCardDeclined(boot.body.customerId);
+  ctx.stripe.renewSubscription(sub.body.subscriptionId);
+  await deliver();
+  return { customerId: boot.body.customerId, subscriptionId: sub.body.subscriptionId };
+}
+
+test('a failed renewal starts a grace period with the retry timeline of the invoice', async () => {
+  const uid = 'user-grace';
+  const { subscriptionId } = await pastDueSubscriber(uid);
+  const invoice = ctx.stripe.state.invoices.get(ctx.stripe.state.subscriptions.get(subscriptionId).latest_invoice);
+
+  const entitlement = (await ctx.storage.getCustomer(uid)).activeEntitlement;
+  assert.equal(entitlement.status, 'PAST_DUE');
+  assert.equal(entitlement.graceEndsAt, invoice.created * 1000 + 7 * DAY);
+  assert.deepEqual(entitlement.dunning, {
+    invoiceId: invoice.id,
+    dueSince: invoice.created * 1000,
+    attemptCount: 1,
+    nextPaymentAttempt: invoice.next_payment_attempt * 1000,
+    amountDue: 1999,
+    currency: 'usd',
+    hostedInvoiceUrl: invoice.hosted_invoice_url
+  });
+
+  const doc = await ctx.storage.getSubscription(uid);
+  assert.equal(doc.graceEnd.getTime(), entitlement.graceEndsAt);
+  assert.equal(doc.dunning.attemptCount, 1);
+
+  // Paid features stay on, and the app is told to fix the payment
+  const usage = await ctx.request('GET', '/usage/current', { uid });
+  assert.equal(usage.body.plan, 'PRO');
+  assert.deepEqual(usage.body.paymentIssue, {
+    status: 'PAST_DUE',
+    inGracePeriod: true,
+    graceEndsAt: entitlement.graceEndsAt,
+    dunning: entitlement.dunning
+  });
+
+  // A failed retry moves the attempt count; the grace window stays anchored to the invoice
+  ctx.clock.advance(3 * DAY);
+  ctx.stripe.retryPayment(subscriptionId);
+  await deliver();
+  const retried = (await ctx.storage.getCustomer(uid)).activeEntitlement;
+  assert.equal(retried.dunning.attemptCount, 2);
+  assert.equal(retried.graceEndsAt, entitlement.graceEndsAt);
+
+  // Past the grace window the limits are FREE until the payment goes through
+  ctx.clock.advance(5 * DAY);
+  const expired = await ctx.request('GET', '/usage/current', { uid });
+  assert.equal(expired.body.plan, 'FREE');
+  assert.equal(expired.body.paymentIssue.inGracePeriod, false);
+  const me = await ctx.request('GET', '/entitlements/me', { uid });
+  assert.equal(me.body.plan, 'PRO');
+  assert.equal(me.body.status, 'PAST_DUE');
+  assert.equal(me.body.effectivePlan, 'FREE');
+  assert.equal(me.body.limits.tokensPerWindow, 100_000);
+});
+
+test('a paid invoice restores ACTIVE and clears the timeline', async () => {
+  const uid = 'user-recovered';
+  const { customerId, subscriptionId } = await pastDueSubscriber(uid);
+
+  ctx.clock.advance(3 * DAY);
+  ctx.stripe.setCardDeclined(customerId, false);
+  ctx.stripe.retryPayment(subscriptionId);
+  await deliver();
+
+  const entitlement = (await ctx.storage.getCustomer(uid)).activeEntitlement;
+  assert.equal(entitlement.status, 'ACTIVE');
+  assert.equal(entitlement.graceEndsAt, null);
+  assert.equal(entitlement.dunning, null);
+  const doc = await ctx.storage.getSubscription(uid);
+  assert.equal(doc.graceEnd, null);
+  assert.equal(doc.dunning, null);
+  assert.equal((await ctx.request('GET', '/usage/current', { uid })).body.paymentIssue, null);
+});
+
+test('the entitlement drops to free when Stripe gives up', async () => {
+  const unpaid = await pastDueSubscriber('user-unpaid');
+  for (let attempt = 2; attempt <= 4; attempt++) {
+    ctx.clock.advance(3 * DAY);
+    ctx.stripe.retryPayment(unpaid.subscriptionId);
+    await deliver();
+  }
+  assert.equal(ctx.stripe.state.subscriptions.get(unpaid.subscriptionId).status, 'unpaid');
+  const entitlement = (await ctx.storage.getCustomer('user-unpaid')).activeEntitlement;
+  assert.equal(entitlement.status, 'INACTIVE');
+  assert.equal(entitlement.dunning, null);
+  assert.equal(effectivePlan(entitlement, ctx.clock.now()), 'FREE');
+
+  // Stripe set to cancel after the last retry
+  const canceled = await pastDueSubscriber('user-canceled');
+  ctx.stripe.state.invoices.get(ctx.stripe.state.subscriptions.get(canceled.subscriptionId).latest_invoice).attempt_count = 3;
+  ctx.stripe.retryPayment(canceled.subscriptionId, { whenExhausted: 'cancel' });
+  await deliver();
+  const doc = await ctx.storage.getSubscription('user-canceled');
+  assert.equal(doc.status, 'INACTIVE');
+  assert.equal(doc.dunning, null);
+  assert.equal((await ctx.request('GET', '/usage/current', { uid: 'user-canceled' })).body.plan, 'FREE');
+});
+
+test('a declined first payment does not start a grace period', async () => {
+  const uid = 'user-first-payment';
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  ctx.stripe.setCardDeclined(boot.body.customerId);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+
+  const entitlement = (await ctx.storage.getCustomer(uid)).activeEntitlement;
+  assert.equal(entitlement.status, 'INCOMPLETE');
+  assert.equal(entitlement.graceEndsAt, null);
+  assert.equal((await ctx.request('GET', '/usage/current', { uid })).body.plan, 'FREE');
+});
@@ -0,0 +1,175 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import { startTestServer } from './support/server.js';
+import { errorResponse } from '../lib/errors.js';
+import { claimDecision, IDEMPOTENCY_KEY_TTL_MS } from '../lib/idempotency.js';
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function bootstrap(uid) {
+  const res = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+const subscriptionsOf = customerId => [...ctx.stripe.state.subscriptions.values()].filter(sub => sub.customer === customerId);
+
+test('a retried subscribe with the same Idempotency-Key returns the first subscription', async () => {
+  const uid = 'user-retry';
+  const { customerId } = await bootstrap(uid);
+  const subscribe = (body, key = 'key-subscribe-1') =>
+    ctx.request('POST', '/billing/subscribe', { uid, body, headers: { 'Idempotency-Key': key } });
+
+  const first = await subscribe({ planId: 'MASTER', period: 'MONTHLY' });
+  assert.equal(first.status, 200, first.text);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+
+  const retry = await subscribe({ planId: 'MASTER', period: 'MONTHLY' });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(subscriptionsOf(customerId).length, 1);
+
+  // The key went to Stripe with the call
+  assert.ok([...ctx.stripe.state.idempotencyKeys.keys()].some(key => key.endsWith(':subscriptions.create')));
+
+  // Same key, different request
+  const reused = await subscribe({ planId: 'PRO', period: 'MONTHLY' });
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.code, 'idempotency_key_reused');
+
+  // Keys belong to their user
+  await bootstrap('user-other');
+  const other = await ctx.request('POST', '/billing/subscribe', {
+    uid: 'user-other',
+    body: { planId: 'MASTER', period: 'MONTHLY' },
+    headers: { 'Idempotency-Key': 'key-subscribe-1' }
+  });
+  assert.equal(other.status, 200);
+  assert.notEqual(other.body.subscriptionId, first.body.subscriptionId);
+
+  const malformed = await subscribe({ planId: 'MASTER', period: 'MONTHLY' }, 'has spaces');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.code, 'invalid_idempotency_key');
+});
+
+test('a retry after a lost Stripe response gets the subscription Stripe already created', async () => {
+  const uid = 'user-lost-response';
+  const { customerId } = await bootstrap(uid);
+
+  // Stripe creates the subscription, but the connection drops before the answer arrives
+  const create = ctx.stripe.subscriptions.create;
+  ctx.stripe.subscriptions.create = async (...args) => {
+    ctx.stripe.subscriptions.create = create;
+    await create(...args);
+    throw new Stripe.errors.StripeConnectionError({ message: 'socket hang up' });
+  };
+
+  const headers = { 'Idempotency-Key': 'key-lost-1' };
+  const failed = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' }, headers });
+  assert.equal(failed.status, 503);
+  assert.equal(failed.body.code, 'unavailable');
+  assert.equal(failed.body.retryable, true);
+  const [created] = subscriptionsOf(customerId);
+
+  const retry = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' }, headers });
+  assert.equal(retry.status, 200, retry.text);
+  assert.equal(retry.body.subscriptionId, created.id);
+  assert.equal(subscriptionsOf(customerId).length, 1);
+  assert.equal(ctx.stripe.state.subscriptions.get(created.id).status, 'incomplete');
+  assert.equal(created.metadata.requestId, failed.headers.get('x-request-id'));
+});
+
+test('errors carry a code, a retryable flag and the card decline code', async () => {
+  const uid = 'user-declined';
+  await bootstrap(uid);
+
+  ctx.stripe.subscriptions.create = async () => {
+    throw new Stripe.errors.StripeCardError({
+      message: 'Your card has insufficient funds.',
+      code: 'card_declined',
+      decline_code: 'insufficient_funds'
+    });
+  };
+  const declined = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(declined.status, 402);
+  assert.deepEqual(declined.body, {
+    error: 'Your card has insufficient funds.',
+    code: 'card_declined',
+    message: 'Your card has insufficient funds.',
+    retryable: false,
+    declineCode: 'insufficient_funds'
+  });
+
+  // Route errors get the envelope too
+  const noCustomer = await ctx.request('POST', '/billing/resume', { uid: 'user-nobody', body: {} });
+  assert.equal(noCustomer.status, 404);
+  assert.equal(noCustomer.body.code, 'not_found');
+  assert.equal(noCustomer.body.message, noCustomer.body.error);
+  assert.equal(noCustomer.body.retryable, false);
+
+  const res = await fetch(`${ctx.baseUrl}/billing/subscribe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ctx.auth.tokenFor(uid)}` },
+    body: '{"planId": '
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, 'invalid_request');
+
+  assert.equal(errorResponse(new Stripe.errors.StripeCardError({ message: 'Try again', code: 'card_declined', decline_code: 'try_again_later' })).body.retryable, true);
+  assert.equal(errorResponse(new Stripe.errors.StripeRateLimitError({ message: 'Too many' })).status, 429);
+  const misconfigured = errorResponse(new Stripe.errors.StripeAuthenticationError({ message: 'Invalid API Key provided: sk_test_abc' }));
+  assert.equal(misconfigured.status, 500);
+  assert.doesNotMatch(misconfigured.body.message, /sk_test/);
+  assert.equal(errorResponse(new Error('ECONNRESET at 10.0.0.1')).body.message, 'Internal server error');
+});
+
+test('request bodies are validated before anything reaches Stripe', async () => {
+  const uid = 'user-schema';
+  await bootstrap(uid);
+
+  const invalid = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'GOLD', period: 'weekly', promoCode: 42 } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_request');
+  assert.deepEqual(invalid.body.fields.map(field => field.field), ['planId', 'period', 'promoCode']);
+  assert.match(invalid.body.message, /period must be one of MONTHLY, YEARLY/);
+
+  const free = await ctx.request('POST', '/billing/checkout-session', { uid, body: { planId: 'FREE', period: 'MONTHLY' } });
+  assert.equal(free.status, 400);
+
+  const seats = await ctx.request('POST', '/billing/team', { uid, body: { period: 'MONTHLY', seats: '5' } });
+  assert.equal(seats.status, 400);
+  assert.equal(seats.body.fields[0].message, 'must be an integer');
+
+  // Extra fields from newer app versions are ignored
+  const extra = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY', appVersion: '3.1.0' } });
+  assert.equal(extra.status, 200, extra.text);
+  assert.equal(ctx.stripe.state.subscriptions.size, 1);
+});
+
+test('keys in use, abandoned or past their 24 hours', () => {
+  const now = Date.UTC(2025, 0, 15);
+  const request = { fingerprint: 'f1', requestId: 'req-2' };
+  const running = { state: 'in_progress', fingerprint: 'f1', requestId: 'req-1', startedAt: now, expiresAt: new Date(now + IDEMPOTENCY_KEY_TTL_MS) };
+
+  assert.equal(claimDecision(running, request, now + 1000).action, 'in_progress');
+
+  // A request that never answered (crash, redeploy) or failed is run again as the original one
+  const abandoned = claimDecision(running, request, now + 2 * 60 * 1000);
+  assert.equal(abandoned.action, 'proceed');
+  assert.equal(abandoned.record.requestId, 'req-1');
+  assert.equal(claimDecision({ ...running, state: 'failed' }, request, now + 1000).record.requestId, 'req-1');
+
+  const expired = claimDecision({ ...running, state: 'completed' }, { fingerprint: 'f2', requestId: 'req-2' }, now + IDEMPOTENCY_KEY_TTL_MS);
+  assert.equal(expired.action, 'proceed');
+  assert.equal(expired.record.requestId, 'req-2');
+});
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function deliver() {
+  for (const { event, response } of await ctx.deliverEvents()) {
+    assert.equal(response.status, 200, `${event.type} ${response.text}`);
+  }
+}
+
+// A paid MASTER subscription (no trial), webhooks delivered
+async function subscribe(uid, period = 'MONTHLY') {
+  const { customerId } = (await ctx.request('POST', '/billing/bootstrap', { uid, body: {} })).body;
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period } });
+  assert.equal(sub.status, 200, sub.text);
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+  return { customerId, subscriptionId: sub.body.subscriptionId };
+}
+
+test('paid and failed invoices are recorded in users/{uid}/invoices by the webhook', async () => {
+  const uid = 'user-history';
+  const { customerId, subscriptionId } = await subscribe(uid);
+
+  const [first] = await ctx.storage.listInvoices(uid);
+  assert.equal(first.status, 'paid');
+  assert.equal(first.paid, true);
+  assert.equal(first.plan, 'MASTER');
+  assert.equal(first.period, 'MONTHLY');
+  assert.equal(first.amountPaid, 3999);
+  assert.equal(first.currency, 'usd');
+  assert.equal(first.subscriptionId, subscriptionId);
+  assert.match(first.hostedInvoiceUrl, /^https:\/\/invoice\.stripe\.com\//);
+  assert.match(first.invoicePdf, /\/pdf$/);
+  assert.ok(first.lastEventId);
+
+  ctx.clock.advance(30 * 24 * 60 * 60 * 1000);
+  ctx.stripe.setCardDeclined(customerId);
+  ctx.stripe.renewSubscription(subscriptionId);
+  await deliver();
+
+  const [failed] = await ctx.storage.listInvoices(uid, { limit: 1 });
+  assert.equal(failed.status, 'open');
+  assert.equal(failed.billingReason, 'subscription_cycle');
+  assert.equal(failed.amountRemaining, 3999);
+  assert.equal(failed.attemptCount, 1);
+  assert.equal(failed.nextPaymentAttempt, ctx.clock.now() + 3 * 24 * 60 * 60 * 1000);
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'PAST_DUE');
+
+  // A retried payment updates the same record
+  ctx.stripe.setCardDeclined(customerId, false);
+  ctx.stripe.confirmPayment(subscriptionId);
+  await deliver();
+  const history = await ctx.storage.listInvoices(uid);
+  assert.equal(history.length, 2);
+  assert.equal(history.find(invoice => invoice.invoiceId === failed.invoiceId).status, 'paid');
+});
+
+test('GET /billing/invoices pages through the Stripe invoices', async () => {
+  const uid = 'user-pages';
+  const { subscriptionId } = await subscribe(uid);
+  for (let i = 0; i < 4; i++) {
+    ctx.clock.advance(30 * 24 * 60 * 60 * 1000);
+    ctx.stripe.renewSubscription(subscriptionId);
+  }
+  await deliver();
+
+  const first = await ctx.request('GET', '/billing/invoices?limit=3', { uid });
+  assert.equal(first.status, 200, first.text);
+  assert.equal(first.body.invoices.length, 3);
+  assert.equal(first.body.hasMore, true);
+  assert.equal(first.body.nextCursor, first.body.invoices[2].invoiceId);
+  assert.ok(first.body.invoices[0].created > first.body.invoices[1].created);
+
+  const second = await ctx.request('GET', `/billing/invoices?limit=3&startingAfter=${first.body.nextCursor}`, { uid });
+  assert.equal(second.body.invoices.length, 2);
+  assert.equal(second.body.hasMore, false);
+  assert.equal(second.body.nextCursor, null);
+  assert.equal(second.body.invoices[1].billingReason, 'subscription_create');
+
+  // Stored history pages the same way
+  const stored = await ctx.storage.listInvoices(uid, { limit: 3 });
+  const rest = await ctx.storage.listInvoices(uid, { limit: 3, startAfter: stored[2].invoiceId });
+  assert.deepEqual([...stored, ...rest].map(i => i.invoiceId), [...first.body.invoices, ...second.body.invoices].map(i => i.invoiceId));
+});
+
+test('GET /billing/invoices/upcoming previews the next charge', async () => {
+  const uid = 'user-upcoming';
+  const none = await ctx.request('GET', '/billing/invoices/upcoming', { uid });
+  assert.equal(none.status, 200, none.text);
+  assert.equal(none.body.invoice, null);
+
+  const { subscriptionId } = await subscribe(uid, 'YEARLY');
+  const sub = ctx.stripe.state.subscriptions.get(subscriptionId);
+
+  const upcoming = await ctx.request('GET', '/billing/invoices/upcoming', { uid });
+  assert.equal(upcoming.body.invoice.invoiceId, null);
+  assert.equal(upcoming.body.invoice.amountDue, 39990);
+  assert.equal(upcoming.body.invoice.plan, 'MASTER');
+  assert.equal(upcoming.body.invoice.period, 'YEARLY');
+  assert.equal(upcoming.body.invoice.periodStart, sub.current_period_end * 1000);
+
+  // Nothing is due after cancelling at period end
+  await ctx.request('POST', '/billing/cancel', { uid, body: {} });
+  assert.equal((await ctx.request('GET', '/billing/invoices/upcoming', { uid })).body.invoice, null);
+});
+
+test('invoice routes require authentication and start empty', async () => {
+  assert.equal((await ctx.request('GET', '/billing/invoices')).status, 401);
+  assert.equal((await ctx.request('GET', '/billing/invoices/upcoming')).status, 401);
+
+  const empty = await ctx.request('GET', '/billing/invoices', { uid: 'user-new' });
+  assert.deepEqual(empty.body, { invoices: [], hasMore: false, nextCursor: null });
+});
@@ -0,0 +1,230 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, ADMIN_KEY } from './support/server.js';
+import { unusedTimeRefunds } from '../lib/cancellation.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function deliver() {
+  for (let results = await ctx.deliverEvents(); results.length; results = await ctx.deliverEvents()) {
+    for (const { event, response } of results) {
+      assert.equal(response.status, 200, `${event.type} ${response.text}`);
+    }
+  }
+}
+
+// A paid MASTER subscriber (no trial, 39.99 a month)
+async function subscriber(uid) {
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  assert.equal(sub.status, 200, sub.text);
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+  return { customerId: boot.body.customerId, subscriptionId: sub.body.subscriptionId };
+}
+
+const entitlementOf = async uid => (await ctx.request('GET', '/entitlements/me', { uid })).body;
+
+test('a paused subscription turns paid features off until it is resumed', async () => {
+  const uid = 'user-pause';
+  const { subscriptionId } = await subscriber(uid);
+
+  const paused = await ctx.request('POST', '/billing/pause', { uid, body: {} });
+  assert.equal(paused.status, 200, paused.text);
+  assert.equal(paused.body.entitlement.status, 'PAUSED');
+  assert.equal(paused.body.entitlement.resumesAt, null);
+  assert.deepEqual(ctx.stripe.state.subscriptions.get(subscriptionId).pause_collection, { behavior: 'void', resumes_at: null });
+  await deliver();
+
+  let me = await entitlementOf(uid);
+  assert.equal(me.plan, 'MASTER');
+  assert.equal(me.status, 'PAUSED');
+  assert.equal(me.effectivePlan, 'FREE');
+  assert.equal((await ctx.storage.getSubscription(uid)).effectivePlan, 'FREE');
+
+  // Nothing else changes the subscription while it is paused
+  assert.equal((await ctx.request('POST', '/billing/pause', { uid, body: {} })).status, 409);
+  const subscribe = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(subscribe.status, 409);
+  assert.match(subscribe.body.error, /\/billing\/resume/);
+  assert.equal((await ctx.request('POST', '/billing/switch', { uid, body: { planId: 'PRO', period: 'MONTHLY' } })).status, 409);
+
+  // Renewals during the pause are not charged
+  ctx.clock.advance(30 * DAY);
+  ctx.stripe.renewSubscription(subscriptionId);
+  await deliver();
+  const sub = ctx.stripe.state.subscriptions.get(subscriptionId);
+  assert.equal(ctx.stripe.state.invoices.get(sub.latest_invoice).status, 'void');
+  assert.equal((await entitlementOf(uid)).status, 'PAUSED');
+
+  const resumed = await ctx.request('POST', '/billing/resume', { uid, body: {} });
+  assert.equal(resumed.status, 200, resumed.text);
+  assert.equal(resumed.body.entitlement.status, 'ACTIVE');
+  assert.equal(ctx.stripe.state.subscriptions.get(subscriptionId).pause_collection, null);
+  await deliver();
+
+  me = await entitlementOf(uid);
+  assert.equal(me.effectivePlan, 'MASTER');
+  assert.equal(me.resumesAt, null);
+
+  const history = await ctx.storage.listEntitlementHistory(uid);
+  assert.deepEqual(history.map(entry => [entry.action, entry.status]), [['resume', 'ACTIVE'], ['pause', 'PAUSED']]);
+  assert.equal(history[0].mode, 'paused');
+});
+
+test('a pause with a resume date ends by itself', async () => {
+  const uid = 'user-pause-until';
+  const { subscriptionId } = await subscriber(uid);
+
+  const tooLong = await ctx.request('POST', '/billing/pause', { uid, body: { resumesAt: ctx.clock.now() + 120 * DAY } });
+  assert.equal(tooLong.status, 400);
+  assert.match(tooLong.body.error, /at most 90 days/);
+  const past = await ctx.request('POST', '/billing/pause', { uid, body: { resumesAt: ctx.clock.now() - DAY } });
+  assert.equal(past.status, 400);
+
+  const resumesAt = ctx.clock.now() + 20 * DAY;
+  const paused = await ctx.request('POST', '/billing/pause', { uid, body: { resumesAt } });
+  assert.equal(paused.status, 200, paused.text);
+  assert.equal(paused.body.entitlement.resumesAt, Math.floor(resumesAt / 1000) * 1000);
+  await deliver();
+  assert.equal((await entitlementOf(uid)).resumesAt, paused.body.entitlement.resumesAt);
+  assert.equal((await ctx.storage.getSubscription(uid)).resumesAt.getTime(), paused.body.entitlement.resumesAt);
+
+  // Stripe lifts the pause at the first renewal after resumes_at and charges it
+  ctx.clock.advance(30 * DAY);
+  ctx.stripe.renewSubscription(subscriptionId);
+  await deliver();
+
+  const me = await entitlementOf(uid);
+  assert.equal(me.status, 'ACTIVE');
+  assert.equal(me.effectivePlan, 'MASTER');
+  const sub = ctx.stripe.state.subscriptions.get(subscriptionId);
+  assert.equal(ctx.stripe.state.invoices.get(sub.latest_invoice).status, 'paid');
+});
+
+test('resuming a pause with a resume date clears the date', async () => {
+  const uid = 'user-pause-resume';
+  await subscriber(uid);
+
+  const paused = await ctx.request('POST', '/billing/pause', { uid, body: { resumesAt: ctx.clock.now() + 20 * DAY } });
+  assert.equal(paused.status, 200, paused.text);
+  assert.ok(paused.body.entitlement.resumesAt);
+  await deliver();
+
+  const resumed = await ctx.request('POST', '/billing/resume', { uid, body: {} });
+  assert.equal(resumed.status, 200, resumed.text);
+  assert.equal(resumed.body.entitlement.resumesAt, null);
+  await deliver();
+
+  const me = await entitlementOf(uid);
+  assert.equal(me.status, 'ACTIVE');
+  assert.equal(me.resumesAt, null);
+  const rec = await ctx.storage.getCustomer(uid);
+  assert.equal(rec.entitlements.stripe.resumesAt, null);
+  assert.equal(rec.activeEntitlement.resumesAt, null);
+  assert.equal((await ctx.storage.getSubscription(uid)).resumesAt, null);
+});
+
+test('an immediate cancel refunds the unused time and keeps the reason', async () => {
+  const uid = 'user-cancel-now';
+  const { subscriptionId } = await subscriber(uid);
+  const firstInvoice = ctx.stripe.state.subscriptions.get(subscriptionId).latest_invoice;
+
+  const invalid = await ctx.request('POST', '/billing/cancel', { uid, body: { mode: 'now', reason: 'bored' } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.fields.map(field => field.field), ['mode', 'reason']);
+
+  ctx.clock.advance(15 * DAY);
+  const canceled = await ctx.request('POST', '/billing/cancel', {
+    uid,
+    body: { mode: 'immediate', reason: 'too_expensive', feedback: 'Need a cheaper plan' }
+  });
+  assert.equal(canceled.status, 200, canceled.text);
+  assert.equal(canceled.body.entitlement.status, 'INACTIVE');
+
+  // Half of the 30-day period was left: half of 39.99 comes back
+  assert.equal(canceled.body.refund.amount, 2000);
+  assert.equal(canceled.body.refund.currency, 'usd');
+  assert.deepEqual(canceled.body.refund.failed, []);
+  const [refund] = [...ctx.stripe.state.refunds.values()];
+  assert.equal(refund.id, canceled.body.refund.refundIds[0]);
+  assert.equal(refund.payment_intent, ctx.stripe.state.invoices.get(firstInvoice).payment_intent);
+  assert.equal(refund.reason, 'requested_by_customer');
+
+  const sub = ctx.stripe.state.subscriptions.get(subscriptionId);
+  assert.equal(sub.status, 'canceled');
+  assert.equal(sub.cancellation_details.feedback, 'too_expensive');
+  assert.equal(sub.cancellation_details.comment, 'Need a cheaper plan');
+  await deliver();
+  assert.equal((await entitlementOf(uid)).effectivePlan, 'FREE');
+
+  const [entry] = await ctx.storage.listEntitlementHistory(uid);
+  assert.equal(entry.action, 'cancel');
+  assert.equal(entry.mode, 'immediate');
+  assert.equal(entry.plan, 'MASTER');
+  assert.equal(entry.reason, 'too_expensive');
+  assert.equal(entry.feedback, 'Need a cheaper plan');
+  assert.deepEqual(entry.refund, { amount: 2000, currency: 'usd', refundIds: canceled.body.refund.refundIds });
+
+  // Support sees it in the user lookup
+  const lookup = await ctx.request('GET', `/admin/users/${uid}`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  assert.equal(lookup.status, 200, lookup.text);
+  assert.equal(lookup.body.history[0].reason, 'too_expensive');
+});
+
+test('a cancel at period end records its reason and resume undoes it', async () => {
+  const uid = 'user-cancel-later';
+  const { subscriptionId } = await subscriber(uid);
+
+  const canceled = await ctx.request('POST', '/billing/cancel', { uid, body: { reason: 'unused' } });
+  assert.equal(canceled.status, 200, canceled.text);
+  assert.equal(canceled.body.entitlement.status, 'CANCELED');
+  assert.equal(canceled.body.refund, undefined);
+  assert.equal(ctx.stripe.state.subscriptions.get(subscriptionId).cancellation_details.feedback, 'unused');
+  assert.equal(ctx.stripe.state.refunds.size, 0);
+
+  const resumed = await ctx.request('POST', '/billing/resume', { uid, body: {} });
+  assert.equal(resumed.status, 200, resumed.text);
+  assert.equal(resumed.body.entitlement.status, 'ACTIVE');
+
+  const history = await ctx.storage.listEntitlementHistory(uid);
+  assert.deepEqual(history.map(entry => [entry.action, entry.mode, entry.reason]), [['resume', 'period_end', null], ['cancel', 'period_end', 'unused']]);
+
+  // Nothing left to resume
+  assert.equal((await ctx.request('POST', '/billing/resume', { uid, body: {} })).status, 400);
+});
+
+test('unused time is prorated per invoice line, after discounts', () => {
+  const now = 1_000_000;
+  const period = { start: now - 10 * 86400, end: now + 20 * 86400 };
+  const invoices = [
+    // Mid-period upgrade: credit for the old plan, charge for the new one, both until period end
+    {
+      id: 'in_upgrade', paid: true, amount_paid: 1333, payment_intent: 'pi_upgrade', currency: 'usd',
+      lines: { data: [
+        { amount: -1333, period: { start: now - 5 * 86400, end: period.end } },
+        { amount: 2666, period: { start: now - 5 * 86400, end: period.end } }
+      ] }
+    },
+    // The period's first invoice, 50% off
+    { id: 'in_first', paid: true, amount_paid: 1500, payment_intent: { id: 'pi_first' }, currency: 'usd', lines: { data: [{ amount: 3000, period }] } },
+    // Last period, fully used
+    { id: 'in_old', paid: true, amount_paid: 3000, payment_intent: 'pi_old', currency: 'usd', lines: { data: [{ amount: 3000, period: { start: period.start - 30 * 86400, end: period.start } }] } },
+    { id: 'in_trial', paid: true, amount_paid: 0, payment_intent: null, currency: 'usd', lines: { data: [] } }
+  ];
+
+  assert.deepEqual(unusedTimeRefunds(invoices, now), [
+    { invoiceId: 'in_upgrade', paymentIntentId: 'pi_upgrade', amount: 1066, currency: 'usd' },
+    { invoiceId: 'in_first', paymentIntentId: 'pi_first', amount: 1000, currency: 'usd' }
+  ]);
+});
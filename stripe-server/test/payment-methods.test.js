@@ -0,0 +1,200 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+// Until nothing is pending: the setup_intent.succeeded handler can pay invoices (more events)
+async function deliver() {
+  for (let results = await ctx.deliverEvents(); results.length; results = await ctx.deliverEvents()) {
+    for (const { event, response } of results) {
+      assert.equal(response.status, 200, `${event.type} ${response.text}`);
+    }
+  }
+}
+
+// Bootstrap and save a card through the bootstrap SetupIntent (PaymentSheet), webhooks delivered
+async function bootstrapWithCard(uid, card = {}) {
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  assert.equal(boot.status, 200, boot.text);
+  const intent = [...ctx.stripe.state.setupIntents.values()].find(i => i.client_secret === boot.body.setupIntentClientSecret);
+  const pm = ctx.stripe.confirmSetupIntent(intent.id, card);
+  await deliver();
+  return { customerId: boot.body.customerId, pm };
+}
+
+async function addCard(uid, card = {}) {
+  const update = await ctx.request('POST', '/billing/payment-methods/update', { uid, body: {} });
+  assert.equal(update.status, 200, update.text);
+  const pm = ctx.stripe.confirmSetupIntent(update.body.setupIntentId, card);
+  await deliver();
+  return pm;
+}
+
+async function listCards(uid) {
+  const res = await ctx.request('GET', '/billing/payment-methods', { uid });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+test('the card saved during bootstrap becomes the default payment method', async () => {
+  const uid = 'user-card';
+  const { customerId, pm } = await bootstrapWithCard(uid, { brand: 'mastercard', last4: '4444', expMonth: 1, expYear: 2020 });
+
+  const intent = [...ctx.stripe.state.setupIntents.values()][0];
+  assert.equal(intent.usage, 'off_session');
+  assert.equal(intent.metadata.purpose, 'bootstrap');
+  assert.equal(ctx.stripe.state.customers.get(customerId).invoice_settings.default_payment_method, pm.id);
+
+  const { paymentMethods, defaultPaymentMethodId } = await listCards(uid);
+  assert.equal(defaultPaymentMethodId, pm.id);
+  assert.deepEqual(paymentMethods, [{
+    paymentMethodId: pm.id,
+    type: 'card',
+    brand: 'mastercard',
+    last4: '4444',
+    expMonth: 1,
+    expYear: 2020,
+    funding: 'credit',
+    wallet: null,
+    expired: true,
+    isDefault: true,
+    created: pm.created * 1000
+  }]);
+});
+
+test('set default moves invoices and the subscription to another card', async () => {
+  const uid = 'user-default';
+  const { customerId, pm: first } = await bootstrapWithCard(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+
+  // A SetupIntent the app didn't start (e.g. trial card collection) keeps the existing default
+  const other = await ctx.stripe.setupIntents.create({ customer: customerId });
+  const second = ctx.stripe.confirmSetupIntent(other.id, { last4: '1881' });
+  await deliver();
+  assert.equal((await listCards(uid)).defaultPaymentMethodId, first.id);
+
+  const res = await ctx.request('POST', '/billing/payment-methods/default', { uid, body: { paymentMethodId: second.id } });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body, { ok: true, defaultPaymentMethodId: second.id, retry: null });
+  assert.equal(ctx.stripe.state.subscriptions.get(sub.body.subscriptionId).default_payment_method, second.id);
+
+  const { paymentMethods } = await listCards(uid);
+  assert.deepEqual(paymentMethods.map(card => [card.last4, card.isDefault]), [['1881', true], ['4242', false]]);
+
+  // Cards of other customers are not found
+  const { pm: stranger } = await bootstrapWithCard('user-stranger');
+  const foreign = await ctx.request('POST', '/billing/payment-methods/default', { uid, body: { paymentMethodId: stranger.id } });
+  assert.equal(foreign.status, 404);
+  const unknown = await ctx.request('POST', '/billing/payment-methods/default', { uid, body: { paymentMethodId: 'pm_nope' } });
+  assert.equal(unknown.status, 404);
+});
+
+test('a past-due subscription recovers when the card is updated', async () => {
+  const uid = 'user-recover';
+  const { customerId } = await bootstrapWithCard(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+
+  ctx.clock.advance(30 * 24 * 60 * 60 * 1000);
+  ctx.stripe.setCardDeclined(customerId);
+  ctx.stripe.renewSubscription(sub.body.subscriptionId);
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'PAST_DUE');
+
+  // A new card that is declined too leaves the invoice open
+  const declined = await addCard(uid, { last4: '0002', declined: true });
+  assert.equal((await listCards(uid)).defaultPaymentMethodId, declined.id);
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'PAST_DUE');
+
+  const good = await addCard(uid, { last4: '5556' });
+  const stripeSub = ctx.stripe.state.subscriptions.get(sub.body.subscriptionId);
+  assert.equal(stripeSub.status, 'active');
+  assert.equal(stripeSub.default_payment_method, good.id);
+  assert.equal(ctx.stripe.state.invoices.get(stripeSub.latest_invoice).status, 'paid');
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'ACTIVE');
+});
+
+test('setting a working card as default retries the open invoice right away', async () => {
+  const uid = 'user-retry';
+  const { customerId, pm: first } = await bootstrapWithCard(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+  const backup = await addCard(uid, { last4: '3155' });
+  await ctx.request('POST', '/billing/payment-methods/default', { uid, body: { paymentMethodId: first.id } });
+
+  ctx.clock.advance(30 * 24 * 60 * 60 * 1000);
+  ctx.stripe.setCardDeclined(first.id);
+  ctx.stripe.renewSubscription(sub.body.subscriptionId);
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'PAST_DUE');
+
+  const failed = await ctx.request('POST', '/billing/payment-methods/default', { uid, body: { paymentMethodId: first.id } });
+  assert.equal(failed.body.retry.status, 'open');
+  assert.match(failed.body.retry.error, /declined/);
+
+  const res = await ctx.request('POST', '/billing/payment-methods/default', { uid, body: { paymentMethodId: backup.id } });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.retry.status, 'paid');
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'ACTIVE');
+  assert.equal(ctx.stripe.state.customers.get(customerId).invoice_settings.default_payment_method, backup.id);
+});
+
+test('removing cards: the card paying a live subscription must be replaced first', async () => {
+  const uid = 'user-detach';
+  const { pm: first } = await bootstrapWithCard(uid);
+  const second = await addCard(uid, { last4: '1111' });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+
+  const blocked = await ctx.request('DELETE', `/billing/payment-methods/${second.id}`, { uid });
+  assert.equal(blocked.status, 409);
+
+  const removed = await ctx.request('DELETE', `/billing/payment-methods/${first.id}`, { uid });
+  assert.equal(removed.status, 200, removed.text);
+  assert.deepEqual(removed.body, { ok: true, defaultPaymentMethodId: second.id });
+  assert.deepEqual((await listCards(uid)).paymentMethods.map(card => card.paymentMethodId), [second.id]);
+  assert.equal((await ctx.request('DELETE', `/billing/payment-methods/${first.id}`, { uid })).status, 404);
+
+  // Once the subscription is set to end, the last card can go
+  await ctx.request('POST', '/billing/cancel', { uid, body: {} });
+  const last = await ctx.request('DELETE', `/billing/payment-methods/${second.id}`, { uid });
+  assert.deepEqual(last.body, { ok: true, defaultPaymentMethodId: null });
+});
+
+test('a replayed setup_intent.succeeded does not restore a removed card', async () => {
+  const uid = 'user-replay';
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const intent = [...ctx.stripe.state.setupIntents.values()][0];
+  const pm = ctx.stripe.confirmSetupIntent(intent.id);
+  const events = ctx.stripe.takeEvents();
+
+  await ctx.stripe.paymentMethods.detach(pm.id);
+  ctx.stripe.takeEvents();
+  for (const event of events) {
+    const res = await ctx.sendWebhook(event);
+    assert.equal(res.status, 200, res.text);
+  }
+  assert.equal(ctx.stripe.state.customers.get(boot.body.customerId).invoice_settings.default_payment_method, null);
+});
+
+test('payment method routes require authentication', async () => {
+  assert.equal((await ctx.request('GET', '/billing/payment-methods')).status, 401);
+  assert.equal((await ctx.request('POST', '/billing/payment-methods/update', { body: {} })).status, 401);
+  assert.deepEqual((await listCards('user-none')).paymentMethods, []);
+  assert.equal((await ctx.request('POST', '/billing/payment-methods/update', { uid: 'user-none', body: {} })).status, 404);
+});
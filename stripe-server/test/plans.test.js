@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+import { countryFromRequest, currencyForCountry } from '../lib/pricing.js';
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function getPlans(query = '', headers = {}) {
+  const res = await ctx.request('GET', `/billing/plans${query}`, { headers });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+const plan = (catalog, planId) => catalog.plans.find(p => p.planId === planId);
+
+test('GET /billing/plans lists every plan with live prices, savings, trials and limits', async () => {
+  const res = await ctx.request('GET', '/billing/plans');
+  assert.equal(res.status, 200, res.text);
+  assert.match(res.headers.get('cache-control'), /max-age=300/);
+
+  const catalog = res.body;
+  assert.equal(catalog.currency, 'usd');
+  assert.deepEqual(catalog.currencies, ['usd', 'eur', 'gbp']);
+  assert.deepEqual(catalog.plans.map(p => p.planId), ['FREE', 'PLUS', 'PRO', 'TEAM', 'MASTER']);
+  assert.deepEqual(plan(catalog, 'FREE').prices, {});
+  assert.equal(plan(catalog, 'FREE').limits.burstRequestsPerMinute, 10);
+
+  const pro = plan(catalog, 'PRO');
+  assert.equal(pro.name, 'Innovexia Pro');
+  assert.equal(pro.trialDays, 7);
+  assert.equal(pro.limits.teamSpaces, 2);
+  assert.deepEqual(pro.prices.MONTHLY, {
+    priceId: [...ctx.stripe.state.prices.values()].find(p => p.metadata.planId === 'PRO' && p.metadata.period === 'MONTHLY').id,
+    currency: 'usd',
+    amount: 1999,
+    interval: 'month',
+    monthlyAmount: 1999
+  });
+  assert.equal(pro.prices.YEARLY.amount, 19990);
+  assert.equal(pro.prices.YEARLY.monthlyAmount, 1666);
+  assert.deepEqual(pro.prices.YEARLY.savings, { amount: 3998, percent: 17 });
+  assert.equal(plan(catalog, 'MASTER').trialDays, 0);
+  assert.equal(pro.perSeat, false);
+  assert.equal(plan(catalog, 'TEAM').perSeat, true);
+  assert.equal(plan(catalog, 'TEAM').prices.MONTHLY.amount, 1499);
+});
+
+test('the currency follows the country, locale or Accept-Language', async () => {
+  assert.equal((await getPlans('', { 'Accept-Language': 'de-DE,de;q=0.9,en;q=0.8' })).currency, 'eur');
+  assert.equal((await getPlans('?locale=en_GB')).currency, 'gbp');
+  assert.equal((await getPlans('?country=jp')).currency, 'usd');
+  assert.equal((await getPlans('?currency=eur', { 'Accept-Language': 'en-GB' })).currency, 'eur');
+
+  // An explicit country beats the headers; unsupported currencies fall back to the country's
+  const gb = await getPlans('?country=GB&currency=jpy', { 'Accept-Language': 'fr-FR' });
+  assert.equal(gb.currency, 'gbp');
+  assert.equal(plan(gb, 'PLUS').prices.MONTHLY.amount, 899);
+  assert.equal(plan(gb, 'PLUS').prices.MONTHLY.currency, 'gbp');
+});
+
+test('Stripe prices are cached until the TTL expires', async () => {
+  await getPlans();
+  const price = [...ctx.stripe.state.prices.values()].find(p => p.metadata.planId === 'PLUS' && p.metadata.period === 'MONTHLY');
+  price.unit_amount = 1099;
+
+  assert.equal(plan(await getPlans(), 'PLUS').prices.MONTHLY.amount, 999);
+  ctx.clock.advance(6 * 60 * 1000);
+  assert.equal(plan(await getPlans(), 'PLUS').prices.MONTHLY.amount, 1099);
+});
+
+test('subscribe and switch charge in the currency the plans were shown in', async () => {
+  const uid = 'user-eur';
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+
+  const headers = { 'Accept-Language': 'de-DE' };
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, headers, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  assert.equal(sub.status, 200, sub.text);
+  assert.equal(sub.body.currency, 'eur');
+  const invoice = ctx.stripe.state.invoices.get(ctx.stripe.state.subscriptions.get(sub.body.subscriptionId).latest_invoice);
+  assert.equal(invoice.currency, 'eur');
+  assert.equal(invoice.amount_due, 3999);
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+
+  // Stripe bills a customer in one currency: later changes stay in EUR wherever they come from
+  const switched = await ctx.request('POST', '/billing/switch', {
+    uid,
+    headers: { 'Accept-Language': 'en-GB' },
+    body: { planId: 'MASTER', period: 'YEARLY' }
+  });
+  assert.equal(switched.status, 200, switched.text);
+  assert.equal(switched.body.currency, 'eur');
+
+  const conflicting = await ctx.request('POST', '/billing/switch', { uid, body: { planId: 'PRO', period: 'MONTHLY', currency: 'gbp' } });
+  assert.equal(conflicting.status, 400);
+  assert.match(conflicting.body.error, /billed in EUR/);
+});
+
+test('unsupported currencies are rejected and checkout uses the request currency', async () => {
+  const uid = 'user-gbp';
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+
+  const unsupported = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY', currency: 'jpy' } });
+  assert.equal(unsupported.status, 400);
+  assert.match(unsupported.body.error, /not available in JPY/);
+
+  const session = await ctx.request('POST', '/billing/checkout-session', {
+    uid,
+    body: { planId: 'PRO', period: 'MONTHLY', country: 'GB' }
+  });
+  assert.equal(session.status, 200, session.text);
+  assert.equal(ctx.stripe.state.checkoutSessions.get(session.body.sessionId).currency, 'gbp');
+});
+
+test('country detection', () => {
+  assert.equal(countryFromRequest({ acceptLanguage: 'en;q=0.9,fr-CA;q=0.5,pt-BR' }), 'BR');
+  assert.equal(countryFromRequest({ locale: 'zh-Hant-TW' }), 'TW');
+  assert.equal(countryFromRequest({ acceptLanguage: 'en' }), null);
+  assert.equal(currencyForCountry('IE', ['usd', 'eur']), 'eur');
+  assert.equal(currencyForCountry('GB', ['usd', 'eur']), 'usd');
+});
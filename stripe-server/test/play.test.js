@@ -0,0 +1,200 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+import { resolveEntitlement } from '../lib/entitlements.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+const verify = (uid, purchaseToken) => ctx.request('POST', '/billing/play/verify', { uid, body: { purchaseToken } });
+
+async function notify(purchaseToken, notificationType) {
+  const res = await ctx.sendPlayNotification(ctx.play.notification(purchaseToken, notificationType));
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+test('resolveEntitlement: paid beats unpaid, then the higher tier, then Stripe', () => {
+  const now = Date.UTC(2025, 0, 15);
+  const stripe = (plan, status = 'ACTIVE') => ({ plan, status, source: 'stripe', renewsAt: now + DAY });
+  const play = (plan, status = 'ACTIVE') => ({ plan, status, source: 'play', renewsAt: now + DAY });
+
+  assert.equal(resolveEntitlement({ stripe: stripe('MASTER', 'INACTIVE'), play: play('PLUS') }, now).source, 'play');
+  assert.equal(resolveEntitlement({ stripe: stripe('PLUS'), play: play('PRO') }, now).source, 'play');
+  assert.equal(resolveEntitlement({ stripe: stripe('PRO'), play: play('PRO') }, now).source, 'stripe');
+  assert.equal(resolveEntitlement({ play: play('PRO', 'CANCELED') }, now + 2 * DAY).source, 'play');
+  assert.equal(resolveEntitlement({}, now), null);
+});
+
+test('a verified purchase becomes the play entitlement and is acknowledged', async () => {
+  const uid = 'user-play';
+  const token = ctx.play.purchase({ uid, productId: 'innovexia_pro', basePlanId: 'yearly' });
+
+  const res = await verify(uid, token);
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.acknowledged, true);
+  assert.equal(res.body.activeSource, 'play');
+  assert.equal(ctx.play.state.purchases.get(token).acknowledgementState, 'ACKNOWLEDGEMENT_STATE_ACKNOWLEDGED');
+
+  const { entitlement } = res.body;
+  assert.equal(entitlement.plan, 'PRO');
+  assert.equal(entitlement.period, 'YEARLY');
+  assert.equal(entitlement.status, 'ACTIVE');
+  assert.equal(entitlement.source, 'play');
+  assert.equal(entitlement.renewsAt, Date.UTC(2026, 0, 15, 12));
+  assert.equal(entitlement.periodStartsAt, ctx.clock.now());
+
+  const doc = await ctx.storage.getSubscription(uid);
+  assert.equal(doc.plan, 'PRO');
+  assert.equal(doc.source, 'play');
+  assert.equal(doc.playPurchaseToken, token);
+  assert.equal(doc.stripeSubscriptionId, null);
+  assert.equal((await ctx.request('GET', '/usage/current', { uid })).body.plan, 'PRO');
+
+  // Verifying again (restore) is harmless
+  assert.equal((await verify(uid, token)).status, 200);
+});
+
+test('purchases of other accounts and unknown tokens are rejected', async () => {
+  const token = ctx.play.purchase({ uid: 'user-owner' });
+  const stolen = await verify('user-thief', token);
+  assert.equal(stolen.status, 403);
+
+  // Without an obfuscated account id, the first account to verify the token keeps it
+  const anonymous = ctx.play.purchase({ uid: null });
+  assert.equal((await verify('user-first', anonymous)).status, 200);
+  assert.equal((await verify('user-second', anonymous)).status, 403);
+
+  assert.equal((await verify('user-owner', 'play-token-nope')).status, 400);
+  assert.equal((await verify('user-owner', undefined)).status, 400);
+  assert.equal((await ctx.request('POST', '/billing/play/verify', { body: { purchaseToken: token } })).status, 401);
+
+  const unknown = ctx.play.purchase({ uid: 'user-owner', productId: 'innovexia_gold' });
+  assert.match((await verify('user-owner', unknown)).body.error, /unknown Google Play product/);
+});
+
+test('notifications follow the purchase through renewal, grace period, hold and expiry', async () => {
+  const uid = 'user-rtdn';
+  const token = ctx.play.purchase({ uid, productId: 'innovexia_plus', basePlanId: 'monthly' });
+
+  // SUBSCRIPTION_PURCHASED can arrive before the app verifies the token
+  assert.deepEqual(await notify(token, 4), { received: true, result: 'processed' });
+  const stored = await ctx.storage.getCustomer(uid);
+  assert.equal(stored.activeEntitlement.plan, 'PLUS');
+  assert.equal(stored.activeEntitlement.source, 'play');
+
+  ctx.clock.advance(31 * DAY);
+  ctx.play.renew(token);
+  await notify(token, 2);
+  const renewed = (await ctx.storage.getCustomer(uid)).activeEntitlement;
+  assert.equal(renewed.status, 'ACTIVE');
+  assert.match(renewed.orderId, /\.\.0$/);
+  assert.equal((await ctx.storage.getSubscription(uid)).lastEventType, 'play.SUBSCRIPTION_RENEWED');
+
+  ctx.clock.advance(31 * DAY);
+  ctx.play.setState(token, 'IN_GRACE_PERIOD', { graceDays: 3 });
+  await notify(token, 6);
+  const usage = await ctx.request('GET', '/usage/current', { uid });
+  assert.equal(usage.body.plan, 'PLUS');
+  assert.equal(usage.body.paymentIssue.inGracePeriod, true);
+  assert.equal(usage.body.paymentIssue.graceEndsAt, ctx.clock.now() + 3 * DAY);
+
+  ctx.clock.advance(3 * DAY);
+  ctx.play.setState(token, 'ON_HOLD');
+  await notify(token, 5);
+  const held = await ctx.request('GET', '/usage/current', { uid });
+  assert.equal(held.body.plan, 'FREE');
+  assert.equal(held.body.paymentIssue.inGracePeriod, false);
+
+  ctx.play.setState(token, 'EXPIRED');
+  await notify(token, 13);
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'INACTIVE');
+});
+
+test('a Stripe subscription and a Play purchase: the precedence rule picks the active one', async () => {
+  const uid = 'user-both';
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await ctx.deliverEvents();
+
+  // A lower Play tier does not replace the Stripe plan
+  const token = ctx.play.purchase({ uid, productId: 'innovexia_plus' });
+  const verified = await verify(uid, token);
+  assert.equal(verified.body.activeSource, 'stripe');
+  assert.equal((await ctx.storage.getSubscription(uid)).plan, 'MASTER');
+
+  // Once the Stripe subscription ends, the Play purchase takes over
+  await ctx.stripe.subscriptions.cancel(sub.body.subscriptionId);
+  await ctx.deliverEvents();
+  const doc = await ctx.storage.getSubscription(uid);
+  assert.equal(doc.plan, 'PLUS');
+  assert.equal(doc.source, 'play');
+  assert.equal((await ctx.storage.getCustomer(uid)).entitlements.stripe.status, 'INACTIVE');
+
+  // Stripe will not bill a user who pays through Play
+  const again = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(again.status, 409);
+  assert.match(again.body.error, /Google Play/);
+});
+
+test('a Play purchase next to a legacy Stripe record keeps the record writable', async () => {
+  const uid = 'user-legacy';
+  // Written before entitlements were tracked per source: no source, no dunning
+  await ctx.storage.setCustomer(uid, {
+    customerId: 'cus_legacy',
+    activeEntitlement: { plan: 'MASTER', status: 'ACTIVE', orderId: 'sub_legacy', startedAt: ctx.clock.now(), renewsAt: ctx.clock.now() + 30 * DAY }
+  });
+
+  const verified = await verify(uid, ctx.play.purchase({ uid, productId: 'innovexia_plus' }));
+  assert.equal(verified.status, 200, verified.text);
+  assert.equal(verified.body.activeSource, 'stripe');
+
+  const rec = await ctx.storage.getCustomer(uid);
+  assert.equal(rec.entitlements.stripe.source, 'stripe');
+  assert.equal(rec.entitlements.stripe.dunning, null);
+  const doc = await ctx.storage.getSubscription(uid);
+  assert.equal(doc.plan, 'MASTER');
+  assert.equal(doc.source, 'stripe');
+  assert.equal(doc.dunning, null);
+  assert.equal(doc.stripeSubscriptionId, 'sub_legacy');
+});
+
+test('a replaced purchase does not overwrite its successor', async () => {
+  const uid = 'user-upgrade';
+  const first = ctx.play.purchase({ uid, productId: 'innovexia_plus' });
+  await verify(uid, first);
+
+  const second = ctx.play.purchase({ uid, productId: 'innovexia_master', linkedPurchaseToken: first });
+  await verify(uid, second);
+  assert.equal((await ctx.storage.getSubscription(uid)).plan, 'MASTER');
+
+  // The expiry notification of the old purchase arrives afterwards
+  await notify(first, 13);
+  const doc = await ctx.storage.getSubscription(uid);
+  assert.equal(doc.plan, 'MASTER');
+  assert.equal(doc.playPurchaseToken, second);
+});
+
+test('the notification endpoint checks the push token and the package', async () => {
+  const token = ctx.play.purchase({ uid: 'user-push' });
+  const body = ctx.play.notification(token, 4);
+
+  assert.equal((await ctx.sendPlayNotification(body, { token: 'wrong' })).status, 403);
+  assert.equal((await ctx.sendPlayNotification({ message: {} })).status, 400);
+
+  const otherApp = await ctx.sendPlayNotification(ctx.play.notification(token, 4, { packageName: 'com.example.other' }));
+  assert.equal(otherApp.body.result, 'ignored');
+  assert.equal(await ctx.storage.getCustomer('user-push'), null);
+
+  assert.equal((await ctx.sendPlayNotification(body)).body.result, 'processed');
+});
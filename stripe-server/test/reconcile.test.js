@@ -0,0 +1,161 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, ADMIN_KEY } from './support/server.js';
+import { createReconciler } from '../lib/reconcile.js';
+
+let ctx;
+let reconciler;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+  reconciler = createReconciler({ stripe: ctx.stripe, storage: ctx.storage, clock: ctx.clock, logger: ctx.logger });
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function bootstrap(uid) {
+  return (await ctx.request('POST', '/billing/bootstrap', { uid, body: {} })).body;
+}
+
+test('missed webhooks are reported by a dry run and fixed by a real run', async () => {
+  const uid = 'user-missed';
+  await bootstrap(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  ctx.stripe.takeEvents(); // never delivered
+
+  const dry = await reconciler.run({ dryRun: true });
+  assert.equal(dry.mismatches.length, 1);
+  assert.equal(dry.mismatches[0].uid, uid);
+  assert.equal(dry.mismatches[0].subscriptionId, sub.body.subscriptionId);
+  assert.deepEqual(dry.mismatches[0].differences.status, { stored: null, expected: 'ACTIVE' });
+  assert.deepEqual(dry.fixed, []);
+  assert.equal((await ctx.storage.getCustomer(uid)).activeEntitlement, null);
+
+  const applied = await reconciler.run();
+  assert.deepEqual(applied.fixed, [uid]);
+  const current = await ctx.storage.getSubscription(uid);
+  assert.equal(current.plan, 'MASTER');
+  assert.equal(current.status, 'ACTIVE');
+  assert.equal(current.stripeSubscriptionId, sub.body.subscriptionId);
+
+  assert.equal((await reconciler.run()).mismatches.length, 0);
+});
+
+test('a subscription moved to an unknown price during the scan is reported, not fixed', async () => {
+  const uid = 'user-moved';
+  await bootstrap(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  ctx.stripe.takeEvents(); // never delivered
+
+  // Changed in the Dashboard between the scan and the fix
+  const retrieve = ctx.stripe.subscriptions.retrieve;
+  ctx.stripe.subscriptions.retrieve = async (...args) => {
+    const fresh = await retrieve(...args);
+    return { ...fresh, metadata: {}, items: { data: [{ ...fresh.items.data[0], price: { id: 'price_unknown', metadata: {} } }] } };
+  };
+
+  const report = await reconciler.run();
+  assert.deepEqual(report.errors, []);
+  assert.equal(report.mismatches[0].uid, uid);
+  assert.deepEqual(report.fixed, []);
+  assert.deepEqual(report.unmappedSubscriptions, [{ uid, subscriptionId: sub.body.subscriptionId, priceId: 'price_unknown' }]);
+  assert.equal((await ctx.storage.getCustomer(uid)).activeEntitlement, null);
+});
+
+test('a subscription that ended without a webhook is marked inactive', async () => {
+  const uid = 'user-ended';
+  await bootstrap(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'MONTHLY' } });
+  await ctx.deliverEvents();
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'TRIALING');
+
+  await ctx.stripe.subscriptions.cancel(sub.body.subscriptionId);
+  ctx.stripe.takeEvents();
+
+  const report = await reconciler.run();
+  assert.deepEqual(report.mismatches[0].differences.status, { stored: 'TRIALING', expected: 'INACTIVE' });
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'INACTIVE');
+});
+
+test('users in sync are left alone', async () => {
+  const uid = 'user-in-sync';
+  await bootstrap(uid);
+  await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PRO', period: 'YEARLY' } });
+  await ctx.deliverEvents();
+
+  // An abandoned checkout attempt on its own does not count as drift either
+  await bootstrap('user-abandoned');
+  await ctx.request('POST', '/billing/subscribe', { uid: 'user-abandoned', body: { planId: 'MASTER', period: 'MONTHLY' } });
+  ctx.stripe.takeEvents();
+
+  const report = await reconciler.run();
+  assert.equal(report.scanned.users, 2);
+  assert.deepEqual(report.mismatches, []);
+  assert.deepEqual(report.errors, []);
+});
+
+test('reports orphaned customers and duplicate live subscriptions', async () => {
+  const uid = 'user-duplicates';
+  const { customerId } = await bootstrap(uid);
+  const prices = [...ctx.stripe.state.prices.keys()];
+  const first = await ctx.stripe.subscriptions.create({ customer: customerId, items: [{ price: prices[0] }], metadata: { uid } });
+  const second = await ctx.stripe.subscriptions.create({ customer: customerId, items: [{ price: prices[2] }], metadata: { uid } });
+
+  const noUid = await ctx.stripe.customers.create({ email: 'someone@example.com' });
+  const stray = await ctx.stripe.customers.create({ email: `${uid}@example.com`, metadata: { uid } });
+
+  const report = await reconciler.run({ dryRun: true });
+  assert.deepEqual(report.duplicateSubscriptions, [{ uid, subscriptionIds: [second.id, first.id] }]);
+  assert.deepEqual(
+    report.orphanedCustomers.map(({ customerId: id, reason }) => [id, reason]).sort(),
+    [[noUid.id, 'no_uid'], [stray.id, 'not_linked']].sort()
+  );
+
+  // The newest live subscription decides the expected entitlement
+  assert.equal(report.mismatches[0].subscriptionId, second.id);
+});
+
+test('entitlements from other sources are not overwritten', async () => {
+  const uid = 'user-comp';
+  await bootstrap(uid);
+  const comp = { plan: 'PRO', period: 'YEARLY', status: 'ACTIVE', source: 'admin', orderId: 'comp-1' };
+  await ctx.storage.setCustomer(uid, { activeEntitlement: comp });
+
+  const report = await reconciler.run();
+  assert.deepEqual(report.mismatches, []);
+  assert.deepEqual((await ctx.storage.getCustomer(uid)).activeEntitlement, comp);
+});
+
+test('pages through every customer and subscription', async () => {
+  for (let i = 0; i < 120; i++) {
+    await ctx.stripe.customers.create({ email: `bulk${i}@example.com`, metadata: { uid: `bulk-${i}` } });
+  }
+
+  const report = await reconciler.run({ dryRun: true });
+  assert.equal(report.scanned.customers, 120);
+  assert.equal(report.scanned.users, 120);
+});
+
+test('POST /billing/reconcile runs the job for admins', async () => {
+  const uid = 'user-endpoint';
+  await bootstrap(uid);
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'YEARLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  ctx.stripe.takeEvents();
+
+  const forbidden = await ctx.request('POST', '/billing/reconcile');
+  assert.equal(forbidden.status, 403);
+
+  const dry = await ctx.request('POST', '/billing/reconcile?dryRun=true', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  assert.equal(dry.status, 200, dry.text);
+  assert.equal(dry.body.dryRun, true);
+  assert.equal(dry.body.mismatches.length, 1);
+
+  const applied = await ctx.request('POST', '/billing/reconcile', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  assert.deepEqual(applied.body.fixed, [uid]);
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'ACTIVE');
+});
@@ -0,0 +1,116 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFirestoreStorage, createMemoryStorage, createFileStorage } from '../lib/storage.js';
+import { createFakeFirestore } from './support/fake-firestore.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'storage-test-'));
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Every backend must behave the same: the app is only tested against Firestore
+const BACKENDS = {
+  firestore: () => createFirestoreStorage(createFakeFirestore()),
+  memory: () => createMemoryStorage(),
+  file: () => createFileStorage(join(dir, `store-${Math.random().toString(36).slice(2)}.json`))
+};
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  test(`${name}: writes merge nested maps and replace everything else`, async () => {
+    const storage = create();
+    await storage.setCustomer('u1', {
+      customerId: 'cus_1',
+      entitlements: { stripe: { plan: 'PRO', status: 'ACTIVE', resumesAt: 1000, teamId: 'team_1' } },
+      features: ['a', 'b']
+    });
+    await storage.setCustomer('u1', {
+      entitlements: { play: { plan: 'PLUS', status: 'ACTIVE' }, stripe: { status: 'INACTIVE', teamId: null } },
+      features: ['c']
+    });
+
+    assert.deepEqual(await storage.getCustomer('u1'), {
+      customerId: 'cus_1',
+      entitlements: {
+        stripe: { plan: 'PRO', status: 'INACTIVE', resumesAt: 1000, teamId: null },
+        play: { plan: 'PLUS', status: 'ACTIVE' }
+      },
+      features: ['c']
+    });
+
+    await storage.setSubscription('u1', { plan: 'PRO', dunning: { attempts: 1, nextAttemptAt: 5 } });
+    await storage.setSubscription('u1', { dunning: { attempts: 2 } });
+    await storage.setSubscription('u1', { plan: null });
+    assert.deepEqual(await storage.getSubscription('u1'), { plan: null, dunning: { attempts: 2, nextAttemptAt: 5 } });
+
+    await storage.setPlayPurchase('token-1', { uid: 'u1', state: { acknowledged: false, kind: 'sub' } });
+    await storage.setPlayPurchase('token-1', { state: { acknowledged: true } });
+    assert.deepEqual(await storage.getPlayPurchase('token-1'), { uid: 'u1', state: { acknowledged: true, kind: 'sub' } });
+  });
+
+  test(`${name}: reads return copies`, async () => {
+    const storage = create();
+    const fields = { customerId: 'cus_1', entitlements: { stripe: { plan: 'PRO' } } };
+    await storage.setCustomer('u1', fields);
+    fields.entitlements.stripe.plan = 'MASTER';
+
+    const rec = await storage.getCustomer('u1');
+    assert.equal(rec.entitlements.stripe.plan, 'PRO');
+    rec.entitlements.stripe.plan = 'PLUS';
+    assert.equal((await storage.getCustomer('u1')).entitlements.stripe.plan, 'PRO');
+    assert.equal(await storage.getCustomer('nobody'), null);
+  });
+
+  test(`${name}: invoices and history list newest first and page`, async () => {
+    const storage = create();
+    for (const [invoiceId, created] of [['in_1', 100], ['in_3', 300], ['in_2', 200]]) {
+      await storage.setInvoice('u1', invoiceId, { invoiceId, created, status: 'open' });
+    }
+    await storage.setInvoice('u1', 'in_1', { status: 'paid' });
+
+    const invoices = await storage.listInvoices('u1', { limit: 2 });
+    assert.deepEqual(invoices.map(invoice => invoice.invoiceId), ['in_3', 'in_2']);
+    const rest = await storage.listInvoices('u1', { limit: 2, startAfter: 'in_2' });
+    assert.deepEqual(rest, [{ invoiceId: 'in_1', created: 100, status: 'paid' }]);
+
+    for (const entryId of ['001', '003', '002']) {
+      await storage.addEntitlementHistory('u1', { entryId, action: 'pause' });
+    }
+    const history = await storage.listEntitlementHistory('u1', { limit: 2 });
+    assert.deepEqual(history.map(entry => entry.entryId), ['003', '002']);
+    const older = await storage.listEntitlementHistory('u1', { startAfter: '002' });
+    assert.deepEqual(older.map(entry => entry.entryId), ['001']);
+  });
+
+  test(`${name}: deleteUser removes the user's records only`, async () => {
+    const storage = create();
+    for (const uid of ['u1', 'u2']) {
+      await storage.setCustomer(uid, { customerId: `cus_${uid}` });
+      await storage.setSubscription(uid, { plan: 'PRO' });
+      await storage.setInvoice(uid, 'in_1', { invoiceId: 'in_1', created: 1 });
+      await storage.addEntitlementHistory(uid, { entryId: '001', action: 'cancel' });
+    }
+
+    await storage.deleteUser('u1');
+    assert.equal(await storage.getCustomer('u1'), null);
+    assert.equal(await storage.getSubscription('u1'), null);
+    assert.deepEqual(await storage.listInvoices('u1'), []);
+    assert.deepEqual(await storage.listEntitlementHistory('u1'), []);
+    assert.equal((await storage.getCustomer('u2')).customerId, 'cus_u2');
+    assert.equal((await storage.listInvoices('u2')).length, 1);
+  });
+
+  test(`${name}: updateTeam replaces the whole document`, async () => {
+    const storage = create();
+    assert.equal(await storage.updateTeam('team_1', () => null), null);
+
+    await storage.updateTeam('team_1', () => ({ teamId: 'team_1', seats: 5, members: { u1: { role: 'owner' } } }));
+    const team = await storage.updateTeam('team_1', current => ({ ...current, seats: 3, members: { u2: { role: 'member' } } }));
+    assert.deepEqual(team, { teamId: 'team_1', seats: 3, members: { u2: { role: 'member' } } });
+    assert.deepEqual(await storage.getTeam('team_1'), team);
+    assert.equal(await storage.getTeam('team_2'), null);
+  });
+}
@@ -0,0 +1,159 @@
+// Offline stand-in for Firestore (firebase-admin)
+// Supports what the server uses: nested collection/doc references, get, set (with merge),
+// update, delete, where/orderBy/limit/startAfter queries and transactions. Transactions run one at
+// a time and apply their writes only if the callback succeeds. Like firebase-admin without
+// `ignoreUndefinedProperties`, writes containing `undefined` are rejected.
+
+const clone = value => structuredClone(value);
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value;
+  }
+  return result;
+}
+
+// firebase-admin refuses undefined anywhere in a document (lib/firebase.js does not ignore them)
+function assertNoUndefined(value, field = '') {
+  if (value === undefined) {
+    throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${field}")`);
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => assertNoUndefined(item, `${field}.${index}`));
+  } else if (isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      assertNoUndefined(item, field ? `${field}.${key}` : key);
+    }
+  }
+}
+
+function getField(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  'in': (a, b) => b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+function snapshot(ref, data) {
+  return {
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : clone(data))
+  };
+}
+
+/**
+ * Create an empty in-memory Firestore
+ */
+export function createFakeFirestore() {
+  const documents = new Map(); // 'users/u1/stripe/customer' -> data
+  let queue = Promise.resolve();
+
+  function docRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(docRef(path), documents.get(path)),
+      set: async (data, options) => write(path, data, options),
+      update: async data => update(path, data),
+      delete: async () => { documents.delete(path); }
+    };
+  }
+
+  function write(path, data, { merge = false } = {}) {
+    assertNoUndefined(data);
+    const current = documents.get(path);
+    documents.set(path, merge && current ? deepMerge(current, clone(data)) : clone(data));
+  }
+
+  function update(path, data) {
+    if (!documents.has(path)) {
+      throw new Error(`5 NOT_FOUND: No document to update: ${path}`);
+    }
+    write(path, data, { merge: true });
+  }
+
+  // `after` is a document snapshot cursor (startAfter)
+  function query(path, { filters = [], order = null, max = null, after = null } = {}) {
+    return {
+      where: (field, op, value) => query(path, { filters: [...filters, { field, op, value }], order, max, after }),
+      orderBy: (field, direction = 'asc') => query(path, { filters, order: { field, direction }, max, after }),
+      limit: n => query(path, { filters, order, max: n, after }),
+      startAfter: cursor => query(path, { filters, order, max, after: cursor }),
+      async get() {
+        const depth = path.split('/').length + 1;
+        let docs = [...documents.entries()]
+          .filter(([docPath]) => docPath.startsWith(`${path}/`) && docPath.split('/').length === depth)
+          .filter(([, data]) => filters.every(({ field, op, value }) => OPERATORS[op](getField(data, field), value)));
+
+        if (order) {
+          const sign = order.direction === 'desc' ? -1 : 1;
+          docs.sort(([, a], [, b]) => {
+            const x = getField(a, order.field);
+            const y = getField(b, order.field);
+            return x < y ? -sign : x > y ? sign : 0;
+          });
+        }
+        if (after) {
+          docs = docs.slice(docs.findIndex(([docPath]) => docPath === after.ref.path) + 1);
+        }
+        if (max !== null) {
+          docs = docs.slice(0, max);
+        }
+
+        const results = docs.map(([docPath, data]) => snapshot(docRef(docPath), data));
+        return { docs: results, empty: results.length === 0, size: results.length, forEach: fn => results.forEach(fn) };
+      }
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      doc: id => docRef(`${path}/${id}`),
+      ...query(path)
+    };
+  }
+
+  async function runTransaction(fn) {
+    const run = queue.then(async () => {
+      const writes = [];
+      const tx = {
+        get: ref => ref.get(),
+        set: (ref, data, options) => { assertNoUndefined(data); writes.push(() => write(ref.path, data, options)); return tx; },
+        update: (ref, data) => { assertNoUndefined(data); writes.push(() => update(ref.path, data)); return tx; },
+        delete: ref => { writes.push(() => documents.delete(ref.path)); return tx; }
+      };
+
+      const result = await fn(tx);
+      writes.forEach(apply => apply());
+      return result;
+    });
+
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    collection: name => collectionRef(name),
+    doc: path => docRef(path),
+    runTransaction,
+    // Direct access for assertions: { 'users/u1/usage/2025-01': {...} }
+    dump: () => Object.fromEntries([...documents.entries()].map(([path, data]) => [path, clone(data)]))
+  };
+}
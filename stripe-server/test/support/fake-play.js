@@ -0,0 +1,147 @@
+// Offline stand-in for the Google Play Developer API client (lib/play-publisher.js)
+// Keeps subscription purchases (SubscriptionPurchaseV2) in memory. Test controls create
+// purchases, move them through Play's states and build the Pub/Sub push bodies of
+// Real-Time Developer Notifications.
+
+export const PLAY_PACKAGE_NAME = 'com.example.innovexia';
+
+const clone = value => structuredClone(value);
+
+export function createFakePlay({ clock = Date, packageName = PLAY_PACKAGE_NAME } = {}) {
+  const purchases = new Map(); // purchaseToken -> SubscriptionPurchaseV2
+  let counter = 0;
+
+  const iso = ms => new Date(ms).toISOString();
+
+  function getOrThrow(token) {
+    const purchase = purchases.get(token);
+    if (!purchase) {
+      const error = new Error('Google Play API: The purchase token was not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+    return purchase;
+  }
+
+  // Expiry one billing period after `from` (ms)
+  function periodEnd(from, basePlanId) {
+    const date = new Date(from);
+    if (basePlanId === 'yearly') date.setUTCFullYear(date.getUTCFullYear() + 1);
+    else date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.getTime();
+  }
+
+  const fake = {
+    packageName,
+
+    async getSubscription(purchaseToken) {
+      return clone(getOrThrow(purchaseToken));
+    },
+
+    async acknowledgeSubscription(productId, purchaseToken) {
+      const purchase = getOrThrow(purchaseToken);
+      if (purchase.lineItems[0].productId !== productId) {
+        const error = new Error('Google Play API: The product does not match the purchase.');
+        error.statusCode = 400;
+        throw error;
+      }
+      purchase.acknowledgementState = 'ACKNOWLEDGEMENT_STATE_ACKNOWLEDGED';
+    },
+
+    /**
+     * The user buys a subscription in the app. `uid` is the obfuscated account id the app sets
+     * on BillingFlowParams (null for purchases made outside the app). Returns the purchase token.
+     */
+    purchase({ uid = null, productId = 'innovexia_pro', basePlanId = 'monthly', freeTrial = false, linkedPurchaseToken = null } = {}) {
+      counter++;
+      const token = `play-token-${counter}`;
+      const now = clock.now();
+      purchases.set(token, {
+        kind: 'androidpublisher#subscriptionPurchaseV2',
+        regionCode: 'US',
+        startTime: iso(now),
+        subscriptionState: 'SUBSCRIPTION_STATE_ACTIVE',
+        latestOrderId: `GPA.0000-0000-0000-${String(counter).padStart(5, '0')}`,
+        linkedPurchaseToken: linkedPurchaseToken || undefined,
+        acknowledgementState: 'ACKNOWLEDGEMENT_STATE_PENDING',
+        externalAccountIdentifiers: uid ? { obfuscatedExternalAccountId: uid } : undefined,
+        lineItems: [{
+          productId,
+          expiryTime: iso(freeTrial ? now + 7 * 24 * 60 * 60 * 1000 : periodEnd(now, basePlanId)),
+          autoRenewingPlan: { autoRenewEnabled: true },
+          offerDetails: { basePlanId, offerTags: [] },
+          ...(freeTrial ? { offerPhase: { freeTrial: {} } } : {})
+        }]
+      });
+      if (linkedPurchaseToken && purchases.has(linkedPurchaseToken)) {
+        // Upgrades and resubscriptions replace the linked purchase
+        const old = purchases.get(linkedPurchaseToken);
+        old.subscriptionState = 'SUBSCRIPTION_STATE_EXPIRED';
+        old.lineItems[0].expiryTime = iso(now);
+      }
+      return token;
+    },
+
+    /**
+     * Play charges the next period: new order id, expiry moves one period ahead
+     */
+    renew(purchaseToken) {
+      const purchase = getOrThrow(purchaseToken);
+      const item = purchase.lineItems[0];
+      item.expiryTime = iso(periodEnd(Date.parse(item.expiryTime), item.offerDetails.basePlanId));
+      delete item.offerPhase;
+      purchase.subscriptionState = 'SUBSCRIPTION_STATE_ACTIVE';
+      const renewals = Number(purchase.latestOrderId.split('..')[1] ?? -1) + 1;
+      purchase.latestOrderId = `${purchase.latestOrderId.split('..')[0]}..${renewals}`;
+    },
+
+    /**
+     * Move a purchase to another state. Grace period extends the expiry by `graceDays`;
+     * account hold and expiry end it now.
+     */
+    setState(purchaseToken, state, { graceDays = 7 } = {}) {
+      const purchase = getOrThrow(purchaseToken);
+      const item = purchase.lineItems[0];
+      purchase.subscriptionState = `SUBSCRIPTION_STATE_${state}`;
+      if (state === 'IN_GRACE_PERIOD') {
+        item.expiryTime = iso(clock.now() + graceDays * 24 * 60 * 60 * 1000);
+      } else if (state === 'ON_HOLD' || state === 'EXPIRED') {
+        item.expiryTime = iso(clock.now());
+      } else if (state === 'CANCELED') {
+        item.autoRenewingPlan.autoRenewEnabled = false;
+      }
+    },
+
+    /**
+     * Pub/Sub push body of a subscription notification (RTDN)
+     */
+    notification(purchaseToken, notificationType, { packageName: notificationPackage = packageName } = {}) {
+      const purchase = purchases.get(purchaseToken);
+      counter++;
+      const data = {
+        version: '1.0',
+        packageName: notificationPackage,
+        eventTimeMillis: String(clock.now()),
+        subscriptionNotification: {
+          version: '1.0',
+          notificationType,
+          purchaseToken,
+          subscriptionId: purchase?.lineItems[0].productId
+        }
+      };
+      return {
+        message: {
+          data: Buffer.from(JSON.stringify(data)).toString('base64'),
+          messageId: `play-message-${counter}`,
+          publishTime: new Date(clock.now()).toISOString()
+        },
+        subscription: 'projects/innovexia/subscriptions/play-rtdn'
+      };
+    },
+
+    // Direct access for assertions
+    state: { purchases }
+  };
+
+  return fake;
+}
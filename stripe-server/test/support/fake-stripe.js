@@ -0,0 +1,1357 @@
+// Offline stand-in for the Stripe client
+// Models the parts of the API the server uses: customers, products, prices, promotion codes,
+// subscriptions (incomplete -> active, trials, cancel at period end, paused collection, pending
+// updates, prorations, per-seat quantities),
+// subscription schedules, invoices with payment intents, refunds, customer deletion, saved cards (SetupIntents, default payment method),
+// Checkout/Portal sessions and signed webhook events. Create/update calls honour the
+// `idempotencyKey` request option like Stripe does.
+//
+// Every change records the webhook events Stripe would send; tests drain them with
+// takeEvents() and deliver them to /billing/webhook signed with WEBHOOK_SECRET.
+
+import Stripe from 'stripe';
+import { loadPriceIds } from '../../lib/prices.js';
+
+export const WEBHOOK_SECRET = 'whsec_fake_secret';
+
+const DAY = 24 * 60 * 60;
+const PERIOD_SECONDS = { MONTHLY: 30 * DAY, YEARLY: 365 * DAY };
+
+// Unit amounts (cents) for the seeded prices
+const AMOUNTS = {
+  'PLUS:MONTHLY': 999,
+  'PLUS:YEARLY': 9990,
+  'PRO:MONTHLY': 1999,
+  'PRO:YEARLY': 19990,
+  'MASTER:MONTHLY': 3999,
+  'MASTER:YEARLY': 39990,
+  'TEAM:MONTHLY': 1499,
+  'TEAM:YEARLY': 14999
+};
+
+// Extra currencies on the seeded prices (multi-currency prices), as a share of the USD amount
+const CURRENCY_RATES = { eur: 1, gbp: 0.9 };
+
+const clone = value => (value === undefined ? undefined : structuredClone(value));
+
+function missing(type, id) {
+  return new Stripe.errors.StripeInvalidRequestError({
+    message: `No such ${type}: '${id}'`,
+    code: 'resource_missing',
+    statusCode: 404
+  });
+}
+
+/**
+ * Create a fake Stripe client.
+ *
+ * @param {object} [options]
+ * @param {{ now: () => number }} [options.clock] - time source, defaults to Date
+ * @param {object} [options.priceIds] - `plan:period -> priceId` table to seed (test-mode table by default)
+ */
+export function createFakeStripe({ clock = Date, priceIds = loadPriceIds(false) } = {}) {
+  const customers = new Map();
+  const deletedCustomers = new Set();
+  const products = new Map();
+  const prices = new Map();
+  const coupons = new Map();
+  const promotionCodes = new Map();
+  const subscriptions = new Map();
+  const subscriptionSchedules = new Map();
+  const invoices = new Map();
+  const paymentIntents = new Map();
+  const refunds = new Map();
+  const setupIntents = new Map();
+  const paymentMethods = new Map();
+  const checkoutSessions = new Map();
+  const pendingInvoiceItems = new Map(); // subscription id -> proration lines for the next invoice
+  const declining = new Set(); // customers (no saved card) and cards whose charges are declined
+  const idempotencyKeys = new Map(); // key -> { params, result } of the first call with it
+  let pendingEvents = [];
+  let counter = 0;
+
+  const newId = prefix => `${prefix}_fake${String(++counter).padStart(6, '0')}`;
+  const nowSeconds = () => Math.floor(clock.now() / 1000);
+
+  for (const [key, priceId] of Object.entries(priceIds)) {
+    const [planId, period] = key.split(':');
+    const productId = `prod_${planId.toLowerCase()}`;
+    if (!products.has(productId)) {
+      products.set(productId, {
+        id: productId,
+        object: 'product',
+        active: true,
+        name: `Innovexia ${planId.charAt(0)}${planId.slice(1).toLowerCase()}`,
+        description: null,
+        marketing_features: [],
+        metadata: { planId }
+      });
+    }
+    prices.set(priceId, {
+      id: priceId,
+      object: 'price',
+      active: true,
+      livemode: false,
+      currency: 'usd',
+      unit_amount: AMOUNTS[key] ?? 1000,
+      currency_options: Object.fromEntries(Object.entries(CURRENCY_RATES)
+        .map(([currency, rate]) => [currency, { unit_amount: Math.round((AMOUNTS[key] ?? 1000) * rate) }])),
+      product: productId,
+      lookup_key: null,
+      recurring: { interval: period === 'YEARLY' ? 'year' : 'month', interval_count: 1 },
+      metadata: { planId, period }
+    });
+  }
+
+  // Lookup keys are unique: taking one from another price requires transfer_lookup_key
+  function claimLookupKey(price, lookupKey, transfer) {
+    const holder = [...prices.values()].find(p => p.lookup_key === lookupKey && p.id !== price.id);
+    if (holder) {
+      if (!transfer) {
+        throw new Stripe.errors.StripeInvalidRequestError({
+          message: `A price (\`${holder.id}\`) already uses that lookup key.`,
+          statusCode: 400
+        });
+      }
+      holder.lookup_key = null;
+    }
+    price.lookup_key = lookupKey;
+  }
+
+  function buildEvent(type, object, previousAttributes) {
+    return {
+      id: newId('evt'),
+      object: 'event',
+      type,
+      created: nowSeconds(),
+      livemode: false,
+      data: { object: clone(object), ...(previousAttributes ? { previous_attributes: previousAttributes } : {}) }
+    };
+  }
+
+  function emit(type, object, previousAttributes) {
+    pendingEvents.push(buildEvent(type, object, previousAttributes));
+  }
+
+  function getOrThrow(map, type, id) {
+    const value = map.get(id);
+    if (!value) throw missing(type, id);
+    return value;
+  }
+
+  function periodSeconds(price) {
+    return price.recurring.interval === 'year' ? PERIOD_SECONDS.YEARLY : PERIOD_SECONDS.MONTHLY;
+  }
+
+  // Subscription as returned by the API: references are ids unless expanded
+  function view(sub, expand = []) {
+    const result = clone(sub);
+    if (expand.some(path => path.startsWith('latest_invoice')) && sub.latest_invoice) {
+      result.latest_invoice = clone(invoices.get(sub.latest_invoice));
+      if (expand.includes('latest_invoice.payment_intent') && result.latest_invoice.payment_intent) {
+        result.latest_invoice.payment_intent = clone(paymentIntents.get(result.latest_invoice.payment_intent));
+      }
+    }
+    if (expand.includes('pending_setup_intent') && sub.pending_setup_intent) {
+      result.pending_setup_intent = clone(setupIntents.get(sub.pending_setup_intent));
+    }
+    return result;
+  }
+
+  function discountFor(promotionCodeId, sub) {
+    const promo = getOrThrow(promotionCodes, 'promotion_code', promotionCodeId);
+    const coupon = coupons.get(promo.coupon);
+    promo.times_redeemed += 1;
+    const start = nowSeconds();
+    return {
+      object: 'discount',
+      coupon: clone(coupon),
+      promotion_code: promo.id,
+      customer: sub.customer,
+      subscription: sub.id,
+      start,
+      end: coupon.duration === 'repeating' ? start + coupon.duration_in_months * PERIOD_SECONDS.MONTHLY : null
+    };
+  }
+
+  // Amount of a (multi-currency) price in `currency`, or throws like Stripe when unavailable
+  function unitAmount(price, currency) {
+    if (currency === price.currency) return price.unit_amount;
+    const option = price.currency_options?.[currency];
+    if (!option) {
+      throw new Stripe.errors.StripeInvalidRequestError({
+        message: `The price specified (${price.id}) does not support currency ${currency}.`,
+        statusCode: 400
+      });
+    }
+    return option.unit_amount;
+  }
+
+  // Stripe deletes metadata keys set to ''
+  function mergeMetadata(current, changes) {
+    const merged = { ...current, ...changes };
+    for (const [key, value] of Object.entries(merged)) {
+      if (value === '') delete merged[key];
+    }
+    return merged;
+  }
+
+  // Proration for moving `item` to `price` × `quantity` at `date`: a credit for the unused time on
+  // the current price and a charge for the rest of the period on the new one. A different interval
+  // restarts the billing period, so the new price is charged in full.
+  function prorationLines(sub, item, price, date, quantity = item.quantity) {
+    const total = sub.current_period_end - sub.current_period_start;
+    const remaining = Math.min(total, Math.max(0, sub.current_period_end - date));
+    const resetsPeriod = price.recurring.interval !== item.price.recurring.interval;
+    const newAmount = unitAmount(price, sub.currency) * quantity;
+    return [
+      {
+        amount: -Math.round(unitAmount(item.price, sub.currency) * item.quantity * remaining / total),
+        description: `Unused time on ${item.quantity} × ${item.price.id}`,
+        proration: true,
+        period: { start: date, end: sub.current_period_end },
+        price: item.price
+      },
+      {
+        amount: resetsPeriod ? newAmount : Math.round(newAmount * remaining / total),
+        description: `Remaining time on ${quantity} × ${price.id}`,
+        proration: true,
+        period: { start: date, end: resetsPeriod ? date + periodSeconds(price) : sub.current_period_end },
+        price
+      }
+    ];
+  }
+
+  // Line billing the subscription item for its current period
+  function itemLine(sub, amount, price = sub.items.data[0].price) {
+    const { quantity } = sub.items.data[0];
+    return {
+      amount,
+      description: `${quantity} × ${price.id} (at ${(amount / quantity / 100).toFixed(2)} / ${price.recurring.interval})`,
+      proration: false,
+      quantity,
+      period: { start: sub.current_period_start, end: sub.current_period_end },
+      price
+    };
+  }
+
+  // Proration lines waiting for the subscription's next invoice (create_prorations)
+  function takePendingInvoiceItems(sub) {
+    const lines = pendingInvoiceItems.get(sub.id) || [];
+    pendingInvoiceItems.delete(sub.id);
+    return lines;
+  }
+
+  // Open an invoice for `amount` and try to charge the customer's card.
+  // `lines` (amount, description, period, price, proration) replace the default single line.
+  function createInvoice(sub, amount, billingReason, price = sub.items.data[0].price, lines = null) {
+    const id = newId('in');
+    const invoice = {
+      id,
+      object: 'invoice',
+      number: `FAKE-${String(invoices.size + 1).padStart(4, '0')}`,
+      customer: sub.customer,
+      subscription: sub.id,
+      billing_reason: billingReason,
+      subtotal: amount,
+      total: amount,
+      tax: null,
+      amount_due: amount,
+      amount_paid: 0,
+      amount_remaining: amount,
+      currency: sub.currency,
+      status: 'open',
+      paid: false,
+      attempt_count: 0,
+      next_payment_attempt: null,
+      payment_intent: null,
+      hosted_invoice_url: `https://invoice.stripe.com/i/${id}`,
+      invoice_pdf: `https://pay.stripe.com/invoice/${id}/pdf`,
+      created: nowSeconds(),
+      period_start: sub.current_period_start,
+      period_end: sub.current_period_start,
+      lines: {
+        object: 'list',
+        has_more: false,
+        data: (lines || [itemLine(sub, amount, price)]).map(line => ({ id: newId('il'), object: 'line_item', currency: sub.currency, ...line, price: clone(line.price) }))
+      }
+    };
+
+    if (amount > 0) {
+      const intent = {
+        id: newId('pi'),
+        object: 'payment_intent',
+        amount,
+        currency: sub.currency,
+        customer: sub.customer,
+        invoice: invoice.id,
+        client_secret: `pi_secret_${counter}`,
+        status: 'requires_payment_method'
+      };
+      paymentIntents.set(intent.id, intent);
+      invoice.payment_intent = intent.id;
+    } else {
+      invoice.status = 'paid';
+      invoice.paid = true;
+    }
+
+    invoices.set(invoice.id, invoice);
+    return invoice;
+  }
+
+  function markInvoicePaid(invoice) {
+    invoice.status = 'paid';
+    invoice.paid = true;
+    invoice.amount_paid = invoice.amount_due;
+    invoice.amount_remaining = 0;
+    invoice.attempt_count += 1;
+    invoice.next_payment_attempt = null;
+    if (invoice.payment_intent) {
+      paymentIntents.get(invoice.payment_intent).status = 'succeeded';
+    }
+  }
+
+  // Stripe's cancellation_details: the customer's `feedback` and `comment`, and why it was canceled
+  function cancellationDetails({ feedback = null, comment = null } = {}, reason) {
+    return { comment, feedback, reason };
+  }
+
+  // Card a charge for the subscription goes to: the subscription's default, else the customer's
+  function chargedCard(sub, paymentMethodId = null) {
+    const customer = customers.get(sub.customer);
+    return paymentMethodId || sub.default_payment_method || customer?.invoice_settings.default_payment_method || null;
+  }
+
+  function chargeDeclined(sub, paymentMethodId = null) {
+    return declining.has(chargedCard(sub, paymentMethodId) || sub.customer);
+  }
+
+  // A charge attempt was declined: Stripe retries a few times before giving up
+  function failInvoicePayment(invoice) {
+    invoice.attempt_count += 1;
+    invoice.next_payment_attempt = invoice.attempt_count < 4 ? nowSeconds() + 3 * DAY : null;
+    emit('invoice.payment_failed', invoice);
+  }
+
+  // One page of a list endpoint (newest first, cursor = last id of the previous page)
+  function listPage(items, { limit = 10, starting_after: startingAfter } = {}) {
+    const start = startingAfter ? items.findIndex(item => item.id === startingAfter) + 1 : 0;
+    const data = items.slice(start, start + limit);
+    return { object: 'list', data, has_more: start + limit < items.length };
+  }
+
+  function priceFromItems(items) {
+    const priceId = items?.[0]?.price;
+    return getOrThrow(prices, 'price', priceId);
+  }
+
+  const fake = {
+    customers: {
+      async create(params = {}) {
+        const customer = {
+          id: newId('cus'),
+          object: 'customer',
+          email: params.email || null,
+          currency: null,
+          invoice_settings: { default_payment_method: null },
+          metadata: { ...params.metadata },
+          created: nowSeconds()
+        };
+        customers.set(customer.id, customer);
+        emit('customer.created', customer);
+        return clone(customer);
+      },
+
+      async retrieve(id) {
+        if (deletedCustomers.has(id)) return { id, object: 'customer', deleted: true };
+        return clone(getOrThrow(customers, 'customer', id));
+      },
+
+      // Deleting a customer cancels its subscriptions and detaches its cards
+      async del(id) {
+        const customer = getOrThrow(customers, 'customer', id);
+        for (const sub of subscriptions.values()) {
+          if (sub.customer === id && !['canceled', 'incomplete_expired'].includes(sub.status)) {
+            await fake.subscriptions.cancel(sub.id);
+          }
+        }
+        for (const pm of paymentMethods.values()) {
+          if (pm.customer === id) pm.customer = null;
+        }
+        customers.delete(id);
+        deletedCustomers.add(id);
+        emit('customer.deleted', customer);
+        return { id, object: 'customer', deleted: true };
+      },
+
+      async update(id, params = {}) {
+        const customer = getOrThrow(customers, 'customer', id);
+        const { metadata, invoice_settings: invoiceSettings, ...fields } = params;
+        Object.assign(customer, fields);
+        if (invoiceSettings) {
+          if (invoiceSettings.default_payment_method) {
+            getOrThrow(paymentMethods, 'payment_method', invoiceSettings.default_payment_method);
+          }
+          customer.invoice_settings = { ...customer.invoice_settings, ...invoiceSettings };
+        }
+        if (metadata) {
+          customer.metadata = mergeMetadata(customer.metadata, metadata);
+        }
+        emit('customer.updated', customer);
+        return clone(customer);
+      },
+
+      async list({ email, ...params } = {}) {
+        const matching = [...customers.values()]
+          .reverse()
+          .filter(customer => !email || customer.email === email);
+        const page = listPage(matching, params);
+        return { ...page, data: clone(page.data) };
+      },
+
+      // Supports the `metadata['key']:'value'` queries used by the server
+      async search({ query }) {
+        const match = query.match(/^metadata\['(\w+)'\]:'((?:\\'|[^'])*)'$/);
+        if (!match) throw new Stripe.errors.StripeInvalidRequestError({ message: `Unsupported query: ${query}` });
+        const [, key, value] = match;
+        const data = [...customers.values()].filter(customer => customer.metadata[key] === value.replace(/\\'/g, "'"));
+        return { object: 'search_result', data: clone(data), has_more: false };
+      },
+
+      async listPaymentMethods(customerId, { type, ...params } = {}) {
+        getOrThrow(customers, 'customer', customerId);
+        const matching = [...paymentMethods.values()]
+          .reverse()
+          .filter(pm => pm.customer === customerId && (!type || pm.type === type));
+        const page = listPage(matching, params);
+        return { ...page, data: clone(page.data) };
+      }
+    },
+
+    paymentMethods: {
+      async retrieve(id) {
+        return clone(getOrThrow(paymentMethods, 'payment_method', id));
+      },
+
+      // Detaching the default card also clears it from the customer and its subscriptions
+      async detach(id) {
+        const pm = getOrThrow(paymentMethods, 'payment_method', id);
+        const customer = customers.get(pm.customer);
+        if (customer?.invoice_settings.default_payment_method === id) {
+          customer.invoice_settings.default_payment_method = null;
+        }
+        for (const sub of subscriptions.values()) {
+          if (sub.default_payment_method === id) sub.default_payment_method = null;
+        }
+        const previousCustomer = pm.customer;
+        pm.customer = null;
+        emit('payment_method.detached', pm, { customer: previousCustomer });
+        return clone(pm);
+      }
+    },
+
+    ephemeralKeys: {
+      async create({ customer }) {
+        getOrThrow(customers, 'customer', customer);
+        return { id: newId('ephkey'), object: 'ephemeral_key', secret: `ek_test_${counter}` };
+      }
+    },
+
+    setupIntents: {
+      async create({ customer, usage = 'off_session', metadata = {} }) {
+        const intent = {
+          id: newId('seti'),
+          object: 'setup_intent',
+          customer,
+          client_secret: `seti_secret_${counter}`,
+          status: 'requires_payment_method',
+          usage,
+          payment_method: null,
+          metadata: { ...metadata }
+        };
+        setupIntents.set(intent.id, intent);
+        return clone(intent);
+      },
+
+      async retrieve(id) {
+        return clone(getOrThrow(setupIntents, 'setup_intent', id));
+      }
+    },
+
+    products: {
+      async create(params = {}) {
+        const product = {
+          id: newId('prod'),
+          object: 'product',
+          active: true,
+          name: params.name,
+          description: params.description || null,
+          marketing_features: clone(params.marketing_features) || [],
+          metadata: { ...params.metadata }
+        };
+        products.set(product.id, product);
+        return clone(product);
+      },
+
+      async retrieve(id) {
+        return clone(getOrThrow(products, 'product', id));
+      },
+
+      async update(id, params = {}) {
+        const product = getOrThrow(products, 'product', id);
+        const { metadata, ...fields } = params;
+        Object.assign(product, clone(fields));
+        if (metadata) {
+          product.metadata = { ...product.metadata, ...metadata };
+        }
+        return clone(product);
+      },
+
+      async list({ active, ...params } = {}) {
+        const matching = [...products.values()]
+          .reverse()
+          .filter(product => active === undefined || product.active === active);
+        const page = listPage(matching, params);
+        return { ...page, data: clone(page.data) };
+      }
+    },
+
+    prices: {
+      async create(params = {}) {
+        getOrThrow(products, 'product', params.product);
+        const price = {
+          id: newId('price'),
+          object: 'price',
+          active: true,
+          livemode: false,
+          currency: params.currency,
+          unit_amount: params.unit_amount,
+          product: params.product,
+          lookup_key: null,
+          recurring: { interval: params.recurring?.interval, interval_count: 1 },
+          ...(params.currency_options ? { currency_options: clone(params.currency_options) } : {}),
+          metadata: { ...params.metadata }
+        };
+        if (params.lookup_key) claimLookupKey(price, params.lookup_key, params.transfer_lookup_key);
+        prices.set(price.id, price);
+        return clone(price);
+      },
+
+      async retrieve(id, { expand = [] } = {}) {
+        const price = clone(getOrThrow(prices, 'price', id));
+        if (expand.includes('product') && products.has(price.product)) {
+          price.product = clone(products.get(price.product));
+        }
+        return price;
+      },
+
+      // Amounts and intervals are immutable, as in Stripe
+      async update(id, { active, metadata, lookup_key: lookupKey, transfer_lookup_key: transfer } = {}) {
+        const price = getOrThrow(prices, 'price', id);
+        if (active !== undefined) price.active = active;
+        if (metadata) price.metadata = { ...price.metadata, ...metadata };
+        if (lookupKey) claimLookupKey(price, lookupKey, transfer);
+        return clone(price);
+      },
+
+      // Filters: product, active, type ('recurring' only here), lookup_keys
+      async list({ product, active, type, lookup_keys: lookupKeys, expand, ...params } = {}) {
+        const matching = [...prices.values()]
+          .reverse()
+          .filter(price => (!product || price.product === product) &&
+            (active === undefined || price.active === active) &&
+            (type !== 'one_time' || !price.recurring) &&
+            (!lookupKeys || lookupKeys.includes(price.lookup_key)));
+        const page = listPage(matching, params);
+        return { ...page, data: clone(page.data) };
+      }
+    },
+
+    promotionCodes: {
+      async list({ code, active } = {}) {
+        const data = [...promotionCodes.values()]
+          .filter(promo => (!code || promo.code === code) && (active === undefined || promo.active === active))
+          .map(promo => ({ ...clone(promo), coupon: clone(coupons.get(promo.coupon)) }));
+        return { object: 'list', data, has_more: false };
+      }
+    },
+
+    subscriptions: {
+      async create(params) {
+        const customer = getOrThrow(customers, 'customer', params.customer);
+        const price = priceFromItems(params.items);
+        const quantity = params.items[0].quantity ?? 1;
+        const currency = params.currency || customer.currency || price.currency;
+        const amount = unitAmount(price, currency) * quantity;
+        if (customer.currency && customer.currency !== currency) {
+          // Stripe customers are billed in a single currency once they have subscribed
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `You cannot combine currencies on a single customer. This customer has an active subscription, subscription schedule, discount, quote, or invoice item with currency ${customer.currency}.`,
+            statusCode: 400
+          });
+        }
+        const now = nowSeconds();
+        const trialEnd = params.trial_period_days ? now + params.trial_period_days * DAY : null;
+
+        const sub = {
+          id: newId('sub'),
+          object: 'subscription',
+          customer: params.customer,
+          currency,
+          status: trialEnd ? 'trialing' : 'incomplete',
+          created: now,
+          current_period_start: now,
+          current_period_end: trialEnd || now + periodSeconds(price),
+          trial_start: trialEnd ? now : null,
+          trial_end: trialEnd,
+          cancel_at_period_end: false,
+          cancellation_details: { comment: null, feedback: null, reason: null },
+          pause_collection: null,
+          canceled_at: null,
+          ended_at: null,
+          discount: null,
+          items: { object: 'list', data: [{ id: newId('si'), object: 'subscription_item', price: clone(price), quantity }] },
+          metadata: { ...params.metadata },
+          latest_invoice: null,
+          schedule: null,
+          default_payment_method: params.default_payment_method || null,
+          pending_setup_intent: null,
+          pending_update: null
+        };
+
+        if (params.discounts?.[0]?.promotion_code) {
+          sub.discount = discountFor(params.discounts[0].promotion_code, sub);
+        }
+
+        const invoice = createInvoice(sub, trialEnd ? 0 : amount, 'subscription_create');
+        sub.latest_invoice = invoice.id;
+
+        if (trialEnd) {
+          // Card is collected during the trial
+          const intent = await fake.setupIntents.create({ customer: sub.customer });
+          sub.pending_setup_intent = intent.id;
+        } else if (params.payment_behavior !== 'default_incomplete') {
+          if (chargeDeclined(sub)) {
+            throw new Stripe.errors.StripeCardError({ message: 'Your card was declined.', code: 'card_declined' });
+          }
+          markInvoicePaid(invoice);
+          sub.status = 'active';
+        }
+
+        customer.currency = currency;
+        subscriptions.set(sub.id, sub);
+        emit('customer.subscription.created', sub);
+        if (invoice.paid) {
+          emit('invoice.paid', invoice);
+        }
+        return view(sub, params.expand);
+      },
+
+      async retrieve(id, { expand } = {}) {
+        return view(getOrThrow(subscriptions, 'subscription', id), expand);
+      },
+
+      async list({ customer, status, ...params } = {}) {
+        const matching = [...subscriptions.values()]
+          .reverse()
+          .filter(sub => !customer || sub.customer === customer)
+          .filter(sub => {
+            if (status === 'all') return true;
+            if (status) return sub.status === status;
+            return !['canceled', 'incomplete_expired'].includes(sub.status);
+          });
+        const page = listPage(matching, params);
+        return { ...page, data: page.data.map(sub => view(sub)) };
+      },
+
+      async update(id, params = {}) {
+        const sub = getOrThrow(subscriptions, 'subscription', id);
+        const previous = {};
+
+        if (params.cancel_at_period_end !== undefined) {
+          previous.cancel_at_period_end = sub.cancel_at_period_end;
+          sub.cancel_at_period_end = params.cancel_at_period_end;
+          sub.cancellation_details = cancellationDetails(params.cancellation_details, params.cancel_at_period_end ? 'cancellation_requested' : null);
+        }
+        if (params.pause_collection !== undefined) {
+          // '' unsets it (resume)
+          previous.pause_collection = clone(sub.pause_collection);
+          sub.pause_collection = params.pause_collection
+            ? { behavior: params.pause_collection.behavior, resumes_at: params.pause_collection.resumes_at ?? null }
+            : null;
+        }
+        if (params.metadata) {
+          previous.metadata = clone(sub.metadata);
+          sub.metadata = mergeMetadata(sub.metadata, params.metadata);
+        }
+        if (params.discounts?.[0]?.promotion_code) {
+          previous.discount = clone(sub.discount);
+          sub.discount = discountFor(params.discounts[0].promotion_code, sub);
+        }
+        if (params.default_payment_method !== undefined) {
+          if (params.default_payment_method) {
+            getOrThrow(paymentMethods, 'payment_method', params.default_payment_method);
+          }
+          previous.default_payment_method = sub.default_payment_method;
+          sub.default_payment_method = params.default_payment_method || null;
+        }
+
+        if (params.items) {
+          // An item change may set a new price, a new quantity (seats) or both
+          const item = sub.items.data.find(i => i.id === params.items[0].id) || sub.items.data[0];
+          const price = params.items[0].price ? priceFromItems(params.items) : item.price;
+          const quantity = params.items[0].quantity ?? item.quantity;
+          let change = () => {
+            previous.items = clone(sub.items);
+            item.price = clone(price);
+            item.quantity = quantity;
+          };
+
+          if (params.proration_behavior === 'create_prorations') {
+            // Prorations wait for the next invoice
+            const lines = prorationLines(sub, item, price, params.proration_date ?? nowSeconds(), quantity);
+            pendingInvoiceItems.set(sub.id, [...(pendingInvoiceItems.get(sub.id) || []), ...lines]);
+            change();
+          } else if (params.proration_behavior === 'always_invoice') {
+            // Charge the prorated difference now
+            const date = params.proration_date ?? nowSeconds();
+            const lines = prorationLines(sub, item, price, date, quantity);
+            const amount = Math.max(0, lines.reduce((sum, line) => sum + line.amount, 0));
+            if (price.recurring.interval !== item.price.recurring.interval) {
+              const apply = change;
+              change = () => {
+                apply();
+                sub.current_period_start = date;
+                sub.current_period_end = date + periodSeconds(price);
+              };
+            }
+            const invoice = createInvoice(sub, amount, 'subscription_update', price, lines);
+            sub.latest_invoice = invoice.id;
+
+            if (amount > 0 && chargeDeclined(sub)) {
+              if (params.payment_behavior !== 'pending_if_incomplete') {
+                throw new Stripe.errors.StripeCardError({ message: 'Your card was declined.', code: 'card_declined' });
+              }
+              paymentIntents.get(invoice.payment_intent).status = 'requires_payment_method';
+              sub.pending_update = {
+                subscription_items: [{ id: item.id, price: price.id, quantity }],
+                expires_at: nowSeconds() + DAY
+              };
+              failInvoicePayment(invoice);
+            } else {
+              markInvoicePaid(invoice);
+              change();
+              emit('invoice.paid', invoice);
+            }
+          } else {
+            change();
+          }
+        }
+
+        emit('customer.subscription.updated', sub, previous);
+        return view(sub, params.expand);
+      },
+
+      async cancel(id, params = {}) {
+        const sub = getOrThrow(subscriptions, 'subscription', id);
+        const previousStatus = sub.status;
+        if (params.cancellation_details) {
+          sub.cancellation_details = cancellationDetails(params.cancellation_details, 'cancellation_requested');
+        }
+        sub.status = sub.status === 'incomplete' ? 'incomplete_expired' : 'canceled';
+        sub.canceled_at = nowSeconds();
+        sub.ended_at = nowSeconds();
+        sub.cancel_at_period_end = false;
+        if (sub.schedule) {
+          // Canceling the subscription cancels its schedule
+          const schedule = subscriptionSchedules.get(sub.schedule);
+          schedule.status = 'canceled';
+          schedule.canceled_at = nowSeconds();
+          sub.schedule = null;
+        }
+        emit('customer.subscription.deleted', sub, { status: previousStatus });
+        return view(sub);
+      }
+    },
+
+    invoices: {
+      async retrieve(id) {
+        return clone(getOrThrow(invoices, 'invoice', id));
+      },
+
+      // Retry an open invoice now (optionally with a specific card)
+      async pay(id, { payment_method: paymentMethodId } = {}) {
+        const invoice = getOrThrow(invoices, 'invoice', id);
+        if (invoice.status !== 'open') {
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `Invoice is already ${invoice.status}.`,
+            code: 'invoice_not_open',
+            statusCode: 400
+          });
+        }
+
+        const sub = subscriptions.get(invoice.subscription);
+        if (chargeDeclined(sub, paymentMethodId)) {
+          failInvoicePayment(invoice);
+          throw new Stripe.errors.StripeCardError({ message: 'Your card was declined.', code: 'card_declined' });
+        }
+
+        markInvoicePaid(invoice);
+        emit('invoice.paid', invoice);
+        if (sub.status === 'past_due' || sub.status === 'incomplete') {
+          const previous = { status: sub.status };
+          sub.status = 'active';
+          emit('customer.subscription.updated', sub, previous);
+        }
+        return clone(invoice);
+      },
+
+      async list({ customer, subscription, status, ...params } = {}) {
+        const matching = [...invoices.values()]
+          .reverse()
+          .filter(invoice => (!customer || invoice.customer === customer) &&
+            (!subscription || invoice.subscription === subscription) &&
+            (!status || invoice.status === status));
+        const page = listPage(matching, params);
+        return { ...page, data: clone(page.data) };
+      },
+
+      // Preview of the next renewal of the customer's live subscription. With `subscription_items`
+      // and `subscription_proration_behavior: 'always_invoice'`: the invoice a price change
+      // would charge immediately (prorations at `subscription_proration_date`).
+      async retrieveUpcoming({
+        customer,
+        subscription,
+        subscription_items: subscriptionItems,
+        subscription_proration_behavior: prorationBehavior,
+        subscription_proration_date: prorationDate
+      } = {}) {
+        const sub = [...subscriptions.values()].reverse().find(s => s.customer === customer &&
+          (!subscription || s.id === subscription) &&
+          ['active', 'trialing', 'past_due'].includes(s.status) && !s.cancel_at_period_end);
+        if (!sub) {
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `No upcoming invoices for customer: ${customer}`,
+            code: 'invoice_upcoming_none',
+            statusCode: 404
+          });
+        }
+
+        if (subscriptionItems) {
+          if (prorationBehavior !== 'always_invoice') {
+            throw new Stripe.errors.StripeInvalidRequestError({ message: 'The fake only previews always_invoice item changes' });
+          }
+          const item = sub.items.data.find(i => i.id === subscriptionItems[0].id) || sub.items.data[0];
+          const date = prorationDate ?? nowSeconds();
+          const lines = prorationLines(sub, item, priceFromItems(subscriptionItems), date, subscriptionItems[0].quantity ?? item.quantity);
+          const total = lines.reduce((sum, line) => sum + line.amount, 0);
+          return {
+            object: 'invoice',
+            customer,
+            subscription: sub.id,
+            billing_reason: 'subscription_update',
+            status: 'draft',
+            currency: sub.currency,
+            subtotal: total,
+            total,
+            amount_due: Math.max(0, total),
+            amount_paid: 0,
+            amount_remaining: Math.max(0, total),
+            created: date,
+            next_payment_attempt: date,
+            period_start: date,
+            period_end: date,
+            lines: {
+              object: 'list',
+              has_more: false,
+              data: lines.map(line => ({ ...line, currency: sub.currency, price: clone(line.price) }))
+            }
+          };
+        }
+
+        const { price, quantity } = sub.items.data[0];
+        const start = sub.current_period_end;
+        const end = start + periodSeconds(price);
+        const pending = pendingInvoiceItems.get(sub.id) || [];
+        const lines = [
+          { amount: unitAmount(price, sub.currency) * quantity, quantity, currency: sub.currency, description: null, period: { start, end }, price: clone(price) },
+          ...pending.map(line => ({ ...line, currency: sub.currency, price: clone(line.price) }))
+        ];
+        const amount = Math.max(0, lines.reduce((sum, line) => sum + line.amount, 0));
+        return {
+          object: 'invoice',
+          customer,
+          subscription: sub.id,
+          billing_reason: 'upcoming',
+          status: 'draft',
+          currency: sub.currency,
+          subtotal: amount,
+          total: amount,
+          amount_due: amount,
+          amount_paid: 0,
+          amount_remaining: amount,
+          created: start,
+          next_payment_attempt: start,
+          period_start: sub.current_period_start,
+          period_end: start,
+          lines: {
+            object: 'list',
+            has_more: false,
+            data: lines
+          }
+        };
+      }
+    },
+
+    // Refunds of a paid invoice's payment intent (full, or partial with `amount`)
+    refunds: {
+      async create({ payment_intent: paymentIntentId, amount, reason = null, metadata = {} } = {}) {
+        const intent = getOrThrow(paymentIntents, 'payment_intent', paymentIntentId);
+        const refundable = intent.status === 'succeeded' ? intent.amount - (intent.amount_refunded || 0) : 0;
+        if (refundable <= 0) {
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `Charge for ${paymentIntentId} has already been refunded.`,
+            code: 'charge_already_refunded',
+            statusCode: 400
+          });
+        }
+        if (amount !== undefined && amount > refundable) {
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `Refund amount (${amount}) is greater than unrefunded amount on charge (${refundable})`,
+            code: 'amount_too_large',
+            statusCode: 400
+          });
+        }
+
+        const refund = {
+          id: newId('re'),
+          object: 'refund',
+          amount: amount ?? refundable,
+          currency: intent.currency,
+          payment_intent: intent.id,
+          reason,
+          status: 'succeeded',
+          metadata: { ...metadata },
+          created: nowSeconds()
+        };
+        intent.amount_refunded = (intent.amount_refunded || 0) + refund.amount;
+        refunds.set(refund.id, refund);
+        emit('refund.created', refund);
+        return clone(refund);
+      }
+    },
+
+    subscriptionSchedules: {
+      // Schedule taking over an existing subscription: one phase for the current period
+      async create({ from_subscription: subscriptionId, metadata = {} }) {
+        const sub = getOrThrow(subscriptions, 'subscription', subscriptionId);
+        if (sub.schedule) {
+          throw new Stripe.errors.StripeInvalidRequestError({
+            message: `The subscription \`${sub.id}\` is already attached to a schedule.`,
+            statusCode: 400
+          });
+        }
+
+        const schedule = {
+          id: newId('sub_sched'),
+          object: 'subscription_schedule',
+          customer: sub.customer,
+          subscription: sub.id,
+          status: 'active',
+          end_behavior: 'release',
+          canceled_at: null,
+          released_at: null,
+          released_subscription: null,
+          metadata: { ...metadata },
+          phases: [{
+            start_date: sub.current_period_start,
+            end_date: sub.current_period_end,
+            currency: sub.currency,
+            items: [{ price: sub.items.data[0].price.id, quantity: sub.items.data[0].quantity }],
+            discounts: sub.discount ? [{ coupon: sub.discount.coupon.id, discount: `di_${sub.id}`, promotion_code: sub.discount.promotion_code }] : [],
+            metadata: {}
+          }]
+        };
+        subscriptionSchedules.set(schedule.id, schedule);
+        sub.schedule = schedule.id;
+        emit('subscription_schedule.created', schedule);
+        return clone(schedule);
+      },
+
+      async retrieve(id) {
+        return clone(getOrThrow(subscriptionSchedules, 'subscription_schedule', id));
+      },
+
+      // Replace the phases. The first one must be the current phase (same start date);
+      // later phases start when the previous one ends and last `iterations` billing periods.
+      async update(id, { phases, end_behavior: endBehavior, metadata } = {}) {
+        const schedule = getOrThrow(subscriptionSchedules, 'subscription_schedule', id);
+        if (schedule.status !== 'active') {
+          throw new Stripe.errors.StripeInvalidRequestError({ message: `You cannot update a ${schedule.status} subscription schedule.`, statusCode: 400 });
+        }
+        if (phases) {
+          if (phases[0].start_date !== schedule.phases[0].start_date) {
+            throw new Stripe.errors.StripeInvalidRequestError({ message: 'You cannot change the start date of the current phase.', statusCode: 400 });
+          }
+          let start = phases[0].start_date;
+          schedule.phases = phases.map(phase => {
+            const price = priceFromItems(phase.items);
+            const end = phase.end_date ?? start + (phase.iterations || 1) * periodSeconds(price);
+            const result = {
+              start_date: start,
+              end_date: end,
+              currency: phase.currency || schedule.phases[0].currency,
+              items: phase.items.map(item => ({ price: item.price, quantity: item.quantity ?? 1 })),
+              discounts: clone(phase.discounts || []),
+              metadata: { ...phase.metadata }
+            };
+            start = end;
+            return result;
+          });
+        }
+        if (endBehavior) schedule.end_behavior = endBehavior;
+        if (metadata) schedule.metadata = mergeMetadata(schedule.metadata, metadata);
+        emit('subscription_schedule.updated', schedule);
+        return clone(schedule);
+      },
+
+      // Detach the schedule; the subscription keeps its current price
+      async release(id) {
+        const schedule = getOrThrow(subscriptionSchedules, 'subscription_schedule', id);
+        if (schedule.status !== 'active') {
+          throw new Stripe.errors.StripeInvalidRequestError({ message: `You cannot release a ${schedule.status} subscription schedule.`, statusCode: 400 });
+        }
+        schedule.status = 'released';
+        schedule.released_at = nowSeconds();
+        schedule.released_subscription = schedule.subscription;
+        subscriptions.get(schedule.subscription).schedule = null;
+        emit('subscription_schedule.released', schedule);
+        return clone(schedule);
+      }
+    },
+
+    checkout: {
+      sessions: {
+        async create(params) {
+          const session = {
+            id: newId('cs_test'),
+            object: 'checkout.session',
+            mode: params.mode,
+            status: 'open',
+            customer: params.customer,
+            client_reference_id: params.client_reference_id || null,
+            metadata: { ...params.metadata },
+            currency: params.currency || null,
+            subscription: null,
+            url: `https://checkout.stripe.com/c/pay/cs_test_${counter}`,
+            success_url: params.success_url,
+            cancel_url: params.cancel_url,
+            allow_promotion_codes: Boolean(params.allow_promotion_codes),
+            line_items: clone(params.line_items),
+            subscription_data: clone(params.subscription_data)
+          };
+          checkoutSessions.set(session.id, session);
+          return clone(session);
+        }
+      }
+    },
+
+    billingPortal: {
+      sessions: {
+        async create({ customer, return_url }) {
+          getOrThrow(customers, 'customer', customer);
+          const id = newId('bps');
+          return { id, object: 'billing_portal.session', customer, return_url, url: `https://billing.stripe.com/p/session/${id}` };
+        }
+      }
+    },
+
+    // Signature verification is the real implementation (no network involved)
+    webhooks: Stripe.webhooks,
+
+    // --- Test controls (not part of the Stripe API) ---
+
+    /**
+     * Drain the webhook events recorded since the last call
+     */
+    takeEvents() {
+      const events = pendingEvents;
+      pendingEvents = [];
+      return events;
+    },
+
+    /**
+     * Build a standalone event (e.g. an unhandled type) without touching state
+     */
+    createEvent(type, object) {
+      return buildEvent(type, object);
+    },
+
+    /**
+     * Signed webhook request body and Stripe-Signature header for an event.
+     * Signed at wall-clock time: the server checks the signature age against its own clock.
+     */
+    signEvent(event, secret = WEBHOOK_SECRET) {
+      const payload = JSON.stringify(event);
+      const header = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+      return { payload, header };
+    },
+
+    /**
+     * Make charges fail (true) or succeed (false). A customer id covers every card currently
+     * on file (cards added later are accepted); a payment method id covers that card only.
+     */
+    setCardDeclined(id, declined = true) {
+      const cards = [...paymentMethods.values()].filter(pm => pm.customer === id).map(pm => pm.id);
+      for (const key of [id, ...cards]) {
+        if (declined) declining.add(key);
+        else declining.delete(key);
+      }
+    },
+
+    /**
+     * The customer completes a SetupIntent in PaymentSheet with a new card.
+     * Attaches the card and sends setup_intent.succeeded; returns the payment method.
+     */
+    confirmSetupIntent(setupIntentId, { brand = 'visa', last4 = '4242', expMonth = 12, expYear = 2030, declined = false } = {}) {
+      const intent = getOrThrow(setupIntents, 'setup_intent', setupIntentId);
+      const pm = {
+        id: newId('pm'),
+        object: 'payment_method',
+        type: 'card',
+        customer: intent.customer,
+        created: nowSeconds(),
+        card: { brand, last4, exp_month: expMonth, exp_year: expYear, funding: 'credit', country: 'US', wallet: null },
+        billing_details: { name: null, email: null }
+      };
+      paymentMethods.set(pm.id, pm);
+      if (declined) declining.add(pm.id);
+
+      intent.status = 'succeeded';
+      intent.payment_method = pm.id;
+      emit('payment_method.attached', pm);
+      emit('setup_intent.succeeded', intent);
+      return clone(pm);
+    },
+
+    /**
+     * Add a promotion code. `coupon` uses Stripe's fields (percent_off, amount_off, duration...).
+     */
+    addPromotionCode({ code, coupon = {}, restrictions = {}, ...fields }) {
+      const couponRecord = {
+        id: newId('coupon'),
+        object: 'coupon',
+        valid: true,
+        percent_off: null,
+        amount_off: null,
+        currency: null,
+        duration: 'once',
+        duration_in_months: null,
+        applies_to: null,
+        ...coupon
+      };
+      coupons.set(couponRecord.id, couponRecord);
+
+      const promo = {
+        id: newId('promo'),
+        object: 'promotion_code',
+        code,
+        active: true,
+        coupon: couponRecord.id,
+        customer: null,
+        expires_at: null,
+        max_redemptions: null,
+        times_redeemed: 0,
+        restrictions: { first_time_transaction: false, minimum_amount: null, minimum_amount_currency: null, ...restrictions },
+        ...fields
+      };
+      promotionCodes.set(promo.id, promo);
+      return clone({ ...promo, coupon: couponRecord });
+    },
+
+    /**
+     * The customer confirms the payment of the subscription's latest invoice (PaymentSheet / 3DS).
+     * Activates incomplete subscriptions and applies pending updates.
+     */
+    confirmPayment(subscriptionId) {
+      const sub = getOrThrow(subscriptions, 'subscription', subscriptionId);
+      const invoice = invoices.get(sub.latest_invoice);
+      if (chargeDeclined(sub)) {
+        failInvoicePayment(invoice);
+        return view(sub);
+      }
+
+      markInvoicePaid(invoice);
+      const previous = { status: sub.status };
+      if (sub.status === 'incomplete' || sub.status === 'past_due') {
+        sub.status = 'active';
+      }
+      if (sub.pending_update) {
+        previous.items = clone(sub.items);
+        const [change] = sub.pending_update.subscription_items;
+        sub.items.data[0].price = clone(getOrThrow(prices, 'price', change.price));
+        sub.items.data[0].quantity = change.quantity ?? sub.items.data[0].quantity;
+        sub.pending_update = null;
+      }
+      emit('invoice.paid', invoice);
+      emit('customer.subscription.updated', sub, previous);
+      return view(sub);
+    },
+
+    /**
+     * Move a subscription into its next billing period and charge the renewal invoice.
+     * A declined card leaves the subscription past_due.
+     */
+    renewSubscription(subscriptionId) {
+      const sub = getOrThrow(subscriptions, 'subscription', subscriptionId);
+      const previous = { status: sub.status, current_period_start: sub.current_period_start };
+
+      if (sub.cancel_at_period_end) {
+        return fake.subscriptions.cancel(subscriptionId);
+      }
+
+      sub.current_period_start = sub.current_period_end;
+
+      // A pause ends by itself at resumes_at
+      if (sub.pause_collection?.resumes_at && sub.pause_collection.resumes_at <= sub.current_period_start) {
+        previous.pause_collection = clone(sub.pause_collection);
+        sub.pause_collection = null;
+      }
+
+      // A schedule phase starting now switches the price (and applies its metadata);
+      // once the last phase is over the schedule is released
+      const schedule = sub.schedule && subscriptionSchedules.get(sub.schedule);
+      const phase = schedule?.phases.find(p => p.start_date === sub.current_period_start);
+      if (phase) {
+        previous.items = clone(sub.items);
+        previous.metadata = clone(sub.metadata);
+        sub.items.data[0].price = clone(getOrThrow(prices, 'price', phase.items[0].price));
+        sub.items.data[0].quantity = phase.items[0].quantity;
+        sub.metadata = mergeMetadata(sub.metadata, phase.metadata);
+      } else if (schedule && sub.current_period_start >= schedule.phases[schedule.phases.length - 1].end_date) {
+        schedule.status = 'released';
+        schedule.released_at = sub.current_period_start;
+        schedule.released_subscription = sub.id;
+        sub.schedule = null;
+        emit('subscription_schedule.released', schedule);
+      }
+
+      const price = sub.items.data[0].price;
+      sub.current_period_end = sub.current_period_start + periodSeconds(price);
+      if (sub.status === 'trialing') {
+        sub.pending_setup_intent = null;
+      }
+
+      const base = itemLine(sub, unitAmount(price, sub.currency) * sub.items.data[0].quantity);
+      const lines = [base, ...takePendingInvoiceItems(sub)];
+      const amount = Math.max(0, lines.reduce((sum, line) => sum + line.amount, 0));
+      const invoice = createInvoice(sub, amount, 'subscription_cycle', price, lines);
+      sub.latest_invoice = invoice.id;
+
+      if (sub.pause_collection) {
+        // behavior 'void': the renewal is not charged
+        invoice.status = 'void';
+        invoice.paid = false;
+        if (invoice.payment_intent) paymentIntents.get(invoice.payment_intent).status = 'canceled';
+      } else if (chargeDeclined(sub)) {
+        sub.status = 'past_due';
+        failInvoicePayment(invoice);
+      } else {
+        markInvoicePaid(invoice);
+        sub.status = 'active';
+        emit('invoice.paid', invoice);
+      }
+      emit('customer.subscription.updated', sub, previous);
+      return view(sub);
+    },
+
+    /**
+     * Stripe's automatic retry of a past-due subscription's open invoice. Once the last retry
+     * fails the subscription is marked unpaid, or canceled with `whenExhausted: 'cancel'`
+     * (the "if all retries fail" billing setting).
+     */
+    retryPayment(subscriptionId, { whenExhausted = 'unpaid' } = {}) {
+      const sub = getOrThrow(subscriptions, 'subscription', subscriptionId);
+      const invoice = invoices.get(sub.latest_invoice);
+
+      if (!chargeDeclined(sub)) {
+        markInvoicePaid(invoice);
+        emit('invoice.paid', invoice);
+        const previous = { status: sub.status };
+        sub.status = 'active';
+        emit('customer.subscription.updated', sub, previous);
+        return view(sub);
+      }
+
+      failInvoicePayment(invoice);
+      if (invoice.next_payment_attempt) return view(sub);
+
+      if (whenExhausted === 'cancel') {
+        fake.subscriptions.cancel(subscriptionId);
+        return view(sub);
+      }
+      const previous = { status: sub.status };
+      sub.status = 'unpaid';
+      emit('customer.subscription.updated', sub, previous);
+      return view(sub);
+    },
+
+    /**
+     * The customer finishes a hosted Checkout Session: creates and pays the subscription
+     */
+    async completeCheckout(sessionId) {
+      const session = getOrThrow(checkoutSessions, 'checkout.session', sessionId);
+      const trialDays = session.subscription_data?.trial_period_days;
+      const sub = await fake.subscriptions.create({
+        customer: session.customer,
+        items: [{ price: session.line_items[0].price }],
+        ...(session.currency ? { currency: session.currency } : {}),
+        ...(trialDays ? { trial_period_days: trialDays } : {}),
+        metadata: session.subscription_data?.metadata
+      });
+
+      session.status = 'complete';
+      session.subscription = sub.id;
+      emit('checkout.session.completed', session);
+      return clone(session);
+    },
+
+    // Direct access for assertions
+    state: { customers, products, prices, subscriptions, subscriptionSchedules, invoices, paymentIntents, refunds, paymentMethods, setupIntents, promotionCodes, checkoutSessions, idempotencyKeys }
+  };
+
+  // Idempotent requests: a repeated key returns the first call's result (or error) without
+  // running again; the same key with other parameters is an error
+  function withIdempotency(method, arity) {
+    return async (...args) => {
+      const key = args[arity]?.idempotencyKey;
+      const params = args.slice(0, arity);
+      if (!key) return method(...params);
+
+      const previous = idempotencyKeys.get(key);
+      if (previous) {
+        if (previous.params !== JSON.stringify(params)) {
+          throw new Stripe.errors.StripeIdempotencyError({
+            message: `Keys for idempotent requests can only be used with the same parameters they were first used with. Try using a key other than '${key}' if you meant to execute a different request.`,
+            statusCode: 400
+          });
+        }
+        return clone(await previous.result);
+      }
+      const result = method(...params);
+      idempotencyKeys.set(key, { params: JSON.stringify(params), result });
+      return clone(await result);
+    };
+  }
+
+  // create(params, options), update(id, params, options), pay(id, params, options),
+  // cancel(id, params, options)
+  const ARITY = { create: 1, update: 2, pay: 2, cancel: 2 };
+  for (const namespace of [fake.customers, fake.setupIntents, fake.subscriptions, fake.invoices, fake.refunds, fake.subscriptionSchedules, fake.checkout.sessions]) {
+    for (const [name, arity] of Object.entries(ARITY)) {
+      if (namespace[name]) namespace[name] = withIdempotency(namespace[name], arity);
+    }
+  }
+
+  return fake;
+}
@@ -0,0 +1,162 @@
+// Test harness: the app wired to the fake Stripe and Firestore, listening on a random port
+
+import { once } from 'events';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createApp } from '../../app.js';
+import { createFirestoreStorage } from '../../lib/storage.js';
+import { createLogger } from '../../lib/logger.js';
+import { loadPriceIds, writePriceIdsFile } from '../../lib/prices.js';
+import { createFakeStripe, WEBHOOK_SECRET } from './fake-stripe.js';
+import { createFakeFirestore } from './fake-firestore.js';
+import { createFakePlay } from './fake-play.js';
+
+// `node --test` reads results from the test file's stdout, so the server logs nothing there:
+// only warnings and errors are written, to stderr
+export const quietLogger = createLogger({ format: 'pretty', level: 'warn', stdout: process.stderr, stderr: process.stderr });
+
+// The built-in test price IDs have no TEAM prices (they are optional): the server and the fake
+// Stripe read a price-ids.test.json that adds them
+const priceIdsDir = mkdtempSync(join(tmpdir(), 'price-ids-'));
+process.env.PRICE_IDS_DIR = priceIdsDir;
+writePriceIdsFile(false, {
+  mode: 'test',
+  priceIds: { ...loadPriceIds(false), 'TEAM:MONTHLY': 'price_test_team_monthly', 'TEAM:YEARLY': 'price_test_team_yearly' }
+});
+process.on('exit', () => rmSync(priceIdsDir, { recursive: true, force: true }));
+
+export const ADMIN_KEY = 'test-admin-key';
+export const PLAY_PUSH_TOKEN = 'test-play-push-token';
+
+/**
+ * Controllable clock (ms)
+ */
+export function createTestClock(start = Date.UTC(2025, 0, 15, 12, 0, 0)) {
+  let now = start;
+  return {
+    now: () => now,
+    advance(ms) {
+      now += ms;
+      return now;
+    }
+  };
+}
+
+/**
+ * Firebase Auth stand-in: accepts tokens issued by tokenFor().
+ * Tokens are signed in "now" (`auth_time`) unless `authTime` (ms) is given; `claims` are
+ * custom claims (e.g. { admin: true }).
+ */
+export function createFakeAuth({ clock = Date } = {}) {
+  const tokens = new Map();
+
+  return {
+    tokenFor(uid, { email = `${uid}@example.com`, provider = 'password', authTime = clock.now(), claims = {} } = {}) {
+      const token = [`test-id-token-${uid}-${provider}-${authTime}`, ...Object.keys(claims)].join('-');
+      tokens.set(token, { uid, email, auth_time: Math.floor(authTime / 1000), firebase: { sign_in_provider: provider }, ...claims });
+      return token;
+    },
+
+    async verifyIdToken(token) {
+      const decoded = tokens.get(token);
+      if (!decoded) {
+        const error = new Error('Decoding Firebase ID token failed');
+        error.code = 'auth/argument-error';
+        throw error;
+      }
+      return { ...decoded };
+    }
+  };
+}
+
+/**
+ * Start the app against fresh fakes.
+ * Returns the fakes plus `request(method, path, { uid, body, headers })`,
+ * `deliverEvents()` which sends the fake Stripe's pending events to the webhook, and
+ * `sendPlayNotification(body)` which pushes an RTDN the way Pub/Sub does.
+ * `logger` replaces the app's logger (lib/logger.js), quietLogger by default.
+ */
+export async function startTestServer({ config = {}, logger = quietLogger } = {}) {
+  const clock = createTestClock();
+  const stripe = createFakeStripe({ clock });
+  const db = createFakeFirestore();
+  const storage = createFirestoreStorage(db);
+  const auth = createFakeAuth({ clock });
+  const play = createFakePlay({ clock });
+
+  const app = createApp({
+    stripe,
+    storage,
+    db,
+    firebaseAuth: auth,
+    clock,
+    play,
+    logger,
+    config: {
+      webhookSecret: WEBHOOK_SECRET,
+      playPushToken: PLAY_PUSH_TOKEN,
+      adminApiKey: ADMIN_KEY,
+      publishableKey: 'pk_test_fake',
+      baseUrl: 'https://billing.example.com',
+      ...config
+    }
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { uid, body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(uid ? { Authorization: `Bearer ${auth.tokenFor(uid)}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      // Not JSON (redirects, webhook errors)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  async function sendWebhook(event, { secret = WEBHOOK_SECRET } = {}) {
+    const { payload, header } = stripe.signEvent(event, secret);
+    const response = await fetch(`${baseUrl}/billing/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': header },
+      body: payload
+    });
+    const text = await response.text();
+    return { status: response.status, body: response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : null, text };
+  }
+
+  async function deliverEvents() {
+    const results = [];
+    for (const event of stripe.takeEvents()) {
+      results.push({ event, response: await sendWebhook(event) });
+    }
+    return results;
+  }
+
+  async function sendPlayNotification(body, { token = PLAY_PUSH_TOKEN } = {}) {
+    return request('POST', `/billing/play/notifications?token=${encodeURIComponent(token)}`, { body });
+  }
+
+  async function close() {
+    server.close();
+    server.closeAllConnections();
+    await once(server, 'close');
+  }
+
+  return { app, clock, stripe, play, db, storage, auth, logger, baseUrl, request, sendWebhook, deliverEvents, sendPlayNotification, close };
+}
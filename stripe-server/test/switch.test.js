@@ -0,0 +1,207 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+import { classifyPlanChange } from '../lib/plan-changes.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function deliver() {
+  for (const { event, response } of await ctx.deliverEvents()) {
+    assert.equal(response.status, 200, `${event.type} ${response.text}`);
+  }
+}
+
+// Move the clock to the end of the current period and renew
+async function renew(subscriptionId) {
+  const sub = ctx.stripe.state.subscriptions.get(subscriptionId);
+  ctx.clock.advance(sub.current_period_end * 1000 - ctx.clock.now());
+  ctx.stripe.renewSubscription(subscriptionId);
+  await deliver();
+  return ctx.stripe.state.subscriptions.get(subscriptionId);
+}
+
+// A subscription in a paid period (trials are run to their end), webhooks delivered
+async function paidSubscription(uid, planId, period) {
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId, period } });
+  assert.equal(sub.status, 200, sub.text);
+  if (sub.body.status === 'trialing') {
+    await deliver();
+    await renew(sub.body.subscriptionId);
+  } else {
+    ctx.stripe.confirmPayment(sub.body.subscriptionId);
+    await deliver();
+  }
+  return sub.body.subscriptionId;
+}
+
+const switchPlan = (uid, body) => ctx.request('POST', '/billing/switch', { uid, body });
+const preview = (uid, body) => ctx.request('POST', '/billing/switch/preview', { uid, body });
+
+test('classifyPlanChange', () => {
+  const plan = (planId, period = 'MONTHLY') => ({ planId, period });
+  assert.equal(classifyPlanChange(plan('PLUS'), plan('PRO')), 'upgrade');
+  assert.equal(classifyPlanChange(plan('PLUS'), plan('MASTER', 'YEARLY')), 'upgrade');
+  assert.equal(classifyPlanChange(plan('MASTER'), plan('PLUS')), 'downgrade');
+  assert.equal(classifyPlanChange(plan('PRO', 'YEARLY'), plan('PLUS', 'YEARLY')), 'downgrade');
+  assert.equal(classifyPlanChange(plan('PRO', 'YEARLY'), plan('PRO')), 'period_change');
+  assert.equal(classifyPlanChange(plan('PRO'), plan('PRO', 'YEARLY')), 'period_change');
+  assert.equal(classifyPlanChange(plan('PLUS', 'YEARLY'), plan('MASTER')), 'period_change');
+  assert.equal(classifyPlanChange(plan('PRO'), plan('PRO')), 'none');
+  assert.equal(classifyPlanChange(null, plan('PRO')), 'upgrade');
+});
+
+test('the preview prorates an upgrade and the switch charges exactly that', async () => {
+  const uid = 'user-upgrade';
+  const subscriptionId = await paidSubscription(uid, 'PLUS', 'MONTHLY');
+  const periodEnd = ctx.stripe.state.subscriptions.get(subscriptionId).current_period_end;
+  ctx.clock.advance(15 * DAY);
+
+  const res = await preview(uid, { planId: 'PRO', period: 'MONTHLY' });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body, {
+    planId: 'PRO',
+    period: 'MONTHLY',
+    change: 'upgrade',
+    effective: 'immediate',
+    effectiveAt: res.body.prorationDate * 1000,
+    currency: 'usd',
+    // Half a month: 1000 for PRO minus 500 credit for PLUS
+    prorationAmount: 500,
+    amountDueNow: 500,
+    prorationDate: Math.floor(ctx.clock.now() / 1000),
+    nextInvoice: { amount: 1999, date: periodEnd * 1000 }
+  });
+
+  // Confirming an hour later still charges the previewed amount
+  ctx.clock.advance(60 * 60 * 1000);
+  const switched = await switchPlan(uid, { planId: 'PRO', period: 'MONTHLY', prorationDate: res.body.prorationDate });
+  assert.equal(switched.status, 200, switched.text);
+  assert.equal(switched.body.change, 'upgrade');
+  assert.equal(switched.body.entitlement.plan, 'PRO');
+  assert.equal(switched.body.entitlement.pendingChange, null);
+  const sub = ctx.stripe.state.subscriptions.get(subscriptionId);
+  assert.equal(ctx.stripe.state.invoices.get(sub.latest_invoice).amount_due, 500);
+
+  // A longer period restarts the billing period: full yearly price less the unused month
+  const yearly = await preview(uid, { planId: 'MASTER', period: 'YEARLY' });
+  assert.equal(yearly.body.change, 'upgrade');
+  assert.ok(yearly.body.amountDueNow > 39990 - 1999 && yearly.body.amountDueNow < 39990);
+  assert.equal(yearly.body.nextInvoice.date, (yearly.body.prorationDate + 365 * 24 * 60 * 60) * 1000);
+});
+
+test('downgrades are scheduled for the end of the period and applied at renewal', async () => {
+  const uid = 'user-downgrade';
+  const subscriptionId = await paidSubscription(uid, 'MASTER', 'MONTHLY');
+  const before = ctx.stripe.state.subscriptions.get(subscriptionId);
+  const { latest_invoice: paidInvoice, current_period_end: periodEnd } = before;
+
+  const res = await preview(uid, { planId: 'PLUS', period: 'MONTHLY' });
+  assert.equal(res.body.change, 'downgrade');
+  assert.equal(res.body.effective, 'period_end');
+  assert.equal(res.body.effectiveAt, periodEnd * 1000);
+  assert.equal(res.body.amountDueNow, 0);
+  assert.equal(res.body.prorationDate, null);
+  assert.deepEqual(res.body.nextInvoice, { amount: 999, date: periodEnd * 1000 });
+
+  const switched = await switchPlan(uid, { planId: 'PLUS', period: 'MONTHLY' });
+  assert.equal(switched.status, 200, switched.text);
+  assert.equal(switched.body.scheduled, true);
+  assert.deepEqual(switched.body.pendingChange, { planId: 'PLUS', period: 'MONTHLY', effectiveAt: periodEnd * 1000 });
+  assert.equal(switched.body.entitlement.plan, 'MASTER');
+  await deliver();
+
+  // Nothing is charged now; the app sees the pending change
+  assert.equal(ctx.stripe.state.subscriptions.get(subscriptionId).latest_invoice, paidInvoice);
+  const stored = await ctx.storage.getSubscription(uid);
+  assert.equal(stored.plan, 'MASTER');
+  assert.deepEqual(stored.pendingChange, { planId: 'PLUS', period: 'MONTHLY', effectiveAt: periodEnd * 1000 });
+
+  // Renewal moves to PLUS and clears the pending change
+  const renewed = await renew(subscriptionId);
+  assert.equal(ctx.stripe.state.invoices.get(renewed.latest_invoice).amount_paid, 999);
+  const after = await ctx.storage.getSubscription(uid);
+  assert.equal(after.plan, 'PLUS');
+  assert.equal(after.pendingChange, null);
+  assert.equal(renewed.metadata.planId, 'PLUS');
+
+  // The schedule is released once its last phase is over
+  const scheduleId = renewed.schedule;
+  assert.ok(scheduleId);
+  assert.equal((await renew(subscriptionId)).schedule, null);
+  assert.equal(ctx.stripe.state.subscriptionSchedules.get(scheduleId).status, 'released');
+});
+
+test('a scheduled change can be replaced, canceled or dropped by choosing the current plan', async () => {
+  const uid = 'user-period';
+  const subscriptionId = await paidSubscription(uid, 'MASTER', 'YEARLY');
+
+  const monthly = await switchPlan(uid, { planId: 'MASTER', period: 'MONTHLY' });
+  assert.equal(monthly.body.change, 'period_change');
+  assert.equal(monthly.body.pendingChange.period, 'MONTHLY');
+
+  const replaced = await switchPlan(uid, { planId: 'PRO', period: 'YEARLY' });
+  assert.deepEqual([replaced.body.pendingChange.planId, replaced.body.pendingChange.period], ['PRO', 'YEARLY']);
+  assert.deepEqual([...ctx.stripe.state.subscriptionSchedules.values()].map(s => s.status), ['released', 'active']);
+
+  const canceled = await ctx.request('POST', '/billing/switch/cancel-scheduled', { uid, body: {} });
+  assert.equal(canceled.status, 200, canceled.text);
+  assert.equal(canceled.body.entitlement.pendingChange, null);
+  assert.equal(canceled.body.entitlement.plan, 'MASTER');
+  assert.equal((await ctx.request('POST', '/billing/switch/cancel-scheduled', { uid, body: {} })).status, 400);
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(uid)).pendingChange, null);
+
+  // Choosing the current plan again drops a scheduled change without charging
+  await switchPlan(uid, { planId: 'PLUS', period: 'YEARLY' });
+  const same = await switchPlan(uid, { planId: 'MASTER', period: 'YEARLY' });
+  assert.equal(same.status, 200, same.text);
+  assert.equal(same.body.change, 'none');
+  assert.equal(same.body.entitlement.pendingChange, null);
+
+  const renewed = await renew(subscriptionId);
+  assert.equal(renewed.items.data[0].price.metadata.planId, 'MASTER');
+  assert.equal(renewed.items.data[0].price.metadata.period, 'YEARLY');
+});
+
+test('upgrades and cancellation drop a scheduled change', async () => {
+  const uid = 'user-drop';
+  const subscriptionId = await paidSubscription(uid, 'PRO', 'MONTHLY');
+
+  await switchPlan(uid, { planId: 'PLUS', period: 'MONTHLY' });
+  const upgraded = await switchPlan(uid, { planId: 'MASTER', period: 'MONTHLY' });
+  assert.equal(upgraded.body.change, 'upgrade');
+  assert.equal(upgraded.body.entitlement.plan, 'MASTER');
+  assert.equal(upgraded.body.entitlement.pendingChange, null);
+  assert.equal(ctx.stripe.state.subscriptions.get(subscriptionId).schedule, null);
+
+  await switchPlan(uid, { planId: 'PRO', period: 'MONTHLY' });
+  const cancel = await ctx.request('POST', '/billing/cancel', { uid, body: {} });
+  assert.equal(cancel.status, 200, cancel.text);
+  assert.equal(cancel.body.entitlement.status, 'CANCELED');
+  assert.equal(cancel.body.entitlement.pendingChange, null);
+  assert.equal(ctx.stripe.state.subscriptions.get(subscriptionId).schedule, null);
+});
+
+test('preview validation', async () => {
+  const uid = 'user-preview';
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  assert.equal((await preview(uid, { planId: 'PRO', period: 'MONTHLY' })).status, 404);
+  assert.equal((await preview(uid, { planId: 'PRO' })).status, 400);
+
+  await paidSubscription('user-preview-2', 'MASTER', 'MONTHLY');
+  const same = await preview('user-preview-2', { planId: 'MASTER', period: 'MONTHLY' });
+  assert.equal(same.status, 400);
+  assert.match(same.body.error, /already on this plan/);
+  assert.equal((await preview('user-preview-2', { planId: 'GOLD', period: 'MONTHLY' })).status, 400);
+});
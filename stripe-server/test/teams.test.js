@@ -0,0 +1,302 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join as joinPath } from 'path';
+import Stripe from 'stripe';
+import { startTestServer } from './support/server.js';
+import { createTeam, addInvite, acceptInvite, removeMember, seatChangeError, seatsInUse } from '../lib/teams.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function deliver() {
+  for (const { event, response } of await ctx.deliverEvents()) {
+    assert.equal(response.status, 200, `${event.type} ${response.text}`);
+  }
+}
+
+// A paid team of `seats` seats owned by `owner`, webhooks delivered
+async function paidTeam(owner, seats = 3) {
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid: owner, body: {} });
+  const res = await ctx.request('POST', '/billing/team', { uid: owner, body: { name: 'Research', period: 'MONTHLY', seats } });
+  assert.equal(res.status, 200, res.text);
+  ctx.stripe.confirmPayment(res.body.subscriptionId);
+  await deliver();
+  return { ...res.body, customerId: boot.body.customerId };
+}
+
+// Invite `uid` (email `${uid}@example.com`, see createFakeAuth) and accept
+async function join(owner, teamId, uid) {
+  const invite = await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: `${uid}@example.com` } });
+  assert.equal(invite.status, 200, invite.text);
+  const res = await ctx.request('POST', '/billing/team/join', { uid, body: { teamId, inviteId: invite.body.invite.inviteId } });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+test('invites hold seats and must be accepted by the invited email', () => {
+  const now = Date.UTC(2025, 0, 15);
+  const team = createTeam({ teamId: 'team_1', ownerUid: 'owner', ownerEmail: 'Owner@Example.com', customerId: 'cus_1', seats: 2, now });
+  assert.equal(team.name, 'My team');
+  assert.equal(team.members.owner.email, 'owner@example.com');
+
+  const invited = addInvite(team, ' Ana@Example.com ', { inviteId: 'inv_1', now });
+  assert.equal(invited.invite.email, 'ana@example.com');
+  assert.equal(seatsInUse(invited.team, now), 2);
+  assert.equal(addInvite(invited.team, 'bo@example.com', { inviteId: 'inv_2', now }).status, 409);
+  assert.equal(addInvite(team, 'owner@example.com', { inviteId: 'inv_2', now }).status, 409);
+  assert.equal(addInvite(team, 'not-an-email', { inviteId: 'inv_2', now }).status, 400);
+
+  assert.equal(acceptInvite(invited.team, 'inv_1', { uid: 'bo', email: 'bo@example.com', now }).status, 403);
+  assert.equal(acceptInvite(invited.team, 'inv_1', { uid: 'ana', email: 'ana@example.com', now: now + 15 * DAY }).status, 404);
+  const joined = acceptInvite(invited.team, 'inv_1', { uid: 'ana', email: 'ANA@example.com', now }).team;
+  assert.equal(joined.members.ana.role, 'member');
+  assert.deepEqual(joined.invites, {});
+
+  // Expired invites free their seat
+  assert.equal(seatsInUse(invited.team, now + 15 * DAY), 1);
+  assert.match(seatChangeError(joined, 1, now), /between 2 and 100/);
+  assert.equal(seatChangeError(joined, 2, now), null);
+  assert.equal(removeMember(joined, 'owner', now).status, 400);
+  assert.deepEqual(Object.keys(removeMember(joined, 'ana', now).team.members), ['owner']);
+});
+
+test('a team subscription bills per seat and members get the team entitlement', async () => {
+  const owner = 'user-owner';
+  const created = await paidTeam(owner, 3);
+  assert.equal(created.team.role, 'owner');
+  assert.equal(created.team.seats, 3);
+
+  const sub = ctx.stripe.state.subscriptions.get(created.subscriptionId);
+  assert.equal(sub.items.data[0].quantity, 3);
+  assert.equal(sub.metadata.teamId, created.team.teamId);
+  assert.equal(ctx.stripe.state.invoices.get(sub.latest_invoice).amount_paid, 3 * 1499);
+
+  const ownerEntitlement = (await ctx.storage.getCustomer(owner)).activeEntitlement;
+  assert.equal(ownerEntitlement.plan, 'TEAM');
+  assert.equal(ownerEntitlement.seats, 3);
+
+  const joined = await join(owner, created.team.teamId, 'user-member');
+  assert.equal(joined.team.role, 'member');
+  assert.deepEqual(joined.team.invites, []);
+  assert.equal(joined.entitlement.source, 'team');
+  assert.equal(joined.entitlement.teamId, created.team.teamId);
+
+  const doc = await ctx.storage.getSubscription('user-member');
+  assert.equal(doc.plan, 'TEAM');
+  assert.equal(doc.status, 'ACTIVE');
+  assert.equal(doc.source, 'team');
+  assert.equal(doc.teamId, created.team.teamId);
+  assert.equal(doc.stripeSubscriptionId, null);
+  assert.equal((await ctx.request('GET', '/usage/current', { uid: 'user-member' })).body.plan, 'TEAM');
+
+  const team = (await ctx.request('GET', '/billing/team', { uid: owner })).body.team;
+  assert.deepEqual(team.members.map(member => [member.uid, member.role]), [[owner, 'owner'], ['user-member', 'member']]);
+  assert.equal(team.seatsInUse, 2);
+
+  // Team plans only go through /billing/team
+  const direct = await ctx.request('POST', '/billing/subscribe', { uid: 'user-other', body: { planId: 'TEAM', period: 'MONTHLY' } });
+  assert.equal(direct.status, 400);
+  const switched = await ctx.request('POST', '/billing/switch', { uid: owner, body: { planId: 'PRO', period: 'MONTHLY' } });
+  assert.equal(switched.status, 409);
+});
+
+test('team plans are unavailable until their prices are set up', async () => {
+  // Only the built-in test price IDs, which have no TEAM prices
+  const configured = process.env.PRICE_IDS_DIR;
+  const empty = mkdtempSync(joinPath(tmpdir(), 'price-ids-'));
+  process.env.PRICE_IDS_DIR = empty;
+  try {
+    const owner = 'user-owner';
+    await ctx.request('POST', '/billing/bootstrap', { uid: owner, body: {} });
+    const refused = await ctx.request('POST', '/billing/team', { uid: owner, body: { period: 'MONTHLY', seats: 3 } });
+    assert.equal(refused.status, 503);
+    assert.equal(ctx.stripe.state.subscriptions.size, 0);
+
+    const plans = await ctx.request('GET', '/billing/plans');
+    assert.equal(plans.status, 200, plans.text);
+    assert.deepEqual(plans.body.plans.map(plan => plan.planId), ['FREE', 'PLUS', 'PRO', 'MASTER']);
+  } finally {
+    process.env.PRICE_IDS_DIR = configured;
+    rmSync(empty, { recursive: true, force: true });
+  }
+});
+
+test('a team Stripe refuses to bill is not created', async () => {
+  const owner = 'user-owner';
+  await ctx.request('POST', '/billing/bootstrap', { uid: owner, body: {} });
+
+  const create = ctx.stripe.subscriptions.create;
+  ctx.stripe.subscriptions.create = async () => {
+    throw new Stripe.errors.StripeInvalidRequestError({ message: 'No such price: price_test_team_monthly', code: 'resource_missing', statusCode: 400 });
+  };
+  const refused = await ctx.request('POST', '/billing/team', { uid: owner, body: { period: 'MONTHLY', seats: 3 } });
+  assert.equal(refused.status, 400);
+  assert.equal((await ctx.storage.getCustomer(owner)).team, undefined);
+  assert.equal((await ctx.request('GET', '/billing/team', { uid: owner })).body.team, null);
+  assert.equal((await ctx.db.collection('teams').get()).size, 0);
+
+  ctx.stripe.subscriptions.create = create;
+  const created = await ctx.request('POST', '/billing/team', { uid: owner, body: { period: 'MONTHLY', seats: 3 } });
+  assert.equal(created.status, 200, created.text);
+  assert.equal(created.body.team.status, 'INCOMPLETE');
+  assert.equal((await ctx.storage.getTeam(created.body.team.teamId)).subscriptionId, created.body.subscriptionId);
+});
+
+test('only the invited, signed-in email can join while a seat is free', async () => {
+  const owner = 'user-owner';
+  const { team } = await paidTeam(owner, 2);
+
+  const invite = await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: 'user-ana@example.com' } });
+  const { inviteId } = invite.body.invite;
+  assert.equal((await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: 'user-bo@example.com' } })).status, 409);
+  assert.equal((await ctx.request('POST', '/billing/team/invites', { uid: 'user-ana', body: { email: 'user-bo@example.com' } })).status, 403);
+
+  const wrongUser = await ctx.request('POST', '/billing/team/join', { uid: 'user-bo', body: { teamId: team.teamId, inviteId } });
+  assert.equal(wrongUser.status, 403);
+
+  // A revoked invite frees its seat
+  assert.equal((await ctx.request('DELETE', `/billing/team/invites/${inviteId}`, { uid: owner })).status, 200);
+  const revoked = await ctx.request('POST', '/billing/team/join', { uid: 'user-ana', body: { teamId: team.teamId, inviteId } });
+  assert.equal(revoked.status, 404);
+  await join(owner, team.teamId, 'user-bo');
+});
+
+test('seat changes are prorated: added seats now, removed seats on the next invoice', async () => {
+  const owner = 'user-owner';
+  const { team, subscriptionId } = await paidTeam(owner, 2);
+  await join(owner, team.teamId, 'user-member');
+  ctx.clock.advance(15 * DAY);
+
+  const added = await ctx.request('POST', '/billing/team/seats', { uid: owner, body: { seats: 4 } });
+  assert.equal(added.status, 200, added.text);
+  assert.equal(added.body.seats, 4);
+  assert.equal(added.body.team.seats, 4);
+  const sub = ctx.stripe.state.subscriptions.get(subscriptionId);
+  const invoice = ctx.stripe.state.invoices.get(sub.latest_invoice);
+  // Half of the period left: two extra seats for half a month
+  assert.equal(invoice.amount_paid, 1499);
+  assert.equal(invoice.billing_reason, 'subscription_update');
+  await deliver();
+
+  assert.equal((await ctx.request('POST', '/billing/team/seats', { uid: owner, body: { seats: 1 } })).status, 400);
+  const pending = await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: 'user-new@example.com' } });
+  const inUse = await ctx.request('POST', '/billing/team/seats', { uid: owner, body: { seats: 2 } });
+  assert.equal(inUse.status, 409);
+  assert.match(inUse.body.error, /3 seats are in use/);
+  await ctx.request('DELETE', `/billing/team/invites/${pending.body.invite.inviteId}`, { uid: owner });
+
+  const removed = await ctx.request('POST', '/billing/team/seats', { uid: owner, body: { seats: 2 } });
+  assert.equal(removed.status, 200, removed.text);
+  assert.equal(removed.body.payment, null);
+  assert.equal(ctx.stripe.state.subscriptions.get(subscriptionId).latest_invoice, invoice.id);
+  await deliver();
+
+  // Renewal: two seats, less the unused half month of two seats
+  ctx.clock.advance(sub.current_period_end * 1000 - ctx.clock.now());
+  ctx.stripe.renewSubscription(subscriptionId);
+  await deliver();
+  const renewal = ctx.stripe.state.invoices.get(ctx.stripe.state.subscriptions.get(subscriptionId).latest_invoice);
+  assert.equal(renewal.amount_paid, 2 * 1499 - 1499);
+
+  const full = await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: 'user-new@example.com' } });
+  assert.equal(full.status, 409);
+  assert.equal((await ctx.request('POST', '/billing/team/seats', { uid: 'user-member', body: { seats: 5 } })).status, 403);
+});
+
+test('added seats wait for a declined payment', async () => {
+  const owner = 'user-owner';
+  const { subscriptionId, customerId } = await paidTeam(owner, 2);
+  ctx.stripe.setCardDeclined(customerId);
+
+  const res = await ctx.request('POST', '/billing/team/seats', { uid: owner, body: { seats: 3 } });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.pendingUpdate, true);
+  assert.equal(res.body.seats, 2);
+  assert.ok(res.body.payment.clientSecret);
+  await deliver();
+
+  ctx.stripe.setCardDeclined(customerId, false);
+  ctx.stripe.confirmPayment(subscriptionId);
+  await deliver();
+  assert.equal((await ctx.request('GET', '/billing/team', { uid: owner })).body.team.seats, 3);
+});
+
+test('members lose access when they leave, are removed or the team subscription ends', async () => {
+  const owner = 'user-owner';
+  const { team, subscriptionId } = await paidTeam(owner, 4);
+  await join(owner, team.teamId, 'user-ana');
+  await join(owner, team.teamId, 'user-bo');
+  await join(owner, team.teamId, 'user-cy');
+
+  const left = await ctx.request('DELETE', '/billing/team/members/user-ana', { uid: 'user-ana' });
+  assert.equal(left.status, 200);
+  assert.equal(left.body.team, null);
+  assert.equal((await ctx.storage.getSubscription('user-ana')).status, 'INACTIVE');
+  assert.equal((await ctx.request('GET', '/billing/team', { uid: 'user-ana' })).body.team, null);
+
+  assert.equal((await ctx.request('DELETE', '/billing/team/members/user-cy', { uid: 'user-bo' })).status, 403);
+  assert.equal((await ctx.request('DELETE', `/billing/team/members/${owner}`, { uid: owner })).status, 400);
+  const removed = await ctx.request('DELETE', '/billing/team/members/user-cy', { uid: owner });
+  assert.equal(removed.body.team.seatsInUse, 2);
+  assert.equal((await ctx.request('GET', '/usage/current', { uid: 'user-cy' })).body.plan, 'FREE');
+
+  // Canceling at period end keeps access until then, for everyone
+  await ctx.request('POST', '/billing/cancel', { uid: owner, body: {} });
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription('user-bo')).status, 'CANCELED');
+
+  await ctx.stripe.subscriptions.cancel(subscriptionId);
+  await deliver();
+  assert.equal((await ctx.storage.getSubscription(owner)).status, 'INACTIVE');
+  assert.equal((await ctx.storage.getSubscription('user-bo')).status, 'INACTIVE');
+  assert.equal((await ctx.request('GET', '/usage/current', { uid: 'user-bo' })).body.plan, 'FREE');
+  assert.equal((await ctx.storage.getTeam(team.teamId)).status, 'INACTIVE');
+
+  // The owner is unlinked from the ended team, which accepts no new members
+  assert.equal((await ctx.request('GET', '/billing/team', { uid: owner })).body.team, null);
+  const invite = await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: 'user-new@example.com' } });
+  assert.equal(invite.status, 403);
+});
+
+test('an ended team stays ended when the owner subscribes on their own', async () => {
+  const owner = 'user-owner';
+  const { team } = await paidTeam(owner, 3);
+  await join(owner, team.teamId, 'user-ana');
+
+  const canceled = await ctx.request('POST', '/billing/cancel', { uid: owner, body: { mode: 'immediate' } });
+  assert.equal(canceled.status, 200, canceled.text);
+  await deliver();
+
+  const own = await ctx.request('POST', '/billing/subscribe', { uid: owner, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  assert.equal(own.status, 200, own.text);
+  ctx.stripe.confirmPayment(own.body.subscriptionId);
+  await deliver();
+
+  const entitlement = await ctx.request('GET', '/entitlements/me', { uid: owner });
+  assert.equal(entitlement.body.effectivePlan, 'MASTER');
+  const stored = (await ctx.storage.getCustomer(owner)).entitlements.stripe;
+  assert.equal(stored.teamId, null);
+  assert.equal(stored.seats, null);
+  assert.equal((await ctx.storage.getCustomer(owner)).team, null);
+
+  // Neither the owner's new plan nor the old team hands out access
+  const invite = await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: 'user-bo@example.com' } });
+  assert.equal(invite.status, 403);
+  assert.equal((await ctx.request('GET', '/entitlements/me', { uid: 'user-ana' })).body.effectivePlan, 'FREE');
+
+  // Even with the link still in place, the ended team hands out nothing
+  await ctx.storage.setCustomer(owner, { team: { teamId: team.teamId, role: 'owner' } });
+  const stale = await ctx.request('POST', '/billing/team/invites', { uid: owner, body: { email: 'user-bo@example.com' } });
+  assert.equal(stale.status, 409);
+});
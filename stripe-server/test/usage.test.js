@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './support/server.js';
+import { createEntitlementStore } from '../lib/entitlements.js';
+import { PLAN_FEATURES, normalizePlan, normalizeStatus } from '../lib/plan-features.js';
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+test('usage is aggregated per period and deduplicated by eventId', async () => {
+  const uid = 'user-usage';
+  const event = { model: 'gemini-2.5-flash', tokensIn: 1200, tokensOut: 300, eventId: 'msg-1' };
+
+  const first = await ctx.request('POST', '/usage/record', { uid, body: event });
+  assert.equal(first.status, 200, first.text);
+  assert.equal(first.body.duplicate, false);
+  assert.equal(first.body.periodId, '2025-01');
+  assert.equal(first.body.usage.totalTokens, 1500);
+
+  const retry = await ctx.request('POST', '/usage/record', { uid, body: event });
+  assert.equal(retry.body.duplicate, true);
+
+  const invalid = await ctx.request('POST', '/usage/record', { uid, body: { tokensIn: 5 } });
+  assert.equal(invalid.status, 400);
+
+  const current = await ctx.request('GET', '/usage/current', { uid });
+  assert.equal(current.body.usage.requests, 1);
+  assert.equal(current.body.usage.byModel['gemini-2.5-flash'].tokensIn, 1200);
+  assert.equal(current.body.window.tokens, 1500);
+
+  // The 5-hour window resets, the monthly aggregate does not
+  ctx.clock.advance(5 * 60 * 60 * 1000);
+  const later = await ctx.request('GET', '/usage/current', { uid });
+  assert.equal(later.body.window.tokens, 0);
+  assert.equal(later.body.usage.totalTokens, 1500);
+});
+
+test('rate limits follow the plan and recover after a minute', async () => {
+  const uid = 'user-limits';
+
+  for (let i = 0; i < 10; i++) {
+    const res = await ctx.request('POST', '/limits/consume', { uid, body: {} });
+    assert.equal(res.status, 200, res.text);
+  }
+
+  const limited = await ctx.request('POST', '/limits/consume', { uid, body: {} });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.plan, 'FREE');
+  assert.equal(limited.body.limit, 10);
+  assert.equal(limited.headers.get('retry-after'), '60');
+
+  ctx.clock.advance(60 * 1000);
+  const recovered = await ctx.request('POST', '/limits/consume', { uid, body: {} });
+  assert.equal(recovered.status, 200);
+  assert.equal(recovered.body.remaining, 9);
+});
+
+test('plans and statuses are stored in canonical form and served with their limits', async () => {
+  const uid = 'user-entitlement';
+  assert.deepEqual(['pro', 'core', 'Master', 'gold', null].map(normalizePlan), ['PRO', 'PLUS', 'MASTER', 'FREE', 'FREE']);
+  assert.deepEqual(['past_due', 'Cancelled', 'trialing', 'unknown'].map(normalizeStatus), ['PAST_DUE', 'CANCELED', 'TRIALING', 'INACTIVE']);
+
+  const none = await ctx.request('GET', '/entitlements/me', { uid });
+  assert.equal(none.status, 200, none.text);
+  assert.equal(none.body.plan, 'FREE');
+  assert.equal(none.body.status, 'ACTIVE');
+  assert.deepEqual(none.body.limits, PLAN_FEATURES.FREE);
+
+  const { updateUserEntitlement } = createEntitlementStore({ storage: ctx.storage, clock: ctx.clock });
+  const renewsAt = ctx.clock.now() + 24 * 60 * 60 * 1000;
+  const stored = await updateUserEntitlement(uid, { plan: 'core', status: 'trialing', source: 'comp', startedAt: ctx.clock.now(), renewsAt });
+  assert.equal(stored.plan, 'PLUS');
+  assert.equal(stored.status, 'TRIALING');
+
+  const doc = await ctx.storage.getSubscription(uid);
+  assert.equal(doc.plan, 'PLUS');
+  assert.equal(doc.status, 'TRIALING');
+  assert.equal(doc.effectivePlan, 'PLUS');
+  assert.deepEqual(doc.limits, PLAN_FEATURES.PLUS);
+
+  const me = await ctx.request('GET', '/entitlements/me', { uid });
+  assert.equal(me.body.plan, 'PLUS');
+  assert.equal(me.body.effectivePlan, 'PLUS');
+  assert.equal(me.body.source, 'comp');
+  assert.equal(me.body.renewsAt, renewsAt);
+  assert.deepEqual(me.body.limits.modelAccess, PLAN_FEATURES.PLUS.modelAccess);
+  assert.equal((await ctx.request('GET', '/entitlements/me')).status, 401);
+});
@@ -0,0 +1,240 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, ADMIN_KEY } from './support/server.js';
+import { createEventLedger } from '../lib/webhook-ledger.js';
+import { createFakeFirestore } from './support/fake-firestore.js';
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startTestServer();
+});
+
+afterEach(async () => {
+  await ctx.close();
+});
+
+async function deliver() {
+  const results = await ctx.deliverEvents();
+  for (const { event, response } of results) {
+    assert.equal(response.status, 200, `${event.type} ${response.text}`);
+  }
+  return results;
+}
+
+function resultFor(results, type) {
+  const match = results.filter(({ event }) => event.type === type);
+  assert.ok(match.length, `no ${type} event delivered`);
+  return match[match.length - 1];
+}
+
+// A user with a paid, active MASTER subscription (no trial)
+async function activeSubscriber(uid) {
+  const boot = await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  ctx.stripe.confirmPayment(sub.body.subscriptionId);
+  await deliver();
+  return { customerId: boot.body.customerId, subscriptionId: sub.body.subscriptionId };
+}
+
+test('rejects events with an invalid signature', async () => {
+  const event = ctx.stripe.createEvent('invoice.paid', { id: 'in_1', customer: 'cus_1' });
+
+  const forged = await ctx.sendWebhook(event, { secret: 'whsec_wrong' });
+  assert.equal(forged.status, 400);
+  assert.match(forged.text, /Webhook Error/);
+  assert.equal(await ctx.db.collection('stripe_events').doc(event.id).get().then(doc => doc.exists), false);
+});
+
+test('customer.subscription.created / updated write the entitlement', async () => {
+  const uid = 'user-sub-events';
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const sub = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'PLUS', period: 'YEARLY' } });
+
+  const created = resultFor(await deliver(), 'customer.subscription.created');
+  assert.equal(created.response.body.result, 'processed');
+
+  const ledger = (await ctx.db.collection('stripe_events').doc(created.event.id).get()).data();
+  assert.equal(ledger.status, 'processed');
+  assert.equal(ledger.uid, uid);
+  assert.equal(ledger.entitlement.plan, 'PLUS');
+
+  // A change made on Stripe directly (dashboard, portal) reaches the app through the webhook
+  await ctx.stripe.subscriptions.update(sub.body.subscriptionId, { cancel_at_period_end: true });
+  resultFor(await deliver(), 'customer.subscription.updated');
+
+  const current = await ctx.storage.getSubscription(uid);
+  assert.equal(current.status, 'CANCELED');
+  assert.equal(current.lastEventType, 'customer.subscription.updated');
+});
+
+test('checkout.session.completed activates the plan bought on hosted Checkout', async () => {
+  const uid = 'user-checkout';
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+  const checkout = await ctx.request('POST', '/billing/checkout-session', { uid, body: { planId: 'PRO', period: 'MONTHLY' } });
+
+  const session = await ctx.stripe.completeCheckout(checkout.body.sessionId);
+  const completed = resultFor(await deliver(), 'checkout.session.completed');
+  assert.equal(completed.response.body.result, 'processed');
+
+  const { activeEntitlement } = await ctx.storage.getCustomer(uid);
+  assert.equal(activeEntitlement.plan, 'PRO');
+  assert.equal(activeEntitlement.status, 'TRIALING');
+  assert.equal(activeEntitlement.orderId, session.subscription);
+});
+
+test('customer.subscription.deleted marks the entitlement inactive and ends the subscription', async () => {
+  const uid = 'user-deleted';
+  const { subscriptionId } = await activeSubscriber(uid);
+
+  // An update sent before the deletion but delivered after it is ignored
+  await ctx.stripe.subscriptions.update(subscriptionId, { metadata: { note: 'late' } });
+  const [lateUpdate] = ctx.stripe.takeEvents();
+
+  await ctx.stripe.subscriptions.cancel(subscriptionId);
+  resultFor(await deliver(), 'customer.subscription.deleted');
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'INACTIVE');
+  assert.equal((await ctx.storage.getCustomer(uid)).activeEntitlement.status, 'INACTIVE');
+
+  const late = await ctx.sendWebhook(lateUpdate);
+  assert.equal(late.body.result, 'stale');
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'INACTIVE');
+});
+
+test('a late deletion of an abandoned subscription leaves the current one alone', async () => {
+  const uid = 'user-late-delete';
+  await ctx.request('POST', '/billing/bootstrap', { uid, body: {} });
+
+  // The first attempt is never paid; subscribing again cancels it
+  const abandoned = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  await deliver();
+  const paid = await ctx.request('POST', '/billing/subscribe', { uid, body: { planId: 'MASTER', period: 'MONTHLY' } });
+  assert.equal(paid.status, 200, paid.text);
+  assert.notEqual(paid.body.subscriptionId, abandoned.body.subscriptionId);
+  ctx.stripe.confirmPayment(paid.body.subscriptionId);
+
+  // The abandoned subscription's deletion arrives after everything else
+  const events = ctx.stripe.takeEvents();
+  const lateDelete = events.find(event => event.type === 'customer.subscription.deleted');
+  assert.equal(lateDelete.data.object.id, abandoned.body.subscriptionId);
+  for (const event of events.filter(event => event !== lateDelete)) {
+    assert.equal((await ctx.sendWebhook(event)).status, 200);
+  }
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'ACTIVE');
+
+  assert.equal((await ctx.sendWebhook(lateDelete)).status, 200);
+  const me = await ctx.request('GET', '/entitlements/me', { uid });
+  assert.equal(me.body.status, 'ACTIVE');
+  assert.equal(me.body.effectivePlan, 'MASTER');
+  assert.equal((await ctx.storage.getCustomer(uid)).entitlements.stripe.orderId, paid.body.subscriptionId);
+});
+
+test('invoice.paid moves the entitlement into the renewed period', async () => {
+  const uid = 'user-renewal';
+  const { subscriptionId } = await activeSubscriber(uid);
+  const before = (await ctx.storage.getCustomer(uid)).activeEntitlement;
+
+  ctx.clock.advance(30 * 24 * 60 * 60 * 1000);
+  ctx.stripe.renewSubscription(subscriptionId);
+  const paid = resultFor(await deliver(), 'invoice.paid');
+  assert.equal(paid.response.body.result, 'processed');
+
+  const after = (await ctx.storage.getCustomer(uid)).activeEntitlement;
+  assert.equal(after.status, 'ACTIVE');
+  assert.equal(after.periodStartsAt, before.renewsAt);
+  assert.ok(after.renewsAt > before.renewsAt);
+});
+
+test('invoice.payment_failed puts the subscription past due', async () => {
+  const uid = 'user-dunning';
+  const { customerId, subscriptionId } = await activeSubscriber(uid);
+
+  ctx.clock.advance(30 * 24 * 60 * 60 * 1000);
+  ctx.stripe.setCardDeclined(customerId);
+  ctx.stripe.renewSubscription(subscriptionId);
+  resultFor(await deliver(), 'invoice.payment_failed');
+
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'PAST_DUE');
+  assert.equal((await ctx.storage.getCustomer(uid)).activeEntitlement.status, 'PAST_DUE');
+});
+
+test('unhandled event types are acknowledged', async () => {
+  const event = ctx.stripe.createEvent('payment_method.attached', { id: 'pm_1', customer: 'cus_1' });
+  const res = await ctx.sendWebhook(event);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { received: true, result: 'processed' });
+});
+
+test('duplicate deliveries are applied once', async () => {
+  const uid = 'user-duplicate';
+  const { subscriptionId } = await activeSubscriber(uid);
+
+  await ctx.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+  const [event] = ctx.stripe.takeEvents();
+
+  assert.equal((await ctx.sendWebhook(event)).body.result, 'processed');
+  assert.equal((await ctx.sendWebhook(event)).body.result, 'duplicate');
+});
+
+test('out-of-order subscription events are skipped', async () => {
+  const uid = 'user-ordering';
+  const { subscriptionId } = await activeSubscriber(uid);
+
+  await ctx.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+  const [older] = ctx.stripe.takeEvents();
+  ctx.clock.advance(5000);
+  await ctx.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: false });
+  const [newer] = ctx.stripe.takeEvents();
+
+  assert.equal((await ctx.sendWebhook(newer)).body.result, 'processed');
+  assert.equal((await ctx.sendWebhook(older)).body.result, 'stale');
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'ACTIVE');
+});
+
+test('failed events are dead-lettered and can be replayed', async () => {
+  const uid = 'user-replay';
+  const { subscriptionId } = await activeSubscriber(uid);
+
+  await ctx.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+  const [event] = ctx.stripe.takeEvents();
+
+  // Stripe is briefly unavailable while the event is processed
+  const retrieve = ctx.stripe.customers.retrieve;
+  ctx.stripe.customers.retrieve = async () => {
+    throw new Error('Stripe unavailable');
+  };
+  const failed = await ctx.sendWebhook(event);
+  ctx.stripe.customers.retrieve = retrieve;
+  assert.equal(failed.status, 500);
+
+  const forbidden = await ctx.request('GET', '/billing/webhook/failed');
+  assert.equal(forbidden.status, 403);
+
+  const list = await ctx.request('GET', '/billing/webhook/failed', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.events.map(e => e.id), [event.id]);
+  assert.equal(list.body.events[0].error, 'Stripe unavailable');
+  assert.equal(list.body.events[0].payload, undefined);
+
+  const replay = await ctx.request('POST', `/billing/webhook/replay/${event.id}`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  assert.equal(replay.status, 200, replay.text);
+  assert.deepEqual(replay.body, { ok: true, result: 'processed' });
+  assert.equal((await ctx.storage.getSubscription(uid)).status, 'CANCELED');
+
+  const replayAgain = await ctx.request('POST', `/billing/webhook/replay/${event.id}`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  assert.equal(replayAgain.status, 404);
+});
+
+test('the dead-letter list holds the newest failures, however many there are', async () => {
+  for (const db of [createFakeFirestore(), null]) {
+    const ledger = createEventLedger({ db });
+    for (const created of [100, 400, 200, 300]) {
+      const event = { id: `evt_${created}`, type: 'invoice.paid', created, livemode: false, data: { object: {} } };
+      await ledger.claim(event);
+      await ledger.markFailed(event, new Error('boom'));
+    }
+
+    const failed = await ledger.listFailed(2);
+    assert.deepEqual(failed.map(e => e.id), ['evt_400', 'evt_300']);
+  }
+});